@@ -0,0 +1,160 @@
+/**
+ * APSheet CSV utilities
+ * ------------------------------------
+ * A parser and writer for delimited text
+ * following RFC 4180. Fields containing the
+ * delimiter, the quote character, or line
+ * breaks are quoted, and quotes inside of
+ * quoted fields are doubled.
+ * Both functions take an options object with:
+ *   - delimiter: the field separator (default ",")
+ *   - quote: the quote character (default '"')
+ * The writer also accepts:
+ *   - newline: the record separator (default "\r\n")
+ *   - bom: if true, prefix the text with a byte
+ *     order mark, which some spreadsheet
+ *     programs need to detect UTF-8
+ *   - header: an optional array of labels that
+ *     is written as the first record
+ * Note that the parser does not treat the first
+ * record specially; see DataFrame.fromCSV for
+ * reading a header row.
+ */
+import { textFor } from "./ColumnSchema.js";
+
+const BOM = "\uFEFF";
+
+const defaultOptions = {
+    delimiter: ",",
+    quote: '"',
+    newline: "\r\n",
+    bom: false,
+    header: null,
+};
+
+// Options for tab separated values
+const TSV = {
+    delimiter: "\t",
+};
+
+/**
+ * Parse the given delimited text into an array
+ * of records, each of which is an array of string
+ * fields. Any leading byte order mark is ignored,
+ * records may be separated by CRLF, LF or CR, and a
+ * trailing line break does not produce an empty record.
+ * Will throw a string error if a quoted field is never
+ * closed.
+ * @param {String} text - The text to parse
+ * @param {Object} options - See above
+ * @returns {Array[Array]} - An array of records
+ */
+const parseCSV = (text, options = {}) => {
+    let { delimiter, quote } = Object.assign({}, defaultOptions, options);
+    if (text.startsWith(BOM)) {
+        text = text.slice(1);
+    }
+    let records = [];
+    let record = [];
+    let field = "";
+    let inQuotes = false;
+    let i = 0;
+    while (i < text.length) {
+        let char = text[i];
+        if (inQuotes) {
+            if (char === quote) {
+                if (text[i + 1] === quote) {
+                    field += quote;
+                    i += 2;
+                    continue;
+                }
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            i += 1;
+        } else if (char === quote && field === "") {
+            inQuotes = true;
+            i += 1;
+        } else if (text.startsWith(delimiter, i)) {
+            record.push(field);
+            field = "";
+            i += delimiter.length;
+        } else if (char === "\r" || char === "\n") {
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = "";
+            if (char === "\r" && text[i + 1] === "\n") {
+                i += 1;
+            }
+            i += 1;
+        } else {
+            field += char;
+            i += 1;
+        }
+    }
+    if (inQuotes) {
+        throw "Unterminated quoted field in CSV text";
+    }
+    // Any text after the last line break
+    // makes up a final record
+    let lastChar = text[text.length - 1];
+    if (text.length && lastChar !== "\n" && lastChar !== "\r") {
+        record.push(field);
+        records.push(record);
+    }
+    return records;
+};
+
+/**
+ * Respond with the given value as a field
+ * of delimited text, quoting it if needed.
+ * Undefined and null values are written as
+ * empty fields, and dates as ISO dates so that
+ * they parse back. See ColumnSchema.textFor
+ */
+const formatField = (value, delimiter, quote) => {
+    let text = textFor(value);
+    let needsQuotes =
+        text.includes(delimiter) ||
+        text.includes(quote) ||
+        text.includes("\n") ||
+        text.includes("\r") ||
+        text.trim() !== text;
+    if (needsQuotes) {
+        return quote + text.split(quote).join(quote + quote) + quote;
+    }
+    return text;
+};
+
+/**
+ * Write the given array of records (arrays of
+ * values) as delimited text.
+ * @param {Array[Array]} records - The records to write
+ * @param {Object} options - See above
+ * @returns {String} - The delimited text
+ */
+const writeCSV = (records, options = {}) => {
+    let { delimiter, quote, newline, bom, header } = Object.assign(
+        {},
+        defaultOptions,
+        options
+    );
+    if (header) {
+        records = [header, ...records];
+    }
+    let text = records
+        .map((record) => {
+            return record
+                .map((value) => formatField(value, delimiter, quote))
+                .join(delimiter);
+        })
+        .join(newline);
+    if (bom) {
+        text = BOM + text;
+    }
+    return text;
+};
+
+export { parseCSV, writeCSV, TSV, BOM };
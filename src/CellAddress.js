@@ -0,0 +1,93 @@
+/**
+ * APSheet CellAddress utilities
+ * ------------------------------------
+ * Functions for converting between
+ * data-relative Points and spreadsheet
+ * style "A1" addresses, where columns
+ * are named with letters (A..Z, AA..ZZ, AAA..)
+ * and rows are numbered starting from 1.
+ */
+import { Point } from "./Point.js";
+
+const addressPattern = /^\$?([A-Za-z]+)\$?([0-9]+)$/;
+
+/**
+ * Respond with the spreadsheet letters
+ * for the given zero-based column index,
+ * ie 0 is "A", 25 is "Z" and 26 is "AA".
+ * @param {number} index - A zero-based column index
+ * @returns {String} - The column letters
+ */
+const columnToLetters = (index) => {
+    let letters = "";
+    let remaining = index + 1;
+    while (remaining > 0) {
+        let remainder = (remaining - 1) % 26;
+        letters = String.fromCharCode(65 + remainder) + letters;
+        remaining = Math.floor((remaining - 1) / 26);
+    }
+    return letters;
+};
+
+/**
+ * Respond with the zero-based column index
+ * for the given spreadsheet letters. This is
+ * the inverse of `columnToLetters`.
+ * @param {String} letters - Column letters, in
+ * either case
+ * @returns {number} - A zero-based column index
+ */
+const lettersToColumn = (letters) => {
+    let index = 0;
+    letters = letters.toUpperCase();
+    for (let i = 0; i < letters.length; i++) {
+        index = index * 26 + (letters.charCodeAt(i) - 64);
+    }
+    return index - 1;
+};
+
+/**
+ * Returns true only if the given string
+ * is an A1 style address, optionally with
+ * "$" absolute markers (eg "$B$3").
+ * @param {String} aString - The string to check
+ * @returns {boolean}
+ */
+const isAddress = (aString) => {
+    return addressPattern.test(aString);
+};
+
+/**
+ * Respond with the data-relative Point for
+ * the given A1 style address.
+ * @param {String} address - An address like "B3"
+ * @returns {Point} - The corresponding Point,
+ * ie Point(1, 2) for "B3"
+ */
+const parseAddress = (address) => {
+    let match = address.match(addressPattern);
+    if (!match) {
+        throw `${address} is not a valid cell address`;
+    }
+    return new Point([lettersToColumn(match[1]), parseInt(match[2]) - 1]);
+};
+
+/**
+ * Respond with the A1 style address of the
+ * given data-relative Point or coordinate.
+ * @param {Point|Array} location - The location
+ * @returns {String} - The address, ie "B3" for
+ * Point(1, 2)
+ */
+const addressFor = (location) => {
+    let point = new Point(location);
+    return `${columnToLetters(point.x)}${point.y + 1}`;
+};
+
+export {
+    columnToLetters,
+    lettersToColumn,
+    isAddress,
+    parseAddress,
+    addressFor,
+};
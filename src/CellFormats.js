@@ -0,0 +1,340 @@
+/**
+ * APSheet CellFormats Class
+ * ------------------------------------
+ * I hold the display formats of a sheet's values,
+ * which can be set for whole columns, for single cells
+ * or for Frames of cells. Formats only change the text
+ * that is displayed: stored values stay as they are.
+ * When several formats apply to a value, that of its
+ * cell wins, then that of the last Frame set over it,
+ * then that of its column.
+ * Locations given to my methods are data-relative.
+ * A format is either a function, which is given the
+ * value and its location and responds with the text, or
+ * an object with a `type` and the options of that type:
+ *   - "number": `{decimals, grouping, locale, options}`
+ *     numbers with thousands separators, unless grouping
+ *     is false, and the given number of decimals
+ *   - "fixed": like "number" with 2 decimals and no
+ *     thousands separators, unless they are given
+ *   - "percent": `{decimals, locale, options}` fractions
+ *     as percentages, so 0.25 is shown as 25%
+ *   - "currency": `{currency, decimals, locale, options}`
+ *     amounts in the given ISO currency (USD by default)
+ *   - "date", "time" and "datetime": `{locale, options}`
+ *     Dates or ISO date strings with their date, time or
+ *     both. Date-only values are midnight UTC, so "date"
+ *     shows dates in UTC unless given a `timeZone` option
+ *   - "custom": `{format, numeric}` where `format` is a
+ *     function as above
+ * The `options` of a format are passed on to the
+ * Intl.NumberFormat or Intl.DateTimeFormat doing
+ * the formatting. Values that a format does not apply
+ * to, like text in a number format, are shown as usual.
+ */
+import { Frame } from "./Frame.js";
+import { Point } from "./Point.js";
+import { textFor } from "./ColumnSchema.js";
+import { shiftIndex } from "./DataFrame.js";
+
+const numericTypes = ["number", "fixed", "percent", "currency"];
+const dateTypes = {
+    date: { dateStyle: "medium", timeZone: "UTC" },
+    time: { timeStyle: "short" },
+    datetime: { dateStyle: "medium", timeStyle: "short" },
+};
+
+/**
+ * Respond with the number of the given value if it
+ * is a number or numeric text, or null.
+ */
+const numberOf = (value) => {
+    if (typeof value === "number") {
+        return isFinite(value) ? value : null;
+    }
+    if (typeof value === "string" && value.trim() !== "") {
+        let number = Number(value);
+        return isFinite(number) ? number : null;
+    }
+    return null;
+};
+
+/**
+ * Respond with the Date of the given value if it is
+ * a Date or ISO date text, or null.
+ */
+const dateOf = (value) => {
+    if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+        value = new Date(value);
+    }
+    if (value instanceof Date && !isNaN(value.getTime())) {
+        return value;
+    }
+    return null;
+};
+
+const numberFormatFor = (format) => {
+    let options = {};
+    let decimals = format.decimals;
+    if (format.type === "fixed") {
+        options.useGrouping = false;
+        decimals = decimals === undefined ? 2 : decimals;
+    } else if (format.type === "percent") {
+        options.style = "percent";
+    } else if (format.type === "currency") {
+        options.style = "currency";
+        options.currency = format.currency || "USD";
+    }
+    if (format.grouping !== undefined) {
+        options.useGrouping = format.grouping;
+    }
+    if (decimals !== undefined) {
+        options.minimumFractionDigits = decimals;
+        options.maximumFractionDigits = decimals;
+    }
+    Object.assign(options, format.options);
+    return new Intl.NumberFormat(format.locale, options);
+};
+
+/**
+ * Respond with a formatter for the given format (see the
+ * class comment): an object whose `format` function is
+ * given a value and its location and responds with the
+ * text to display, or null if the format does not apply.
+ * Its `isNumeric` is true if it formats numbers.
+ * @param {Function|Object} format - A format
+ * @returns {Object} - A formatter
+ */
+const formatterFor = (format) => {
+    if (typeof format === "function") {
+        return { format, isNumeric: false };
+    }
+    if (!format || typeof format !== "object") {
+        throw `${format} is not a valid format`;
+    }
+    if (numericTypes.includes(format.type)) {
+        let numberFormat = numberFormatFor(format);
+        return {
+            format: (value) => {
+                let number = numberOf(value);
+                return number === null ? null : numberFormat.format(number);
+            },
+            isNumeric: true,
+        };
+    }
+    if (format.type in dateTypes) {
+        let dateFormat = new Intl.DateTimeFormat(
+            format.locale,
+            Object.assign({}, dateTypes[format.type], format.options)
+        );
+        return {
+            format: (value) => {
+                let date = dateOf(value);
+                return date === null ? null : dateFormat.format(date);
+            },
+            isNumeric: false,
+        };
+    }
+    if (format.type === "custom" && typeof format.format === "function") {
+        return { format: format.format, isNumeric: format.numeric || false };
+    }
+    throw `${format.type} is not a valid format type`;
+};
+
+/**
+ * Respond with the given Frame once the columns
+ * (axis 0) or rows (axis 1) at or past the given index
+ * are moved by count. Frames spanning inserted columns
+ * or rows grow, and those losing deleted ones shrink,
+ * to null if nothing is left of them.
+ */
+const shiftFrame = (aFrame, axis, at, count) => {
+    let origin = [aFrame.origin.x, aFrame.origin.y];
+    let corner = [aFrame.corner.x, aFrame.corner.y];
+    if (origin[axis] >= at) {
+        origin[axis] = Math.max(at, origin[axis] + count);
+    }
+    if (corner[axis] >= at) {
+        corner[axis] = Math.max(at - 1, corner[axis] + count);
+    }
+    if (corner[axis] < origin[axis]) {
+        return null;
+    }
+    return new Frame(origin, corner);
+};
+
+class CellFormats extends Object {
+    constructor() {
+        super();
+
+        // Formatters by data-relative column index
+        this.columns = new Map();
+
+        // Formatters by the "x,y" keys of
+        // data-relative locations
+        this.cells = new Map();
+
+        // A list of Frames and their formatters,
+        // in the order they were set
+        this.frames = [];
+
+        // Bind instance methods
+        this.setColumnFormat = this.setColumnFormat.bind(this);
+        this.setCellFormat = this.setCellFormat.bind(this);
+        this.setFrameFormat = this.setFrameFormat.bind(this);
+        this.clear = this.clear.bind(this);
+        this.shift = this.shift.bind(this);
+        this.formatterAt = this.formatterAt.bind(this);
+        this.format = this.format.bind(this);
+    }
+
+    /**
+     * Set the format of the given column,
+     * or clear it with null.
+     * @param {number} column - A data-relative column index
+     * @param {Function|Object|null} format - A format
+     */
+    setColumnFormat(column, format) {
+        if (format === null) {
+            this.columns.delete(column);
+        } else {
+            this.columns.set(column, formatterFor(format));
+        }
+    }
+
+    /**
+     * Set the format of the given location,
+     * or clear it with null.
+     * @param {Point|Array} location - A data-relative location
+     * @param {Function|Object|null} format - A format
+     */
+    setCellFormat(location, format) {
+        let key = new Point(location).toString();
+        if (format === null) {
+            this.cells.delete(key);
+        } else {
+            this.cells.set(key, formatterFor(format));
+        }
+    }
+
+    /**
+     * Set the format of the values within the given
+     * Frame, or clear the formats set for that same
+     * Frame with null.
+     * @param {Frame} aFrame - A data-relative Frame
+     * @param {Function|Object|null} format - A format
+     */
+    setFrameFormat(aFrame, format) {
+        this.frames = this.frames.filter((entry) => {
+            return !entry.frame.equals(aFrame);
+        });
+        if (format !== null) {
+            this.frames.push({
+                frame: new Frame(aFrame.origin, aFrame.corner),
+                formatter: formatterFor(format),
+            });
+        }
+    }
+
+    clear() {
+        this.columns.clear();
+        this.cells.clear();
+        this.frames = [];
+    }
+
+    /**
+     * Move the formats of the columns (axis 0) or rows
+     * (axis 1) at or past the given index by count, as
+     * when columns or rows are inserted or deleted,
+     * dropping those of deleted ones. My collections are
+     * replaced rather than changed, so that the old ones
+     * can be kept for undoing. See GridSheet.shiftFormats
+     * @param {number} axis - 0 for columns, 1 for rows
+     * @param {number} at - The data-relative index
+     * where the shift begins
+     * @param {number} count - The number to shift by.
+     * Negative values delete.
+     */
+    shift(axis, at, count) {
+        let columns = new Map(this.columns);
+        if (axis === 0) {
+            columns.clear();
+            this.columns.forEach((formatter, column) => {
+                let index = shiftIndex(column, at, count);
+                if (index !== null) {
+                    columns.set(index, formatter);
+                }
+            });
+        }
+        let cells = new Map();
+        this.cells.forEach((formatter, key) => {
+            // Keys are written by Point.toString
+            let position = key.match(/-?\d+/g).map(Number);
+            let index = shiftIndex(position[axis], at, count);
+            if (index !== null) {
+                position[axis] = index;
+                cells.set(new Point(position).toString(), formatter);
+            }
+        });
+        this.columns = columns;
+        this.cells = cells;
+        this.frames = this.frames
+            .map((entry) => {
+                let frame = shiftFrame(entry.frame, axis, at, count);
+                return frame && { frame, formatter: entry.formatter };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Respond with the formatter that applies
+     * to the given location, or null.
+     * @param {Point} location - A data-relative Point
+     * @returns {Object|null} - A formatter
+     */
+    formatterAt(location) {
+        let formatter = this.cells.get(location.toString());
+        if (formatter) {
+            return formatter;
+        }
+        for (let i = this.frames.length - 1; i >= 0; i--) {
+            if (this.frames[i].frame.contains(location)) {
+                return this.frames[i].formatter;
+            }
+        }
+        return this.columns.get(location.x) || null;
+    }
+
+    /**
+     * Respond with the text to display for the
+     * given value stored at the given location,
+     * and whether it is shown as a number.
+     * @param {Point|Array} location - A data-relative location
+     * @param {*} value - The stored (or computed) value
+     * @returns {Object} - The `text` and `isNumeric`
+     */
+    format(location, value) {
+        if (!this.isEmpty) {
+            let point = new Point(location);
+            let formatter = this.formatterAt(point);
+            let text = formatter ? formatter.format(value, point) : null;
+            if (text !== null && text !== undefined) {
+                return {
+                    text: text.toString(),
+                    isNumeric: formatter.isNumeric,
+                };
+            }
+        }
+        return { text: textFor(value), isNumeric: false };
+    }
+
+    get isEmpty() {
+        return (
+            this.columns.size === 0 &&
+            this.cells.size === 0 &&
+            this.frames.length === 0
+        );
+    }
+}
+
+export { CellFormats, formatterFor, CellFormats as default };
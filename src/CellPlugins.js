@@ -0,0 +1,501 @@
+/**
+ * APSheet CellPlugins Class
+ * ------------------------------------
+ * I hold the renderers and editors that a sheet
+ * uses for its cells in place of plain text and
+ * the plain text input. Plugins are registered by
+ * name and then used for whole columns or for values
+ * of a given type ("string", "number", "boolean",
+ * "date", "array" or "blank"), with options. When both
+ * apply, the plugin used for the column wins.
+ * Locations given to my methods are data-relative.
+ *
+ * A renderer is an object with the functions:
+ *   - `mount(element, context)`: fill the given cell
+ *     element with what displays the value
+ *   - `update(element, context)`: display a different
+ *     value in an element it was mounted in. Cell
+ *     elements are reused as the view shifts, so this
+ *     is called far more often than mount
+ *   - `destroy(element, context)`: release anything
+ *     held for the element, which is then emptied
+ * where the context has the `value`, the formatted
+ * `text` (see CellFormats), the data-relative `location`
+ * and the `options` the renderer is used with.
+ *
+ * An editor is an object with the functions:
+ *   - `mount(container, context)`: fill the given
+ *     container, which covers the cell being edited,
+ *     with the inputs that edit the value
+ *   - `destroy(container, context)`: release anything
+ *     held for the container, which is then emptied
+ * where the context also has the raw value as `text`,
+ * and `commit(value)` and `cancel()` functions that end
+ * the edit with or without storing the given value.
+ * Editors are mounted when an edit starts, so they do
+ * not need updating as cell elements are reused.
+ */
+import { textFor } from "./ColumnSchema.js";
+import { shiftIndex } from "./DataFrame.js";
+
+/**
+ * Respond with the name of the type of
+ * the given value, as used by `setTypeRenderer`
+ * and `setTypeEditor`.
+ */
+const typeOf = (value) => {
+    if (value === undefined || value === null || value === "") {
+        return "blank";
+    }
+    if (value instanceof Date) {
+        return "date";
+    }
+    if (Array.isArray(value)) {
+        return "array";
+    }
+    if (typeof value === "boolean" || typeof value === "number") {
+        return typeof value;
+    }
+    return "string";
+};
+
+/**
+ * Respond with true if the given value
+ * counts as a checked box.
+ */
+const isChecked = (value) => {
+    if (typeof value === "boolean") {
+        return value;
+    }
+    return ["true", "yes", "1"].includes(textFor(value).toLowerCase());
+};
+
+/**
+ * Respond with the numbers of the given array or
+ * comma separated text, leaving out any others.
+ */
+const numbersOf = (value) => {
+    let values = Array.isArray(value) ? value : textFor(value).split(",");
+    return values
+        .filter((value) => textFor(value).trim() !== "")
+        .map(Number)
+        .filter(isFinite);
+};
+
+// The protocols that link cells can open
+const linkProtocols = ["http:", "https:", "mailto:"];
+
+/**
+ * Respond with the URL of the given value, resolved
+ * against the page, if it is one that link cells
+ * can open. Otherwise, as for "javascript:" URLs,
+ * respond with null.
+ */
+const linkURLFor = (value) => {
+    try {
+        let url = new URL(textFor(value).trim(), document.baseURI);
+        return linkProtocols.includes(url.protocol) ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Respond with a new element with the given
+ * tag name, attributes and style.
+ */
+const createElement = (tagName, attributes = {}, style = {}) => {
+    let element = document.createElement(tagName);
+    Object.keys(attributes).forEach((name) => {
+        element.setAttribute(name, attributes[name]);
+    });
+    Object.assign(element.style, style);
+    return element;
+};
+
+/**
+ * Respond with a renderer that mounts the
+ * element made by the given function of the
+ * context and updates it with the other.
+ */
+const simpleRenderer = (create, update) => {
+    return {
+        mount: (element, context) => {
+            element.append(create(context));
+            update(element.firstElementChild, context);
+        },
+        update: (element, context) => {
+            update(element.firstElementChild, context);
+        },
+        destroy: () => {},
+    };
+};
+
+const defaultRenderers = {
+    checkbox: simpleRenderer(
+        () => {
+            return createElement(
+                "input",
+                { type: "checkbox", tabindex: "-1" },
+                { pointerEvents: "none" }
+            );
+        },
+        (input, { value }) => {
+            input.checked = isChecked(value);
+        }
+    ),
+    progress: simpleRenderer(
+        () => {
+            let bar = createElement(
+                "div",
+                {},
+                {
+                    width: "100%",
+                    height: "60%",
+                    backgroundColor: "rgba(100, 100, 100, 0.15)",
+                }
+            );
+            bar.append(
+                createElement(
+                    "div",
+                    {},
+                    {
+                        height: "100%",
+                        backgroundColor: "rgba(0, 0, 100, 0.6)",
+                    }
+                )
+            );
+            return bar;
+        },
+        (bar, { value, options }) => {
+            let max = options.max || 1;
+            let fraction = Math.min(Math.max(Number(value) / max, 0), 1);
+            bar.firstElementChild.style.width = `${(fraction || 0) * 100}%`;
+            bar.title = textFor(value);
+        }
+    ),
+    link: simpleRenderer(
+        () => {
+            return createElement("a", { target: "_blank", rel: "noopener" });
+        },
+        (link, { value, text, options }) => {
+            // Without an href the link shows as plain text
+            let url = linkURLFor(value);
+            if (url) {
+                link.href = url;
+            } else {
+                link.removeAttribute("href");
+            }
+            link.textContent = options.label || text;
+        }
+    ),
+    badge: simpleRenderer(
+        () => {
+            return createElement(
+                "span",
+                {},
+                {
+                    padding: "0 6px",
+                    borderRadius: "8px",
+                }
+            );
+        },
+        (badge, { value, text, options }) => {
+            let colors = options.colors || {};
+            badge.textContent = text;
+            badge.style.backgroundColor =
+                colors[textFor(value)] || "rgba(100, 100, 100, 0.2)";
+        }
+    ),
+    sparkline: simpleRenderer(
+        () => {
+            let svg = document.createElementNS(
+                "http://www.w3.org/2000/svg",
+                "svg"
+            );
+            svg.setAttribute("viewBox", "0 0 100 20");
+            svg.setAttribute("preserveAspectRatio", "none");
+            svg.style.width = "100%";
+            svg.style.height = "80%";
+            let line = document.createElementNS(
+                "http://www.w3.org/2000/svg",
+                "polyline"
+            );
+            line.setAttribute("fill", "none");
+            line.setAttribute("stroke", "currentColor");
+            svg.append(line);
+            return svg;
+        },
+        (svg, { value }) => {
+            let numbers = numbersOf(value);
+            let min = Math.min(...numbers);
+            let range = Math.max(...numbers) - min || 1;
+            let step = numbers.length > 1 ? 100 / (numbers.length - 1) : 0;
+            let points = numbers.map((number, index) => {
+                return `${index * step},${20 - ((number - min) / range) * 20}`;
+            });
+            svg.firstElementChild.setAttribute("points", points.join(" "));
+        }
+    ),
+};
+
+/**
+ * Respond with an editor that mounts the given
+ * input element, focuses it and commits its value
+ * when it changes.
+ */
+const inputEditor = (create) => {
+    return {
+        mount: (container, context) => {
+            let input = create(context);
+            input.addEventListener("change", () => {
+                context.commit(input.value);
+            });
+            container.append(input);
+            input.focus();
+        },
+        destroy: () => {},
+    };
+};
+
+const editorStyle = {
+    boxSizing: "border-box",
+    width: "100%",
+    height: "100%",
+    font: "inherit",
+};
+
+const defaultEditors = {
+    select: inputEditor(({ value, options }) => {
+        let select = createElement("select", {}, editorStyle);
+        (options.values || []).forEach((option) => {
+            let element = createElement("option");
+            element.value = textFor(option);
+            element.textContent = textFor(option);
+            select.append(element);
+        });
+        select.value = textFor(value);
+        return select;
+    }),
+    date: inputEditor(({ value }) => {
+        let input = createElement("input", { type: "date" }, editorStyle);
+        input.value = textFor(value).slice(0, 10);
+        return input;
+    }),
+    checkbox: {
+        // Editing a checkbox toggles it
+        mount: (container, { value, commit }) => {
+            commit(!isChecked(value));
+        },
+        destroy: () => {},
+    },
+    textarea: {
+        mount: (container, { text, commit }) => {
+            let textarea = createElement("textarea", {}, editorStyle);
+            textarea.style.minHeight = "4em";
+            textarea.value = text;
+            textarea.addEventListener("keydown", (event) => {
+                if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+                    commit(textarea.value);
+                }
+            });
+            textarea.addEventListener("blur", () => {
+                commit(textarea.value);
+            });
+            container.append(textarea);
+            textarea.focus();
+        },
+        destroy: () => {},
+    },
+};
+
+class CellPlugins extends Object {
+    constructor() {
+        super();
+
+        // The renderers and editors by name
+        this.renderers = new Map(Object.entries(defaultRenderers));
+        this.editors = new Map(Object.entries(defaultEditors));
+
+        // The plugins used by columns and by value
+        // types. Each use is an object with the
+        // `plugin` and its `options`
+        this.uses = {
+            renderer: { columns: new Map(), types: new Map() },
+            editor: { columns: new Map(), types: new Map() },
+        };
+
+        // Bind instance methods
+        this.registerRenderer = this.registerRenderer.bind(this);
+        this.registerEditor = this.registerEditor.bind(this);
+        this.setColumnRenderer = this.setColumnRenderer.bind(this);
+        this.setTypeRenderer = this.setTypeRenderer.bind(this);
+        this.setColumnEditor = this.setColumnEditor.bind(this);
+        this.setTypeEditor = this.setTypeEditor.bind(this);
+        this.setUse = this.setUse.bind(this);
+        this.shiftColumns = this.shiftColumns.bind(this);
+        this.rendererFor = this.rendererFor.bind(this);
+        this.editorFor = this.editorFor.bind(this);
+        this.useFor = this.useFor.bind(this);
+    }
+
+    /**
+     * Register a renderer by the given name, replacing
+     * any of the same name. See the class comment.
+     * @param {String} name - The name of the renderer
+     * @param {Object} renderer - The renderer
+     */
+    registerRenderer(name, renderer) {
+        ["mount", "update", "destroy"].forEach((method) => {
+            if (typeof renderer[method] !== "function") {
+                throw `Renderer ${name} has no ${method} function`;
+            }
+        });
+        this.renderers.set(name, renderer);
+    }
+
+    /**
+     * Register an editor by the given name, replacing
+     * any of the same name. See the class comment.
+     * @param {String} name - The name of the editor
+     * @param {Object} editor - The editor
+     */
+    registerEditor(name, editor) {
+        ["mount", "destroy"].forEach((method) => {
+            if (typeof editor[method] !== "function") {
+                throw `Editor ${name} has no ${method} function`;
+            }
+        });
+        this.editors.set(name, editor);
+    }
+
+    /**
+     * Use the renderer of the given name for
+     * the values of the given column, or stop
+     * using one with null.
+     * @param {number} column - A data-relative column index
+     * @param {String|null} name - A registered renderer
+     * @param {Object} options - Options for the renderer
+     */
+    setColumnRenderer(column, name, options = {}) {
+        this.setUse("renderer", "columns", column, name, options);
+    }
+
+    /**
+     * Use the renderer of the given name for values
+     * of the given type, or stop using one with null.
+     * @param {String} type - A type name. See typeOf
+     * @param {String|null} name - A registered renderer
+     * @param {Object} options - Options for the renderer
+     */
+    setTypeRenderer(type, name, options = {}) {
+        this.setUse("renderer", "types", type, name, options);
+    }
+
+    /**
+     * Use the editor of the given name for the
+     * values of the given column, or stop using
+     * one with null.
+     * @param {number} column - A data-relative column index
+     * @param {String|null} name - A registered editor
+     * @param {Object} options - Options for the editor
+     */
+    setColumnEditor(column, name, options = {}) {
+        this.setUse("editor", "columns", column, name, options);
+    }
+
+    /**
+     * Use the editor of the given name for values
+     * of the given type, or stop using one with null.
+     * @param {String} type - A type name. See typeOf
+     * @param {String|null} name - A registered editor
+     * @param {Object} options - Options for the editor
+     */
+    setTypeEditor(type, name, options = {}) {
+        this.setUse("editor", "types", type, name, options);
+    }
+
+    setUse(kind, scope, key, name, options) {
+        let uses = this.uses[kind][scope];
+        if (name === null) {
+            uses.delete(key);
+            return;
+        }
+        let plugin = (kind === "renderer" ? this.renderers : this.editors).get(
+            name
+        );
+        if (!plugin) {
+            throw `${name} is not a registered ${kind}`;
+        }
+        uses.set(key, { plugin, options });
+    }
+
+    /**
+     * Move the plugins used by the columns at or past
+     * the given index by count, as when columns are
+     * inserted or deleted, dropping those of deleted
+     * columns. My uses are replaced rather than changed,
+     * so that the old ones can be kept for undoing.
+     * See GridSheet.shiftFormats
+     * @param {number} at - The data-relative column
+     * index where the shift begins
+     * @param {number} count - The number to shift by.
+     * Negative values delete.
+     */
+    shiftColumns(at, count) {
+        let uses = {};
+        Object.keys(this.uses).forEach((kind) => {
+            let columns = new Map();
+            this.uses[kind].columns.forEach((use, column) => {
+                let index = shiftIndex(column, at, count);
+                if (index !== null) {
+                    columns.set(index, use);
+                }
+            });
+            uses[kind] = { columns, types: this.uses[kind].types };
+        });
+        this.uses = uses;
+    }
+
+    /**
+     * Respond with the renderer use (the `plugin`
+     * and its `options`) for the given value stored
+     * at the given location, or null.
+     * @param {Point} location - A data-relative Point
+     * @param {*} value - The value
+     * @returns {Object|null} - The renderer use
+     */
+    rendererFor(location, value) {
+        return this.useFor("renderer", location, value);
+    }
+
+    /**
+     * Respond with the editor use (the `plugin`
+     * and its `options`) for the given value stored
+     * at the given location, or null.
+     * @param {Point} location - A data-relative Point
+     * @param {*} value - The value
+     * @returns {Object|null} - The editor use
+     */
+    editorFor(location, value) {
+        return this.useFor("editor", location, value);
+    }
+
+    useFor(kind, location, value) {
+        let { columns, types } = this.uses[kind];
+        return columns.get(location.x) || types.get(typeOf(value)) || null;
+    }
+
+    get hasRenderers() {
+        let { columns, types } = this.uses.renderer;
+        return columns.size > 0 || types.size > 0;
+    }
+}
+
+export {
+    CellPlugins,
+    defaultRenderers,
+    defaultEditors,
+    typeOf,
+    CellPlugins as default,
+};
@@ -0,0 +1,739 @@
+/**
+ * ClipboardHandler class
+ * ----------------------
+ * I am a controller object that gets attached
+ * to a sheet and handles the native `copy`, `cut`
+ * and `paste` events it receives, so that the
+ * system clipboard (and the keyboard shortcuts of
+ * the platform) work with other spreadsheet apps.
+ * I write the selection as both `text/plain` tab
+ * separated values and a `text/html` table, which is
+ * what apps like Excel and Google Sheets write and
+ * read, and I parse either format when pasting.
+ * Cut values are not cleared right away: like in
+ * other spreadsheet apps, they are moved when they
+ * are pasted into this (or another) sheet.
+ * Clipboard events coming from text inputs, like a
+ * cell being edited, are left to the browser.
+ * Values can also be pasted with options (see
+ * pasteData), and a paste that follows Ctrl+Shift+V
+ * lets the user choose them first.
+ * Commands bound to other keys copy, cut and paste
+ * without a native event (see copyToClipboard and
+ * pasteFromClipboard).
+ */
+import { Frame } from "./Frame.js";
+import { Point } from "./Point.js";
+import { parseCSV, writeCSV, TSV } from "./CSV.js";
+import { operations } from "./DataFrame.js";
+import { textFor } from "./ColumnSchema.js";
+
+/**
+ * Respond with the given value as
+ * text that is safe to put in HTML.
+ */
+const escapeHTML = (value) => {
+    return textFor(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/\r?\n/g, "<br>");
+};
+
+/**
+ * Respond with an HTML table of the
+ * given records (arrays of values).
+ * @param {Array[Array]} records - The records
+ * @returns {String} - The HTML text
+ */
+const toHTMLTable = (records) => {
+    let rows = records.map((record) => {
+        let cells = record.map((value) => {
+            return `<td>${escapeHTML(value)}</td>`;
+        });
+        return `<tr>${cells.join("")}</tr>`;
+    });
+    return `<table><tbody>${rows.join("")}</tbody></table>`;
+};
+
+/**
+ * Parse the first table in the given HTML text
+ * into an array of records, each an array of the
+ * text of its cells. Line breaks in cells are kept,
+ * and cells spanning several columns are followed by
+ * empty fields. Responds with null if there is no table.
+ * @param {String} html - The HTML text
+ * @returns {Array[Array]|null} - The records
+ */
+const parseHTMLTable = (html) => {
+    let parsed = new window.DOMParser().parseFromString(html, "text/html");
+    let table = parsed.querySelector("table");
+    if (!table) {
+        return null;
+    }
+    return Array.from(table.rows).map((row) => {
+        let record = [];
+        Array.from(row.cells).forEach((cell) => {
+            cell.querySelectorAll("br").forEach((lineBreak) => {
+                lineBreak.replaceWith("\n");
+            });
+            record.push(cell.textContent);
+            for (let i = 1; i < cell.colSpan; i++) {
+                record.push("");
+            }
+        });
+        return record;
+    });
+};
+
+/**
+ * Respond with the given records padded
+ * with undefined values so that all of them
+ * are as long as the longest.
+ */
+const padRecords = (records) => {
+    let width = Math.max(...records.map((record) => record.length));
+    return records.map((record) => {
+        let padded = record.slice();
+        while (padded.length < width) {
+            padded.push(undefined);
+        }
+        return padded;
+    });
+};
+
+/**
+ * Respond with the given records with
+ * their rows and columns swapped.
+ * @param {Array[Array]} records - The records
+ * @returns {Array[Array]} - The transposed records
+ */
+const transposeData = (records) => {
+    return records[0].map((value, column) => {
+        return records.map((record) => record[column]);
+    });
+};
+
+/**
+ * Respond with the given records repeated across
+ * and down to fill the given size, cutting off any
+ * repetitions that would not fit.
+ * @param {Array[Array]} records - The records
+ * @param {Point} size - The number of columns (x)
+ * and rows (y) to fill
+ * @returns {Array[Array]} - The tiled records
+ */
+const tileData = (records, size) => {
+    let result = [];
+    for (let y = 0; y < size.y; y++) {
+        let record = records[y % records.length];
+        let row = [];
+        for (let x = 0; x < size.x; x++) {
+            row.push(record[x % record.length]);
+        }
+        result.push(row);
+    }
+    return result;
+};
+
+/**
+ * Respond with the given view-relative Frames
+ * of a selection in the order they are copied, and
+ * whether they are joined `across` rather than
+ * stacked down. Like in other spreadsheet apps, only
+ * ranges spanning the same columns (stacked by row)
+ * or the same rows (joined by column) can be copied
+ * together. Responds with null for any others.
+ * @param {Array[Frame]} frames - The Frames
+ * @returns {Object|null} - The `frames` and `across`
+ */
+const arrangeFrames = (frames) => {
+    let [first] = frames;
+    let sameColumns = frames.every((frame) => {
+        return frame.left === first.left && frame.right === first.right;
+    });
+    if (sameColumns) {
+        return {
+            frames: frames.slice().sort((a, b) => a.top - b.top),
+            across: false,
+        };
+    }
+    let sameRows = frames.every((frame) => {
+        return frame.top === first.top && frame.bottom === first.bottom;
+    });
+    if (sameRows) {
+        return {
+            frames: frames.slice().sort((a, b) => a.left - b.left),
+            across: true,
+        };
+    }
+    return null;
+};
+
+/**
+ * Respond with the given arrays of arrays joined
+ * into one, either across or down.
+ */
+const joinData = (parts, across) => {
+    if (!across) {
+        return [].concat(...parts);
+    }
+    return parts[0].map((row, y) => {
+        return [].concat(...parts.map((part) => part[y]));
+    });
+};
+
+const isBlank = (value) => {
+    return value === undefined || value === null || value === "";
+};
+
+/**
+ * Respond with the result of the named operation
+ * (see DataFrame operations) on a value shown in the
+ * sheet and a value being pasted onto it. Blank values
+ * count as 0, and if either value is not a number the
+ * pasted value is used as is.
+ */
+const combineValues = (value, pasted, operation) => {
+    let number = isBlank(value) ? 0 : Number(value);
+    let other = Number(pasted);
+    if (isNaN(number) || isNaN(other) || typeof pasted === "boolean") {
+        return pasted;
+    }
+    return operations[operation](number, other);
+};
+
+/**
+ * Respond with true if the given event
+ * comes from an input, textarea or other
+ * editable element.
+ */
+const isFromTextInput = (event) => {
+    let target = event.composedPath()[0];
+    if (!target || !target.tagName) {
+        return false;
+    }
+    return (
+        target.tagName === "INPUT" ||
+        target.tagName === "TEXTAREA" ||
+        target.isContentEditable === true
+    );
+};
+
+/**
+ * Respond with an object standing in for the
+ * DataTransfer of a ClipboardEvent, holding text
+ * by type, for copying and pasting without one.
+ * @param {Object} data - The text of each type
+ * @returns {Object} - The stand-in DataTransfer
+ */
+const dataTransferWith = (data = {}) => {
+    let store = Object.assign({}, data);
+    return {
+        setData: (type, text) => {
+            store[type] = text;
+        },
+        getData: (type) => {
+            return store[type] || "";
+        },
+    };
+};
+
+class ClipboardHandler extends Object {
+    constructor(sheet) {
+        super();
+        if (!sheet) {
+            throw new Error(
+                `ClipboardHandler must be initialized with a sheet object!`
+            );
+        }
+
+        this.sheet = sheet;
+
+        // Set when Ctrl+Shift+V is pressed, so that
+        // the paste that follows opens a chooser for
+        // the paste options. See KeyHandler
+        this.isPastingSpecial = false;
+
+        // The values of the last paste that opened
+        // the chooser, pasted once options are chosen
+        this.pendingPaste = null;
+
+        // Bind instance methods
+        this.connect = this.connect.bind(this);
+        this.disconnect = this.disconnect.bind(this);
+        this.handleCopy = this.handleCopy.bind(this);
+        this.handleCut = this.handleCut.bind(this);
+        this.handlePaste = this.handlePaste.bind(this);
+        this.copy = this.copy.bind(this);
+        this.cut = this.cut.bind(this);
+        this.paste = this.paste.bind(this);
+        this.copyToClipboard = this.copyToClipboard.bind(this);
+        this.pasteFromClipboard = this.pasteFromClipboard.bind(this);
+        this.writeTo = this.writeTo.bind(this);
+        this.dataFor = this.dataFor.bind(this);
+        this.readFrom = this.readFrom.bind(this);
+        this.pasteData = this.pasteData.bind(this);
+        this.pasteCut = this.pasteCut.bind(this);
+        this.pasteSpecial = this.pasteSpecial.bind(this);
+        this.arrangeData = this.arrangeData.bind(this);
+        this.shownAt = this.shownAt.bind(this);
+        this.dispatchClipboardEvent = this.dispatchClipboardEvent.bind(this);
+    }
+
+    connect() {
+        this.sheet.addEventListener("copy", this.handleCopy);
+        this.sheet.addEventListener("cut", this.handleCut);
+        this.sheet.addEventListener("paste", this.handlePaste);
+    }
+
+    disconnect() {
+        this.sheet.removeEventListener("copy", this.handleCopy);
+        this.sheet.removeEventListener("cut", this.handleCut);
+        this.sheet.removeEventListener("paste", this.handlePaste);
+    }
+
+    handleCopy(event) {
+        if (isFromTextInput(event) || !event.clipboardData) {
+            return;
+        }
+        event.preventDefault();
+        this.copy(event.clipboardData);
+    }
+
+    handleCut(event) {
+        if (isFromTextInput(event) || !event.clipboardData) {
+            return;
+        }
+        event.preventDefault();
+        this.cut(event.clipboardData);
+    }
+
+    handlePaste(event) {
+        if (isFromTextInput(event) || !event.clipboardData) {
+            return;
+        }
+        event.preventDefault();
+        this.paste(event.clipboardData);
+    }
+
+    /**
+     * Copy the selection to the given DataTransfer.
+     * See writeTo.
+     * @param {DataTransfer} clipboardData - The data
+     * to write to
+     * @returns {Object|null} - The clipboard contents
+     */
+    copy(clipboardData) {
+        let contents = this.writeTo(clipboardData);
+        if (contents) {
+            this.dispatchClipboardEvent("clipboard-copy", contents);
+        }
+        return contents;
+    }
+
+    /**
+     * Copy the selection to the given DataTransfer,
+     * marking it as cut so that it is cleared once it
+     * is pasted. Like in other spreadsheet apps, a
+     * selection of several ranges cannot be cut.
+     * @param {DataTransfer} clipboardData - The data
+     * to write to
+     * @returns {Object|null} - The clipboard contents
+     */
+    cut(clipboardData) {
+        let frames = this.frames;
+        if (frames.length > 1) {
+            this.dispatchClipboardEvent("clipboard-error", {
+                error: "Cannot cut a selection of several ranges",
+                frames,
+            });
+            return null;
+        }
+        let contents = this.writeTo(clipboardData);
+        contents.isCut = true;
+        this.dispatchClipboardEvent("clipboard-cut", contents);
+        return contents;
+    }
+
+    /**
+     * Paste the values in the given DataTransfer at
+     * the cursor, moving them if they were cut, or
+     * keep them for the paste special chooser if
+     * isPastingSpecial is set.
+     * @param {DataTransfer} clipboardData - The data
+     * to read from
+     */
+    paste(clipboardData) {
+        if (this.isPastingSpecial) {
+            this.isPastingSpecial = false;
+            let data = this.readFrom(clipboardData);
+            if (data) {
+                this.pendingPaste = {
+                    data,
+                    values: this.readFrom(clipboardData, true),
+                };
+                this.dispatchClipboardEvent("clipboard-paste-special", {
+                    data,
+                });
+            }
+            return;
+        }
+        let contents = this.constructor.contents;
+        let text = clipboardData.getData("text/plain");
+        if (contents && contents.isCut && text === contents.text) {
+            this.pasteCut();
+            return;
+        }
+        let data = this.readFrom(clipboardData);
+        if (data) {
+            this.pasteData(data);
+        }
+    }
+
+    /**
+     * Copy, or cut, the selection without a native
+     * clipboard event, as commands bound to keys other
+     * than those the browser copies with do. The text is
+     * also written to the system clipboard, where the
+     * browser allows it.
+     * @param {boolean} isCut - If true, cut instead
+     * @returns {Object|null} - The clipboard contents
+     */
+    copyToClipboard(isCut = false) {
+        let clipboardData = dataTransferWith();
+        let contents = isCut
+            ? this.cut(clipboardData)
+            : this.copy(clipboardData);
+        let clipboard = window.navigator.clipboard;
+        if (contents && clipboard && clipboard.writeText) {
+            // The values are still pasted in sheets
+            // if the browser refuses
+            clipboard.writeText(contents.text).catch(() => {});
+        }
+        return contents;
+    }
+
+    /**
+     * Paste without a native clipboard event, as
+     * commands bound to keys other than those the browser
+     * pastes with do. The text of the system clipboard is
+     * pasted where the browser allows reading it, and
+     * otherwise the contents last copied from a sheet.
+     * @returns {Promise} - Resolves once pasted
+     */
+    pasteFromClipboard() {
+        let contents = this.constructor.contents;
+        let copiedText = contents ? contents.text : "";
+        const pasteText = (text) => {
+            this.paste(dataTransferWith({ "text/plain": text }));
+        };
+        let clipboard = window.navigator.clipboard;
+        if (!clipboard || !clipboard.readText) {
+            return Promise.resolve(pasteText(copiedText));
+        }
+        return clipboard.readText().then(pasteText, () => {
+            pasteText(copiedText);
+        });
+    }
+
+    /**
+     * Write the values shown within the selection
+     * (or at the cursor) to the given DataTransfer,
+     * like that of a ClipboardEvent. The values of
+     * a selection of several ranges are joined (see
+     * arrangeFrames). If they cannot be, nothing is
+     * written and a `clipboard-error` event is
+     * dispatched instead.
+     * @param {DataTransfer} clipboardData - The data
+     * to write to
+     * @returns {Object|null} - The clipboard contents,
+     * with the `origin` of the copied Frame, the `data`
+     * as an array of arrays, its computed `values`, the
+     * `text` written and the copied `frames`
+     */
+    writeTo(clipboardData) {
+        let arranged = arrangeFrames(this.frames);
+        if (!arranged) {
+            this.dispatchClipboardEvent("clipboard-error", {
+                error: "Cannot copy ranges that do not share rows or columns",
+                frames: this.frames,
+            });
+            return null;
+        }
+        let { frames, across } = arranged;
+        let parts = frames.map(this.dataFor);
+        let data = joinData(
+            parts.map((part) => part.data),
+            across
+        );
+        let values = joinData(
+            parts.map((part) => part.values),
+            across
+        );
+        let [frame] = frames;
+        let text = writeCSV(data, Object.assign({ newline: "\n" }, TSV));
+        clipboardData.setData("text/plain", text);
+        clipboardData.setData("text/html", toHTMLTable(data));
+        let contents = {
+            origin: frame.origin,
+            data,
+            values,
+            text,
+
+            // Where the values came from, so
+            // that cut values can be moved
+            sheet: this.sheet,
+            frame: new Frame(frame.origin, frame.corner),
+            frames: frames.map((each) => new Frame(each.origin, each.corner)),
+            isCut: false,
+        };
+        this.constructor.contents = contents;
+        return contents;
+    }
+
+    /**
+     * Respond with the values shown within the
+     * given view-relative Frame as an array of arrays
+     * (`data`), along with their computed `values`.
+     */
+    dataFor(frame) {
+        let rowView = this.sheet.rowView;
+        let data = rowView.getDataArrayForFrame(frame);
+        let values = data;
+        let hasFormulas = data.some((row) => {
+            return row.some((value) => {
+                return typeof value === "string" && value.startsWith("=");
+            });
+        });
+        if (hasFormulas) {
+            values = data.map((row, y) => {
+                return row.map((value, x) => {
+                    return rowView.getValueAt([
+                        frame.origin.x + x,
+                        frame.origin.y + y,
+                    ]);
+                });
+            });
+        }
+        return { data, values };
+    }
+
+    /**
+     * Respond with the values in the given
+     * DataTransfer as an array of arrays, or null if
+     * it has none. If it holds what a sheet last copied,
+     * the copied values are used as they were, so that
+     * formulas and types survive. Otherwise an HTML table
+     * is preferred over tab separated text.
+     * @param {DataTransfer} clipboardData - The data
+     * to read from
+     * @param {boolean} computed - If true, the computed
+     * values of any copied formulas are used instead
+     * @returns {Array[Array]|null} - The values
+     */
+    readFrom(clipboardData, computed = false) {
+        let text = clipboardData.getData("text/plain");
+        let contents = this.constructor.contents;
+        if (contents && text && text === contents.text) {
+            return computed ? contents.values : contents.data;
+        }
+        let html = clipboardData.getData("text/html");
+        let records = html ? parseHTMLTable(html) : null;
+        if (!records && text) {
+            records = parseCSV(text, TSV);
+        }
+        if (!records || !records.length) {
+            return null;
+        }
+        return padRecords(records);
+    }
+
+    /**
+     * Load the given array of arrays (rows of
+     * columns) of values at the cursor as a single
+     * undoable step, and select what was pasted.
+     * @param {Array[Array]} data - The values
+     * @param {Object} options - Paste options:
+     *   - `transpose`: swap the rows and columns
+     *   - `tile`: repeat the values to fill the
+     *     selection, if it is larger, starting at
+     *     its origin instead of the cursor
+     *   - `skipBlanks`: leave the values shown where
+     *     the pasted values are blank
+     *   - `operation`: the name of an operation (add,
+     *     subtract, multiply or divide) combining the
+     *     values shown with the pasted ones. Blank pasted
+     *     values leave the values shown as they are
+     */
+    pasteData(data, options = {}) {
+        let selection = this.sheet.selector.selectionFrame;
+        let origin = this.sheet.selector.relativeCursor;
+        if (options.tile && !selection.isEmpty) {
+            origin = new Point(selection.origin);
+        }
+        data = this.arrangeData(data, origin, options);
+        let { dataFrame, rowView } = this.sheet;
+        let parsed = dataFrame.parseArray(data, (x, y) => {
+            return rowView.dataPointAt([origin.x + x, origin.y + y]);
+        });
+        data = parsed.data;
+        rowView.loadFromArray(data, origin);
+        dataFrame.triggerValidationFailed(parsed.failures);
+        let corner = new Point([
+            origin.x + data[0].length - 1,
+            origin.y + data.length - 1,
+        ]);
+        let frame = new Frame(origin, corner);
+        if (!frame.size.equals(new Point([1, 1]))) {
+            this.sheet.selector.anchor = origin;
+            this.sheet.selector.selectFromAnchorTo(corner);
+        }
+        this.sheet.primaryFrame.updateCellContents();
+        this.sheet.selector.triggerCallback();
+        this.dispatchClipboardEvent("clipboard-paste", {
+            origin,
+            data,
+            frame,
+            options,
+        });
+    }
+
+    /**
+     * Paste the values of the last paste that
+     * opened the paste special chooser, with the
+     * given options. If the `values` option is true,
+     * copied formulas are pasted as their computed
+     * values. See pasteData for the other options.
+     * @param {Object} options - Paste options
+     */
+    pasteSpecial(options = {}) {
+        if (!this.pendingPaste) {
+            return;
+        }
+        let { data, values } = this.pendingPaste;
+        this.pasteData(options.values ? values : data, options);
+    }
+
+    /**
+     * Respond with the given values as they would
+     * be pasted at the given view-relative origin
+     * with the given options. See pasteData.
+     */
+    arrangeData(data, origin, options) {
+        if (options.transpose) {
+            data = transposeData(data);
+        }
+        let selection = this.sheet.selector.selectionFrame;
+        if (options.tile && !selection.isEmpty) {
+            data = tileData(
+                data,
+                new Point([
+                    Math.max(selection.size.x, data[0].length),
+                    Math.max(selection.size.y, data.length),
+                ])
+            );
+        }
+        if (options.operation && !operations[options.operation]) {
+            throw `${options.operation} is not a valid operation`;
+        }
+        if (!options.skipBlanks && !options.operation) {
+            return data;
+        }
+        return data.map((row, y) => {
+            return row.map((value, x) => {
+                let location = [origin.x + x, origin.y + y];
+                if (isBlank(value)) {
+                    return this.shownAt(location);
+                }
+                if (options.operation) {
+                    return combineValues(
+                        this.shownAt(location, true),
+                        value,
+                        options.operation
+                    );
+                }
+                return value;
+            });
+        });
+    }
+
+    /**
+     * Respond with the value shown at the given
+     * view-relative location, or its computed value,
+     * or undefined if it is outside of the data.
+     */
+    shownAt(location, computed = false) {
+        let rowView = this.sheet.rowView;
+        if (!this.sheet.dataFrame.contains(rowView.dataPointAt(location))) {
+            return undefined;
+        }
+        if (computed) {
+            return rowView.getValueAt(location);
+        }
+        return rowView.getAt(location);
+    }
+
+    /**
+     * Move the values last cut, from whichever sheet
+     * they were cut from, to the cursor. Like in other
+     * spreadsheet apps, a cut is only moved once, and
+     * pasting it again copies the values instead.
+     */
+    pasteCut() {
+        let contents = this.constructor.contents;
+        let cursor = this.sheet.selector.relativeCursor;
+        let frame = this.sheet.moveCells(
+            contents.sheet,
+            contents.frame,
+            cursor
+        );
+        contents.isCut = false;
+        this.dispatchClipboardEvent("clipboard-paste", {
+            origin: cursor,
+            data: contents.data,
+            frame,
+            isCut: true,
+        });
+    }
+
+    dispatchClipboardEvent(name, detail) {
+        let event = new CustomEvent(name, {
+            detail,
+        });
+        this.sheet.dispatchEvent(event);
+    }
+
+    /**
+     * The view-relative Frame that is copied.
+     * See GridSheet.selectedFrame
+     */
+    get frame() {
+        return this.sheet.selectedFrame;
+    }
+
+    /**
+     * The view-relative Frames of every range
+     * that is copied. See GridSheet.selectedFrames
+     */
+    get frames() {
+        return this.sheet.selectedFrames;
+    }
+}
+
+// We store the contents last copied on the
+// constructor object itself, so that pasting
+// into any sheet can recognize them
+ClipboardHandler.contents = null;
+
+export {
+    ClipboardHandler,
+    toHTMLTable,
+    parseHTMLTable,
+    transposeData,
+    tileData,
+    arrangeFrames,
+    isFromTextInput,
+    ClipboardHandler as default,
+};
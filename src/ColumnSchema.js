@@ -0,0 +1,248 @@
+/**
+ * APSheet Column Schema
+ * ------------------------------------
+ * Functions for parsing and validating the values
+ * of typed columns. A schema maps data-relative column
+ * indices to column definitions, which are plain objects
+ * with a `type` and the options of that type:
+ *   - "string": any text
+ *   - "number": finite numbers, like "3.5" or "-2e3"
+ *   - "integer": whole numbers
+ *   - "boolean": true/false, yes/no or 1/0, in any case
+ *   - "date": ISO dates like "2024-05-31", with an
+ *     optional time, parsed into Date objects
+ *   - "enum": `{type, values}` one of the given values,
+ *     matched ignoring case
+ *   - "custom": `{type, parse}` where `parse` is given
+ *     the text and responds with the value, throwing
+ *     (or responding with undefined or NaN) if it is
+ *     invalid
+ * Any definition can also have:
+ *   - `required`: if true, blank values are invalid
+ *   - `validate`: a function that is given a parsed
+ *     value and responds with true if it is valid, or
+ *     with false or an error message if it is not
+ *   - `invalid`: what happens to invalid input, either
+ *     "flag" (the default) to store it as it was typed
+ *     and mark it as invalid, or "reject" to not store it
+ * Formulas (text starting with "=") are never parsed.
+ */
+
+const isoDatePattern =
+    /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const booleanTexts = {
+    true: true,
+    yes: true,
+    1: true,
+    false: false,
+    no: false,
+    0: false,
+};
+
+const isBlank = (value) => {
+    return value === undefined || value === null || value === "";
+};
+
+const isFormula = (value) => {
+    return typeof value === "string" && value.startsWith("=");
+};
+
+/**
+ * Respond with the text of the given value as it
+ * would be typed, with dates written as ISO dates
+ * (and times, unless they are at midnight UTC).
+ */
+const textFor = (value) => {
+    if (isBlank(value)) {
+        return "";
+    }
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) {
+            return "";
+        }
+        let text = value.toISOString();
+        return text.endsWith("T00:00:00.000Z") ? text.slice(0, 10) : text;
+    }
+    return value.toString();
+};
+
+const parseNumber = (value, description) => {
+    let number =
+        typeof value === "number" ? value : Number(textFor(value).trim());
+    if (typeof value === "boolean" || !isFinite(number)) {
+        throw `"${textFor(value)}" is not ${description}`;
+    }
+    return number;
+};
+
+/**
+ * The parsers of the column types by name. Each is
+ * given the (non-blank) value and the column definition,
+ * and responds with the parsed value or throws an error
+ * message if the value is not valid.
+ */
+const columnTypes = {
+    string: (value) => {
+        return textFor(value);
+    },
+    number: (value) => {
+        return parseNumber(value, "a number");
+    },
+    integer: (value) => {
+        let number = parseNumber(value, "a whole number");
+        if (!Number.isInteger(number)) {
+            throw `"${textFor(value)}" is not a whole number`;
+        }
+        return number;
+    },
+    boolean: (value) => {
+        if (typeof value === "boolean") {
+            return value;
+        }
+        let text = textFor(value).trim().toLowerCase();
+        if (!(text in booleanTexts)) {
+            throw `"${textFor(value)}" is not true or false`;
+        }
+        return booleanTexts[text];
+    },
+    date: (value) => {
+        if (value instanceof Date && !isNaN(value.getTime())) {
+            return value;
+        }
+        let text = textFor(value).trim();
+        let date = isoDatePattern.test(text) ? new Date(text) : null;
+        if (!date || isNaN(date.getTime())) {
+            throw `"${textFor(value)}" is not a date`;
+        }
+        return date;
+    },
+    enum: (value, { values = [] }) => {
+        let text = textFor(value).trim().toLowerCase();
+        let match = values.find((option) => {
+            return textFor(option).toLowerCase() === text;
+        });
+        if (match === undefined) {
+            throw `"${textFor(value)}" is not one of ${values.join(", ")}`;
+        }
+        return match;
+    },
+    custom: (value, { parse }) => {
+        let parsed = parse(value);
+        if (parsed === undefined || Number.isNaN(parsed)) {
+            throw `"${textFor(value)}" is not valid`;
+        }
+        return parsed;
+    },
+};
+
+/**
+ * The checks of the column types by name. Each is
+ * given a stored value and the column definition, and
+ * responds with true if the value is one its parser
+ * could have responded with. Custom parsers are given
+ * text, so any other value is taken to be parsed.
+ */
+const valueTypes = {
+    string: (value) => {
+        return typeof value === "string";
+    },
+    number: (value) => {
+        return typeof value === "number" && isFinite(value);
+    },
+    integer: (value) => {
+        return Number.isInteger(value);
+    },
+    boolean: (value) => {
+        return typeof value === "boolean";
+    },
+    date: (value) => {
+        return value instanceof Date && !isNaN(value.getTime());
+    },
+    enum: (value, { values = [] }) => {
+        return values.includes(value);
+    },
+    custom: (value) => {
+        return typeof value !== "string" && !Number.isNaN(value);
+    },
+};
+
+/**
+ * Parse the given value, like the text of an edit,
+ * by the given column definition.
+ * @param {Object} definition - A column definition
+ * @param {*} value - The value to parse
+ * @returns {Object} - The parsed `value`, or if it is
+ * invalid the original `value` along with an `error`
+ * message and whether it `isRejected`
+ */
+const parseValue = (definition, value) => {
+    if (!definition || isFormula(value)) {
+        return { value };
+    }
+    let type = columnTypes[definition.type];
+    if (!type) {
+        throw `${definition.type} is not a valid column type`;
+    }
+    let error = null;
+    let parsed;
+    if (isBlank(value)) {
+        if (definition.required) {
+            error = "A value is required";
+        }
+    } else {
+        try {
+            parsed = type(value, definition);
+            let validity = definition.validate
+                ? definition.validate(parsed)
+                : true;
+            if (validity !== true) {
+                error = validity || `"${textFor(value)}" is not valid`;
+            }
+        } catch (thrown) {
+            error = thrown instanceof Error ? thrown.message : thrown;
+        }
+    }
+    if (error === null) {
+        return { value: isBlank(value) ? undefined : parsed };
+    }
+    return {
+        value,
+        error,
+        isRejected: definition.invalid === "reject",
+    };
+};
+
+/**
+ * Respond with the validation error of the given
+ * stored value by the given column definition, or
+ * null if it is valid. Values of the column's type
+ * were parsed when they were stored, so they are only
+ * given to `validate`. Anything else was stored as it
+ * was given, and is parsed again for its error.
+ * @param {Object} definition - A column definition
+ * @param {*} value - The stored value
+ * @returns {String|null} - The error message
+ */
+const checkValue = (definition, value) => {
+    if (!definition || isFormula(value)) {
+        return null;
+    }
+    let isType = valueTypes[definition.type];
+    if (!isType) {
+        throw `${definition.type} is not a valid column type`;
+    }
+    if (isBlank(value)) {
+        return definition.required ? "A value is required" : null;
+    }
+    if (!isType(value, definition)) {
+        let error = parseValue(definition, value).error;
+        return error === undefined ? null : error;
+    }
+    let validity = definition.validate ? definition.validate(value) : true;
+    if (validity !== true) {
+        return validity || `"${textFor(value)}" is not valid`;
+    }
+    return null;
+};
+
+export { columnTypes, checkValue, parseValue, textFor };
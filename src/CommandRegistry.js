@@ -0,0 +1,385 @@
+/**
+ * APSheet CommandRegistry Class
+ * ------------------------------------
+ * I hold the named commands of a sheet, like
+ * `selection.extendRight` or `clipboard.copy`, which
+ * keys are bound to by a Keymap and which can also be
+ * run by name, for example from a menu. A command is
+ * a function of the sheet it runs on and of the
+ * KeyboardEvent that ran it, if any. Commands that
+ * leave the event to the browser respond with false,
+ * like those of the clipboard when run by the keys that
+ * the browser itself follows with the events that the
+ * ClipboardHandler handles. Otherwise the event goes
+ * no further.
+ * A registry can have a parent whose commands it adds
+ * to or replaces, which is how each sheet has its own
+ * commands along with the default ones.
+ */
+import { Keymap } from "./Keymap.js";
+
+/**
+ * Respond with a command that makes the given
+ * move with the Selector of the sheet.
+ */
+const moving = (move) => {
+    return (sheet) => {
+        move(sheet.selector);
+        sheet.dispatchSelectionChanged();
+    };
+};
+
+/**
+ * Start editing the cell at the cursor,
+ * unless the sheet is read-only.
+ */
+const editCell = (sheet) => {
+    if (sheet.selector.revealCursor()) {
+        sheet.dispatchSelectionChanged();
+    }
+    let cellElement = sheet.primaryFrame.elementAt(sheet.selector.cursor);
+    if (!sheet.hasAttribute("read-only-view") && !cellElement.isEditing) {
+        cellElement.setAttribute("editing", true);
+    }
+};
+
+/**
+ * Respond with a command that makes the given
+ * use of the ClipboardHandler of the sheet, unless
+ * it was run by the keys that the browser already
+ * follows with the clipboard event of the given name
+ * (see Keymap.clipboardEventFor). Keys bound to the
+ * command otherwise, like "Mod+k", still run it.
+ */
+const clipboardCommand = (name, use) => {
+    return (sheet, event) => {
+        let keymap = sheet.keymap || Keymap.defaults;
+        if (event && keymap.clipboardEventFor(event) === name) {
+            return false;
+        }
+        if (sheet.clipboardHandler) {
+            use(sheet.clipboardHandler);
+        }
+    };
+};
+
+const paste = clipboardCommand("paste", (handler) => {
+    handler.pasteFromClipboard();
+});
+
+const defaultCommands = {
+    "selection.pageUp": {
+        description: "Move the cursor up by a page",
+        run: moving((selector) => selector.pageUp()),
+    },
+    "selection.pageDown": {
+        description: "Move the cursor down by a page",
+        run: moving((selector) => selector.pageDown()),
+    },
+    "selection.pageLeft": {
+        description: "Move the cursor left by a page",
+        run: moving((selector) => selector.pageLeft()),
+    },
+    "selection.pageRight": {
+        description: "Move the cursor right by a page",
+        run: moving((selector) => selector.pageRight()),
+    },
+    "selection.extendPageUp": {
+        description: "Extend the selection up by a page",
+        run: moving((selector) => selector.pageUp(true)),
+    },
+    "selection.extendPageDown": {
+        description: "Extend the selection down by a page",
+        run: moving((selector) => selector.pageDown(true)),
+    },
+    "selection.extendPageLeft": {
+        description: "Extend the selection left by a page",
+        run: moving((selector) => selector.pageLeft(true)),
+    },
+    "selection.extendPageRight": {
+        description: "Extend the selection right by a page",
+        run: moving((selector) => selector.pageRight(true)),
+    },
+    "selection.moveToRowStart": {
+        description: "Move the cursor to the first column",
+        run: moving((selector) => selector.moveToRowStart()),
+    },
+    "selection.moveToRowEnd": {
+        description: "Move the cursor to the last column",
+        run: moving((selector) => selector.moveToRowEnd()),
+    },
+    "selection.extendToRowStart": {
+        description: "Extend the selection to the first column",
+        run: moving((selector) => selector.moveToRowStart(true)),
+    },
+    "selection.extendToRowEnd": {
+        description: "Extend the selection to the last column",
+        run: moving((selector) => selector.moveToRowEnd(true)),
+    },
+    "selection.moveToFirstCell": {
+        description: "Move the cursor to the first cell",
+        run: moving((selector) => selector.moveToFirstCell()),
+    },
+    "selection.moveToLastCell": {
+        description: "Move the cursor to the last cell",
+        run: moving((selector) => selector.moveToLastCell()),
+    },
+    "selection.extendToFirstCell": {
+        description: "Extend the selection to the first cell",
+        run: moving((selector) => selector.moveToFirstCell(true)),
+    },
+    "selection.extendToLastCell": {
+        description: "Extend the selection to the last cell",
+        run: moving((selector) => selector.moveToLastCell(true)),
+    },
+    "selection.nextAcross": {
+        description: "Move to the next cell of the selection, by row",
+        run: moving((selector) => selector.moveWithinSelection()),
+    },
+    "selection.previousAcross": {
+        description: "Move to the previous cell of the selection, by row",
+        run: moving((selector) => selector.moveWithinSelection(false, true)),
+    },
+    "selection.nextDown": {
+        description: "Move to the next cell of the selection, by column",
+        run: moving((selector) => selector.moveWithinSelection(true)),
+    },
+    "selection.previousDown": {
+        description: "Move to the previous cell of the selection, by column",
+        run: moving((selector) => selector.moveWithinSelection(true, true)),
+    },
+    "selection.enter": {
+        description:
+            "Move down within the selection, or edit the cell at the cursor",
+        run: (sheet) => {
+            if (sheet.selector.selectionFrame.isEmpty) {
+                editCell(sheet);
+            } else {
+                sheet.selector.moveWithinSelection(true);
+                sheet.dispatchSelectionChanged();
+            }
+        },
+    },
+    "selection.all": {
+        description: "Select all of the data",
+        run: moving((selector) => selector.selectAll()),
+    },
+    "selection.rows": {
+        description: "Select the rows of the selection",
+        run: moving((selector) => selector.selectRows()),
+    },
+    "selection.columns": {
+        description: "Select the columns of the selection",
+        run: moving((selector) => selector.selectColumns()),
+    },
+    "cell.edit": {
+        description: "Edit the cell at the cursor",
+        run: editCell,
+    },
+    "cell.clear": {
+        description: "Clear the values of the selection",
+        run: (sheet) => {
+            let { selector, rowView, dataFrame } = sheet;
+            if (selector.otherFrames.length) {
+                // Clearing several ranges is
+                // a single undoable step
+                dataFrame.transact(() => {
+                    selector.selectionFrames.forEach(rowView.clearFrame);
+                });
+            } else if (selector.selectionFrame.isEmpty) {
+                rowView.putAt(selector.anchor, undefined);
+            } else {
+                rowView.clearFrame(selector.selectionFrame);
+            }
+        },
+    },
+    "history.undo": {
+        description: "Undo the last change",
+        run: (sheet) => sheet.dataFrame.undo(),
+    },
+    "history.redo": {
+        description: "Redo the last change undone",
+        run: (sheet) => sheet.dataFrame.redo(),
+    },
+    "structure.insert": {
+        description: "Insert rows or columns at the selection",
+        run: (sheet) => {
+            if (!sheet.hasAttribute("read-only-view")) {
+                sheet.insertAtSelection();
+            }
+        },
+    },
+    "structure.delete": {
+        description: "Delete the rows or columns of the selection",
+        run: (sheet) => {
+            if (!sheet.hasAttribute("read-only-view")) {
+                sheet.deleteAtSelection();
+            }
+        },
+    },
+    "clipboard.copy": {
+        description: "Copy the selection",
+        run: clipboardCommand("copy", (handler) => {
+            handler.copyToClipboard();
+        }),
+    },
+    "clipboard.cut": {
+        description: "Cut the selection",
+        run: clipboardCommand("cut", (handler) => {
+            handler.copyToClipboard(true);
+        }),
+    },
+    "clipboard.paste": {
+        description: "Paste at the cursor",
+        run: (sheet, event) => {
+            if (sheet.clipboardHandler) {
+                sheet.clipboardHandler.isPastingSpecial = false;
+            }
+            return paste(sheet, event);
+        },
+    },
+    "clipboard.pasteSpecial": {
+        description: "Choose paste options, then paste",
+        run: (sheet, event) => {
+            if (sheet.clipboardHandler) {
+                sheet.clipboardHandler.isPastingSpecial = true;
+            }
+            return paste(sheet, event);
+        },
+    },
+    "fill.down": {
+        description: "Fill the selection down from its first row",
+        run: (sheet) => {
+            if (!sheet.hasAttribute("read-only-view")) {
+                sheet.fillDown();
+            }
+        },
+    },
+    "fill.right": {
+        description: "Fill the selection right from its first column",
+        run: (sheet) => {
+            if (!sheet.hasAttribute("read-only-view")) {
+                sheet.fillRight();
+            }
+        },
+    },
+    "find.open": {
+        description: "Open the find and replace bar",
+        run: (sheet) => sheet.openFindBar(),
+    },
+};
+
+// The moves in each direction, by one cell
+// and to the edge of the block of values
+["Right", "Left", "Up", "Down"].forEach((direction) => {
+    let name = direction.toLowerCase();
+    defaultCommands[`selection.move${direction}`] = {
+        description: `Move the cursor ${name}`,
+        run: moving((selector) => selector[`move${direction}By`](1)),
+    };
+    defaultCommands[`selection.extend${direction}`] = {
+        description: `Extend the selection ${name}`,
+        run: moving((selector) => selector[`move${direction}By`](1, true)),
+    };
+    defaultCommands[`selection.moveToEdge${direction}`] = {
+        description: `Move the cursor ${name} to the edge of the values`,
+        run: moving((selector) => selector.moveToDataEdge(name)),
+    };
+    defaultCommands[`selection.extendToEdge${direction}`] = {
+        description: `Extend the selection ${name} to the edge of the values`,
+        run: moving((selector) => selector.moveToDataEdge(name, true)),
+    };
+});
+
+class CommandRegistry {
+    constructor(parent = null) {
+        // The registry whose commands I
+        // add to or replace, if any
+        this.parent = parent;
+
+        // A mapping of names to commands, each
+        // with its `name`, `run` function and
+        // `description`
+        this.commands = new Map();
+
+        // Bind instance methods
+        this.register = this.register.bind(this);
+        this.unregister = this.unregister.bind(this);
+        this.get = this.get.bind(this);
+        this.has = this.has.bind(this);
+        this.run = this.run.bind(this);
+    }
+
+    /**
+     * Register a command by the given name,
+     * replacing any of the same name. See the
+     * class comment.
+     * @param {String} name - The name, like "fill.down"
+     * @param {Function} run - The function of the sheet
+     * and event that runs the command
+     * @param {String} description - What the command does
+     */
+    register(name, run, description = "") {
+        if (typeof run !== "function") {
+            throw `Command ${name} has no run function`;
+        }
+        this.commands.set(name, { name, run, description });
+    }
+
+    unregister(name) {
+        this.commands.delete(name);
+    }
+
+    /**
+     * Respond with the command of the given
+     * name, or null if there is none.
+     */
+    get(name) {
+        if (this.commands.has(name)) {
+            return this.commands.get(name);
+        }
+        return this.parent ? this.parent.get(name) : null;
+    }
+
+    has(name) {
+        return this.get(name) !== null;
+    }
+
+    /**
+     * Run the command of the given name on the
+     * given sheet. Throws if there is no such command.
+     * @param {String} name - The name of the command
+     * @param {HTMLElement} sheet - The sheet
+     * @param {KeyboardEvent|null} event - The event
+     * that ran the command, if any
+     * @returns {*} - What the command responds with
+     */
+    run(name, sheet, event = null) {
+        let command = this.get(name);
+        if (!command) {
+            throw `${name} is not a registered command`;
+        }
+        return command.run(sheet, event);
+    }
+
+    /**
+     * The sorted names of all of the
+     * commands I can run.
+     */
+    get names() {
+        let names = new Set(this.parent ? this.parent.names : []);
+        this.commands.forEach((command, name) => names.add(name));
+        return Array.from(names).sort();
+    }
+}
+
+// We keep the default commands on the constructor
+// object itself, as the parent of the commands of
+// every sheet
+CommandRegistry.defaults = new CommandRegistry();
+Object.keys(defaultCommands).forEach((name) => {
+    let { run, description } = defaultCommands[name];
+    CommandRegistry.defaults.register(name, run, description);
+});
+
+export { CommandRegistry, defaultCommands, CommandRegistry as default };
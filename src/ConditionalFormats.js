@@ -0,0 +1,491 @@
+/**
+ * APSheet ConditionalFormats Class
+ * ------------------------------------
+ * I hold the conditional formatting rules of a sheet,
+ * which highlight the cells of a data-relative Frame
+ * whose values meet a condition, or shade them by how
+ * their values compare to the rest of the Frame. Rules
+ * are plain data, so that they can be saved as JSON and
+ * loaded again (see `toJSON` and `load`). Each rule has
+ * a `frame` like `{"origin": [0, 1], "corner": [0, 99]}`,
+ * a `type` and the options of that type:
+ *   - "value": `{operator, value, value2}` values that
+ *     are `>`, `>=`, `<`, `<=`, `=` or `!=` the given
+ *     value, or "between" it and value2 (inclusive)
+ *   - "text": `{operator, text, caseSensitive}` values
+ *     whose text "contains", "startsWith", "endsWith",
+ *     "equals" or "matches" (as a regular expression)
+ *     the given text, ignoring case unless told not to
+ *   - "top" and "bottom": `{count, percent}` the count
+ *     (10 by default) highest or lowest numbers, or that
+ *     percent of them if `percent` is true
+ *   - "duplicates": `{unique}` values that appear more
+ *     than once, or only once if `unique` is true
+ *   - "colorScale": `{colors}` a background shaded from
+ *     the first to the last of the given hex colors, with
+ *     an optional middle one, from the lowest number to
+ *     the highest
+ *   - "dataBar": `{color}` a bar as long as the number
+ *     is large compared to the others
+ * Rules that highlight can also have a `style` with a
+ * `background` and `color`, and a `className` to add
+ * to highlighted cells for styling them from outside.
+ * Styles are rendered with the `cf-highlight` and
+ * `cf-data-bar` classes and the `--cf-background`,
+ * `--cf-color`, `--cf-bar-size` and `--cf-bar-color`
+ * custom properties. Rules are applied in order, so
+ * later rules win where they set the same property.
+ */
+import { Frame } from "./Frame.js";
+import { textFor } from "./ColumnSchema.js";
+
+const defaultBackground = "rgba(255, 200, 0, 0.4)";
+const defaultBarColor = "#638ec6";
+const defaultScale = ["#f8696b", "#63be7b"];
+
+// The types of rules that compare values
+// to the others in their Frame
+const rangeTypes = ["top", "bottom", "duplicates", "colorScale", "dataBar"];
+
+const numberOf = (value) => {
+    if (typeof value === "number") {
+        return isFinite(value) ? value : null;
+    }
+    if (typeof value === "string" && value.trim() !== "") {
+        let number = Number(value);
+        return isFinite(number) ? number : null;
+    }
+    return null;
+};
+
+/**
+ * Respond with the red, green and blue
+ * components of the given hex color.
+ */
+const rgbOf = (hex) => {
+    let digits = hex.replace("#", "");
+    if (digits.length === 3) {
+        digits = digits
+            .split("")
+            .map((digit) => digit + digit)
+            .join("");
+    }
+    return [0, 2, 4].map((index) => {
+        return parseInt(digits.slice(index, index + 2), 16);
+    });
+};
+
+/**
+ * Respond with the color at the given fraction
+ * (0 to 1) of the way along the given hex colors.
+ */
+const colorAt = (colors, fraction) => {
+    let scaled = fraction * (colors.length - 1);
+    let index = Math.min(Math.floor(scaled), colors.length - 2);
+    let from = rgbOf(colors[index]);
+    let to = rgbOf(colors[index + 1]);
+    let part = scaled - index;
+    let mixed = from.map((component, i) => {
+        return Math.round(component + (to[i] - component) * part);
+    });
+    return `rgb(${mixed.join(", ")})`;
+};
+
+const compareWith = {
+    ">": (a, b) => a > b,
+    ">=": (a, b) => a >= b,
+    "<": (a, b) => a < b,
+    "<=": (a, b) => a <= b,
+    "=": (a, b) => a === b,
+    "!=": (a, b) => a !== b,
+};
+
+const matchesValue = (rule, value) => {
+    let number = numberOf(value);
+    let target = numberOf(rule.value);
+    if (rule.operator === "between") {
+        let end = numberOf(rule.value2);
+        if (number === null || target === null || end === null) {
+            return false;
+        }
+        return (
+            number >= Math.min(target, end) && number <= Math.max(target, end)
+        );
+    }
+    let compare = compareWith[rule.operator];
+    if (!compare) {
+        throw `${rule.operator} is not a valid operator`;
+    }
+    if (number !== null && target !== null) {
+        return compare(number, target);
+    }
+    if (rule.operator === "=" || rule.operator === "!=") {
+        return compare(textFor(value), textFor(rule.value));
+    }
+    return false;
+};
+
+const textOperators = [
+    "contains",
+    "startsWith",
+    "endsWith",
+    "equals",
+    "matches",
+];
+
+/**
+ * Respond with the regular expression of the given
+ * "matches" text rule, throwing if it is not valid.
+ */
+const patternOf = (rule) => {
+    let flags = rule.caseSensitive ? "" : "i";
+    try {
+        return new RegExp(rule.text, flags);
+    } catch (error) {
+        throw `${rule.text} is not a valid regular expression`;
+    }
+};
+
+const matchesText = (rule, value, pattern) => {
+    if (rule.operator === "matches") {
+        return pattern.test(textFor(value));
+    }
+    let text = textFor(value);
+    let target = textFor(rule.text);
+    if (!rule.caseSensitive) {
+        text = text.toLowerCase();
+        target = target.toLowerCase();
+    }
+    switch (rule.operator) {
+        case "contains":
+            return text.includes(target);
+        case "startsWith":
+            return text.startsWith(target);
+        case "endsWith":
+            return text.endsWith(target);
+        case "equals":
+            return text === target;
+        default:
+            throw `${rule.operator} is not a valid operator`;
+    }
+};
+
+/**
+ * Respond with the cutoff of a top or bottom rule:
+ * the lowest (or highest) number that is included.
+ */
+const cutoffOf = (rule, numbers) => {
+    let count = rule.count === undefined ? 10 : rule.count;
+    if (rule.percent) {
+        count = Math.max(1, Math.floor((numbers.length * count) / 100));
+    }
+    let sorted = numbers.slice().sort((a, b) => a - b);
+    if (rule.type === "top") {
+        sorted.reverse();
+    }
+    return sorted[Math.min(count, sorted.length) - 1];
+};
+
+/**
+ * The types of rules by name. Each responds
+ * with the style of the given value, given the
+ * rule, the stats of its Frame and the regular
+ * expression of a "matches" text rule, or null.
+ */
+const ruleTypes = {
+    value: (rule, value) => {
+        return matchesValue(rule, value) ? highlightFor(rule) : null;
+    },
+    text: (rule, value, stats, pattern) => {
+        return matchesText(rule, value, pattern) ? highlightFor(rule) : null;
+    },
+    top: (rule, value, stats) => {
+        let number = numberOf(value);
+        return number !== null && number >= stats.cutoff
+            ? highlightFor(rule)
+            : null;
+    },
+    bottom: (rule, value, stats) => {
+        let number = numberOf(value);
+        return number !== null && number <= stats.cutoff
+            ? highlightFor(rule)
+            : null;
+    },
+    duplicates: (rule, value, stats) => {
+        let text = textFor(value);
+        if (text === "") {
+            return null;
+        }
+        let isDuplicate = stats.counts.get(text) > 1;
+        return isDuplicate !== Boolean(rule.unique) ? highlightFor(rule) : null;
+    },
+    colorScale: (rule, value, stats) => {
+        let number = numberOf(value);
+        if (number === null) {
+            return null;
+        }
+        let range = stats.max - stats.min;
+        let fraction = range === 0 ? 0.5 : (number - stats.min) / range;
+        return {
+            classNames: ["cf-highlight"],
+            properties: {
+                "--cf-background": colorAt(
+                    rule.colors || defaultScale,
+                    fraction
+                ),
+            },
+        };
+    },
+    dataBar: (rule, value, stats) => {
+        let number = numberOf(value);
+        if (number === null) {
+            return null;
+        }
+        let low = Math.min(stats.min, 0);
+        let range = stats.max - low;
+        let size = range === 0 ? 0 : ((number - low) / range) * 100;
+        return {
+            classNames: ["cf-data-bar"],
+            properties: {
+                "--cf-bar-size": `${Math.round(size)}%`,
+                "--cf-bar-color": rule.color || defaultBarColor,
+            },
+        };
+    },
+};
+
+const highlightFor = (rule) => {
+    let style = rule.style || {};
+    let classNames = ["cf-highlight"];
+    if (rule.className) {
+        classNames.push(rule.className);
+    }
+    let properties = {
+        "--cf-background": style.background || defaultBackground,
+    };
+    if (style.color) {
+        properties["--cf-color"] = style.color;
+    }
+    return { classNames, properties };
+};
+
+/**
+ * Respond with an entry (see ConditionalFormats) for
+ * the given rule, throwing if the rule is not valid.
+ */
+const entryFor = (rule) => {
+    if (!ruleTypes[rule.type]) {
+        throw `${rule.type} is not a valid rule type`;
+    }
+    if (!rule.frame) {
+        throw `Conditional format rules need a frame`;
+    }
+    let pattern = null;
+    if (rule.type === "value") {
+        if (rule.operator !== "between" && !compareWith[rule.operator]) {
+            throw `${rule.operator} is not a valid operator`;
+        }
+    } else if (rule.type === "text") {
+        if (!textOperators.includes(rule.operator)) {
+            throw `${rule.operator} is not a valid operator`;
+        }
+        if (rule.operator === "matches") {
+            pattern = patternOf(rule);
+        }
+    }
+    let frame = new Frame(rule.frame.origin, rule.frame.corner);
+    let data = Object.assign({}, rule, {
+        frame: {
+            origin: [frame.origin.x, frame.origin.y],
+            corner: [frame.corner.x, frame.corner.y],
+        },
+    });
+    return { rule: data, frame, pattern, stats: null };
+};
+
+/**
+ * Set the given style (see ConditionalFormats.styleAt)
+ * on the given element, removing the classes and
+ * properties of the style it had before.
+ * @param {DOMElement} element - A cell element
+ * @param {Object|null} style - The style, or null
+ */
+const applyStyleTo = (element, style) => {
+    let previous = element.conditionalStyle;
+    if (!previous && !style) {
+        return;
+    }
+    if (previous) {
+        element.classList.remove(...previous.classNames);
+        Object.keys(previous.properties).forEach((name) => {
+            element.style.removeProperty(name);
+        });
+    }
+    if (style) {
+        element.classList.add(...style.classNames);
+        Object.keys(style.properties).forEach((name) => {
+            element.style.setProperty(name, style.properties[name]);
+        });
+    }
+    element.conditionalStyle = style;
+};
+
+class ConditionalFormats extends Object {
+    constructor(dataFrame) {
+        super();
+        this.dataFrame = dataFrame;
+
+        // A list of the rules, as plain data, along
+        // with the Frame of each, the regular expression
+        // of "matches" rules and the stats of its values
+        // once they are needed
+        this.entries = [];
+
+        // Bind instance methods
+        this.addRule = this.addRule.bind(this);
+        this.removeRule = this.removeRule.bind(this);
+        this.clear = this.clear.bind(this);
+        this.load = this.load.bind(this);
+        this.toJSON = this.toJSON.bind(this);
+        this.invalidate = this.invalidate.bind(this);
+        this.statsFor = this.statsFor.bind(this);
+        this.styleAt = this.styleAt.bind(this);
+    }
+
+    /**
+     * Add the given rule, after any others.
+     * See the class comment for what rules are.
+     * Throws if the rule is not valid, for instance
+     * if its operator or regular expression is not.
+     * @param {Object} rule - The rule. Its frame
+     * can also be a Frame
+     * @returns {Object} - The rule as it is kept,
+     * which is what `removeRule` is given
+     */
+    addRule(rule) {
+        let entry = entryFor(rule);
+        this.entries.push(entry);
+        return entry.rule;
+    }
+
+    removeRule(rule) {
+        this.entries = this.entries.filter((entry) => entry.rule !== rule);
+    }
+
+    clear() {
+        this.entries = [];
+    }
+
+    /**
+     * Replace my rules with the given ones. If any
+     * of them is not valid I throw and keep my rules.
+     * @param {Array|String} rules - A list of
+     * rules, or the JSON text of one
+     */
+    load(rules) {
+        if (typeof rules === "string") {
+            rules = JSON.parse(rules);
+        }
+        this.entries = rules.map(entryFor);
+    }
+
+    /**
+     * Respond with my rules as plain data,
+     * which is what JSON.stringify writes.
+     */
+    toJSON() {
+        return this.entries.map((entry) => entry.rule);
+    }
+
+    /**
+     * Forget the stats of the values in the Frames
+     * of my rules, so that they are computed again.
+     * This is needed whenever the values change.
+     */
+    invalidate() {
+        this.entries.forEach((entry) => {
+            entry.stats = null;
+        });
+    }
+
+    /**
+     * Respond with the stats of the numbers and
+     * values within the Frame of the given entry
+     * that its rule compares values to.
+     */
+    statsFor(entry) {
+        if (entry.stats) {
+            return entry.stats;
+        }
+        let numbers = [];
+        let counts = new Map();
+        let frame = entry.frame.intersection(this.dataFrame);
+        if (!frame.isEmpty) {
+            frame.forEachPoint((aPoint) => {
+                let value = this.dataFrame.getValueAt(aPoint);
+                let number = numberOf(value);
+                if (number !== null) {
+                    numbers.push(number);
+                }
+                let text = textFor(value);
+                counts.set(text, (counts.get(text) || 0) + 1);
+            });
+        }
+        let min = numbers.reduce((a, b) => Math.min(a, b), Infinity);
+        let max = numbers.reduce((a, b) => Math.max(a, b), -Infinity);
+        entry.stats = { numbers, counts, min, max, cutoff: null };
+        if (entry.rule.type === "top" || entry.rule.type === "bottom") {
+            entry.stats.cutoff = numbers.length
+                ? cutoffOf(entry.rule, numbers)
+                : null;
+        }
+        return entry.stats;
+    }
+
+    /**
+     * Respond with the style for the value stored
+     * at the given location by the rules that apply
+     * to it: the `classNames` to add to its cell and
+     * the custom `properties` to set, or null if no
+     * rule applies.
+     * @param {Point} location - A data-relative Point
+     * @returns {Object|null} - The style
+     */
+    styleAt(location) {
+        let style = null;
+        if (!this.dataFrame.contains(location)) {
+            return style;
+        }
+        this.entries.forEach((entry) => {
+            if (!entry.frame.contains(location)) {
+                return;
+            }
+            let value = this.dataFrame.getValueAt(location);
+            let stats = rangeTypes.includes(entry.rule.type)
+                ? this.statsFor(entry)
+                : null;
+            let ruleStyle = ruleTypes[entry.rule.type](
+                entry.rule,
+                value,
+                stats,
+                entry.pattern
+            );
+            if (ruleStyle) {
+                style = style || { classNames: [], properties: {} };
+                ruleStyle.classNames.forEach((name) => {
+                    if (!style.classNames.includes(name)) {
+                        style.classNames.push(name);
+                    }
+                });
+                Object.assign(style.properties, ruleStyle.properties);
+            }
+        });
+        return style;
+    }
+
+    get isEmpty() {
+        return this.entries.length === 0;
+    }
+}
+
+export { ConditionalFormats, applyStyleTo, ConditionalFormats as default };
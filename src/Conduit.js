@@ -1,4 +1,36 @@
 import { Frame } from "./Frame.js";
+import { Point } from "./Point.js";
+
+/**
+ * Respond with the Frame where the two given
+ * Frames overlap, or null if they do not.
+ * We compute this directly rather than use
+ * Frame.intersection, which can be slow for
+ * large frames.
+ */
+const overlapOf = (aFrame, otherFrame) => {
+    let origin = new Point([
+        Math.max(aFrame.left, otherFrame.left),
+        Math.max(aFrame.top, otherFrame.top),
+    ]);
+    let corner = new Point([
+        Math.min(aFrame.right, otherFrame.right),
+        Math.min(aFrame.bottom, otherFrame.bottom),
+    ]);
+    if (origin.x > corner.x || origin.y > corner.y) {
+        return null;
+    }
+    return new Frame(origin, corner);
+};
+
+/**
+ * The transform used when none is given,
+ * which copies the values as they are.
+ */
+const copyValues = (frame, sheet) => {
+    return sheet.dataFrame.getDataArrayForFrame(frame);
+};
+
 /**
  * Conduit class
  * --------------------
@@ -6,9 +38,30 @@ import { Frame } from "./Frame.js";
  * between groups of cells in one table
  * to groups of cells in another (or the same)
  * table.
+ * Whenever values within my fromFrame change, I
+ * write the result of my transform for the changed
+ * part to the same position relative to my toFrame.
+ * Transforms are called with the changed Frame and
+ * the sheet it belongs to, and respond with an array
+ * of arrays (rows of columns) of values. Anything
+ * falling outside of my toFrame is not written.
+ * If the `bidirectional` option is true, changes
+ * within my toFrame are sent back the other way
+ * using the `reverseTransform` option. Values that
+ * I write myself are never sent back, so linked
+ * sheets do not echo each other forever.
+ * I disconnect myself when either sheet is removed
+ * from the DOM.
  */
 class Conduit extends Object {
-    constructor(fromSheet, fromFrame, toSheet, toFrame, transform) {
+    constructor(
+        fromSheet,
+        fromFrame,
+        toSheet,
+        toFrame,
+        transform,
+        options = {}
+    ) {
         super();
         this.fromSheet = fromSheet;
         this.fromFrame = fromFrame;
@@ -20,48 +73,186 @@ class Conduit extends Object {
         if (this.toFrame.isPoint) {
             this.toFrame = new Frame(this.toFrame, this.toFrame);
         }
-        this.transform = transform;
+        this.transform = transform || copyValues;
+        this.bidirectional = options.bidirectional || false;
+        this.reverseTransform = options.reverseTransform || copyValues;
+
+        this.isConnected = false;
+        this.isPaused = false;
+
+        // True while I am writing values, so that
+        // the updates they cause are not sent back
+        this.isSending = false;
 
         // Bind instance methods
         this.connect = this.connect.bind(this);
         this.disconnect = this.disconnect.bind(this);
+        this.pause = this.pause.bind(this);
+        this.resume = this.resume.bind(this);
+        this.sync = this.sync.bind(this);
         this.onDataUpdated = this.onDataUpdated.bind(this);
+        this.onReverseDataUpdated = this.onReverseDataUpdated.bind(this);
+        this.onSheetDisconnected = this.onSheetDisconnected.bind(this);
         this.send = this.send.bind(this);
     }
 
     connect() {
+        if (this.isConnected) {
+            return;
+        }
         this.fromSheet.addEventListener("data-updated", this.onDataUpdated);
+        if (this.bidirectional) {
+            this.toSheet.addEventListener(
+                "data-updated",
+                this.onReverseDataUpdated
+            );
+        }
+        this.fromSheet.addEventListener(
+            "sheet-disconnected",
+            this.onSheetDisconnected
+        );
         this.toSheet.addEventListener(
-            "conduit-data-received",
-            this.onDataReceived
+            "sheet-disconnected",
+            this.onSheetDisconnected
         );
+        this.isConnected = true;
     }
 
     disconnect() {
         this.fromSheet.removeEventListener("data-updated", this.onDataUpdated);
         this.toSheet.removeEventListener(
-            "conduit-data-received",
-            this.onDataReceived
+            "data-updated",
+            this.onReverseDataUpdated
         );
+        this.fromSheet.removeEventListener(
+            "sheet-disconnected",
+            this.onSheetDisconnected
+        );
+        this.toSheet.removeEventListener(
+            "sheet-disconnected",
+            this.onSheetDisconnected
+        );
+        this.isConnected = false;
+    }
+
+    /**
+     * Stop sending changes until `resume` is
+     * called. Changes made in the meantime are
+     * not sent; use `sync` to catch up.
+     */
+    pause() {
+        this.isPaused = true;
+    }
+
+    resume() {
+        this.isPaused = false;
+    }
+
+    /**
+     * Send all of the values within my
+     * fromFrame, whether or not they changed.
+     */
+    sync() {
+        this.send(this.fromFrame, this.fromSheet);
     }
 
     onDataUpdated(event) {
-        console.log("Data was updated...");
+        if (this.isPaused || this.isSending) {
+            return;
+        }
+        event.detail.frames.forEach((frame) => {
+            let changedFrame = overlapOf(frame, this.fromFrame);
+            if (changedFrame) {
+                this.send(changedFrame, this.fromSheet);
+            }
+        });
+    }
+
+    onReverseDataUpdated(event) {
+        if (this.isPaused || this.isSending) {
+            return;
+        }
         event.detail.frames.forEach((frame) => {
-            console.log(frame);
-            let intersection = frame.intersection(this.fromFrame);
-            if (!intersection.isEmpty) {
-                this.send(intersection, this.fromSheet);
+            let changedFrame = overlapOf(frame, this.toFrame);
+            if (changedFrame) {
+                this.send(changedFrame, this.toSheet, true);
             }
         });
     }
 
-    send(frame, sheet) {
-        if (this.transform) {
-            let data = this.transform(frame, sheet);
-            this.toSheet.dataFrame.loadFromArray(data, this.toFrame.origin);
-        } else {
-            console.warn("What to do if there's no transform specified?");
+    /**
+     * When a sheet is only being moved elsewhere in
+     * the DOM it is connected again right away, so we
+     * wait a moment before deciding to disconnect.
+     */
+    onSheetDisconnected() {
+        return Promise.resolve().then(() => {
+            if (!this.fromSheet.isConnected || !this.toSheet.isConnected) {
+                this.disconnect();
+            }
+        });
+    }
+
+    /**
+     * Write the transformed values of the given Frame,
+     * which belongs to the given sheet, to the same
+     * position relative to the Frame on the other end.
+     * @param {Frame} frame - The Frame to send, which
+     * is within the sending Frame
+     * @param {GridSheet} sheet - The sheet whose
+     * values are sent
+     * @param {boolean} isReverse - If true, the values
+     * are sent from my toFrame back to my fromFrame
+     */
+    send(frame, sheet, isReverse = false) {
+        let sourceFrame = this.fromFrame;
+        let targetFrame = this.toFrame;
+        let targetSheet = this.toSheet;
+        let transform = this.transform;
+        if (isReverse) {
+            sourceFrame = this.toFrame;
+            targetFrame = this.fromFrame;
+            targetSheet = this.fromSheet;
+            transform = this.reverseTransform;
+        }
+        let data = transform(frame, sheet);
+        if (!data || !data.length) {
+            return;
+        }
+        let origin = new Point([
+            targetFrame.origin.x + frame.origin.x - sourceFrame.origin.x,
+            targetFrame.origin.y + frame.origin.y - sourceFrame.origin.y,
+        ]);
+        let width = data.reduce((max, row) => Math.max(max, row.length), 0);
+        let corner = new Point([
+            origin.x + width - 1,
+            origin.y + data.length - 1,
+        ]);
+        // Clip the values to the target Frame
+        // and to the target sheet's data
+        let writeFrame = overlapOf(new Frame(origin, corner), targetFrame);
+        if (writeFrame) {
+            writeFrame = overlapOf(writeFrame, targetSheet.dataFrame);
+        }
+        if (!writeFrame) {
+            return;
+        }
+        let clipped = [];
+        for (let y = writeFrame.top; y <= writeFrame.bottom; y++) {
+            let row = data[y - origin.y];
+            clipped.push(
+                row.slice(
+                    writeFrame.left - origin.x,
+                    writeFrame.right - origin.x + 1
+                )
+            );
+            clipped[clipped.length - 1].length = writeFrame.size.x;
+        }
+        this.isSending = true;
+        try {
+            targetSheet.dataFrame.loadFromArray(clipped, writeFrame.origin);
+        } finally {
+            this.isSending = false;
         }
     }
 }
@@ -1,4 +1,158 @@
 import { DataFrame } from "./DataFrame.js";
+import { DataSource } from "./DataSource.js";
+import { Frame } from "./Frame.js";
+import { Point } from "./Point.js";
+import { ValuesChange } from "./UndoHistory.js";
+
+// The version of the database layout that I read
+// and write, which is also the IndexedDB version
+// of my database. Version 1 databases only held the
+// initial values of a frame and are discarded on upgrade.
+const SCHEMA_VERSION = 2;
+
+/**
+ * Respond with a Promise that resolves to the
+ * result of the given IDBRequest.
+ */
+const requestResult = (request) => {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => {
+            resolve(request.result);
+        };
+        request.onerror = () => {
+            reject(request.error);
+        };
+    });
+};
+
+/**
+ * Respond with a Promise that resolves once
+ * the given IDBTransaction has completed.
+ */
+const transactionDone = (transaction) => {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => {
+            resolve();
+        };
+        transaction.onerror = () => {
+            reject(transaction.error);
+        };
+        transaction.onabort = () => {
+            reject(transaction.error);
+        };
+    });
+};
+
+/**
+ * Respond with the database record for the
+ * value stored under the given "x,y" store key.
+ */
+const recordFor = (key, value) => {
+    let coord = key.split(",").map((numStr) => parseInt(numStr));
+    return {
+        point: key,
+        x: coord[0],
+        y: coord[1],
+        value: value,
+    };
+};
+
+/**
+ * DBDataSource class
+ * --------------------------------
+ * I am the DataSource that a DBDataFrame uses
+ * to lazily load the values of a previously
+ * saved frame out of its database, one region
+ * at a time.
+ */
+class DBDataSource extends DataSource {
+    constructor(dataFrame) {
+        super();
+        this.dataFrame = dataFrame;
+    }
+
+    fetchRange(aFrame) {
+        let db = this.dataFrame.db;
+        if (!db) {
+            return Promise.reject(
+                `Database ${this.dataFrame.dbName} is closed`
+            );
+        }
+        // Writes that have not landed yet would otherwise
+        // be missing from what we read
+        this.dataFrame.flush();
+        let range = window.IDBKeyRange.bound(
+            [aFrame.top, aFrame.left],
+            [aFrame.bottom, aFrame.right]
+        );
+        let request = db
+            .transaction("cells", "readonly")
+            .objectStore("cells")
+            .index("position")
+            .getAll(range);
+        return requestResult(request).then((records) => {
+            let result = [];
+            for (let y = aFrame.top; y <= aFrame.bottom; y++) {
+                result.push([]);
+            }
+            // The range covers whole rows between its
+            // first and last row, so we skip the records
+            // that are outside of the Frame's columns
+            records.forEach((record) => {
+                if (record.x >= aFrame.left && record.x <= aFrame.right) {
+                    result[record.y - aFrame.top][record.x - aFrame.left] =
+                        record.value;
+                }
+            });
+            return result;
+        });
+    }
+
+    getSize() {
+        return this.dataFrame.size;
+    }
+}
+
+/**
+ * ShiftChange class
+ * --------------------------------
+ * I am the undoable change made when rows or columns
+ * of a DBDataFrame are inserted or deleted. I wrap the
+ * ValuesChange of its store, which only holds the values
+ * that were loaded, and move the values saved in the
+ * database the same way, including those that were
+ * never loaded. Undoing a deletion puts back the saved
+ * values of the deleted rows or columns.
+ */
+class ShiftChange extends Object {
+    constructor(shift, valuesChange) {
+        super();
+        this.shift = shift;
+        this.valuesChange = valuesChange;
+    }
+
+    undo(dataFrame) {
+        let { axis, at, count } = this.shift;
+        let inverse = { axis, at, count: -count, restores: this.shift };
+        dataFrame.applyShift(inverse, () => {
+            this.valuesChange.undo(dataFrame);
+        });
+    }
+
+    redo(dataFrame) {
+        dataFrame.applyShift(this.shift, () => {
+            this.valuesChange.redo(dataFrame);
+        });
+    }
+
+    get frame() {
+        return this.valuesChange.frame;
+    }
+
+    get wasResized() {
+        return this.valuesChange.wasResized;
+    }
+}
 
 /**
  * DBDataFrame class
@@ -6,73 +160,533 @@ import { DataFrame } from "./DataFrame.js";
  * I am a kind of DataFrame whose operations
  * asyncronously interact with an IndexedDB
  * browser storage instance for persistence.
+ * When my database already holds a saved frame,
+ * I take on its bounds and load its values
+ * lazily, region by region, as they are asked
+ * for (see DataFrame.loadMissing). Otherwise I
+ * save my initial values and bounds to it.
+ * Either way, `ready` is a Promise that resolves
+ * to me once this is done. Anything stored in me
+ * before then is discarded when a saved frame
+ * is restored.
+ * Changes are written to the database at the end
+ * of each change ("through" writeMode) or in batches
+ * every writeDelay milliseconds ("behind" writeMode).
+ * Errors are reported through my errorCallback, which
+ * a GridSheet dispatches as "data-error" events.
+ * Values which have not been loaded yet are moved in
+ * the database when rows or columns are inserted or
+ * deleted, and when that is undone or redone (see
+ * ShiftChange). When my whole store is replaced, for
+ * example by `clear`, before everything was loaded, the
+ * values that never were are read back into the store
+ * that was replaced, so that undoing does not lose them.
  */
 class DBDataFrame extends DataFrame {
-    constructor(origin, corner, dbName) {
+    constructor(origin, corner, dbName, options = {}) {
         super(origin, corner);
         this.dbName = dbName;
         this.db = null;
 
+        // Either "through" or "behind". See above
+        this.writeMode = options.writeMode || "through";
+        this.writeDelay = options.writeDelay || 250;
+
+        // The changes that have not yet been written:
+        // the store keys whose values changed, whether
+        // the whole store was replaced, whether my bounds
+        // changed, and any rows or columns shifted by
+        // an insertion or deletion
+        this.dirtyKeys = new Set();
+        this.replacesAll = false;
+        this.boundsChanged = false;
+        this.pendingShift = null;
+        this.flushTimer = null;
+
+        // The store that was replaced while some of
+        // my values were not loaded, and the keys of
+        // its changes that had not been written, if any.
+        // See `writeAll`
+        this.replacedStore = null;
+        this.replacedKeys = new Set();
+
+        // While set, the ValuesChange of a shift
+        // is recorded as part of a ShiftChange
+        this.recordingShift = null;
+
+        // The Frame whose bounds were last written
+        this.savedFrame = null;
+
+        // A Promise that settles once the most
+        // recent write has completed
+        this.lastWrite = Promise.resolve();
+
+        // While false, changes to the store are
+        // not recorded as changes to write
+        this.isTracking = true;
+
         // Bind instance methods
-        this.onRequestError = this.onRequestError.bind(this);
-        this.onTransactionError = this.onTransactionError.bind(this);
-        this.onRequestSuccess = this.onRequestSuccess.bind(this);
-        this.onTransactionSuccess = this.onTransactionSuccess.bind(this);
+        this.open = this.open.bind(this);
+        this.close = this.close.bind(this);
+        this.restore = this.restore.bind(this);
+        this.hydrate = this.hydrate.bind(this);
+        this.flush = this.flush.bind(this);
+        this.scheduleWrite = this.scheduleWrite.bind(this);
+        this.startShift = this.startShift.bind(this);
+        this.applyShift = this.applyShift.bind(this);
+        this.writeShift = this.writeShift.bind(this);
+        this.writeAll = this.writeAll.bind(this);
+        this.pruneOutside = this.pruneOutside.bind(this);
         this.onUpgradeNeeded = this.onUpgradeNeeded.bind(this);
-        this.setupHandlers = this.setupHandlers.bind(this);
 
         // Open the initial connection
-        console.log("attempting to open db connection...");
-        this.request = window.indexedDB.open(dbName);
-        this.setupHandlers();
+        this.ready = this.open();
     }
 
-    setupHandlers() {
-        this.request.onsuccess = this.onRequestSuccess;
-        this.request.onerror = this.onRequestError;
-        this.request.onupgradeneeded = this.onUpgradeNeeded;
+    /**
+     * The store is an accessor so that whole-store
+     * replacements (for example by `clear` or by undoing
+     * a large change) are written to the database.
+     */
+    get store() {
+        return this.storeValues;
     }
 
-    onRequestSuccess(event) {}
+    set store(anObject) {
+        if (this.isTracking) {
+            if (!this.replacesAll && this.db && !this.isFullyLoaded) {
+                this.replacedStore = this.storeValues;
+                this.replacedKeys = this.dirtyKeys;
+            }
+            this.replacesAll = true;
+            this.dirtyKeys = new Set();
+        }
+        this.storeValues = anObject;
+    }
 
-    onRequestError(event) {
-        console.error(event.result);
+    storeValue(key, value) {
+        super.storeValue(key, value);
+        if (this.isTracking && !this.replacesAll) {
+            this.dirtyKeys.add(key);
+        }
     }
 
-    onTransactionSuccess(event) {
-        console.log("Transaction success!");
-        console.log(event);
+    /**
+     * Every change ends by calling this method, so this
+     * is where changes are scheduled to be written.
+     */
+    triggerCallback(location, wasResized = false, notify = true) {
+        if (wasResized) {
+            this.boundsChanged = true;
+        }
+        this.scheduleWrite();
+        super.triggerCallback(location, wasResized, notify);
     }
 
-    onTransactionError(event) {
-        console.error("Transaction error!");
-        console.log(event);
+    shiftStore(axis, at, count, affectedFrame) {
+        // Until my database is open, my store holds
+        // all of my values and is written as a whole
+        if (this.db) {
+            let shift = { axis, at, count, removed: null };
+            this.startShift(shift);
+            this.recordingShift = shift;
+        }
+        this.isTracking = false;
+        try {
+            super.shiftStore(axis, at, count, affectedFrame);
+        } finally {
+            this.isTracking = true;
+            this.recordingShift = null;
+        }
     }
 
-    onUpgradeNeeded(event) {
-        console.log("IndexedDB Upgrade needed triggered");
-        this.db = event.target.result;
-        let objectStore = this.db.createObjectStore("cells", {
-            keyPath: "point",
+    /**
+     * The change to the values of my store made by a
+     * shift is recorded as part of a ShiftChange, so that
+     * undoing it moves the saved values back as well.
+     */
+    recordChange(aFrame, rewritesFrame = false) {
+        if (this.recordingShift && this.history && this.history.canRecord) {
+            let valuesChange = new ValuesChange(this, aFrame, rewritesFrame);
+            this.history.add(
+                new ShiftChange(this.recordingShift, valuesChange)
+            );
+        } else {
+            super.recordChange(aFrame, rewritesFrame);
+        }
+    }
+
+    /**
+     * Arrange for the saved values in my database to
+     * be moved by the given shift. See writeShift
+     * @param {Object} shift - The axis, at and count
+     * arguments of shiftStore
+     */
+    startShift(shift) {
+        // Changes made before the shift refer
+        // to the old positions, so they go first
+        this.flush();
+        this.pendingShift = shift;
+        if (this.dataSource) {
+            // Values loaded before the shift will be at
+            // other positions, so we start loading over.
+            // Loading never overwrites values that are
+            // already in the store, so this is safe.
+            this.loadedChunks = new Set();
+            this.pendingChunks = new Map();
+            this.dataSource = new DBDataSource(this);
+        }
+    }
+
+    /**
+     * Move the saved values in my database by the given
+     * shift, then call the given function to change my
+     * store to match. The saved values are moved rather
+     * than written from my store, which may be missing
+     * those that were not loaded. Used by ShiftChange.
+     * @param {Object} shift - See startShift
+     * @param {function} changeStore - The function
+     */
+    applyShift(shift, changeStore) {
+        if (!this.db) {
+            changeStore();
+            return;
+        }
+        this.startShift(shift);
+        this.isTracking = false;
+        try {
+            changeStore();
+        } finally {
+            this.isTracking = true;
+        }
+    }
+
+    /**
+     * Open my database, upgrading it if needed, and then
+     * either restore the frame saved in it or save my
+     * initial values to it.
+     * @returns {Promise} - A Promise that resolves to me
+     */
+    open() {
+        let request = window.indexedDB.open(this.dbName, SCHEMA_VERSION);
+        request.onupgradeneeded = this.onUpgradeNeeded;
+        return requestResult(request)
+            .then((db) => {
+                this.db = db;
+                let metaRequest = db
+                    .transaction("meta", "readonly")
+                    .objectStore("meta")
+                    .get("frame");
+                return requestResult(metaRequest);
+            })
+            .then((saved) => {
+                if (saved) {
+                    this.restore(saved);
+                } else {
+                    this.replacesAll = true;
+                    this.boundsChanged = true;
+                }
+                return this.flush();
+            })
+            .then(() => {
+                return this;
+            })
+            .catch((error) => {
+                this.triggerError(error, new Frame(this.origin, this.corner));
+                throw error;
+            });
+    }
+
+    /**
+     * Write any pending changes and close my database.
+     * @returns {Promise} - A Promise that resolves once
+     * the database is closed
+     */
+    close() {
+        return this.flush().then(() => {
+            if (this.db) {
+                this.db.close();
+                this.db = null;
+            }
+        });
+    }
+
+    /**
+     * Take on the bounds of the given saved frame
+     * record and start loading its values lazily,
+     * discarding anything currently stored.
+     * @param {Object} saved - The saved frame record
+     */
+    restore(saved) {
+        this.isTracking = false;
+        this.store = {};
+        this.isTracking = true;
+        this.dirtyKeys = new Set();
+        this.replacesAll = false;
+        this.replacedStore = null;
+        this.boundsChanged = false;
+        this.origin = new Point(saved.origin);
+        this.corner = new Point(saved.corner);
+        this.savedFrame = new Frame(this.origin, this.corner);
+        this.loadedChunks = new Set();
+        this.pendingChunks = new Map();
+        this.dataSource = new DBDataSource(this);
+        if (this.history) {
+            this.history.clear();
+        }
+        this.triggerCallback(new Frame(this.origin, this.corner), true);
+    }
+
+    /**
+     * Load any saved values within the given Frame
+     * (or all of them) that are not yet in my store.
+     * @param {Frame} aFrame - The Frame to load.
+     * Defaults to my whole Frame.
+     * @returns {Promise} - A Promise that resolves
+     * once the values have been loaded
+     */
+    hydrate(aFrame = null) {
+        return this.ready.then(() => {
+            return this.loadMissing(
+                aFrame || new Frame(this.origin, this.corner)
+            );
         });
-        objectStore.createIndex("point", "point", { unique: true });
-        // This is an initial load of the data,
-        // which should create entries for all points in the frame
-        // and set the values to undefined.
-        console.log(Object.keys(this.store).length);
-        objectStore.transaction.oncomplete = (event) => {
-            console.log("Object store created");
-            var pointObjectStore = this.db
-                .transaction("cells", "readwrite")
-                .objectStore("cells");
-            Object.keys(this.store).forEach((key) => {
-                pointObjectStore.add({ point: key, value: this.store[key] });
+    }
+
+    /**
+     * Write all pending changes to my database in a
+     * single transaction. Does nothing until the database
+     * is open.
+     * @returns {Promise} - A Promise that resolves once
+     * the writes have completed. Write errors are reported
+     * through my errorCallback and do not reject it.
+     */
+    flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (!this.db) {
+            return this.lastWrite;
+        }
+        if (this.pendingShift) {
+            this.writeShift(this.pendingShift);
+            this.pendingShift = null;
+        }
+        let frame = new Frame(this.origin, this.corner);
+        let boundsChanged =
+            this.boundsChanged &&
+            !(this.savedFrame && this.savedFrame.equals(frame));
+        if (!this.replacesAll && !this.dirtyKeys.size && !boundsChanged) {
+            this.boundsChanged = false;
+            return this.lastWrite;
+        }
+        let transaction = this.db.transaction(["cells", "meta"], "readwrite");
+        let cells = transaction.objectStore("cells");
+        if (this.replacesAll) {
+            this.writeAll(cells);
+        } else {
+            this.dirtyKeys.forEach((key) => {
+                if (key in this.store) {
+                    cells.put(recordFor(key, this.store[key]));
+                } else {
+                    cells.delete(key);
+                }
             });
-            pointObjectStore.transaction.oncomplete = (compEvent) => {
-                console.log("Initial loading of data completed!");
-            };
+        }
+        if (boundsChanged) {
+            // Values that fell outside of my bounds
+            // when I shrank are no longer in the store,
+            // so they have to be found in the database
+            let hasShrunk = this.savedFrame && !frame.contains(this.savedFrame);
+            if (hasShrunk && !this.replacesAll) {
+                this.pruneOutside(cells, frame);
+            }
+            transaction.objectStore("meta").put({
+                key: "frame",
+                origin: [frame.origin.x, frame.origin.y],
+                corner: [frame.corner.x, frame.corner.y],
+                schemaVersion: SCHEMA_VERSION,
+            });
+            this.savedFrame = frame;
+        }
+        this.dirtyKeys = new Set();
+        this.replacesAll = false;
+        this.replacedStore = null;
+        this.boundsChanged = false;
+        this.lastWrite = transactionDone(transaction).catch((error) => {
+            this.triggerError(error, frame);
+        });
+        return this.lastWrite;
+    }
+
+    /**
+     * Write any pending changes now or after my
+     * writeDelay, depending on my writeMode.
+     */
+    scheduleWrite() {
+        if (!this.hasPendingWrites) {
+            return;
+        }
+        if (this.writeMode !== "behind") {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(this.flush, this.writeDelay);
+        }
+    }
+
+    /**
+     * Replace the saved values in the given object store
+     * with the values of my store. If my store replaced one
+     * before all of my values were loaded, the saved values
+     * that never were are first read back into the replaced
+     * store, which the history may swap back in, so that
+     * they are not lost.
+     * @param {IDBObjectStore} cells - The object store
+     */
+    writeAll(cells) {
+        let store = this.store;
+        let replaced = this.replacedStore;
+        let replacedKeys = this.replacedKeys;
+        const write = () => {
+            cells.clear();
+            Object.keys(store).forEach((key) => {
+                cells.put(recordFor(key, store[key]));
+            });
+        };
+        if (!replaced) {
+            write();
+            return;
+        }
+        cells.getAll().onsuccess = (event) => {
+            event.target.result.forEach((record) => {
+                // Values deleted from the replaced store
+                // may not have been written yet
+                if (
+                    !(record.point in replaced) &&
+                    !replacedKeys.has(record.point)
+                ) {
+                    replaced[record.point] = record.value;
+                }
+            });
+            write();
         };
     }
+
+    /**
+     * Move the saved values in my database the same
+     * way `shiftStore` moved the values in my store,
+     * including those that have not been loaded. The
+     * saved values of deleted rows or columns are kept
+     * on the shift as its `removed` records, and a shift
+     * that `restores` another puts back those records.
+     * @param {Object} shift - The axis, at and
+     * count arguments given to shiftStore
+     */
+    writeShift(shift) {
+        let { axis, at, count } = shift;
+        let transaction = this.db.transaction("cells", "readwrite");
+        let cells = transaction.objectStore("cells");
+        let key = axis === 0 ? "x" : "y";
+        cells.getAll().onsuccess = (event) => {
+            let moved = [];
+            let removed = [];
+            event.target.result.forEach((record) => {
+                let position = record[key];
+                if (position < at) {
+                    return;
+                }
+                cells.delete(record.point);
+                if (count < 0 && position < at - count) {
+                    removed.push(record);
+                    return;
+                }
+                record[key] = position + count;
+                record.point = `${record.x},${record.y}`;
+                moved.push(record);
+            });
+            if (shift.restores) {
+                // Transactions run in the order they were
+                // made, so the records of the shift being
+                // undone have been read by now
+                moved.push(...(shift.restores.removed || []));
+            }
+            moved.forEach((record) => {
+                cells.put(record);
+            });
+            shift.removed = removed;
+        };
+        let frame = new Frame(this.origin, this.corner);
+        this.lastWrite = transactionDone(transaction).catch((error) => {
+            this.triggerError(error, frame);
+        });
+    }
+
+    /**
+     * Delete the saved values that are outside
+     * of the given Frame from the given object store.
+     */
+    pruneOutside(cells, aFrame) {
+        cells.openCursor().onsuccess = (event) => {
+            let cursor = event.target.result;
+            if (cursor) {
+                if (!aFrame.contains([cursor.value.x, cursor.value.y])) {
+                    cursor.delete();
+                }
+                cursor.continue();
+            }
+        };
+    }
+
+    /**
+     * True if I have no DataSource or if every
+     * chunk of my values has been loaded from it.
+     */
+    get isFullyLoaded() {
+        if (!this.dataSource) {
+            return true;
+        }
+        let lastChunk = this.chunkIndexAt(this.corner);
+        for (let cy = 0; cy <= lastChunk.y; cy++) {
+            for (let cx = 0; cx <= lastChunk.x; cx++) {
+                if (!this.loadedChunks.has(`${cx},${cy}`)) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    get hasPendingWrites() {
+        return (
+            this.replacesAll ||
+            this.boundsChanged ||
+            this.dirtyKeys.size > 0 ||
+            this.pendingShift !== null
+        );
+    }
+
+    onUpgradeNeeded(event) {
+        let db = event.target.result;
+        if (event.oldVersion < 2) {
+            if (db.objectStoreNames.contains("cells")) {
+                db.deleteObjectStore("cells");
+            }
+            let cells = db.createObjectStore("cells", {
+                keyPath: "point",
+            });
+            // Lets us load the values of a
+            // region row by row
+            cells.createIndex("position", ["y", "x"]);
+            db.createObjectStore("meta", { keyPath: "key" });
+        }
+    }
 }
 
-export { DBDataFrame, DBDataFrame as default };
+export {
+    DBDataFrame,
+    DBDataSource,
+    ShiftChange,
+    SCHEMA_VERSION,
+    DBDataFrame as default,
+};
@@ -6,6 +6,44 @@
  */
 import Frame from "./Frame.js";
 import { Point, isCoordinate } from "./Point.js";
+import { UndoHistory } from "./UndoHistory.js";
+import { FormulaEngine } from "./FormulaEngine.js";
+import { parseCSV, writeCSV } from "./CSV.js";
+import { checkValue, parseValue } from "./ColumnSchema.js";
+
+/**
+ * The pairwise operations that DataFrame.combine
+ * can apply by name. Each is given a value of the
+ * combined DataFrame and the corresponding value
+ * of the other one.
+ */
+const operations = {
+    add: (value, other) => value + other,
+    subtract: (value, other) => value - other,
+    multiply: (value, other) => value * other,
+    divide: (value, other) => value / other,
+};
+
+/**
+ * Respond with where the given row or column index
+ * is once the indices at or past the given index are
+ * moved by count, or null if count is negative and
+ * the index is one of those deleted.
+ * @param {number} index - A row or column index
+ * @param {number} at - The index where the shift begins
+ * @param {number} count - The number to shift by.
+ * Negative values delete.
+ * @returns {number|null} - The shifted index
+ */
+const shiftIndex = (index, at, count) => {
+    if (index < at) {
+        return index;
+    }
+    if (count < 0 && index < at - count) {
+        return null;
+    }
+    return index + count;
+};
 
 class DataFrame extends Frame {
     constructor(...args) {
@@ -20,11 +58,86 @@ class DataFrame extends Frame {
         // when data is updated in the DataFrame
         this.callback = null;
 
+        // A callback that is triggered with
+        // an error and the Frame it concerns
+        // when asynchronous data work fails
+        this.errorCallback = null;
+
+        // An optional column schema, mapping data-relative
+        // column indices to column definitions, by which
+        // values are parsed and validated. The given number
+        // of header rows at the top are left alone.
+        // See `setSchema` and ColumnSchema
+        this.schema = null;
+        this.numSchemaHeaderRows = 0;
+
+        // A callback that is triggered with a list
+        // of the values that failed validation by
+        // the schema. See `parseArray`
+        this.validationCallback = null;
+
+        // An optional DataSource that we consult
+        // for values we do not yet have. Data is
+        // requested in chunks of the given size
+        // (columns, rows), and any request is
+        // expanded by the prefetch margin (columns,
+        // rows) on each side before being chunked.
+        this.dataSource = null;
+        this.chunkSize = new Point([50, 100]);
+        this.prefetchMargin = new Point([5, 50]);
+        this.loadedChunks = new Set();
+        this.pendingChunks = new Map();
+
+        // An optional UndoHistory that records
+        // changes so they can be undone. See
+        // `enableHistory`
+        this.history = null;
+
+        // An optional FormulaEngine that computes
+        // the values of formula strings. See
+        // `enableFormulas`
+        this.formulaEngine = null;
+
+        // An optional array of column labels,
+        // for example the header row of a CSV file.
+        // See `loadCSV`
+        this.header = null;
+
         // Bind instance methods
+        this.loadCSV = this.loadCSV.bind(this);
+        this.toCSV = this.toCSV.bind(this);
+        this.enableFormulas = this.enableFormulas.bind(this);
+        this.getValueAt = this.getValueAt.bind(this);
+        this.triggerCallback = this.triggerCallback.bind(this);
+        this.insertRows = this.insertRows.bind(this);
+        this.deleteRows = this.deleteRows.bind(this);
+        this.insertColumns = this.insertColumns.bind(this);
+        this.deleteColumns = this.deleteColumns.bind(this);
+        this.shiftStore = this.shiftStore.bind(this);
+        this.shiftSchema = this.shiftSchema.bind(this);
+        this.enableHistory = this.enableHistory.bind(this);
+        this.transact = this.transact.bind(this);
+        this.recordChange = this.recordChange.bind(this);
+        this.recordState = this.recordState.bind(this);
+        this.undo = this.undo.bind(this);
+        this.redo = this.redo.bind(this);
+        this.storeValue = this.storeValue.bind(this);
+        this.setDataSource = this.setDataSource.bind(this);
+        this.setSize = this.setSize.bind(this);
+        this.loadMissing = this.loadMissing.bind(this);
+        this.requestChunk = this.requestChunk.bind(this);
+        this.fillFromArray = this.fillFromArray.bind(this);
+        this.triggerError = this.triggerError.bind(this);
         this.loadFromArray = this.loadFromArray.bind(this);
         this.putAt = this.putAt.bind(this);
         this.getAt = this.getAt.bind(this);
         this.copyFrom = this.copyFrom.bind(this);
+        this.combine = this.combine.bind(this);
+        this.setSchema = this.setSchema.bind(this);
+        this.parseValueAt = this.parseValueAt.bind(this);
+        this.parseArray = this.parseArray.bind(this);
+        this.errorAt = this.errorAt.bind(this);
+        this.triggerValidationFailed = this.triggerValidationFailed.bind(this);
         this.getDataArrayForFrame = this.getDataArrayForFrame.bind(this);
         this.getDataSubFrame = this.getDataSubFrame.bind(this);
     }
@@ -54,6 +167,24 @@ class DataFrame extends Frame {
             throw "Invalid Point or Coordinate";
         }
 
+        this.transact(() => {
+            this.recordChange(new Frame([x, y], [x, y]));
+            this.storeValue(key, value);
+        });
+        this.triggerCallback(location, false, notify);
+    }
+
+    /**
+     * Store the value under the given store key,
+     * bypassing any bounds checks, history recording,
+     * and callbacks. This is the single place where
+     * values are written into or removed from the
+     * store by my mutating methods.
+     * @param {String} key - An "x,y" store key
+     * @param {Object} value - The object to store.
+     * Storing undefined removes the key.
+     */
+    storeValue(key, value) {
         // We do not actually store undefined
         // as a value
         if (value === undefined) {
@@ -61,9 +192,6 @@ class DataFrame extends Frame {
         } else {
             this.store[key] = value;
         }
-        if (notify && this.callback) {
-            this.callback(location);
-        }
     }
 
     /**
@@ -97,6 +225,22 @@ class DataFrame extends Frame {
         return this.store[key];
     }
 
+    /**
+     * Like getAt, but responds with the computed
+     * value for any formula stored at the location
+     * when formulas are enabled. This is the value
+     * that should be displayed to users.
+     * @param {Array|Point} location - The location
+     * from which we will retrieve the value.
+     * @returns {Object|undefined} - The value
+     */
+    getValueAt(location) {
+        if (this.formulaEngine) {
+            return this.formulaEngine.valueAt(location);
+        }
+        return this.getAt(location);
+    }
+
     /**
      * Loads an array of arrays of data values
      * into the store at the appropriate point
@@ -131,24 +275,98 @@ class DataFrame extends Frame {
         let colMax = data[0].length - 1; // Assume all are equal
         let corner = new Point([colMax + origin.x, rowMax + origin.y]);
         let comparisonFrame = new Frame(origin, corner);
-        if (!this.contains(comparisonFrame)) {
-            const unionFrame = comparisonFrame.union(this);
-            this.origin = unionFrame.origin;
-            this.corner = unionFrame.corner;
-            wasResized = true;
+        this.transact(() => {
+            this.recordChange(
+                comparisonFrame,
+                data.every((row) => row.length == colMax + 1)
+            );
+            if (!this.contains(comparisonFrame)) {
+                const unionFrame = comparisonFrame.union(this);
+                this.origin = unionFrame.origin;
+                this.corner = unionFrame.corner;
+                wasResized = true;
+            }
+            data.forEach((row, y) => {
+                row.forEach((value, x) => {
+                    let adjustedCoord = [
+                        x + comparisonFrame.origin.x,
+                        y + comparisonFrame.origin.y,
+                    ];
+                    this.storeValue(adjustedCoord.toString(), value);
+                });
+            });
+        });
+        this.triggerCallback(comparisonFrame, wasResized, notify);
+    }
+
+    /**
+     * Replace all of my values, and my size, with the
+     * records of the given delimited text. This is a
+     * single undoable change and calls this.callback once.
+     * @param {String} text - CSV or other delimited text
+     * @param {Object} options - Options for parseCSV. If
+     * `header` is true, the first record is not loaded as
+     * data, but is stored as my header instead.
+     */
+    loadCSV(text, options = {}) {
+        let records = parseCSV(text, options);
+        let header = null;
+        if (options.header && records.length) {
+            header = records.shift();
         }
-        data.forEach((row, y) => {
-            row.forEach((value, x) => {
-                let adjustedCoord = [
-                    x + comparisonFrame.origin.x,
-                    y + comparisonFrame.origin.y,
-                ];
-                this.putAt(adjustedCoord, value, false);
+        let width = records.reduce((max, record) => {
+            return Math.max(max, record.length);
+        }, 1);
+        let height = Math.max(records.length, 1);
+        let data = [];
+        for (let y = 0; y < height; y++) {
+            let record = records[y] || [];
+            let row = record.slice();
+            row.length = width;
+            data.push(row);
+        }
+        let failures = [];
+        this.transact(() => {
+            this.recordChange(new Frame(this.origin, this.corner), true);
+            this.store = {};
+            this.setSize(width, height, false);
+            let parsed = this.parseArray(data, (x, y) => {
+                return new Point([this.origin.x + x, this.origin.y + y]);
             });
+            failures = parsed.failures;
+            this.loadFromArray(parsed.data, this.origin, false);
         });
-        if (notify && this.callback) {
-            this.callback(comparisonFrame, wasResized);
+        this.header = header;
+        this.triggerCallback(new Frame(this.origin, this.corner), true);
+        this.triggerValidationFailed(failures);
+    }
+
+    /**
+     * Respond with the values in the given Frame
+     * (or all of my values) as delimited text.
+     * @param {Frame} aFrame - The Frame whose values
+     * we write. Defaults to my whole Frame.
+     * @param {Object} options - Options for writeCSV. If
+     * `header` is true and I have a header, the labels of
+     * the Frame's columns are written as the first record.
+     * `header` can also be an array of labels for the
+     * Frame's columns, which is written as it is.
+     * @returns {String} - The delimited text
+     */
+    toCSV(aFrame = null, options = {}) {
+        if (!aFrame) {
+            aFrame = new Frame(this.origin, this.corner);
+        }
+        let writeOptions = Object.assign({}, options, { header: null });
+        if (Array.isArray(options.header)) {
+            writeOptions.header = options.header;
+        } else if (options.header && this.header) {
+            writeOptions.header = [];
+            for (let x = aFrame.left; x <= aFrame.right; x++) {
+                writeOptions.header.push(this.header[x - this.origin.x]);
+            }
         }
+        return writeCSV(this.getDataArrayForFrame(aFrame), writeOptions);
     }
 
     /**
@@ -205,10 +423,11 @@ class DataFrame extends Frame {
      * points to values.
      */
     clear() {
-        this.store = {};
-        if (this.callback) {
-            this.callback(new Frame(this.origin, this.corner));
-        }
+        this.transact(() => {
+            this.recordChange(new Frame(this.origin, this.corner), true);
+            this.store = {};
+        });
+        this.triggerCallback(new Frame(this.origin, this.corner));
     }
 
     /**
@@ -218,13 +437,13 @@ class DataFrame extends Frame {
     clearFrame(aFrame) {
         const intersectionFrame = this.intersection(aFrame);
         if (!intersectionFrame.isEmpty) {
-            intersectionFrame.forEachPoint((point) => {
-                const key = `${point.x},${point.y}`;
-                delete this.store[key];
+            this.transact(() => {
+                this.recordChange(intersectionFrame, true);
+                intersectionFrame.forEachPoint((point) => {
+                    this.storeValue(`${point.x},${point.y}`, undefined);
+                });
             });
-            if (this.callback) {
-                this.callback(intersectionFrame);
-            }
+            this.triggerCallback(intersectionFrame);
         }
     }
 
@@ -235,8 +454,10 @@ class DataFrame extends Frame {
      * @param {boolean} notify - If true will try to call this.callback
      */
     apply(func, notify = false) {
-        this.forEachPoint((p) => {
-            this.putAt(p, func(this.getAt(p)), notify);
+        this.transact(() => {
+            this.forEachPoint((p) => {
+                this.putAt(p, func(this.getAt(p)), notify);
+            });
         });
     }
 
@@ -245,11 +466,31 @@ class DataFrame extends Frame {
      * the df DataFrame (in place)
      * NOTE: this and df must be equal as frames, ie their coordinates must match up
      * @param {DataFrame} df - The dataframe to be added
-     * @param {boolean} notify - If true will try to call this.callback
      */
     add(df) {
+        this.combine(df, "add");
+    }
+
+    /**
+     * I replace each of my values with the result of
+     * the given operation on it and the value at the
+     * same position of the df DataFrame (in place)
+     * NOTE: this and df must be equal in size
+     * @param {DataFrame} df - The dataframe to combine with
+     * @param {string|function} operation - The name of one
+     * of the operations (add, subtract, multiply or divide)
+     * or a function of my value and the other value
+     */
+    combine(df, operation) {
         if (!this.size.equals(df.size)) {
-            throw "DataFrames must be equal size to add";
+            throw "DataFrames must be equal size to combine";
+        }
+        let func = operation;
+        if (typeof operation !== "function") {
+            func = operations[operation];
+        }
+        if (!func) {
+            throw `${operation} is not a valid operation`;
         }
         // TODO: dumping DS's to arrays like this might cause performance issues
         // we should consider something that will simulatenously iterate over points
@@ -258,7 +499,7 @@ class DataFrame extends Frame {
         const df_array = df.toArray();
         this_array.forEach((row, ridx) => {
             this_array[ridx].forEach((value, cidx) => {
-                this_array[ridx][cidx] = value + df_array[ridx][cidx];
+                this_array[ridx][cidx] = func(value, df_array[ridx][cidx]);
             });
         });
         this.loadFromArray(this_array, this.origin);
@@ -280,6 +521,651 @@ class DataFrame extends Frame {
         this.loadFromArray(frame.toArray(), (origin = origin));
     }
 
+    /**
+     * Insert the given number of empty rows before
+     * the row at the given index, shifting the values
+     * of that row and all rows below it down and
+     * growing my height to match.
+     * @param {number} at - The index of the row before
+     * which the new rows are inserted. Passing the index
+     * just past my bottom row appends the new rows.
+     * @param {number} count - The number of rows to insert
+     */
+    insertRows(at, count = 1) {
+        if (count < 1 || at < this.top || at > this.bottom + 1) {
+            throw `Cannot insert ${count} rows at ${at}`;
+        }
+        let affectedFrame = new Frame(
+            [this.left, at],
+            [this.right, this.bottom + count]
+        );
+        this.shiftStore(1, at, count, affectedFrame);
+    }
+
+    /**
+     * Delete the given number of rows starting at the
+     * row at the given index, shifting the values of all
+     * rows below them up and shrinking my height to match.
+     * @param {number} at - The index of the first row
+     * to delete
+     * @param {number} count - The number of rows to delete
+     */
+    deleteRows(at, count = 1) {
+        if (count < 1 || at < this.top || at + count - 1 > this.bottom) {
+            throw `Cannot delete ${count} rows at ${at}`;
+        }
+        if (count >= this.size.y) {
+            throw "Cannot delete every row of a DataFrame";
+        }
+        let affectedFrame = new Frame([this.left, at], this.corner);
+        this.shiftStore(1, at, -count, affectedFrame);
+    }
+
+    /**
+     * Insert the given number of empty columns before
+     * the column at the given index, shifting the values
+     * of that column and all columns to its right over
+     * and growing my width to match.
+     * @param {number} at - The index of the column before
+     * which the new columns are inserted. Passing the index
+     * just past my right column appends the new columns.
+     * @param {number} count - The number of columns to insert
+     */
+    insertColumns(at, count = 1) {
+        if (count < 1 || at < this.left || at > this.right + 1) {
+            throw `Cannot insert ${count} columns at ${at}`;
+        }
+        let affectedFrame = new Frame(
+            [at, this.top],
+            [this.right + count, this.bottom]
+        );
+        this.shiftStore(0, at, count, affectedFrame);
+    }
+
+    /**
+     * Delete the given number of columns starting at
+     * the column at the given index, shifting the values
+     * of all columns to their right over and shrinking
+     * my width to match.
+     * @param {number} at - The index of the first column
+     * to delete
+     * @param {number} count - The number of columns to delete
+     */
+    deleteColumns(at, count = 1) {
+        if (count < 1 || at < this.left || at + count - 1 > this.right) {
+            throw `Cannot delete ${count} columns at ${at}`;
+        }
+        if (count >= this.size.x) {
+            throw "Cannot delete every column of a DataFrame";
+        }
+        let affectedFrame = new Frame([at, this.top], this.corner);
+        this.shiftStore(0, at, -count, affectedFrame);
+    }
+
+    /**
+     * Move every stored value whose position along the
+     * given axis is at or past the given index by count
+     * (dropping the values of deleted positions when count
+     * is negative), then adjust my corner by count and
+     * call this.callback with the affected Frame. My
+     * schema is shifted along with the values.
+     * @param {number} axis - 0 to shift columns, 1 for rows
+     * @param {number} at - The index where the shift begins
+     * @param {number} count - The number of positions to
+     * shift by. Negative values delete.
+     * @param {Frame} affectedFrame - The Frame covering every
+     * Point whose value may change, before and after the shift
+     */
+    shiftStore(axis, at, count, affectedFrame) {
+        // We build a new store from the old one, which is
+        // left untouched so that the history can keep it
+        let oldStore = this.store;
+        this.transact(() => {
+            this.recordChange(affectedFrame, true);
+            let newStore = {};
+            Object.keys(oldStore).forEach((key) => {
+                let coord = key.split(",").map((numStr) => parseInt(numStr));
+                let position = coord[axis];
+                if (position >= at) {
+                    if (count < 0 && position < at - count) {
+                        return;
+                    }
+                    coord[axis] = position + count;
+                }
+                newStore[coord.toString()] = oldStore[key];
+            });
+            this.store = newStore;
+            if (axis === 0) {
+                this.corner = new Point([this.corner.x + count, this.corner.y]);
+            } else {
+                this.corner = new Point([this.corner.x, this.corner.y + count]);
+            }
+            this.shiftSchema(axis, at, count);
+        });
+        // After a deletion the affected Frame may extend past
+        // my new bounds, so we clamp it to them
+        let corner = new Point([
+            Math.min(affectedFrame.corner.x, this.right),
+            Math.min(affectedFrame.corner.y, this.bottom),
+        ]);
+        let origin = new Point([
+            Math.min(affectedFrame.origin.x, corner.x),
+            Math.min(affectedFrame.origin.y, corner.y),
+        ]);
+        this.triggerCallback(new Frame(origin, corner), true);
+    }
+
+    /**
+     * Move the definitions of my schema for the columns
+     * at or past the given index by count, dropping those
+     * of deleted columns, or when shifting rows, grow or
+     * shrink my schema's header rows by those inserted
+     * or deleted among them. This is recorded in my
+     * history. See shiftStore
+     * @param {number} axis - 0 for columns, 1 for rows
+     * @param {number} at - The index where the shift begins
+     * @param {number} count - The number to shift by.
+     * Negative values delete.
+     */
+    shiftSchema(axis, at, count) {
+        if (!this.schema) {
+            return;
+        }
+        this.recordState(
+            () => {
+                return {
+                    schema: this.schema,
+                    numSchemaHeaderRows: this.numSchemaHeaderRows,
+                };
+            },
+            (state) => {
+                this.schema = state.schema;
+                this.numSchemaHeaderRows = state.numSchemaHeaderRows;
+            }
+        );
+        if (axis === 0) {
+            // Schema columns are relative to my left, which
+            // does not move as columns are inserted or deleted
+            let schema = Array.isArray(this.schema) ? [] : {};
+            Object.keys(this.schema).forEach((key) => {
+                let column = shiftIndex(parseInt(key) + this.left, at, count);
+                if (column !== null) {
+                    schema[column - this.left] = this.schema[key];
+                }
+            });
+            this.schema = schema;
+        } else {
+            let headerEnd = this.top + this.numSchemaHeaderRows;
+            if (count > 0 && at < headerEnd) {
+                this.numSchemaHeaderRows += count;
+            } else if (count < 0) {
+                let deleted = Math.min(headerEnd, at - count) - at;
+                this.numSchemaHeaderRows -= Math.max(deleted, 0);
+            }
+        }
+    }
+
+    /**
+     * Start computing the values of any formulas
+     * (strings beginning with "=") that I store.
+     * Computed values are available via `getValueAt`,
+     * while `getAt` continues to respond with the
+     * formula text itself.
+     * @returns {FormulaEngine} - The new engine
+     */
+    enableFormulas() {
+        this.formulaEngine = new FormulaEngine(this);
+        return this.formulaEngine;
+    }
+
+    /**
+     * Tell my FormulaEngine, if I have one, that values
+     * at the given location changed and then, if notify
+     * is true and a callback is set, call this.callback
+     * with the location, whether or not I was resized, and
+     * single point Frames for any formulas elsewhere whose
+     * values depend on the changed ones.
+     * @param {Frame|Point|Array} location - Where values changed
+     * @param {Bool} wasResized - True if my size changed
+     * @param {Bool} notify - If false, this.callback is not called
+     */
+    triggerCallback(location, wasResized = false, notify = true) {
+        let dependentFrames = [];
+        if (this.formulaEngine) {
+            if (wasResized) {
+                // References may have moved in or out
+                // of bounds, so we start over
+                this.formulaEngine.clear();
+            } else {
+                dependentFrames =
+                    this.formulaEngine.handleDataChanged(location);
+            }
+        }
+        if (notify && this.callback) {
+            this.callback(location, wasResized, dependentFrames);
+        }
+    }
+
+    /**
+     * Start recording my changes in an UndoHistory
+     * so that they can be undone and redone.
+     * @param {number} limit - The maximum number of
+     * undo steps to keep
+     * @returns {UndoHistory} - The new history
+     */
+    enableHistory(limit = 100) {
+        this.history = new UndoHistory(this, limit);
+        return this.history;
+    }
+
+    /**
+     * Call the given function, grouping all changes
+     * it makes to me into a single undo step.
+     * @param {function} func - The function to call
+     * @returns {Object} - The return value of func
+     */
+    transact(func) {
+        if (!this.history) {
+            return func();
+        }
+        this.history.begin();
+        try {
+            return func();
+        } finally {
+            this.history.end();
+        }
+    }
+
+    /**
+     * Tell my history, if I have one, that the values
+     * within the given Frame are about to change.
+     * Must be called within `transact`.
+     * @param {Frame} aFrame - The Frame that will change
+     * @param {boolean} rewritesFrame - True if every value
+     * in the Frame is about to be replaced. See UndoHistory
+     */
+    recordChange(aFrame, rewritesFrame = false) {
+        if (this.history) {
+            this.history.record(aFrame, rewritesFrame);
+        }
+    }
+
+    /**
+     * Tell my history, if I have one, that some state
+     * kept elsewhere is about to change along with my
+     * values, so that undoing restores it too.
+     * Must be called within `transact`.
+     * See UndoHistory.recordState
+     * @param {function} getState - Responds with the state
+     * @param {function} setState - Sets the state
+     */
+    recordState(getState, setState) {
+        if (this.history) {
+            this.history.recordState(getState, setState);
+        }
+    }
+
+    /**
+     * Undo the most recent step in my history.
+     * @returns {boolean} - Whether or not a step was undone
+     */
+    undo() {
+        if (!this.history) {
+            return false;
+        }
+        return this.history.undo();
+    }
+
+    /**
+     * Redo the most recently undone step in my history.
+     * @returns {boolean} - Whether or not a step was redone
+     */
+    redo() {
+        if (!this.history) {
+            return false;
+        }
+        return this.history.redo();
+    }
+
+    /**
+     * Set the DataSource that I will consult for
+     * values I do not yet have. Any values already
+     * in my store are discarded, and I resize myself
+     * to the total size reported by the source.
+     * @param {DataSource} aDataSource - The source
+     * of my values
+     * @returns {Promise} - A Promise that resolves
+     * once I have been resized to the source's size
+     */
+    setDataSource(aDataSource) {
+        this.dataSource = aDataSource;
+        this.store = {};
+        this.loadedChunks = new Set();
+        this.pendingChunks = new Map();
+        return Promise.resolve(aDataSource.getSize()).then((size) => {
+            size = new Point(size);
+            this.setSize(size.x, size.y);
+            if (this.history) {
+                this.history.clear();
+            }
+        });
+    }
+
+    /**
+     * Set my total width and height, keeping my
+     * current origin. Any stored values that fall
+     * outside of the new bounds are discarded.
+     * @param {number} width - The new number of columns
+     * @param {number} height - The new number of rows
+     * @param {Bool} notify - If true, and if a callback is set,
+     * will call this.callback with the resized Frame
+     */
+    setSize(width, height, notify = true) {
+        let newCorner = new Point([
+            this.origin.x + Math.max(width, 1) - 1,
+            this.origin.y + Math.max(height, 1) - 1,
+        ]);
+        let isShrinking =
+            newCorner.x < this.corner.x || newCorner.y < this.corner.y;
+        this.transact(() => {
+            // Shrinking discards values, so we record
+            // the whole current Frame in that case
+            if (isShrinking) {
+                this.recordChange(new Frame(this.origin, this.corner));
+            } else {
+                this.recordChange(Frame.newEmpty());
+            }
+            this.corner = newCorner;
+            if (isShrinking) {
+                Object.keys(this.store).forEach((key) => {
+                    let coord = key
+                        .split(",")
+                        .map((numStr) => parseInt(numStr));
+                    if (!this.contains(coord)) {
+                        delete this.store[key];
+                    }
+                });
+            }
+        });
+        this.triggerCallback(new Frame(this.origin, this.corner), true, notify);
+    }
+
+    /**
+     * Ask my DataSource, if I have one, for the values
+     * of any chunks overlapping the given Frame (expanded
+     * by my prefetchMargin) that have not yet been loaded.
+     * Chunks that are already being fetched are not requested
+     * a second time. Each chunk calls this.callback when it lands.
+     * Note that failed chunks are reported through
+     * this.errorCallback and do not reject the returned Promise.
+     * @param {Frame} aFrame - The Frame whose values we need
+     * @returns {Promise} - A Promise that resolves once all
+     * of the needed chunks have settled
+     */
+    loadMissing(aFrame) {
+        if (!this.dataSource || !aFrame || aFrame.isEmpty) {
+            return Promise.resolve();
+        }
+        if (!this.intersects(aFrame)) {
+            return Promise.resolve();
+        }
+        // We clamp the expanded Frame ourselves rather than
+        // use intersection(), which can be slow for large frames
+        let needed = new Frame(
+            [
+                Math.max(aFrame.origin.x - this.prefetchMargin.x, this.left),
+                Math.max(aFrame.origin.y - this.prefetchMargin.y, this.top),
+            ],
+            [
+                Math.min(aFrame.corner.x + this.prefetchMargin.x, this.right),
+                Math.min(aFrame.corner.y + this.prefetchMargin.y, this.bottom),
+            ]
+        );
+        let firstChunk = this.chunkIndexAt(needed.origin);
+        let lastChunk = this.chunkIndexAt(needed.corner);
+        let promises = [];
+        for (let cy = firstChunk.y; cy <= lastChunk.y; cy++) {
+            for (let cx = firstChunk.x; cx <= lastChunk.x; cx++) {
+                let key = `${cx},${cy}`;
+                if (this.loadedChunks.has(key)) {
+                    continue;
+                }
+                if (!this.pendingChunks.has(key)) {
+                    this.requestChunk(key, new Point([cx, cy]));
+                }
+                promises.push(this.pendingChunks.get(key));
+            }
+        }
+        return Promise.all(promises);
+    }
+
+    /**
+     * Fetch the chunk at the given chunk index from
+     * my DataSource, recording the request as pending
+     * until it settles.
+     * @param {String} key - The key under which the
+     * chunk is tracked
+     * @param {Point} chunkIndex - The column and row
+     * index of the chunk
+     */
+    requestChunk(key, chunkIndex) {
+        let chunkOrigin = new Point([
+            this.origin.x + chunkIndex.x * this.chunkSize.x,
+            this.origin.y + chunkIndex.y * this.chunkSize.y,
+        ]);
+        let chunkCorner = new Point([
+            Math.min(chunkOrigin.x + this.chunkSize.x - 1, this.right),
+            Math.min(chunkOrigin.y + this.chunkSize.y - 1, this.bottom),
+        ]);
+        let chunkFrame = new Frame(chunkOrigin, chunkCorner);
+        let dataSource = this.dataSource;
+        let request = Promise.resolve()
+            .then(() => {
+                return dataSource.fetchRange(chunkFrame);
+            })
+            .then((data) => {
+                if (this.dataSource !== dataSource) {
+                    // The source was swapped out while we waited
+                    return;
+                }
+                this.pendingChunks.delete(key);
+                this.loadedChunks.add(key);
+                this.fillFromArray(data, chunkFrame);
+                this.triggerCallback(chunkFrame);
+            })
+            .catch((error) => {
+                if (this.dataSource === dataSource) {
+                    this.pendingChunks.delete(key);
+                }
+                this.triggerError(error, chunkFrame);
+            });
+        this.pendingChunks.set(key, request);
+    }
+
+    /**
+     * Store the values of the given array of arrays
+     * (rows of columns) at the Points of the given Frame,
+     * without overwriting any value that is already
+     * present. This is how fetched chunks are merged in,
+     * so that local edits made while a fetch was pending
+     * are not clobbered. Values falling outside of the
+     * Frame are ignored, and I do not call this.callback.
+     * @param {Array[Array]} data - The values to store
+     * @param {Frame} aFrame - The Frame the values belong to
+     */
+    fillFromArray(data, aFrame) {
+        data.forEach((row, y) => {
+            row.forEach((value, x) => {
+                let coord = [x + aFrame.origin.x, y + aFrame.origin.y];
+                let key = coord.toString();
+                if (
+                    value !== undefined &&
+                    aFrame.contains(coord) &&
+                    !(key in this.store)
+                ) {
+                    this.store[key] = value;
+                }
+            });
+        });
+    }
+
+    /**
+     * Set the column schema by which values that are
+     * edited, pasted or loaded from CSV are parsed and
+     * validated, or clear it with null. See ColumnSchema.
+     * @param {Object|Array|null} schema - Column definitions
+     * keyed by data-relative column index
+     * @param {number} numHeaderRows - The number of rows
+     * at the top, like a header row, that are left alone
+     */
+    setSchema(schema, numHeaderRows = 0) {
+        this.schema = schema;
+        this.numSchemaHeaderRows = numHeaderRows;
+        this.triggerCallback(new Frame(this.origin, this.corner));
+    }
+
+    /**
+     * Parse the given value as it would be stored at
+     * the given location, by the definition of its
+     * column in my schema. See ColumnSchema.parseValue
+     * @param {Point|Array} location - A location
+     * @param {*} value - The value, like edited text
+     * @returns {Object} - The parse result
+     */
+    parseValueAt(location, value) {
+        let point = new Point(location);
+        if (
+            !this.schema ||
+            point.y < this.origin.y + this.numSchemaHeaderRows
+        ) {
+            return { value };
+        }
+        return parseValue(this.schema[point.x - this.origin.x], value);
+    }
+
+    /**
+     * Parse the given array of arrays (rows of columns)
+     * of values by my schema. Invalid values are kept as
+     * they are, so that they are flagged, unless their
+     * column rejects them, in which case the value already
+     * stored at their location is kept.
+     * @param {Array[Array]} data - The values
+     * @param {Function} locationFor - A function of the
+     * column and row index of a value in the data that
+     * responds with the Point it would be stored at
+     * @returns {Object} - The parsed `data` and a list of
+     * `failures`, each with the `location`, `value`, `error`
+     * and whether it `isRejected`
+     */
+    parseArray(data, locationFor) {
+        let failures = [];
+        if (!this.schema) {
+            return { data, failures };
+        }
+        let parsed = data.map((row, y) => {
+            return row.map((value, x) => {
+                let location = locationFor(x, y);
+                let result = this.parseValueAt(location, value);
+                if (result.error === undefined) {
+                    return result.value;
+                }
+                failures.push({
+                    location,
+                    value,
+                    error: result.error,
+                    isRejected: result.isRejected,
+                });
+                if (result.isRejected) {
+                    return this.contains(location)
+                        ? this.getAt(location)
+                        : undefined;
+                }
+                return value;
+            });
+        });
+        return { data: parsed, failures };
+    }
+
+    /**
+     * Respond with the validation error of the value
+     * at the given location, or null if it is valid.
+     * Values that were flagged rather than rejected
+     * are stored as they were given, so they are not
+     * of their column's type. See ColumnSchema.checkValue
+     * @param {Point|Array} location - A location
+     * @returns {String|null} - The error message
+     */
+    errorAt(location) {
+        let point = new Point(location);
+        if (
+            !this.schema ||
+            !this.contains(point) ||
+            point.y < this.origin.y + this.numSchemaHeaderRows
+        ) {
+            return null;
+        }
+        return checkValue(
+            this.schema[point.x - this.origin.x],
+            this.getAt(point)
+        );
+    }
+
+    /**
+     * If there are any failures and a callback
+     * set on my `validationCallback` attribute,
+     * I call it with the failures.
+     * @param {Array[Object]} failures - The values that
+     * failed validation. See `parseArray`
+     */
+    triggerValidationFailed(failures) {
+        if (failures.length && this.validationCallback) {
+            this.validationCallback(failures);
+        }
+    }
+
+    /**
+     * If there is a callback set on my
+     * `errorCallback` attribute, I call it with
+     * the given error and Frame. Otherwise I log
+     * the error.
+     * @param {Error|String} error - The error that occurred
+     * @param {Frame} aFrame - The Frame the error concerns
+     */
+    triggerError(error, aFrame) {
+        if (this.errorCallback) {
+            this.errorCallback(error, aFrame);
+        } else {
+            console.error(error);
+        }
+    }
+
+    /**
+     * Respond with a Point whose values are the
+     * column and row index of the data chunk containing
+     * the given Point.
+     * @param {Point} aPoint - A Point within this DataFrame
+     * @returns {Point}
+     */
+    chunkIndexAt(aPoint) {
+        return new Point([
+            Math.floor((aPoint.x - this.origin.x) / this.chunkSize.x),
+            Math.floor((aPoint.y - this.origin.y) / this.chunkSize.y),
+        ]);
+    }
+
+    /**
+     * Respond with a new DataFrame, with its origin at
+     * (0, 0), holding the records of the given delimited text.
+     * @param {String} text - CSV or other delimited text
+     * @param {Object} options - See `loadCSV`
+     * @returns {DataFrame}
+     */
+    static fromCSV(text, options = {}) {
+        let dataFrame = new DataFrame([0, 0], [0, 0]);
+        dataFrame.loadCSV(text, options);
+        return dataFrame;
+    }
+
     /**
      * A DataFrame is considered "full" if there
      * are stored values for each of its points.
@@ -353,4 +1239,4 @@ class DataFrame extends Frame {
     }
 }
 
-export { DataFrame, DataFrame as default };
+export { DataFrame, operations, shiftIndex, DataFrame as default };
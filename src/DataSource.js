@@ -0,0 +1,103 @@
+/**
+ * APSheet DataSource class
+ * ------------------------------------
+ * A DataSource is the object that a DataFrame
+ * consults whenever it needs values for Points
+ * that it does not yet have in its store. It lets
+ * a sheet be backed by data that lives elsewhere,
+ * for example on a remote server.
+ * Subclasses must implement both `fetchRange`
+ * and `getSize`. They can also implement
+ * `search(query, options)`, responding with (a Promise
+ * of) a list of the `location` and `value` of each of
+ * their values that match, so that a sheet can find
+ * values that it has not loaded. See Search.
+ */
+import { Point } from "./Point.js";
+import { matcherFor } from "./Search.js";
+
+class DataSource extends Object {
+    constructor() {
+        super();
+
+        // Bind instance methods
+        this.fetchRange = this.fetchRange.bind(this);
+        this.getSize = this.getSize.bind(this);
+    }
+
+    /**
+     * Respond with a Promise that resolves to an
+     * array of arrays (rows of columns, ie y then x)
+     * of the values for each Point in the given Frame.
+     * Rows or columns that are shorter than the Frame
+     * are allowed, and the missing values are treated
+     * as undefined.
+     * @param {Frame} aFrame - The Frame whose values
+     * should be fetched
+     * @returns {Promise} - A Promise resolving to a
+     * y-to-x (row to column) array of arrays
+     */
+    fetchRange(aFrame) {
+        throw "DataSource subclasses must implement fetchRange";
+    }
+
+    /**
+     * Respond with the total size of the data, as a
+     * Point whose x value is the number of columns and
+     * whose y value is the number of rows. The response
+     * may also be a Promise resolving to such a Point,
+     * or to an equivalent coordinate array.
+     * @returns {Point|Array|Promise}
+     */
+    getSize() {
+        throw "DataSource subclasses must implement getSize";
+    }
+}
+
+/**
+ * ArrayDataSource class
+ * ------------------------------------
+ * I am a simple DataSource that serves values
+ * out of an in-memory array of arrays (rows of
+ * columns). I am mostly useful for testing and
+ * demonstration, since my fetches resolve
+ * asynchronously like a remote source would.
+ */
+class ArrayDataSource extends DataSource {
+    constructor(data) {
+        super();
+        this.data = data;
+    }
+
+    fetchRange(aFrame) {
+        let result = [];
+        for (let y = aFrame.origin.y; y <= aFrame.corner.y; y++) {
+            let row = this.data[y] || [];
+            result.push(row.slice(aFrame.origin.x, aFrame.corner.x + 1));
+        }
+        return Promise.resolve(result);
+    }
+
+    getSize() {
+        let width = 0;
+        this.data.forEach((row) => {
+            width = Math.max(width, row.length);
+        });
+        return new Point([width, this.data.length]);
+    }
+
+    search(query, options = {}) {
+        let matcher = matcherFor(query, options);
+        let matches = [];
+        this.data.forEach((row, y) => {
+            row.forEach((value, x) => {
+                if (matcher.test(value)) {
+                    matches.push({ location: [x, y], value });
+                }
+            });
+        });
+        return Promise.resolve(matches);
+    }
+}
+
+export { DataSource, ArrayDataSource, DataSource as default };
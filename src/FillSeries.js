@@ -0,0 +1,311 @@
+/**
+ * APSheet Fill Series
+ * ------------------------------------
+ * Functions for extending the values of a row or
+ * column of cells into the cells next to them, as is
+ * done by dragging the fill handle of a selection.
+ * A series is a function that is given an index and
+ * responds with the value at that index, where the
+ * source values are at indices 0 to length - 1, later
+ * indices continue after them and negative indices
+ * continue before them. The kinds of series are:
+ *   - numeric: a linear progression fit to two or
+ *     more numbers, like 1, 3 -> 5, 7
+ *   - dates: dates (or ISO date strings) a constant
+ *     number of days or months apart. A single date
+ *     counts up by day
+ *   - numbered text: text with trailing numbers
+ *     that share the same text before them, like
+ *     "Item 1" -> "Item 2"
+ *   - copy: anything else repeats the source values
+ */
+import { Frame } from "./Frame.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const isoDatePattern = /^(\d{4})-(\d{2})-(\d{2})$/;
+const numberedTextPattern = /^(.*?)(\d+)$/;
+
+const isBlank = (value) => {
+    return value === undefined || value === null || value === "";
+};
+
+const isNumeric = (value) => {
+    if (typeof value === "number") {
+        return isFinite(value);
+    }
+    return (
+        typeof value === "string" &&
+        value.trim() !== "" &&
+        isFinite(Number(value))
+    );
+};
+
+/**
+ * Respond with the given number without the
+ * floating point noise of repeated additions.
+ */
+const roundOff = (number) => {
+    return parseFloat(number.toPrecision(12));
+};
+
+/**
+ * Respond with the start and step of the line
+ * that best fits the given numbers (by least
+ * squares), taking their indices as positions.
+ */
+const linearFit = (numbers) => {
+    let count = numbers.length;
+    let meanIndex = (count - 1) / 2;
+    let mean = numbers.reduce((sum, number) => sum + number, 0) / count;
+    let covariance = 0;
+    let variance = 0;
+    numbers.forEach((number, index) => {
+        covariance += (index - meanIndex) * (number - mean);
+        variance += (index - meanIndex) ** 2;
+    });
+    let step = covariance / variance;
+    return { start: mean - step * meanIndex, step };
+};
+
+/**
+ * Respond with the UTC Date of the given value if
+ * it is a Date or an ISO date string, or null.
+ */
+const dateOf = (value) => {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value;
+    }
+    let match = typeof value === "string" && value.match(isoDatePattern);
+    if (!match) {
+        return null;
+    }
+    return new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+};
+
+const isoDateOf = (date) => {
+    return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Respond with the date the given number of months
+ * after the given one, keeping its day of the month
+ * unless that month is shorter.
+ */
+const addMonths = (date, months) => {
+    let year = date.getUTCFullYear();
+    let month = date.getUTCMonth() + months;
+    let lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    let day = Math.min(date.getUTCDate(), lastDay);
+    return new Date(Date.UTC(year, month, day));
+};
+
+/**
+ * Respond with true if the given numbers
+ * are all the same distance apart.
+ */
+const hasConstantStep = (numbers) => {
+    return numbers.every((number, index) => {
+        return (
+            index < 2 || number - numbers[index - 1] === numbers[1] - numbers[0]
+        );
+    });
+};
+
+const copySeries = (values) => {
+    let count = values.length;
+    return (index) => {
+        return values[((index % count) + count) % count];
+    };
+};
+
+const numericSeries = (values) => {
+    if (values.length < 2 || !values.every(isNumeric)) {
+        return null;
+    }
+    let { start, step } = linearFit(values.map(Number));
+    let asText = typeof values[0] === "string";
+    return (index) => {
+        let number = roundOff(start + step * index);
+        return asText ? number.toString() : number;
+    };
+};
+
+const dateSeries = (values) => {
+    let dates = values.map(dateOf);
+    if (dates.includes(null)) {
+        return null;
+    }
+    let format = (date) => {
+        return values[0] instanceof Date ? date : isoDateOf(date);
+    };
+    let first = dates[0];
+    let months = dates.map((date) => {
+        return (
+            (date.getUTCFullYear() - first.getUTCFullYear()) * 12 +
+            date.getUTCMonth() -
+            first.getUTCMonth()
+        );
+    });
+    let isMonthly =
+        dates.length > 1 &&
+        months[1] !== 0 &&
+        hasConstantStep(months) &&
+        dates.every((date) => date.getUTCDate() === first.getUTCDate());
+    if (isMonthly) {
+        return (index) => {
+            return format(addMonths(first, months[1] * index));
+        };
+    }
+    let days = dates.map((date) => {
+        return Math.round((date.getTime() - first.getTime()) / DAY);
+    });
+    if (!hasConstantStep(days)) {
+        return null;
+    }
+    let step = dates.length > 1 ? days[1] : 1;
+    return (index) => {
+        return format(new Date(first.getTime() + step * index * DAY));
+    };
+};
+
+const numberedTextSeries = (values) => {
+    let matches = values.map((value) => {
+        return typeof value === "string" && value.match(numberedTextPattern);
+    });
+    if (matches.includes(null) || matches.includes(false)) {
+        return null;
+    }
+    let prefix = matches[0][1];
+    if (prefix === "" || matches.some((match) => match[1] !== prefix)) {
+        return null;
+    }
+    let width = matches[0][2].length;
+    let numbers = matches.map((match) => Number(match[2]));
+    let { start, step } =
+        numbers.length > 1
+            ? linearFit(numbers)
+            : { start: numbers[0], step: 1 };
+    return (index) => {
+        let number = Math.abs(Math.round(start + step * index));
+        return `${prefix}${number.toString().padStart(width, "0")}`;
+    };
+};
+
+/**
+ * Respond with the series that continues
+ * the given values. See the module comment.
+ * @param {Array} values - The source values
+ * @returns {Function} - A function of an index
+ * responding with the value at that index
+ */
+const seriesFor = (values) => {
+    if (values.some(isBlank)) {
+        return copySeries(values);
+    }
+    return (
+        numericSeries(values) ||
+        dateSeries(values) ||
+        numberedTextSeries(values) ||
+        copySeries(values)
+    );
+};
+
+/**
+ * Respond with the Frame that filling from the
+ * given source Frame toward the given location
+ * would cover: the source extended down, up, right
+ * or left, whichever way the location is furthest
+ * outside of it. Inside of the source this is
+ * the source itself.
+ * @param {Frame} source - The source Frame
+ * @param {Point} location - A location in the
+ * same coordinates
+ * @returns {Frame} - The source and the cells
+ * to fill
+ */
+const fillFrameFor = (source, location) => {
+    let dy = 0;
+    let dx = 0;
+    if (location.y > source.bottom) {
+        dy = location.y - source.bottom;
+    } else if (location.y < source.top) {
+        dy = location.y - source.top;
+    }
+    if (location.x > source.right) {
+        dx = location.x - source.right;
+    } else if (location.x < source.left) {
+        dx = location.x - source.left;
+    }
+    if (dy === 0 && dx === 0) {
+        return new Frame(source.origin, source.corner);
+    }
+    if (Math.abs(dy) >= Math.abs(dx)) {
+        if (dy > 0) {
+            return new Frame(source.origin, [source.right, location.y]);
+        }
+        return new Frame([source.left, location.y], source.corner);
+    }
+    if (dx > 0) {
+        return new Frame(source.origin, [location.x, source.bottom]);
+    }
+    return new Frame([location.x, source.top], source.corner);
+};
+
+/**
+ * Respond with the values that fill the cells of
+ * the given target Frame that are not in the given
+ * source Frame, continuing each column (when filling
+ * up or down) or row (when filling left or right) of
+ * the given source values as a series.
+ * @param {Array[Array]} data - The source values, as
+ * an array of rows of columns
+ * @param {Frame} source - The source Frame
+ * @param {Frame} target - The source Frame extended
+ * in one direction. See fillFrameFor
+ * @returns {Object} - The `frame` of the cells to fill
+ * and their `data` as an array of rows of columns, or
+ * null if there are none
+ */
+const fillData = (data, source, target) => {
+    let frame;
+    let offset;
+    if (target.bottom > source.bottom) {
+        frame = new Frame([source.left, source.bottom + 1], target.corner);
+        offset = source.size.y;
+    } else if (target.top < source.top) {
+        frame = new Frame(target.origin, [source.right, source.top - 1]);
+        offset = target.top - source.top;
+    } else if (target.right > source.right) {
+        frame = new Frame([source.right + 1, source.top], target.corner);
+        offset = source.size.x;
+    } else if (target.left < source.left) {
+        frame = new Frame(target.origin, [source.left - 1, source.bottom]);
+        offset = target.left - source.left;
+    } else {
+        return null;
+    }
+    let size = frame.size;
+    let result = [];
+    if (frame.left >= source.left && frame.right <= source.right) {
+        // Each column is a series
+        let series = data[0].map((value, column) => {
+            return seriesFor(data.map((row) => row[column]));
+        });
+        for (let y = 0; y < size.y; y++) {
+            result.push(series.map((columnSeries) => columnSeries(y + offset)));
+        }
+    } else {
+        // Each row is a series
+        data.forEach((row) => {
+            let rowSeries = seriesFor(row);
+            let values = [];
+            for (let x = 0; x < size.x; x++) {
+                values.push(rowSeries(x + offset));
+            }
+            result.push(values);
+        });
+    }
+    return { frame, data: result };
+};
+
+export { seriesFor, fillFrameFor, fillData };
@@ -0,0 +1,313 @@
+/**
+ * FilterMenu Web Component
+ * -----------------------
+ * I am the dropdown a sheet displays below a
+ * column tab for filtering its rows by the values
+ * of that column. Rows can be kept by a list of
+ * values, by text they contain or equal, or by a
+ * numeric range. When applied or cleared I dispatch
+ * a `filter-apply` event whose detail has the
+ * `column` and the `criterion` (null when cleared),
+ * then close. Like the TabMenu, I also close when
+ * Escape is pressed or the user clicks elsewhere.
+ */
+const templateString = `
+<style>
+    :host {
+        display: none;
+        position: fixed;
+        z-index: 10;
+        min-width: 200px;
+        padding: 6px;
+        background-color: white;
+        border: 1px solid rgba(100, 100, 100, 0.4);
+        border-radius: 5px;
+        box-shadow: 2px 2px 6px rgba(0, 0, 0, 0.2);
+        font-family: inherit;
+        font-size: 0.9em;
+    }
+    :host([open]) {
+        display: block;
+    }
+    .section {
+        display: none;
+        margin: 6px 0;
+    }
+    :host([type="values"]) #values-section,
+    :host([type="contains"]) #text-section,
+    :host([type="equals"]) #text-section,
+    :host([type="range"]) #range-section {
+        display: block;
+    }
+    ul {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+        max-height: 200px;
+        overflow-y: auto;
+    }
+    input[type="text"],
+    input[type="number"] {
+        box-sizing: border-box;
+        width: 100%;
+        margin-bottom: 4px;
+    }
+    #buttons {
+        display: flex;
+        justify-content: flex-end;
+        gap: 4px;
+    }
+</style>
+<select id="type">
+    <option value="values">Values</option>
+    <option value="contains">Contains</option>
+    <option value="equals">Equals</option>
+    <option value="range">Between</option>
+</select>
+<div id="values-section" class="section">
+    <label><input id="select-all" type="checkbox" checked/>(Select all)</label>
+    <ul id="values"></ul>
+</div>
+<div id="text-section" class="section">
+    <input id="text" type="text" placeholder="Text"/>
+</div>
+<div id="range-section" class="section">
+    <input id="min" type="number" placeholder="Minimum"/>
+    <input id="max" type="number" placeholder="Maximum"/>
+</div>
+<div id="buttons">
+    <button id="clear">Clear</button>
+    <button id="apply">Apply</button>
+</div>
+`;
+
+class FilterMenu extends HTMLElement {
+    constructor() {
+        super();
+        this.template = document.createElement("template");
+        this.template.innerHTML = templateString;
+        this.attachShadow({ mode: "open" });
+        this.shadowRoot.append(this.template.content.cloneNode(true));
+
+        this.column = null;
+
+        // Bind instance methods
+        this.open = this.open.bind(this);
+        this.close = this.close.bind(this);
+        this.apply = this.apply.bind(this);
+        this.clear = this.clear.bind(this);
+        this.dispatchFilterApply = this.dispatchFilterApply.bind(this);
+        this.onTypeChange = this.onTypeChange.bind(this);
+        this.onSelectAllChange = this.onSelectAllChange.bind(this);
+        this.onDocumentMouseDown = this.onDocumentMouseDown.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+    }
+
+    connectedCallback() {
+        if (this.isConnected) {
+            this.addEventListener("keydown", this.onKeyDown);
+            this.shadowRoot
+                .getElementById("type")
+                .addEventListener("change", this.onTypeChange);
+            this.shadowRoot
+                .getElementById("select-all")
+                .addEventListener("change", this.onSelectAllChange);
+            this.shadowRoot
+                .getElementById("apply")
+                .addEventListener("click", this.apply);
+            this.shadowRoot
+                .getElementById("clear")
+                .addEventListener("click", this.clear);
+        }
+    }
+
+    disconnectedCallback() {
+        this.removeEventListener("keydown", this.onKeyDown);
+        this.shadowRoot
+            .getElementById("type")
+            .removeEventListener("change", this.onTypeChange);
+        this.shadowRoot
+            .getElementById("select-all")
+            .removeEventListener("change", this.onSelectAllChange);
+        this.shadowRoot
+            .getElementById("apply")
+            .removeEventListener("click", this.apply);
+        this.shadowRoot
+            .getElementById("clear")
+            .removeEventListener("click", this.clear);
+        document.removeEventListener("mousedown", this.onDocumentMouseDown);
+    }
+
+    /**
+     * Display the filter options for the given
+     * column at the given viewport position.
+     * @param {number} column - The data-relative
+     * column index being filtered
+     * @param {Array[String]} values - The texts of
+     * the values that can be chosen
+     * @param {Object|null} criterion - The current
+     * criterion of the column, if any
+     * @param {number} x - The viewport x position
+     * @param {number} y - The viewport y position
+     */
+    open(column, values, criterion, x, y) {
+        this.column = column;
+
+        // Criteria given as callbacks cannot be shown,
+        // so the inputs start out as if unfiltered
+        if (typeof criterion !== "object") {
+            criterion = null;
+        }
+        let type = criterion ? criterion.type : "values";
+        let chosen = null;
+        if (type === "values") {
+            chosen = new Set(criterion ? criterion.values : values);
+        }
+        let list = this.shadowRoot.getElementById("values");
+        list.innerHTML = "";
+        values.forEach((value) => {
+            let listItem = document.createElement("li");
+            let label = document.createElement("label");
+            let checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.value = value;
+            checkbox.checked = chosen === null || chosen.has(value);
+            label.append(checkbox, value === "" ? "(Blanks)" : value);
+            listItem.append(label);
+            list.append(listItem);
+        });
+        this.shadowRoot.getElementById("select-all").checked =
+            chosen === null || values.every((value) => chosen.has(value));
+        let text = "";
+        if (type === "contains") {
+            text = criterion.text;
+        } else if (type === "equals") {
+            text = criterion.value;
+        }
+        this.shadowRoot.getElementById("text").value = text;
+        let isRange = type === "range";
+        this.shadowRoot.getElementById("min").value =
+            isRange && criterion.min != null ? criterion.min : "";
+        this.shadowRoot.getElementById("max").value =
+            isRange && criterion.max != null ? criterion.max : "";
+        this.shadowRoot.getElementById("type").value = type;
+        this.setAttribute("type", type);
+
+        this.style.left = `${x}px`;
+        this.style.top = `${y}px`;
+        this.setAttribute("open", true);
+        this.setAttribute("tabindex", "-1");
+        this.focus();
+        document.addEventListener("mousedown", this.onDocumentMouseDown);
+    }
+
+    close() {
+        this.removeAttribute("open");
+        document.removeEventListener("mousedown", this.onDocumentMouseDown);
+    }
+
+    /**
+     * Close and dispatch the criterion
+     * described by my inputs.
+     */
+    apply() {
+        this.close();
+        this.dispatchFilterApply(this.criterion);
+    }
+
+    /**
+     * Close and dispatch that the
+     * column is no longer filtered.
+     */
+    clear() {
+        this.close();
+        this.dispatchFilterApply(null);
+    }
+
+    dispatchFilterApply(criterion) {
+        let event = new CustomEvent("filter-apply", {
+            detail: {
+                column: this.column,
+                criterion,
+            },
+        });
+        this.dispatchEvent(event);
+    }
+
+    onTypeChange(event) {
+        this.setAttribute("type", event.target.value);
+    }
+
+    onSelectAllChange(event) {
+        this.checkboxes.forEach((checkbox) => {
+            checkbox.checked = event.target.checked;
+        });
+    }
+
+    onDocumentMouseDown(event) {
+        if (!event.composedPath().includes(this)) {
+            this.close();
+        }
+    }
+
+    onKeyDown(event) {
+        if (event.key == "Escape") {
+            this.close();
+        } else if (event.key == "Enter") {
+            this.apply();
+        }
+        event.stopPropagation();
+    }
+
+    /**
+     * The criterion described by my inputs, or
+     * null if they would not hide any rows.
+     * @returns {Object|null} - A filter criterion.
+     * See RowFilter
+     */
+    get criterion() {
+        let type = this.shadowRoot.getElementById("type").value;
+        if (type === "values") {
+            let checkboxes = this.checkboxes;
+            let values = checkboxes
+                .filter((checkbox) => checkbox.checked)
+                .map((checkbox) => checkbox.value);
+            if (values.length === checkboxes.length) {
+                return null;
+            }
+            return { type, values };
+        }
+        if (type === "range") {
+            let min = this.shadowRoot.getElementById("min").value;
+            let max = this.shadowRoot.getElementById("max").value;
+            if (min === "" && max === "") {
+                return null;
+            }
+            return {
+                type,
+                min: min === "" ? null : Number(min),
+                max: max === "" ? null : Number(max),
+            };
+        }
+        let text = this.shadowRoot.getElementById("text").value;
+        if (text === "") {
+            return null;
+        }
+        if (type === "equals") {
+            return { type, value: text };
+        }
+        return { type, text };
+    }
+
+    get checkboxes() {
+        return Array.from(
+            this.shadowRoot.querySelectorAll("#values input[type=checkbox]")
+        );
+    }
+
+    get isOpen() {
+        return this.hasAttribute("open");
+    }
+}
+
+export { FilterMenu, FilterMenu as default };
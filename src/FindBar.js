@@ -0,0 +1,216 @@
+/**
+ * FindBar Web Component
+ * -----------------------
+ * I am the bar a sheet displays at its top right
+ * corner when Ctrl+F is pressed, for finding values
+ * and replacing them. Whenever the user asks me to do
+ * something I dispatch a `find-request` event whose
+ * detail has the `action` ("find", "next", "previous",
+ * "replace" or "replace-all"), the `query`, the
+ * `replacement` and the search `options` (see Search).
+ * Typing a query asks for a "find", Enter for the next
+ * match and Shift+Enter for the previous one. When
+ * closed, which Escape also does, I dispatch a
+ * `find-close` event.
+ */
+const templateString = `
+<style>
+    :host {
+        display: none;
+        position: fixed;
+        z-index: 10;
+        transform: translateX(-100%);
+        padding: 6px;
+        background-color: white;
+        border: 1px solid rgba(100, 100, 100, 0.4);
+        border-radius: 5px;
+        box-shadow: 2px 2px 6px rgba(0, 0, 0, 0.2);
+        font-family: inherit;
+        font-size: 0.9em;
+    }
+    :host([open]) {
+        display: block;
+    }
+    .row {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        margin-bottom: 4px;
+    }
+    input[type="text"] {
+        flex: 1;
+        min-width: 160px;
+    }
+    label {
+        margin-right: 6px;
+    }
+    #status {
+        flex: 1;
+        opacity: 0.7;
+    }
+</style>
+<div class="row">
+    <input id="query" type="text" placeholder="Find"/>
+    <button id="previous" title="Previous match">&uarr;</button>
+    <button id="next" title="Next match">&darr;</button>
+    <button id="close" title="Close">&times;</button>
+</div>
+<div class="row">
+    <input id="replacement" type="text" placeholder="Replace with"/>
+    <button id="replace">Replace</button>
+    <button id="replace-all">Replace all</button>
+</div>
+<div class="row">
+    <label><input id="match-case" type="checkbox"/>Match case</label>
+    <label><input id="whole-cell" type="checkbox"/>Whole cell</label>
+    <label><input id="regex" type="checkbox"/>Regex</label>
+    <label><input id="in-selection" type="checkbox"/>In selection</label>
+</div>
+<div class="row"><span id="status"></span></div>
+`;
+
+class FindBar extends HTMLElement {
+    constructor() {
+        super();
+        this.template = document.createElement("template");
+        this.template.innerHTML = templateString;
+        this.attachShadow({ mode: "open" });
+        this.shadowRoot.append(this.template.content.cloneNode(true));
+
+        // Bind instance methods
+        this.open = this.open.bind(this);
+        this.close = this.close.bind(this);
+        this.request = this.request.bind(this);
+        this.showStatus = this.showStatus.bind(this);
+        this.onClick = this.onClick.bind(this);
+        this.onInput = this.onInput.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+    }
+
+    connectedCallback() {
+        if (this.isConnected) {
+            this.addEventListener("keydown", this.onKeyDown);
+            this.shadowRoot.addEventListener("click", this.onClick);
+            this.shadowRoot.addEventListener("input", this.onInput);
+        }
+    }
+
+    disconnectedCallback() {
+        this.removeEventListener("keydown", this.onKeyDown);
+        this.shadowRoot.removeEventListener("click", this.onClick);
+        this.shadowRoot.removeEventListener("input", this.onInput);
+    }
+
+    /**
+     * Display me with my right edge at the given
+     * viewport position, and focus the query.
+     * @param {number} x - The viewport x position
+     * @param {number} y - The viewport y position
+     */
+    open(x, y) {
+        this.style.left = `${x}px`;
+        this.style.top = `${y}px`;
+        this.setAttribute("open", true);
+        let query = this.shadowRoot.getElementById("query");
+        query.focus();
+        query.select();
+    }
+
+    close() {
+        if (!this.isOpen) {
+            return;
+        }
+        this.removeAttribute("open");
+        this.showStatus("");
+        this.dispatchEvent(new CustomEvent("find-close"));
+    }
+
+    /**
+     * Dispatch a request for the given action
+     * with my current query and options.
+     * @param {String} action - The action
+     */
+    request(action) {
+        let event = new CustomEvent("find-request", {
+            detail: {
+                action,
+                query: this.query,
+                replacement:
+                    this.shadowRoot.getElementById("replacement").value,
+                options: this.options,
+            },
+        });
+        this.dispatchEvent(event);
+    }
+
+    /**
+     * Display the given text, like the number of
+     * matches or an error, below my inputs.
+     * @param {String} text - The text
+     */
+    showStatus(text) {
+        this.shadowRoot.getElementById("status").textContent = text;
+    }
+
+    onClick(event) {
+        let id = event.target.id;
+        if (id == "close") {
+            this.close();
+        } else if (
+            ["next", "previous", "replace", "replace-all"].includes(id)
+        ) {
+            this.request(id);
+        }
+    }
+
+    onInput(event) {
+        // Changing the query or the options
+        // searches again
+        if (event.target.id != "replacement") {
+            this.request("find");
+        }
+    }
+
+    onKeyDown(event) {
+        if (event.key == "Escape") {
+            this.close();
+        } else if (event.key == "Enter") {
+            let inReplacement =
+                this.shadowRoot.activeElement ===
+                this.shadowRoot.getElementById("replacement");
+            if (inReplacement) {
+                this.request("replace");
+            } else {
+                this.request(event.shiftKey ? "previous" : "next");
+            }
+        }
+        event.stopPropagation();
+    }
+
+    get query() {
+        return this.shadowRoot.getElementById("query").value;
+    }
+
+    /**
+     * The search options described by my inputs.
+     * See Search
+     * @returns {Object} - The options
+     */
+    get options() {
+        let isChecked = (id) => {
+            return this.shadowRoot.getElementById(id).checked;
+        };
+        return {
+            matchCase: isChecked("match-case"),
+            wholeCell: isChecked("whole-cell"),
+            regex: isChecked("regex"),
+            inSelection: isChecked("in-selection"),
+        };
+    }
+
+    get isOpen() {
+        return this.hasAttribute("open");
+    }
+}
+
+export { FindBar, FindBar as default };
@@ -0,0 +1,548 @@
+/**
+ * APSheet FormulaEngine
+ * ------------------------------------
+ * I evaluate the formulas stored in a DataFrame.
+ * A formula is any string value beginning with "=",
+ * for example "=B3*2" or "=SUM(A1:C10)". The raw
+ * formula text stays in the DataFrame's store, and
+ * I compute and cache the resulting values.
+ * For each formula I evaluate, I remember the Frames
+ * it refers to (its precedents). When values in the
+ * DataFrame change, I use these to find and invalidate
+ * every formula that depends on the changed points,
+ * directly or indirectly.
+ */
+import { Frame } from "./Frame.js";
+import { Point } from "./Point.js";
+import { parseFormula } from "./FormulaParser.js";
+
+/**
+ * FormulaError class
+ * ------------------------------------
+ * I am the value produced by a formula that
+ * cannot be computed. I display as my code,
+ * ie "#DIV/0!" or "#CIRC!".
+ */
+class FormulaError extends Object {
+    constructor(code, message = "") {
+        super();
+        this.code = code;
+        this.message = message;
+        this.isFormulaError = true;
+
+        // Bind instance methods
+        this.toString = this.toString.bind(this);
+    }
+
+    toString() {
+        return this.code;
+    }
+}
+
+/**
+ * Returns true only if the given value
+ * is a formula, ie a string beginning with "="
+ * that has something after it.
+ * @param {Object} value - The value to check
+ * @returns {boolean}
+ */
+const isFormula = (value) => {
+    return typeof value === "string" && value.length > 1 && value[0] === "=";
+};
+
+const isError = (value) => {
+    return value != undefined && value.isFormulaError === true;
+};
+
+/**
+ * Coerce the given value into a number,
+ * responding with a #VALUE! FormulaError
+ * if that is not possible. Empty values count
+ * as zero.
+ */
+const toNumber = (value) => {
+    if (isError(value)) {
+        return value;
+    }
+    if (value === undefined || value === null || value === "") {
+        return 0;
+    }
+    if (typeof value === "number") {
+        return value;
+    }
+    if (typeof value === "boolean") {
+        return value ? 1 : 0;
+    }
+    let trimmed = value.toString().trim();
+    if (trimmed !== "" && !isNaN(Number(trimmed))) {
+        return Number(trimmed);
+    }
+    return new FormulaError("#VALUE!", `${value} is not a number`);
+};
+
+const toText = (value) => {
+    if (value === undefined || value === null) {
+        return "";
+    }
+    if (typeof value === "boolean") {
+        return value ? "TRUE" : "FALSE";
+    }
+    return value.toString();
+};
+
+const toBoolean = (value) => {
+    if (typeof value === "boolean") {
+        return value;
+    }
+    if (typeof value === "string") {
+        let upper = value.trim().toUpperCase();
+        if (upper === "TRUE" || upper === "FALSE") {
+            return upper === "TRUE";
+        }
+    }
+    let number = toNumber(value);
+    if (isError(number)) {
+        return number;
+    }
+    return number !== 0;
+};
+
+/**
+ * Respond with a flat list of the values in the
+ * given function arguments, where range arguments
+ * (arrays of rows) are flattened in place.
+ */
+const flatten = (args) => {
+    let result = [];
+    args.forEach((arg) => {
+        if (Array.isArray(arg)) {
+            arg.forEach((row) => result.push(...row));
+        } else {
+            result.push(arg);
+        }
+    });
+    return result;
+};
+
+/**
+ * Respond with the numbers among the given function
+ * arguments. Values that come from ranges are included
+ * only when they are numeric, while direct arguments
+ * must be coercible to numbers. The first FormulaError
+ * found is returned instead of a list.
+ */
+const numbersIn = (args) => {
+    let numbers = [];
+    for (let i = 0; i < args.length; i++) {
+        let arg = args[i];
+        if (Array.isArray(arg)) {
+            let values = flatten([arg]);
+            for (let j = 0; j < values.length; j++) {
+                let value = values[j];
+                if (isError(value)) {
+                    return value;
+                }
+                let number = toNumber(value);
+                if (!isError(number) && value !== undefined && value !== "") {
+                    numbers.push(number);
+                }
+            }
+        } else {
+            let number = toNumber(arg);
+            if (isError(number)) {
+                return number;
+            }
+            numbers.push(number);
+        }
+    }
+    return numbers;
+};
+
+/**
+ * Wrap a function of a list of numbers so that
+ * it receives the numbers among its arguments
+ */
+const numeric = (func) => {
+    return (args) => {
+        let numbers = numbersIn(args);
+        if (isError(numbers)) {
+            return numbers;
+        }
+        return func(numbers);
+    };
+};
+
+/**
+ * The default functions available to formulas.
+ * Each receives an array of its evaluated arguments,
+ * where ranges are arrays of rows of values.
+ * Note that IF and IFERROR are handled by the
+ * engine itself, since they do not evaluate all
+ * of their arguments.
+ */
+const formulaFunctions = {
+    SUM: numeric((numbers) => numbers.reduce((a, b) => a + b, 0)),
+    PRODUCT: numeric((numbers) => numbers.reduce((a, b) => a * b, 1)),
+    AVERAGE: numeric((numbers) => {
+        if (!numbers.length) {
+            return new FormulaError("#DIV/0!");
+        }
+        return numbers.reduce((a, b) => a + b, 0) / numbers.length;
+    }),
+    MIN: numeric((numbers) => (numbers.length ? Math.min(...numbers) : 0)),
+    MAX: numeric((numbers) => (numbers.length ? Math.max(...numbers) : 0)),
+    COUNT: (args) => {
+        return flatten(args).filter((value) => {
+            return (
+                value !== undefined &&
+                value !== "" &&
+                !isError(value) &&
+                !isError(toNumber(value))
+            );
+        }).length;
+    },
+    COUNTA: (args) => {
+        return flatten(args).filter((value) => {
+            return value !== undefined && value !== "";
+        }).length;
+    },
+    ABS: numeric((numbers) => Math.abs(numbers[0])),
+    SQRT: numeric((numbers) => {
+        if (numbers[0] < 0) {
+            return new FormulaError("#VALUE!");
+        }
+        return Math.sqrt(numbers[0]);
+    }),
+    ROUND: numeric((numbers) => {
+        let factor = Math.pow(10, numbers[1] || 0);
+        return Math.round(numbers[0] * factor) / factor;
+    }),
+    AND: (args) => {
+        let values = flatten(args).map(toBoolean);
+        return values.find(isError) || values.every((value) => value);
+    },
+    OR: (args) => {
+        let values = flatten(args).map(toBoolean);
+        return values.find(isError) || values.some((value) => value);
+    },
+    NOT: (args) => {
+        let value = toBoolean(args[0]);
+        return isError(value) ? value : !value;
+    },
+    CONCAT: (args) => {
+        let values = flatten(args);
+        return values.find(isError) || values.map(toText).join("");
+    },
+    LEN: (args) => toText(args[0]).length,
+    UPPER: (args) => toText(args[0]).toUpperCase(),
+    LOWER: (args) => toText(args[0]).toLowerCase(),
+    TRIM: (args) => toText(args[0]).trim(),
+};
+
+class FormulaEngine extends Object {
+    constructor(dataFrame) {
+        super();
+        this.dataFrame = dataFrame;
+
+        // The functions available to formulas,
+        // keyed by upper case name. Add to this
+        // to make new functions available
+        this.functions = Object.assign({}, formulaFunctions);
+
+        // Computed values of formulas, by store key
+        this.cache = new Map();
+
+        // The Frames referred to by each cached
+        // formula, by store key
+        this.precedents = new Map();
+
+        // The store keys of the formulas currently
+        // being evaluated, used to detect cycles
+        this.evaluating = new Set();
+
+        // Bind instance methods
+        this.valueAt = this.valueAt.bind(this);
+        this.evaluate = this.evaluate.bind(this);
+        this.evaluateNode = this.evaluateNode.bind(this);
+        this.evaluateBinary = this.evaluateBinary.bind(this);
+        this.evaluateCall = this.evaluateCall.bind(this);
+        this.handleDataChanged = this.handleDataChanged.bind(this);
+        this.clear = this.clear.bind(this);
+    }
+
+    /**
+     * Respond with the value at the given location
+     * of my DataFrame. For formulas this is the computed
+     * result, and for anything else it is the stored value.
+     * @param {Point|Array} location - A data-relative
+     * Point or coordinate
+     * @returns {Object} - The value
+     */
+    valueAt(location) {
+        let point = new Point(location);
+        let rawValue = this.dataFrame.getAt(point);
+        if (!isFormula(rawValue)) {
+            return rawValue;
+        }
+        let key = `${point.x},${point.y}`;
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+        if (this.evaluating.has(key)) {
+            return new FormulaError("#CIRC!", "Circular reference");
+        }
+        let value = this.evaluate(key, rawValue.slice(1));
+        this.cache.set(key, value);
+        return value;
+    }
+
+    /**
+     * Parse and evaluate the given formula text,
+     * recording the Frames it refers to as the
+     * precedents of the given key.
+     */
+    evaluate(key, text) {
+        let precedents = [];
+        this.precedents.set(key, precedents);
+        let node;
+        try {
+            node = parseFormula(text);
+        } catch (error) {
+            return new FormulaError("#ERROR!", error.toString());
+        }
+        this.evaluating.add(key);
+        try {
+            let value = this.evaluateNode(node, precedents);
+            if (Array.isArray(value)) {
+                // A bare range is not a single value
+                return new FormulaError("#VALUE!");
+            }
+            if (typeof value === "number" && !isFinite(value)) {
+                return new FormulaError("#VALUE!");
+            }
+            return value;
+        } finally {
+            this.evaluating.delete(key);
+        }
+    }
+
+    evaluateNode(node, precedents) {
+        switch (node.type) {
+            case "number":
+            case "string":
+            case "boolean":
+                return node.value;
+            case "ref": {
+                precedents.push(new Frame(node.point, node.point));
+                if (!this.dataFrame.contains(node.point)) {
+                    return new FormulaError("#REF!");
+                }
+                let value = this.valueAt(node.point);
+                return value === undefined ? "" : value;
+            }
+            case "range": {
+                precedents.push(node.frame);
+                if (!this.dataFrame.contains(node.frame)) {
+                    return new FormulaError("#REF!");
+                }
+                return node.frame.mapEachPointRow((row) => {
+                    return row.map((aPoint) => this.valueAt(aPoint));
+                });
+            }
+            case "unary": {
+                let operand = toNumber(
+                    this.evaluateNode(node.operand, precedents)
+                );
+                if (isError(operand)) {
+                    return operand;
+                }
+                return node.operator === "-" ? -operand : operand;
+            }
+            case "percent": {
+                let operand = toNumber(
+                    this.evaluateNode(node.operand, precedents)
+                );
+                return isError(operand) ? operand : operand / 100;
+            }
+            case "binary":
+                return this.evaluateBinary(
+                    node.operator,
+                    this.evaluateNode(node.left, precedents),
+                    this.evaluateNode(node.right, precedents)
+                );
+            case "call":
+                return this.evaluateCall(node, precedents);
+        }
+        return new FormulaError("#ERROR!");
+    }
+
+    evaluateBinary(operator, left, right) {
+        if (Array.isArray(left) || Array.isArray(right)) {
+            return new FormulaError("#VALUE!");
+        }
+        if (isError(left)) {
+            return left;
+        }
+        if (isError(right)) {
+            return right;
+        }
+        if (operator === "&") {
+            return toText(left) + toText(right);
+        }
+        if (["=", "<>", "<", ">", "<=", ">="].includes(operator)) {
+            let leftNumber = toNumber(left);
+            let rightNumber = toNumber(right);
+            let comparison;
+            if (!isError(leftNumber) && !isError(rightNumber)) {
+                comparison = leftNumber - rightNumber;
+            } else {
+                comparison = toText(left)
+                    .toLowerCase()
+                    .localeCompare(toText(right).toLowerCase());
+            }
+            switch (operator) {
+                case "=":
+                    return comparison === 0;
+                case "<>":
+                    return comparison !== 0;
+                case "<":
+                    return comparison < 0;
+                case ">":
+                    return comparison > 0;
+                case "<=":
+                    return comparison <= 0;
+                case ">=":
+                    return comparison >= 0;
+            }
+        }
+        left = toNumber(left);
+        right = toNumber(right);
+        if (isError(left)) {
+            return left;
+        }
+        if (isError(right)) {
+            return right;
+        }
+        switch (operator) {
+            case "+":
+                return left + right;
+            case "-":
+                return left - right;
+            case "*":
+                return left * right;
+            case "/":
+                if (right === 0) {
+                    return new FormulaError("#DIV/0!");
+                }
+                return left / right;
+            case "^":
+                return Math.pow(left, right);
+        }
+        return new FormulaError("#ERROR!");
+    }
+
+    evaluateCall(node, precedents) {
+        let args = node.args;
+        if (node.name === "IF") {
+            if (args.length < 2 || args.length > 3) {
+                return new FormulaError("#ERROR!", "IF takes 2 or 3 arguments");
+            }
+            let condition = toBoolean(this.evaluateNode(args[0], precedents));
+            if (isError(condition)) {
+                return condition;
+            }
+            if (condition) {
+                return this.evaluateNode(args[1], precedents);
+            }
+            return args.length > 2
+                ? this.evaluateNode(args[2], precedents)
+                : false;
+        }
+        if (node.name === "IFERROR") {
+            if (args.length !== 2) {
+                return new FormulaError("#ERROR!", "IFERROR takes 2 arguments");
+            }
+            let value = this.evaluateNode(args[0], precedents);
+            if (isError(value)) {
+                return this.evaluateNode(args[1], precedents);
+            }
+            return value;
+        }
+        let func = this.functions[node.name];
+        if (!func) {
+            return new FormulaError("#NAME?", `Unknown function ${node.name}`);
+        }
+        let values = args.map((arg) => this.evaluateNode(arg, precedents));
+        let error = values.find(isError);
+        if (error) {
+            return error;
+        }
+        return func(values);
+    }
+
+    /**
+     * Tell me that the values within the given Frame
+     * (or at the given Point or coordinate) of my DataFrame
+     * have changed. I discard the computed values of any
+     * formulas in that Frame along with those of every
+     * formula that depends on them, directly or not.
+     * @param {Frame|Point|Array} location - Where values changed
+     * @returns {Array[Frame]} - Single point Frames for each
+     * dependent formula outside of the given Frame whose value
+     * must be recomputed
+     */
+    handleDataChanged(location) {
+        let changed = location;
+        if (!location.isFrame) {
+            let point = new Point(location);
+            changed = new Frame(point, point);
+        }
+        this.cache.forEach((value, key) => {
+            let coord = key.split(",").map((numStr) => parseInt(numStr));
+            if (changed.contains(coord)) {
+                this.cache.delete(key);
+                this.precedents.delete(key);
+            }
+        });
+        let dependents = [];
+        let dirtyFrames = [changed];
+        while (dirtyFrames.length) {
+            let nextDirtyFrames = [];
+            this.precedents.forEach((frames, key) => {
+                let isDirty = frames.some((aFrame) => {
+                    return dirtyFrames.some((dirtyFrame) => {
+                        return aFrame.intersects(dirtyFrame);
+                    });
+                });
+                if (isDirty) {
+                    let point = new Point(
+                        key.split(",").map((numStr) => parseInt(numStr))
+                    );
+                    let dependentFrame = new Frame(point, point);
+                    this.cache.delete(key);
+                    this.precedents.delete(key);
+                    dependents.push(dependentFrame);
+                    nextDirtyFrames.push(dependentFrame);
+                }
+            });
+            dirtyFrames = nextDirtyFrames;
+        }
+        return dependents;
+    }
+
+    /**
+     * Discard all computed values
+     */
+    clear() {
+        this.cache = new Map();
+        this.precedents = new Map();
+    }
+}
+
+export {
+    FormulaEngine,
+    FormulaError,
+    formulaFunctions,
+    isFormula,
+    FormulaEngine as default,
+};
@@ -0,0 +1,284 @@
+/**
+ * APSheet FormulaParser
+ * ------------------------------------
+ * I turn the text of a formula (without its
+ * leading "=") into a tree of plain node objects
+ * that a FormulaEngine can evaluate.
+ * Supported syntax:
+ *   - numbers (1, 2.5, .5, 1e3), "strings", TRUE/FALSE
+ *   - cell references (B3, $B$3) and ranges (A1:C10)
+ *   - function calls, ie SUM(A1:A3, 4)
+ *   - the operators + - * / ^ & % and the
+ *     comparisons = <> < > <= >=
+ *   - parentheses for grouping
+ * Node types are: number, string, boolean, ref,
+ * range, unary, percent, binary, and call.
+ */
+import { Frame } from "./Frame.js";
+import { isAddress, parseAddress } from "./CellAddress.js";
+
+const comparisonOperators = ["=", "<>", "<", ">", "<=", ">="];
+
+/**
+ * Split the formula text into an array of
+ * token objects, each having a type and value.
+ * Will throw a string error for any character
+ * that cannot start a token.
+ * @param {String} text - The formula text
+ * @returns {Array} - An array of tokens
+ */
+const tokenize = (text) => {
+    let tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        let char = text[i];
+        if (/\s/.test(char)) {
+            i += 1;
+        } else if (/[0-9.]/.test(char)) {
+            let match = text
+                .slice(i)
+                .match(/^[0-9]*\.?[0-9]+([eE][-+]?[0-9]+)?/);
+            if (!match) {
+                throw `Invalid number at position ${i}`;
+            }
+            tokens.push({ type: "number", value: parseFloat(match[0]) });
+            i += match[0].length;
+        } else if (char === '"') {
+            // Strings use doubled quotes to escape quotes
+            let value = "";
+            i += 1;
+            while (true) {
+                if (i >= text.length) {
+                    throw "Unterminated string";
+                }
+                if (text[i] === '"') {
+                    if (text[i + 1] === '"') {
+                        value += '"';
+                        i += 2;
+                        continue;
+                    }
+                    i += 1;
+                    break;
+                }
+                value += text[i];
+                i += 1;
+            }
+            tokens.push({ type: "string", value });
+        } else if (/[A-Za-z_$]/.test(char)) {
+            let match = text.slice(i).match(/^[A-Za-z0-9_.$]+/);
+            tokens.push({ type: "name", value: match[0] });
+            i += match[0].length;
+        } else if (["<>", "<=", ">="].includes(text.slice(i, i + 2))) {
+            tokens.push({ type: "operator", value: text.slice(i, i + 2) });
+            i += 2;
+        } else if ("+-*/^&%=<>".includes(char)) {
+            tokens.push({ type: "operator", value: char });
+            i += 1;
+        } else if ("(),:".includes(char)) {
+            tokens.push({ type: char, value: char });
+            i += 1;
+        } else {
+            throw `Unexpected character ${char} at position ${i}`;
+        }
+    }
+    return tokens;
+};
+
+class FormulaParser extends Object {
+    constructor(text) {
+        super();
+        this.text = text;
+        this.tokens = tokenize(text);
+        this.position = 0;
+
+        // Bind instance methods
+        this.parse = this.parse.bind(this);
+        this.peek = this.peek.bind(this);
+        this.next = this.next.bind(this);
+        this.expect = this.expect.bind(this);
+        this.parseBinary = this.parseBinary.bind(this);
+        this.parseComparison = this.parseComparison.bind(this);
+        this.parseConcatenation = this.parseConcatenation.bind(this);
+        this.parseAdditive = this.parseAdditive.bind(this);
+        this.parseMultiplicative = this.parseMultiplicative.bind(this);
+        this.parsePower = this.parsePower.bind(this);
+        this.parseUnary = this.parseUnary.bind(this);
+        this.parsePostfix = this.parsePostfix.bind(this);
+        this.parsePrimary = this.parsePrimary.bind(this);
+        this.parseName = this.parseName.bind(this);
+    }
+
+    /**
+     * Parse all of my tokens into a single
+     * node tree, throwing a string error
+     * if the text is not a valid formula.
+     * @returns {Object} - The root node
+     */
+    parse() {
+        let node = this.parseComparison();
+        if (this.peek()) {
+            throw `Unexpected ${this.peek().value}`;
+        }
+        return node;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        let token = this.tokens[this.position];
+        this.position += 1;
+        return token;
+    }
+
+    expect(type) {
+        let token = this.next();
+        if (!token || token.type !== type) {
+            throw `Expected ${type}`;
+        }
+        return token;
+    }
+
+    /**
+     * Parse a left-associative chain of binary
+     * operations whose operators are in the given
+     * list, using the given function for operands.
+     */
+    parseBinary(operators, parseOperand) {
+        let node = parseOperand();
+        let token = this.peek();
+        while (
+            token &&
+            token.type === "operator" &&
+            operators.includes(token.value)
+        ) {
+            this.next();
+            node = {
+                type: "binary",
+                operator: token.value,
+                left: node,
+                right: parseOperand(),
+            };
+            token = this.peek();
+        }
+        return node;
+    }
+
+    parseComparison() {
+        return this.parseBinary(comparisonOperators, this.parseConcatenation);
+    }
+
+    parseConcatenation() {
+        return this.parseBinary(["&"], this.parseAdditive);
+    }
+
+    parseAdditive() {
+        return this.parseBinary(["+", "-"], this.parseMultiplicative);
+    }
+
+    parseMultiplicative() {
+        return this.parseBinary(["*", "/"], this.parsePower);
+    }
+
+    parsePower() {
+        return this.parseBinary(["^"], this.parseUnary);
+    }
+
+    parseUnary() {
+        let token = this.peek();
+        if (token && token.type === "operator" && "+-".includes(token.value)) {
+            this.next();
+            return {
+                type: "unary",
+                operator: token.value,
+                operand: this.parseUnary(),
+            };
+        }
+        return this.parsePostfix();
+    }
+
+    parsePostfix() {
+        let node = this.parsePrimary();
+        let token = this.peek();
+        while (token && token.type === "operator" && token.value === "%") {
+            this.next();
+            node = { type: "percent", operand: node };
+            token = this.peek();
+        }
+        return node;
+    }
+
+    parsePrimary() {
+        let token = this.next();
+        if (!token) {
+            throw "Unexpected end of formula";
+        }
+        if (token.type === "number") {
+            return { type: "number", value: token.value };
+        } else if (token.type === "string") {
+            return { type: "string", value: token.value };
+        } else if (token.type === "(") {
+            let node = this.parseComparison();
+            this.expect(")");
+            return node;
+        } else if (token.type === "name") {
+            return this.parseName(token.value);
+        }
+        throw `Unexpected ${token.value}`;
+    }
+
+    parseName(name) {
+        let token = this.peek();
+        if (token && token.type === "(") {
+            this.next();
+            let args = [];
+            if (this.peek() && this.peek().type === ")") {
+                this.next();
+            } else {
+                args.push(this.parseComparison());
+                while (this.peek() && this.peek().type === ",") {
+                    this.next();
+                    args.push(this.parseComparison());
+                }
+                this.expect(")");
+            }
+            return { type: "call", name: name.toUpperCase(), args };
+        }
+        if (isAddress(name)) {
+            let point = parseAddress(name);
+            if (token && token.type === ":") {
+                this.next();
+                let otherName = this.expect("name").value;
+                if (!isAddress(otherName)) {
+                    throw `${otherName} is not a valid cell address`;
+                }
+                return {
+                    type: "range",
+                    frame: Frame.fromPointToPoint(
+                        point,
+                        parseAddress(otherName)
+                    ),
+                };
+            }
+            return { type: "ref", point };
+        }
+        let upperName = name.toUpperCase();
+        if (upperName === "TRUE" || upperName === "FALSE") {
+            return { type: "boolean", value: upperName === "TRUE" };
+        }
+        throw `Unknown name ${name}`;
+    }
+}
+
+/**
+ * Parse the given formula text (without
+ * its leading "=") into a node tree.
+ * @param {String} text - The formula text
+ * @returns {Object} - The root node
+ */
+const parseFormula = (text) => {
+    return new FormulaParser(text).parse();
+};
+
+export { FormulaParser, tokenize, parseFormula, FormulaParser as default };
@@ -31,6 +31,7 @@ class Frame {
         this.equals = this.equals.bind(this);
         this.translate = this.translate.bind(this);
         this.intersection = this.intersection.bind(this);
+        this.intersects = this.intersects.bind(this);
         this.union = this.union.bind(this);
         this.copy = this.copy.bind(this);
         this.forEachPoint = this.forEachPoint.bind(this);
@@ -227,6 +228,27 @@ class Frame {
         return this.constructor.newEmpty();
     }
 
+    /**
+     * Returns true if the Frame passed in
+     * shares at least one Point with this
+     * instance. Unlike `intersection`, no new
+     * Frame is computed.
+     * @param {Frame} otherFrame - A Frame to
+     * compare for intersectionality
+     * @returns {boolean}
+     */
+    intersects(otherFrame) {
+        if (this.isEmpty || otherFrame.isEmpty) {
+            return false;
+        }
+        return (
+            this.origin.x <= otherFrame.corner.x &&
+            otherFrame.origin.x <= this.corner.x &&
+            this.origin.y <= otherFrame.corner.y &&
+            otherFrame.origin.y <= this.corner.y
+        );
+    }
+
     /**
      * Returns a new Frame instance that
      * encloses the total areas of both
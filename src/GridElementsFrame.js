@@ -14,27 +14,85 @@ class GridElementsFrame extends Frame {
     constructor(origin, corner, options) {
         super(origin, corner);
         this.elements = [];
+
+        // Maps "x,y" keys to the element
+        // at each of my Points
+        this.elementMap = new Map();
         this.initialBuild();
 
         // Bind instance methods
         this.initialBuild = this.initialBuild.bind(this);
+        this.createElementAt = this.createElementAt.bind(this);
+        this.resizeTo = this.resizeTo.bind(this);
     }
 
     initialBuild() {
         this.elements = [];
+        this.elementMap = new Map();
         this.forEachPointRow((row, rowIndex) => {
             row.forEach((point) => {
-                let element = document.createElement("sheet-cell");
-                element.setAttribute("data-y", point.y);
-                element.setAttribute("data-x", point.x);
-                element.setAttribute("data-relative-y", point.y);
-                element.setAttribute("data-relative-x", point.x);
-                element.point = point;
-                this.elements.push(element);
+                this.elements.push(this.createElementAt(point));
             });
         });
     }
 
+    /**
+     * Create a new element for the given
+     * Point and add it to my elementMap.
+     * @param {Point} point - The Point of
+     * the new element
+     * @returns {DOMElement}
+     */
+    createElementAt(point) {
+        let element = document.createElement("sheet-cell");
+        element.setAttribute("data-y", point.y);
+        element.setAttribute("data-x", point.x);
+        element.setAttribute("data-relative-y", point.y);
+        element.setAttribute("data-relative-x", point.x);
+        element.point = point;
+        this.elementMap.set(`${point.x},${point.y}`, element);
+        return element;
+    }
+
+    /**
+     * Move my corner to the given location, keeping
+     * the elements of any Points I still contain and
+     * creating elements only for new Points.
+     * Note that I do not add or remove elements from
+     * the DOM; that is up to the caller.
+     * @param {Point|Array} corner - My new corner
+     * @returns {Object} - An object whose `added` and
+     * `removed` arrays hold the elements I created and
+     * the elements I no longer use
+     */
+    resizeTo(corner) {
+        this.corner = new Point(corner);
+        let removed = [];
+        this.elements.forEach((element) => {
+            if (!this.contains(element.point)) {
+                removed.push(element);
+                let point = element.point;
+                this.elementMap.delete(`${point.x},${point.y}`);
+            }
+        });
+        // We only create Points for new elements,
+        // since most elements are usually kept
+        let added = [];
+        let elements = [];
+        for (let y = this.origin.y; y <= this.corner.y; y++) {
+            for (let x = this.origin.x; x <= this.corner.x; x++) {
+                let element = this.elementMap.get(`${x},${y}`);
+                if (!element) {
+                    element = this.createElementAt(new Point([x, y]));
+                    added.push(element);
+                }
+                elements.push(element);
+            }
+        }
+        this.elements = elements;
+        return { added, removed };
+    }
+
     /**
      * Returns the DOMElement that is mapped
      * to the given Point or coordinate in this
@@ -44,23 +102,19 @@ class GridElementsFrame extends Frame {
      * @returns {DOMElement}
      */
     elementAt(location) {
-        let x, y;
+        let key;
         if (isCoordinate(location)) {
-            x = location[0];
-            y = location[1];
+            key = `${location[0]},${location[1]}`;
         } else if (location.isPoint) {
-            x = location.x;
-            y = location.y;
+            key = `${location.x},${location.y}`;
         } else {
             return null;
         }
-        for (let i = 0; i < this.elements.length; i++) {
-            let element = this.elements[i];
-            if (element.point.x == x && element.point.y == y) {
-                return element;
-            }
+        let element = this.elementMap.get(key);
+        if (element === undefined) {
+            return null;
         }
-        return null;
+        return element;
     }
 
     /**
@@ -1,11 +1,13 @@
-import { DataFrame } from "./DataFrame.js";
+import { DataFrame, shiftIndex } from "./DataFrame.js";
 import { Selector } from "./Selector.js";
 import PrimaryFrame from "./PrimaryGridFrame.js";
 import { Point } from "./Point.js";
 import { MouseHandler } from "./MouseHandler.js";
 import { KeyHandler } from "./KeyHandler.js";
+import { Keymap } from "./Keymap.js";
+import { CommandRegistry } from "./CommandRegistry.js";
 import { ResizeHandler } from "./ResizeHandler.js";
-import { SyntheticClipboardHandler as ClipboardHandler } from "./SyntheticClipboardHandler.js";
+import { ClipboardHandler } from "./ClipboardHandler.js";
 import { Frame } from "./Frame.js";
 import { RowTab, ColumnTab } from "./Tab.js";
 import { SelectionElement } from "./SelectionElement.js";
@@ -14,6 +16,22 @@ import {
     LockedColumnsElement,
 } from "./LockedSelectionElement.js";
 import { CursorElement } from "./CursorElement.js";
+import { TabMenu } from "./TabMenu.js";
+import { FilterMenu } from "./FilterMenu.js";
+import { PasteSpecialMenu } from "./PasteSpecialMenu.js";
+import { FindBar } from "./FindBar.js";
+import { ScrollBar } from "./ScrollBar.js";
+import { TSV } from "./CSV.js";
+import { createLabeler } from "./Labels.js";
+import { isAddress } from "./CellAddress.js";
+import { textFor } from "./ColumnSchema.js";
+import { fillData } from "./FillSeries.js";
+import {
+    matcherFor,
+    findMatches,
+    currentMatches,
+    replaceMatches,
+} from "./Search.js";
 
 // Add any components
 window.customElements.define("row-tab", RowTab);
@@ -22,14 +40,40 @@ window.customElements.define("sheet-selection", SelectionElement);
 window.customElements.define("locked-rows", LockedRowsElement);
 window.customElements.define("locked-columns", LockedColumnsElement);
 window.customElements.define("sheet-cursor", CursorElement);
+window.customElements.define("tab-menu", TabMenu);
+window.customElements.define("filter-menu", FilterMenu);
+window.customElements.define("paste-special-menu", PasteSpecialMenu);
+window.customElements.define("find-bar", FindBar);
+window.customElements.define("sheet-scrollbar", ScrollBar);
+
+/**
+ * Respond with a copy of the given dictionary of
+ * custom row or column sizes, keyed by index, in which
+ * the keys at or past the given index are moved by count.
+ * Keys of deleted indices (when count is negative)
+ * are dropped.
+ */
+const shiftSizes = (sizes, at, count) => {
+    let result = {};
+    Object.keys(sizes).forEach((key) => {
+        let index = shiftIndex(parseInt(key), at, count);
+        if (index !== null) {
+            result[index] = sizes[key];
+        }
+    });
+    return result;
+};
 
 // Simple grid-based sheet component
 const templateString = `
 <style>
 :host {
    display: grid;
+   position: relative;
    user-select: none;
    overflow: hidden; /* For auto-resize without scrolling on */
+   --scroll-offset-x: 0px;
+   --scroll-offset-y: 0px;
 }
 
 :host(:focus){
@@ -57,8 +101,46 @@ const templateString = `
     grid-row-end: span 1;
 }
 
+/* Slid when scrolled past the edge of a cell.
+   Locked cells stay, and the rest slide under them
+   and under the tabs. See setScrollOffset */
+::slotted(sheet-cell),
+sheet-selection,
+sheet-cursor {
+    transform: translate(var(--scroll-offset-x), var(--scroll-offset-y));
+}
+::slotted(sheet-cell.in-locked-row),
+::slotted(sheet-cell.in-locked-column) {
+    z-index: 1;
+    background-color: var(--cf-background, white);
+}
+::slotted(sheet-cell.in-locked-row),
+#locked-rows-selection {
+    --scroll-offset-y: 0px;
+}
+::slotted(sheet-cell.in-locked-column) {
+    --scroll-offset-x: 0px;
+}
+row-tab {
+    z-index: 1;
+    transform: translateY(var(--scroll-offset-y));
+}
+column-tab {
+    z-index: 1;
+    transform: translateX(var(--scroll-offset-x));
+}
+row-tab[locked="true"],
+column-tab[locked="true"] {
+    transform: none;
+}
+
+::slotted(sheet-cell[numeric]){
+    justify-content: flex-end;
+}
+
 #edit-bar {
     display: flex;
+    z-index: 2;
     width: 1fr;
     box-sizing: border-box;
     border-top-left-radius: 10px;
@@ -69,8 +151,20 @@ const templateString = `
     align-items: baseline;
     justify-content: stretch;
 }
-#edit-area {
+#edit-area-container {
     flex: 1;
+    position: relative;
+    align-self: stretch;
+    min-height: 1.6em;
+    z-index: 3;
+}
+#edit-area {
+    position: absolute;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    box-sizing: border-box;
     padding: 2px;
     padding-right: 10px;
     outline: none;
@@ -79,6 +173,17 @@ const templateString = `
     padding-right: 10px;
     font-family: inherit;
     font-size: inherit;
+    line-height: 1.4;
+    resize: none;
+    overflow: hidden;
+    white-space: nowrap;
+}
+#edit-area.editing {
+    height: auto;
+    white-space: pre-wrap;
+    overflow-y: auto;
+    background-color: white;
+    box-shadow: 0 2px 6px rgba(0, 0, 0, 0.2);
 }
 #info-area {
     height: 100%;
@@ -113,17 +218,41 @@ column-tab {
     font-family: monospace;
 }
 
+#vertical-scrollbar {
+    grid-column: -2 / -1;
+    grid-row: cell-row-start 1 / -1;
+}
+#horizontal-scrollbar {
+    grid-column: cell-col-start 1 / -1;
+    grid-row: -2 / -1;
+}
+
+#drop-preview {
+    background-color: transparent;
+    outline: 2px dashed rgba(0, 0, 100, 0.8);
+    outline-offset: -2px;
+}
+
 </style>
 <div id="edit-bar" style="grid-column: 1 / -1; grid-row: span 1;">
     <div id="info-area"><span>Cursor</span><span>&rarr;</span></div>
-    <input id="edit-area" type="text" disabled="true"/>
+    <div id="edit-area-container">
+        <textarea id="edit-area" rows="1" spellcheck="false"></textarea>
+    </div>
 </div>
 <slot></slot>
-<sheet-selection id="main-selection"></sheet-selection>
+<sheet-selection id="main-selection" fill-handle></sheet-selection>
 <sheet-selection id="locked-rows-selection" class="empty"></sheet-selection>
+<sheet-selection id="drop-preview" class="empty"></sheet-selection>
 <locked-rows id="locked-rows-selection" class="empty"></locked-rows>
 <locked-columns id="locked-columns-selection" class="empty"></locked-columns>
 <sheet-cursor id="cursor"></sheet-cursor>
+<tab-menu id="tab-menu"></tab-menu>
+<filter-menu id="filter-menu"></filter-menu>
+<paste-special-menu id="paste-special-menu"></paste-special-menu>
+<find-bar id="find-bar"></find-bar>
+<sheet-scrollbar id="vertical-scrollbar" orientation="vertical"></sheet-scrollbar>
+<sheet-scrollbar id="horizontal-scrollbar" orientation="horizontal"></sheet-scrollbar>
 `;
 
 class GridSheet extends HTMLElement {
@@ -152,6 +281,33 @@ class GridSheet extends HTMLElement {
         this.customColumns = {};
         this.customRows = {};
 
+        // The part of a cell, across and down, that
+        // the view is scrolled past the edge of the
+        // first cell it shows. See scrollViewBy
+        this.scrollOffset = new Point([0, 0]);
+
+        // Functions that respond with the tab
+        // label of a data-relative column or row.
+        // See setColumnLabels and setRowLabels
+        this.columnLabeler = createLabeler("letters");
+        this.rowLabeler = createLabeler("one-based", "one-based");
+
+        // The query, options, matcher and matches of
+        // the last search, if any, and the pending one.
+        // See `find`
+        this.findState = null;
+        this.pendingFind = null;
+
+        // The view-relative location of the cell being
+        // edited in the edit bar, and its text when the
+        // editing began. See startEditBarEditing
+        this.editBarEdit = null;
+
+        // A mapping of names to the data-relative
+        // Frames they name, which the info area shows
+        // when selected. See setNamedRange
+        this.namedRanges = {};
+
         // Set up the internal frames
         this.dataFrame = new DataFrame([0, 0], [1000, 1000]);
         let initialData = this.dataFrame.mapEachPointRow((row) => {
@@ -160,16 +316,99 @@ class GridSheet extends HTMLElement {
             });
         });
         this.dataFrame.loadFromArray(initialData);
+        this.dataFrame.enableHistory();
+        this.dataFrame.enableFormulas();
+        this.dataFrame.history.callback =
+            this.dispatchHistoryChanged.bind(this);
         this.dataFrame.callback = this.onDataChanged.bind(this);
+        this.dataFrame.errorCallback = this.onDataError.bind(this);
+        this.dataFrame.validationCallback = this.onValidationFailed.bind(this);
         this.primaryFrame = new PrimaryFrame(this.dataFrame, [0, 0]);
         this.selector = new Selector(this.primaryFrame);
         this.selector.selectionChangedCallback =
             this.dispatchSelectionChanged.bind(this);
 
+        // The commands that keys are bound to, and the
+        // bindings, which add to or override the defaults
+        // for this sheet only. See KeyHandler
+        this.commands = new CommandRegistry(CommandRegistry.defaults);
+        this.keymap = new Keymap(Keymap.defaults);
+
         // Bind instace methods
         this.onObservedResize = this.onObservedResize.bind(this);
         this.onDataChanged = this.onDataChanged.bind(this);
+        this.onDataError = this.onDataError.bind(this);
+        this.onValidationFailed = this.onValidationFailed.bind(this);
+        this.setDataSource = this.setDataSource.bind(this);
         this.onTabClick = this.onTabClick.bind(this);
+        this.onTabContextMenu = this.onTabContextMenu.bind(this);
+        this.insertRows = this.insertRows.bind(this);
+        this.deleteRows = this.deleteRows.bind(this);
+        this.insertColumns = this.insertColumns.bind(this);
+        this.deleteColumns = this.deleteColumns.bind(this);
+        this.shiftCustomSizes = this.shiftCustomSizes.bind(this);
+        this.shiftFormats = this.shiftFormats.bind(this);
+        this.insertAtSelection = this.insertAtSelection.bind(this);
+        this.deleteAtSelection = this.deleteAtSelection.bind(this);
+        this.afterStructureChanged = this.afterStructureChanged.bind(this);
+        this.moveCells = this.moveCells.bind(this);
+        this.dropFrameAt = this.dropFrameAt.bind(this);
+        this.showPreviewOutline = this.showPreviewOutline.bind(this);
+        this.hidePreviewOutline = this.hidePreviewOutline.bind(this);
+        this.fill = this.fill.bind(this);
+        this.fillDown = this.fillDown.bind(this);
+        this.fillRight = this.fillRight.bind(this);
+        this.importCSV = this.importCSV.bind(this);
+        this.exportCSV = this.exportCSV.bind(this);
+        this.setColumnLabels = this.setColumnLabels.bind(this);
+        this.setRowLabels = this.setRowLabels.bind(this);
+        this.setColumnSchema = this.setColumnSchema.bind(this);
+        this.setColumnFormat = this.setColumnFormat.bind(this);
+        this.setCellFormat = this.setCellFormat.bind(this);
+        this.setFrameFormat = this.setFrameFormat.bind(this);
+        this.afterFormatChanged = this.afterFormatChanged.bind(this);
+        this.registerRenderer = this.registerRenderer.bind(this);
+        this.registerEditor = this.registerEditor.bind(this);
+        this.setColumnRenderer = this.setColumnRenderer.bind(this);
+        this.setTypeRenderer = this.setTypeRenderer.bind(this);
+        this.setColumnEditor = this.setColumnEditor.bind(this);
+        this.setTypeEditor = this.setTypeEditor.bind(this);
+        this.addConditionalFormat = this.addConditionalFormat.bind(this);
+        this.removeConditionalFormat = this.removeConditionalFormat.bind(this);
+        this.importConditionalFormats =
+            this.importConditionalFormats.bind(this);
+        this.exportConditionalFormats =
+            this.exportConditionalFormats.bind(this);
+        this.find = this.find.bind(this);
+        this.findNext = this.findNext.bind(this);
+        this.findPrevious = this.findPrevious.bind(this);
+        this.replace = this.replace.bind(this);
+        this.replaceAll = this.replaceAll.bind(this);
+        this.clearFind = this.clearFind.bind(this);
+        this.afterFindChanged = this.afterFindChanged.bind(this);
+        this.openFindBar = this.openFindBar.bind(this);
+        this.registerCommand = this.registerCommand.bind(this);
+        this.runCommand = this.runCommand.bind(this);
+        this.loadKeyBindings = this.loadKeyBindings.bind(this);
+        this.getBindings = this.getBindings.bind(this);
+        this.columnLabelFor = this.columnLabelFor.bind(this);
+        this.rowLabelFor = this.rowLabelFor.bind(this);
+        this.labelFor = this.labelFor.bind(this);
+        this.rangeLabelFor = this.rangeLabelFor.bind(this);
+        this.setNamedRange = this.setNamedRange.bind(this);
+        this.removeNamedRange = this.removeNamedRange.bind(this);
+        this.nameFor = this.nameFor.bind(this);
+        this.updateTabLabels = this.updateTabLabels.bind(this);
+        this.sortBy = this.sortBy.bind(this);
+        this.clearSort = this.clearSort.bind(this);
+        this.toggleSortByColumn = this.toggleSortByColumn.bind(this);
+        this.afterSortChanged = this.afterSortChanged.bind(this);
+        this.updateSortIndicators = this.updateSortIndicators.bind(this);
+        this.setFilter = this.setFilter.bind(this);
+        this.clearFilter = this.clearFilter.bind(this);
+        this.clearFilters = this.clearFilters.bind(this);
+        this.afterFilterChanged = this.afterFilterChanged.bind(this);
+        this.updateFilterIndicators = this.updateFilterIndicators.bind(this);
         this.render = this.render.bind(this);
         this.renderGridTemplate = this.renderGridTemplate.bind(this);
         this.renderRowTabs = this.renderRowTabs.bind(this);
@@ -177,12 +416,23 @@ class GridSheet extends HTMLElement {
         this.dispatchSelectionChanged =
             this.dispatchSelectionChanged.bind(this);
         this.dispatchViewShifted = this.dispatchViewShifted.bind(this);
+        this.dispatchHistoryChanged = this.dispatchHistoryChanged.bind(this);
         this.updateLockedRows = this.updateLockedRows.bind(this);
         this.updateLockedColumns = this.updateLockedColumns.bind(this);
         this.trackSelectionWithRowTabs =
             this.trackSelectionWithRowTabs.bind(this);
         this.trackSelectionWithColumnTabs =
             this.trackSelectionWithColumnTabs.bind(this);
+        this.updateOtherSelections = this.updateOtherSelections.bind(this);
+        this.updateSelectionElements = this.updateSelectionElements.bind(this);
+        this.updateScrollbars = this.updateScrollbars.bind(this);
+        this.scrollViewBy = this.scrollViewBy.bind(this);
+        this.setScrollOffset = this.setScrollOffset.bind(this);
+        this.updateEditBar = this.updateEditBar.bind(this);
+        this.startEditBarEditing = this.startEditBarEditing.bind(this);
+        this.commitEditBar = this.commitEditBar.bind(this);
+        this.cancelEditBar = this.cancelEditBar.bind(this);
+        this.fitEditArea = this.fitEditArea.bind(this);
 
         // Bind event handlers
         this.handleSelectionChanged = this.handleSelectionChanged.bind(this);
@@ -190,7 +440,23 @@ class GridSheet extends HTMLElement {
         this.handleColumnAdjustment = this.handleColumnAdjustment.bind(this);
         this.handleRowAdjustment = this.handleRowAdjustment.bind(this);
         this.handleCellEdited = this.handleCellEdited.bind(this);
+        this.handleCellEditFinished = this.handleCellEditFinished.bind(this);
+        this.handleCellEditing = this.handleCellEditing.bind(this);
+        this.handleEditBarKeyDown = this.handleEditBarKeyDown.bind(this);
+        this.handleEditBarInput = this.handleEditBarInput.bind(this);
+        this.handleEditBarBlur = this.handleEditBarBlur.bind(this);
+        this.handleSheetScroll = this.handleSheetScroll.bind(this);
+        this.handleColumnSort = this.handleColumnSort.bind(this);
+        this.handleColumnFilter = this.handleColumnFilter.bind(this);
+        this.handleFilterApply = this.handleFilterApply.bind(this);
+        this.handlePasteSpecial = this.handlePasteSpecial.bind(this);
+        this.handlePasteSpecialApply = this.handlePasteSpecialApply.bind(this);
+        this.handleFindRequest = this.handleFindRequest.bind(this);
+        this.handleFindClose = this.handleFindClose.bind(this);
         this.handleDataFrameResized = this.handleDataFrameResized.bind(this);
+        this.handleDragOver = this.handleDragOver.bind(this);
+        this.handleDragLeave = this.handleDragLeave.bind(this);
+        this.handleDrop = this.handleDrop.bind(this);
     }
 
     connectedCallback() {
@@ -220,7 +486,7 @@ class GridSheet extends HTMLElement {
             this.keyHandler.connect();
 
             // Attach ClipboardHandler to handle
-            // copy and paste
+            // copy, cut and paste
             this.clipboardHandler = new ClipboardHandler(this);
             this.clipboardHandler.connect();
 
@@ -233,6 +499,36 @@ class GridSheet extends HTMLElement {
         this.addEventListener("selection-changed", this.handleSelectionChanged);
         this.addEventListener("sheet-view-shifted", this.handleViewShift);
         this.addEventListener("cell-edited", this.handleCellEdited);
+        this.addEventListener(
+            "cell-edit-finished",
+            this.handleCellEditFinished
+        );
+        this.addEventListener("cell-editing", this.handleCellEditing);
+        this.addEventListener("sheet-scroll", this.handleSheetScroll);
+        this.addEventListener("dragover", this.handleDragOver);
+        this.addEventListener("dragleave", this.handleDragLeave);
+        this.addEventListener("drop", this.handleDrop);
+        this.addEventListener(
+            "clipboard-paste-special",
+            this.handlePasteSpecial
+        );
+        this.shadowRoot
+            .getElementById("filter-menu")
+            .addEventListener("filter-apply", this.handleFilterApply);
+        this.shadowRoot
+            .getElementById("paste-special-menu")
+            .addEventListener(
+                "paste-special-apply",
+                this.handlePasteSpecialApply
+            );
+        let findBar = this.shadowRoot.getElementById("find-bar");
+        findBar.addEventListener("find-request", this.handleFindRequest);
+        findBar.addEventListener("find-close", this.handleFindClose);
+        let editArea = this.shadowRoot.getElementById("edit-area");
+        editArea.addEventListener("focus", this.startEditBarEditing);
+        editArea.addEventListener("keydown", this.handleEditBarKeyDown);
+        editArea.addEventListener("input", this.handleEditBarInput);
+        editArea.addEventListener("blur", this.handleEditBarBlur);
     }
 
     disconnectedCallback() {
@@ -246,6 +542,40 @@ class GridSheet extends HTMLElement {
         );
         this.removeEventListener("sheet-view-shifted", this.handleViewShift);
         this.removeEventListener("cell-edited", this.handleCellEdited);
+        this.removeEventListener(
+            "cell-edit-finished",
+            this.handleCellEditFinished
+        );
+        this.removeEventListener("cell-editing", this.handleCellEditing);
+        this.removeEventListener("sheet-scroll", this.handleSheetScroll);
+        this.removeEventListener("dragover", this.handleDragOver);
+        this.removeEventListener("dragleave", this.handleDragLeave);
+        this.removeEventListener("drop", this.handleDrop);
+        this.removeEventListener(
+            "clipboard-paste-special",
+            this.handlePasteSpecial
+        );
+        this.shadowRoot
+            .getElementById("filter-menu")
+            .removeEventListener("filter-apply", this.handleFilterApply);
+        this.shadowRoot
+            .getElementById("paste-special-menu")
+            .removeEventListener(
+                "paste-special-apply",
+                this.handlePasteSpecialApply
+            );
+        let findBar = this.shadowRoot.getElementById("find-bar");
+        findBar.removeEventListener("find-request", this.handleFindRequest);
+        findBar.removeEventListener("find-close", this.handleFindClose);
+        let editArea = this.shadowRoot.getElementById("edit-area");
+        editArea.removeEventListener("focus", this.startEditBarEditing);
+        editArea.removeEventListener("keydown", this.handleEditBarKeyDown);
+        editArea.removeEventListener("input", this.handleEditBarInput);
+        editArea.removeEventListener("blur", this.handleEditBarBlur);
+
+        // Let anything linked to this sheet,
+        // like Conduits, know that it is gone
+        this.dispatchEvent(new CustomEvent("sheet-disconnected"));
     }
 
     attributeChangedCallback(name, oldVal, newVal) {
@@ -263,16 +593,27 @@ class GridSheet extends HTMLElement {
         } else if (name == "lockedcolumns") {
             this.numLockedColumns = parseInt(newVal);
             this.updateLockedColumns();
+        } else if (name == "columnlabels") {
+            this.setColumnLabels(newVal);
+        } else if (name == "rowlabels") {
+            this.setRowLabels(newVal);
         }
     }
 
-    onDataChanged(frame, wasResized = false) {
-        if (frame.isPoint) {
-            frame = new Frame(frame, frame);
+    onDataChanged(frame, wasResized = false, dependentFrames = []) {
+        // Conditional formats compare values to
+        // the others in their frames, which may
+        // have changed
+        this.primaryFrame.conditionalFormats.invalidate();
+        if (frame.isPoint || Array.isArray(frame)) {
+            let point = new Point(frame);
+            frame = new Frame(point, point);
         }
         let event = new CustomEvent("data-updated", {
             detail: {
-                frames: [frame],
+                // Formulas that depend on the changed
+                // values are updated too
+                frames: [frame, ...dependentFrames],
                 wasResized,
             },
         });
@@ -285,7 +626,64 @@ class GridSheet extends HTMLElement {
             this.dispatchEvent(resizeEvent);
         }
         this.dispatchEvent(event);
-        this.primaryFrame.updateCellContents();
+        if (wasResized) {
+            // Rows may have been added or removed, so
+            // a sorted or filtered view has to be
+            // sorted and filtered again
+            if (this.rowView.isReordered) {
+                this.rowView.refresh();
+            }
+
+            // The view may now extend past the data
+            this.primaryFrame.fitToDataFrame();
+        }
+        this.primaryFrame.requestUpdate();
+
+        // The value at the cursor may have changed,
+        // and so may the rows and columns to scroll
+        if (this.isConnected) {
+            this.updateEditBar();
+            this.updateScrollbars();
+        }
+    }
+
+    onDataError(error, frame) {
+        let event = new CustomEvent("data-error", {
+            detail: {
+                error,
+                frame,
+            },
+        });
+        this.dispatchEvent(event);
+    }
+
+    /**
+     * Dispatch the values that failed the column
+     * schema of my dataFrame when they were edited,
+     * pasted or imported, each with its data-relative
+     * `location`, `value`, `error` and whether it
+     * `isRejected`. See DataFrame.parseArray
+     */
+    onValidationFailed(failures) {
+        let event = new CustomEvent("cell-validation-failed", {
+            detail: {
+                failures,
+            },
+        });
+        this.dispatchEvent(event);
+    }
+
+    /**
+     * Back this sheet with the given DataSource.
+     * Any current data is discarded, and values are
+     * loaded lazily as the view shifts over them.
+     * @param {DataSource} aDataSource - The source
+     * of the sheet's values
+     * @returns {Promise} - A Promise that resolves once
+     * the dataFrame has been resized to the source's size
+     */
+    setDataSource(aDataSource) {
+        return this.dataFrame.setDataSource(aDataSource);
     }
 
     onObservedResize(info) {
@@ -312,6 +710,9 @@ class GridSheet extends HTMLElement {
     }
 
     updateLockedRows() {
+        // Locked rows stay pinned in a
+        // sorted or filtered view
+        this.rowView.pinRows(this.numLockedRows);
         this.render();
         let element = this.shadowRoot.querySelector("locked-rows");
         if (element) {
@@ -334,36 +735,40 @@ class GridSheet extends HTMLElement {
         }
     }
 
+    /**
+     * Bring my cells and tabs in line with my current
+     * number of rows and columns. Existing cell and tab
+     * elements are reused, so only those for added rows
+     * or columns are created.
+     */
     render() {
-        this.innerHTML = "";
+        let newCorner = new Point([this.numColumns - 1, this.numRows - 1]);
+        let { removed } = this.primaryFrame.resizeTo(newCorner);
+        removed.forEach((element) => {
+            element.remove();
+        });
+        let detached = this.primaryFrame.elements.filter((element) => {
+            return element.parentElement !== this;
+        });
+        this.append(...detached);
+        this.primaryFrame.lockRows(this.numLockedRows);
+        this.primaryFrame.lockColumns(this.numLockedColumns);
+        this.primaryFrame.afterChange = this.dispatchViewShifted.bind(this);
+        this.primaryFrame.fitToDataFrame();
         if (this.showRowTabs) {
             this.renderRowTabs();
         }
         if (this.showColumnTabs) {
             this.renderColumnTabs();
         }
-        let newCorner = new Point([this.numColumns - 1, this.numRows - 1]);
-        this.primaryFrame = new PrimaryFrame(this.dataFrame, newCorner);
-        this.primaryFrame.initialBuild();
-        this.primaryFrame.labelElements();
-        this.append(...this.primaryFrame.elements);
-        this.primaryFrame.lockRows(this.numLockedRows);
-        this.primaryFrame.lockColumns(this.numLockedColumns);
-        this.primaryFrame.afterChange = this.dispatchViewShifted.bind(this);
-        this.selector.primaryFrame = this.primaryFrame;
-        this.renderGridTemplate();
 
-        // This is HACKY.
-        // Issue: the elements have not yet finished appending
-        // themselves to this GridSheet element by the time
-        // updateCellContents() gets called, so it cannot find
-        // elements!
-        if (this.primaryFrame.elements.length == 0) {
-            setTimeout(() => {
-                this.primaryFrame.updateCellContents();
-            }, 60);
-        } else {
-            this.primaryFrame.updateCellContents();
+        // The grid template is computed from the
+        // cells' data-relative values, so we update
+        // them right away
+        this.primaryFrame.updateCellContents();
+        this.renderGridTemplate();
+        if (this.isConnected) {
+            this.updateScrollbars();
         }
     }
 
@@ -415,61 +820,86 @@ class GridSheet extends HTMLElement {
     }
 
     renderRowTabs() {
-        Array.from(this.shadowRoot.querySelectorAll("row-tab")).forEach(
-            (tab) => {
-                tab.remove();
-            }
-        );
+        let tabs = Array.from(this.shadowRoot.querySelectorAll("row-tab"));
+        tabs.slice(this.numRows).forEach((tab) => {
+            tab.remove();
+        });
         for (let i = 0; i < this.numRows; i++) {
-            let tab = document.createElement("row-tab");
-            tab.style.gridColumn = `rtab-start / span 1`;
-            tab.style.gridRow = `cell-row-start ${i + 1} / span 1`;
-            this.shadowRoot.append(tab);
-            tab.setAttribute("data-y", i);
-            tab.setAttribute("data-relative-y", i);
+            let tab = tabs[i];
+            if (!tab) {
+                tab = document.createElement("row-tab");
+                tab.style.gridColumn = `rtab-start / span 1`;
+                tab.style.gridRow = `cell-row-start ${i + 1} / span 1`;
+                this.shadowRoot.append(tab);
+                tab.setAttribute("data-y", i);
+                tab.labeler = this.rowLabelFor;
+                tab.addEventListener("click", this.onTabClick.bind(this));
+                tab.addEventListener("contextmenu", this.onTabContextMenu);
+
+                // Add event listener for row adjustment
+                tab.addEventListener(
+                    "row-adjustment",
+                    this.handleRowAdjustment
+                );
+            }
 
             // Mark any tabs appearing in a locked row
-            // as locked
+            // as locked. Other tabs follow the view
             if (i < this.numLockedRows) {
                 tab.setAttribute("locked", true);
+                tab.setAttribute("data-relative-y", i);
+            } else {
+                tab.removeAttribute("locked");
+                tab.setAttribute(
+                    "data-relative-y",
+                    this.primaryFrame.dataOffset.y + i
+                );
             }
-            tab.addEventListener("click", this.onTabClick.bind(this));
-
-            // Add event listener for row adjustment
-            tab.addEventListener("row-adjustment", this.handleRowAdjustment);
         }
     }
 
     renderColumnTabs() {
-        Array.from(this.shadowRoot.querySelectorAll("column-tab")).forEach(
-            (tab) => {
-                tab.remove();
-            }
-        );
-        let previousNode = this.shadowRoot.querySelector("slot");
+        let tabs = Array.from(this.shadowRoot.querySelectorAll("column-tab"));
+        tabs.slice(this.numColumns).forEach((tab) => {
+            tab.remove();
+        });
+        let slot = this.shadowRoot.querySelector("slot");
         for (let i = 0; i < this.numColumns; i++) {
-            let tab = document.createElement("column-tab");
-            tab.style.gridRow = "ctab-start / span 1";
-            tab.style.gridColumn = `cell-col-start ${i + 1} / span 1`;
-            this.shadowRoot.insertBefore(tab, previousNode);
-            previousNode = tab;
-            tab.setAttribute("data-x", i);
-            tab.setAttribute("data-relative-x", i);
+            let tab = tabs[i];
+            if (!tab) {
+                tab = document.createElement("column-tab");
+                tab.style.gridRow = "ctab-start / span 1";
+                tab.style.gridColumn = `cell-col-start ${i + 1} / span 1`;
+                this.shadowRoot.insertBefore(tab, slot);
+                tab.setAttribute("data-x", i);
+                tab.labeler = this.columnLabelFor;
+                tab.addEventListener("click", this.onTabClick.bind(this));
+                tab.addEventListener("contextmenu", this.onTabContextMenu);
+
+                // Add event listener for width adjustment
+                tab.addEventListener(
+                    "column-adjustment",
+                    this.handleColumnAdjustment
+                );
+                tab.addEventListener("column-sort", this.handleColumnSort);
+                tab.addEventListener("column-filter", this.handleColumnFilter);
+            }
 
             // Mark any tabs appearing in a locked column
-            // as locked
+            // as locked. Other tabs follow the view
             if (i < this.numLockedColumns) {
                 tab.setAttribute("locked", true);
+                tab.setAttribute("data-relative-x", i);
+            } else {
+                tab.removeAttribute("locked");
+                tab.setAttribute(
+                    "data-relative-x",
+                    this.primaryFrame.dataOffset.x + i
+                );
             }
-
-            tab.addEventListener("click", this.onTabClick.bind(this));
-
-            // Add event listener for width adjustment
-            tab.addEventListener(
-                "column-adjustment",
-                this.handleColumnAdjustment
-            );
         }
+        this.updateSortIndicators();
+        this.updateFilterIndicators();
     }
 
     onTabClick(event) {
@@ -506,12 +936,13 @@ class GridSheet extends HTMLElement {
                 this.selector.cursor.x,
                 event.target.row,
             ]);
+            this.selector.scrolledCursor = null;
             this.selector.triggerCallback();
         } else if (event.target.isColumnTab && event.button === 0) {
             let colOrigin = new Point([event.target.relativeColumn, 0]);
             let colCorner = new Point([
                 event.target.relativeColumn,
-                this.dataFrame.bottom,
+                this.rowView.bottom,
             ]);
             this.selector.anchor = colCorner;
             if (event.shiftKey) {
@@ -521,7 +952,7 @@ class GridSheet extends HTMLElement {
                     // be the union frame.
                     this.selector.anchor = new Point([
                         this.selector.selectionFrame.origin.x,
-                        this.dataFrame.bottom,
+                        this.rowView.bottom,
                     ]);
                 } else if (
                     colCorner.x < this.selector.selectionFrame.origin.x
@@ -531,7 +962,7 @@ class GridSheet extends HTMLElement {
                     // of what will be the union frame.
                     this.selector.anchor = new Point([
                         this.selector.selectionFrame.corner.x,
-                        this.dataFrame.bottom,
+                        this.rowView.bottom,
                     ]);
                 }
             }
@@ -540,171 +971,1971 @@ class GridSheet extends HTMLElement {
                 event.target.column,
                 this.selector.cursor.y,
             ]);
+            this.selector.scrolledCursor = null;
             this.selector.triggerCallback();
         }
     }
 
-    dispatchSelectionChanged() {
-        let selectionEvent = new CustomEvent("selection-changed", {
-            bubbles: true,
-            composed: true,
-            detail: {
-                relativeCursor: this.selector.relativeCursor,
-                cursor: new Point(
-                    this.selector.cursor.x,
-                    this.selector.cursor.y
-                ),
-                frame: this.selector.selectionFrame,
-                data: this.selector.dataAtCursor,
-            },
-        });
-        this.dispatchEvent(selectionEvent);
+    /**
+     * Open the tab menu with options for inserting
+     * and deleting rows or columns at the clicked tab.
+     * If the tab is part of a selection of whole rows
+     * (or columns), the options apply to all of them.
+     */
+    onTabContextMenu(event) {
+        event.preventDefault();
+        let tab = event.target;
+        let selection = this.selector.selectionFrame;
+        let items;
+        if (tab.isRowTab) {
+            let at = tab.relativeRow;
+            let count = 1;
+            let isFullRows =
+                !selection.isEmpty &&
+                selection.left == this.dataFrame.left &&
+                selection.right == this.dataFrame.right;
+            if (isFullRows && selection.top <= at && at <= selection.bottom) {
+                at = selection.top;
+                count = selection.size.y;
+            }
+            let noun = count == 1 ? "row" : `${count} rows`;
+            items = [
+                {
+                    label: `Insert ${noun} above`,
+                    action: () => this.insertRows(at, count),
+                },
+                {
+                    label: `Insert ${noun} below`,
+                    action: () => this.insertRows(at + count, count),
+                },
+                {
+                    label: `Delete ${noun}`,
+                    action: () => this.deleteRows(at, count),
+                },
+            ];
+        } else {
+            let at = tab.relativeColumn;
+            let count = 1;
+            let isFullColumns =
+                !selection.isEmpty &&
+                selection.top == this.dataFrame.top &&
+                selection.bottom == this.rowView.bottom;
+            if (
+                isFullColumns &&
+                selection.left <= at &&
+                at <= selection.right
+            ) {
+                at = selection.left;
+                count = selection.size.x;
+            }
+            let noun = count == 1 ? "column" : `${count} columns`;
+            items = [
+                {
+                    label: `Insert ${noun} left`,
+                    action: () => this.insertColumns(at, count),
+                },
+                {
+                    label: `Insert ${noun} right`,
+                    action: () => this.insertColumns(at + count, count),
+                },
+                {
+                    label: `Delete ${noun}`,
+                    action: () => this.deleteColumns(at, count),
+                },
+            ];
+        }
+        let menu = this.shadowRoot.getElementById("tab-menu");
+        menu.open(items, event.clientX, event.clientY);
     }
 
-    dispatchViewShifted() {
-        let viewShiftEvent = new CustomEvent("sheet-view-shifted", {
-            detail: {
-                view: this.primaryFrame.viewFrame,
-                lockedColumns: this.primaryFrame.lockedColumnsFrame,
-                lockedRows: this.primaryFrame.lockedRowsFrame,
-                relativeView: this.primaryFrame.relativeViewFrame,
-                relativeLockedColumns:
-                    this.primaryFrame.relativeLockedColumnsFrame,
-                relativeLockedRows: this.primaryFrame.relativeLockedRowsFrame,
-                cursor: new Point([
-                    this.selector.cursor.x,
-                    this.selector.cursor.y,
-                ]),
-                relativeCursor: this.selector.relativeCursor,
-            },
+    /**
+     * Insert empty rows into the dataFrame before
+     * the given data-relative row index, moving any
+     * custom row sizes and cell formats along with
+     * the data.
+     * Note that row indices are rows of the view, which
+     * only differ from rows of the data when the rows
+     * have been reordered, for example by sorting
+     * or filtering.
+     * @param {number} at - The data-relative row index
+     * @param {number} count - The number of rows to insert
+     */
+    insertRows(at, count = 1) {
+        this.dataFrame.transact(() => {
+            let row = this.rowView.dataRowAt(at);
+            this.dataFrame.insertRows(row, count);
+            this.shiftFormats(1, row, count);
+            this.shiftCustomSizes(1, at, count);
         });
-        this.dispatchEvent(viewShiftEvent);
+        this.afterStructureChanged();
     }
 
-    handleViewShift(event) {
-        // Update row tabs, if we are showing them
-        if (this.showRowTabs) {
-            Array.from(this.shadowRoot.querySelectorAll("row-tab")).forEach(
-                (tabElement) => {
-                    let isInLockedRow =
-                        tabElement.getAttribute("locked") === "true";
-                    if (!isInLockedRow) {
-                        tabElement.setAttribute(
-                            "data-relative-y",
-                            this.primaryFrame.dataOffset.y + tabElement.row
-                        );
-                    }
-                }
-            );
+    /**
+     * Delete rows from the dataFrame starting at the
+     * given data-relative row index, moving any custom
+     * row sizes and cell formats along with the data.
+     * A dataFrame keeps at least one row, so deleting
+     * every row clears their values instead.
+     * See insertRows about row indices.
+     * @param {number} at - The data-relative row index
+     * @param {number} count - The number of rows to delete
+     */
+    deleteRows(at, count = 1) {
+        if (count >= this.dataFrame.size.y) {
+            this.dataFrame.clear();
+            this.afterStructureChanged();
+            return;
         }
-
-        // Update column tabs, if we are showing them
-        if (this.showColumnTabs) {
-            Array.from(this.shadowRoot.querySelectorAll("column-tab")).forEach(
-                (colElement) => {
-                    let inLockedColumn =
-                        colElement.getAttribute("locked") === "true";
-                    if (!inLockedColumn) {
-                        colElement.setAttribute(
-                            "data-relative-x",
-                            this.primaryFrame.dataOffset.x + colElement.column
-                        );
-                    }
+        this.dataFrame.transact(() => {
+            if (this.rowView.isReordered) {
+                // The rows shown need not be next to each
+                // other in the data, so we delete them one
+                // by one, starting from the bottom
+                let rows = [];
+                for (let y = at; y < at + count; y++) {
+                    rows.push(this.rowView.dataRowAt(y));
                 }
-            );
-        }
+                rows.sort((a, b) => b - a);
+                rows.forEach((row) => {
+                    this.dataFrame.deleteRows(row, 1);
+                    this.shiftFormats(1, row, -1);
+                });
+            } else {
+                this.dataFrame.deleteRows(at, count);
+                this.shiftFormats(1, at, -count);
+            }
+            this.shiftCustomSizes(1, at, -count);
+        });
+        this.afterStructureChanged();
+    }
 
-        // Update the grid template
-        this.renderGridTemplate();
+    /**
+     * Insert empty columns into the dataFrame before
+     * the given data-relative column index, moving any
+     * custom column sizes, formats and column plugins
+     * along with the data.
+     * @param {number} at - The data-relative column index
+     * @param {number} count - The number of columns to insert
+     */
+    insertColumns(at, count = 1) {
+        this.dataFrame.transact(() => {
+            this.dataFrame.insertColumns(at, count);
+            this.shiftFormats(0, at, count);
+            this.shiftCustomSizes(0, at, count);
+        });
+        this.afterStructureChanged();
     }
 
-    handleSelectionChanged(event) {
-        let infoArea = this.shadowRoot.getElementById("info-area");
-        let editArea = this.shadowRoot.getElementById("edit-area");
-        if (this.selector.selectionFrame.isEmpty) {
-            // In this case, the cursor is the lone selection.
-            // update the info area to demonstrate that.
-            infoArea.querySelector("span:first-child").innerText = "Cursor";
-            editArea.value = this.dataFrame.getAt(this.selector.relativeCursor);
-        } else {
-            // Otherwise, we have selected multiple cells.
-            // Display information about the bounds of the
-            // selection and how many cells it contains
-            let from = `(${this.selector.selectionFrame.origin.x}, ${this.selector.selectionFrame.origin.y})`;
-            let to = `(${this.selector.selectionFrame.corner.x}, ${this.selector.selectionFrame.corner.y})`;
-            let text = `from: ${from} to: ${to} (${this.selector.selectionFrame.area} total cells)`;
-            infoArea.querySelector("span:first-child").innerText = "Selection";
-            editArea.value = text;
+    /**
+     * Delete columns from the dataFrame starting at the
+     * given data-relative column index, moving any custom
+     * column sizes, formats and column plugins along
+     * with the data. As with deleteRows, deleting every
+     * column clears their values instead.
+     * @param {number} at - The data-relative column index
+     * @param {number} count - The number of columns to delete
+     */
+    deleteColumns(at, count = 1) {
+        if (count >= this.dataFrame.size.x) {
+            this.dataFrame.clear();
+            this.afterStructureChanged();
+            return;
         }
+        this.dataFrame.transact(() => {
+            this.dataFrame.deleteColumns(at, count);
+            this.shiftFormats(0, at, -count);
+            this.shiftCustomSizes(0, at, -count);
+        });
+        this.afterStructureChanged();
+    }
 
-        // Update cursor
-        let cursorElement = this.shadowRoot.getElementById("cursor");
-        cursorElement.setAttribute("x", this.selector.cursor.x);
-        cursorElement.setAttribute("y", this.selector.cursor.y);
-        cursorElement.setAttribute(
-            "relative-x",
-            this.selector.relativeCursor.x
+    /**
+     * Move the custom column (axis 0) or row (axis 1)
+     * sizes at or past the given index by count, dropping
+     * those of deleted columns or rows. This is recorded
+     * in the history of my dataFrame, so that undoing an
+     * insertion or deletion puts the sizes back.
+     * See shiftSizes
+     * @param {number} axis - 0 for columns, 1 for rows
+     * @param {number} at - The index where the shift begins
+     * @param {number} count - The number to shift by.
+     * Negative values delete.
+     */
+    shiftCustomSizes(axis, at, count) {
+        let name = axis === 0 ? "customColumns" : "customRows";
+        this.dataFrame.recordState(
+            () => this[name],
+            (sizes) => {
+                this[name] = sizes;
+                this.renderGridTemplate();
+            }
         );
-        cursorElement.setAttribute(
-            "relative-y",
-            this.selector.relativeCursor.y
+        this[name] = shiftSizes(this[name], at, count);
+    }
+
+    /**
+     * Move the display formats (see CellFormats) of the
+     * columns (axis 0) or rows (axis 1) at or past the
+     * given data-relative index by count, and when
+     * shifting columns, the plugins used by them (see
+     * CellPlugins). Like shiftCustomSizes, this is
+     * recorded in the history of my dataFrame. The column
+     * schema is shifted by the dataFrame itself.
+     * @param {number} axis - 0 for columns, 1 for rows
+     * @param {number} at - The data-relative index
+     * where the shift begins
+     * @param {number} count - The number to shift by.
+     * Negative values delete.
+     */
+    shiftFormats(axis, at, count) {
+        let { formats, plugins } = this.primaryFrame;
+        this.dataFrame.recordState(
+            () => {
+                return {
+                    columns: formats.columns,
+                    cells: formats.cells,
+                    frames: formats.frames,
+                    uses: plugins.uses,
+                };
+            },
+            (state) => {
+                formats.columns = state.columns;
+                formats.cells = state.cells;
+                formats.frames = state.frames;
+                plugins.uses = state.uses;
+            }
         );
+        formats.shift(axis, at, count);
+        if (axis === 0) {
+            plugins.shiftColumns(at, count);
+        }
+    }
 
-        // Update the selection view element
-        let sel = this.shadowRoot.getElementById("main-selection");
-        if (this.selector.selectionFrame.isEmpty) {
-            sel.hide();
+    /**
+     * Insert as many columns as are selected before the
+     * selection when whole columns are selected. Otherwise
+     * insert as many rows as are selected (or one row at the
+     * cursor) before the selection.
+     */
+    insertAtSelection() {
+        let selection = this.selector.selectionFrame;
+        if (selection.isEmpty) {
+            this.insertRows(this.selector.relativeCursor.y, 1);
+        } else if (
+            selection.top == this.dataFrame.top &&
+            selection.bottom == this.rowView.bottom
+        ) {
+            this.insertColumns(selection.left, selection.size.x);
         } else {
-            sel.show();
-            sel.updateFromRelativeFrame(event.detail.frame);
-            sel.updateFromViewFrame(this.selector.absoluteSelectionFrame);
+            this.insertRows(selection.top, selection.size.y);
         }
+    }
 
-        // Set any row or column tabs to highlight whether they
-        // correspond to the selection or the cursor's y or x
-        // locations, respectively
-        this.trackSelectionWithRowTabs();
-        this.trackSelectionWithColumnTabs();
+    /**
+     * Delete the selected columns when whole columns are
+     * selected. Otherwise delete the selected rows (or the
+     * row at the cursor).
+     */
+    deleteAtSelection() {
+        let selection = this.selector.selectionFrame;
+        if (selection.isEmpty) {
+            this.deleteRows(this.selector.relativeCursor.y, 1);
+        } else if (
+            selection.top == this.dataFrame.top &&
+            selection.bottom == this.rowView.bottom
+        ) {
+            this.deleteColumns(selection.left, selection.size.x);
+        } else {
+            this.deleteRows(selection.top, selection.size.y);
+        }
     }
 
-    handleColumnAdjustment(event) {
-        this.customColumns[event.target.column] = event.detail.newWidth;
+    /**
+     * After rows or columns are inserted or deleted
+     * the selection may no longer make sense, so we
+     * collapse it to the cursor and redraw the grid.
+     */
+    afterStructureChanged() {
+        this.selector.selectionFrame.isEmpty = true;
+        this.selector.anchor = this.selector.relativeCursor;
         this.renderGridTemplate();
+        this.selector.triggerCallback();
     }
 
-    handleRowAdjustment(event) {
-        this.customRows[event.target.row] = event.detail.newHeight;
-        this.renderGridTemplate();
+    /**
+     * Move (or copy) the values shown within a Frame of
+     * the given sheet so that they are shown starting at
+     * the given origin of mine, then select them. Moves
+     * within a sheet are a single undoable change.
+     * @param {GridSheet} sourceSheet - The sheet the
+     * values come from, which can be me
+     * @param {Frame} aFrame - A view-relative Frame
+     * of the source sheet
+     * @param {Point|Array} toOrigin - A view-relative
+     * origin of mine
+     * @param {boolean} copy - If true, the values are
+     * left where they were
+     * @returns {Frame} - The view-relative Frame the
+     * values are now shown in
+     */
+    moveCells(sourceSheet, aFrame, toOrigin, copy = false) {
+        toOrigin = new Point(toOrigin);
+        let frame;
+        if (sourceSheet === this && !copy) {
+            frame = this.rowView.moveFrame(aFrame, toOrigin);
+        } else {
+            let data = sourceSheet.rowView.getDataArrayForFrame(aFrame);
+            if (!copy) {
+                sourceSheet.rowView.clearFrame(aFrame);
+                sourceSheet.primaryFrame.updateCellContents();
+            }
+            if (data.length) {
+                this.rowView.loadFromArray(data, toOrigin);
+            }
+            frame = new Frame(toOrigin, [
+                toOrigin.x + aFrame.size.x - 1,
+                toOrigin.y + Math.max(data.length, 1) - 1,
+            ]);
+        }
+        this.selector.anchor = frame.origin;
+        this.selector.selectFromAnchorTo(frame.corner);
+        this.primaryFrame.updateCellContents();
+        this.selector.triggerCallback();
+        return frame;
     }
 
-    handleCellEdited(event) {
-        this.dataFrame.putAt(
-            event.detail.relativeCoordinate,
-            event.detail.content
+    /**
+     * Fill the cells of the given target Frame that are
+     * outside of the given source Frame by continuing the
+     * values of the source as series (see FillSeries),
+     * then select the target. This is a single undoable
+     * change.
+     * @param {Frame} source - A view-relative Frame
+     * @param {Frame} target - The source Frame extended
+     * down, up, right or left
+     * @returns {Frame|null} - The view-relative Frame of
+     * the cells filled, if any
+     */
+    fill(source, target) {
+        let data = this.rowView.getDataArrayForFrame(source);
+        let filled = data.length ? fillData(data, source, target) : null;
+        if (!filled) {
+            return null;
+        }
+        this.rowView.loadFromArray(filled.data, filled.frame.origin);
+        this.selector.anchor = new Point(target.origin);
+        this.selector.selectFromAnchorTo(target.corner);
+        this.primaryFrame.updateCellContents();
+        this.selector.triggerCallback();
+        return filled.frame;
+    }
+
+    /**
+     * Copy the top row of the selection into the rest
+     * of it or, if it has a single row, the row above
+     * it into it. The cell at the cursor counts as the
+     * selection when there is none.
+     */
+    fillDown() {
+        let frame = this.selectedFrame;
+        let sourceRow = frame.size.y > 1 ? frame.top : frame.top - 1;
+        if (sourceRow < 0) {
+            return;
+        }
+        let source = new Frame(
+            [frame.left, sourceRow],
+            [frame.right, sourceRow]
         );
-        this.focus();
+        let row = this.rowView.getDataArrayForFrame(source)[0];
+        if (!row) {
+            return;
+        }
+        let data = [];
+        for (let y = sourceRow + 1; y <= frame.bottom; y++) {
+            data.push(row.slice());
+        }
+        this.rowView.loadFromArray(data, [frame.left, sourceRow + 1]);
+        this.primaryFrame.updateCellContents();
+        this.selector.triggerCallback();
     }
 
-    handleDataFrameResized(event) {
-        const maxRows = this.dataFrame.corner.y;
-        const maxCols = this.dataFrame.corner.x;
-        if (this.numRows > maxRows) {
-            this.setAttribute("rows", maxRows);
+    /**
+     * Copy the leftmost column of the selection into
+     * the rest of it or, if it has a single column, the
+     * column left of it into it. The cell at the cursor
+     * counts as the selection when there is none.
+     */
+    fillRight() {
+        let frame = this.selectedFrame;
+        let sourceColumn = frame.size.x > 1 ? frame.left : frame.left - 1;
+        if (sourceColumn < 0) {
+            return;
         }
-        if (this.numCols > maxCols) {
-            this.setAttribute("columns", maxCols);
+        let source = new Frame(
+            [sourceColumn, frame.top],
+            [sourceColumn, frame.bottom]
+        );
+        let data = this.rowView.getDataArrayForFrame(source).map((row) => {
+            return new Array(frame.right - sourceColumn).fill(row[0]);
+        });
+        if (!data.length) {
+            return;
         }
+        this.rowView.loadFromArray(data, [sourceColumn + 1, frame.top]);
+        this.primaryFrame.updateCellContents();
+        this.selector.triggerCallback();
     }
 
-    trackSelectionWithRowTabs() {
-        Array.from(this.shadowRoot.querySelectorAll("row-tab")).forEach(
+    /**
+     * Replace the sheet's data with the records of the
+     * given CSV text or File. Files whose names end in
+     * ".tsv" are read as tab separated values unless
+     * another delimiter is given.
+     * @param {File|Blob|String} fileOrText - The CSV data
+     * @param {Object} options - Options for parsing. See
+     * DataFrame.loadCSV
+     * @returns {Promise} - A Promise that resolves once
+     * the data has been loaded
+     */
+    importCSV(fileOrText, options = {}) {
+        if (typeof fileOrText === "string") {
+            return Promise.resolve().then(() => {
+                this.dataFrame.loadCSV(fileOrText, options);
+                this.afterStructureChanged();
+                if (options.header) {
+                    this.setColumnLabels("header");
+                }
+            });
+        }
+        let isTSV = fileOrText.name && /\.tsv$/i.test(fileOrText.name);
+        if (isTSV && !options.delimiter) {
+            options = Object.assign({}, TSV, options);
+        }
+        return fileOrText.text().then((text) => {
+            this.dataFrame.loadCSV(text, options);
+            this.afterStructureChanged();
+            if (options.header) {
+                this.setColumnLabels("header");
+            }
+        });
+    }
+
+    /**
+     * Respond with the sheet's data as CSV text.
+     * @param {Object} options - Options for writing. See
+     * DataFrame.toCSV. In addition, if `selectionOnly` is
+     * true, only the current selection (or the cell at the
+     * cursor) is written, and if a `filename` is given the
+     * text is also downloaded as a file of that name. If
+     * `header` is true, my column labels are written as
+     * the first record.
+     * @returns {String} - The CSV text
+     */
+    exportCSV(options = {}) {
+        let frame = new Frame(this.dataFrame.origin, this.dataFrame.corner);
+        if (options.selectionOnly) {
+            if (this.selector.selectionFrame.isEmpty) {
+                let cursor = this.selector.relativeCursor;
+                frame = new Frame(cursor, cursor);
+            } else {
+                frame = this.selector.selectionFrame;
+            }
+        }
+        if (options.header === true) {
+            let header = [];
+            for (let x = frame.left; x <= frame.right; x++) {
+                header.push(this.columnLabelFor(x));
+            }
+            options = Object.assign({}, options, { header });
+        }
+        let text = this.rowView.toCSV(frame, options);
+        if (options.filename) {
+            let link = document.createElement("a");
+            link.href = URL.createObjectURL(
+                new Blob([text], { type: "text/csv" })
+            );
+            link.download = options.filename;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        }
+        return text;
+    }
+
+    /**
+     * Set the labels shown in my column tabs, which
+     * are also used for CSV headers and in the info area.
+     * @param {String|Array|Function} labels - One of the
+     * styles "letters", "one-based" or "zero-based", or
+     * "header" for the header of my dataFrame. Can also be
+     * an array of labels or a callback that is given the
+     * data-relative column index and responds with a label.
+     * Columns without a label are labeled with letters.
+     */
+    setColumnLabels(labels) {
+        if (labels === "header") {
+            labels = (index) => {
+                let header = this.dataFrame.header;
+                return header ? header[index] : null;
+            };
+        }
+        this.columnLabeler = createLabeler(labels, "letters");
+        this.updateTabLabels();
+    }
+
+    /**
+     * Set the column schema by which edited, pasted
+     * and imported values are parsed and validated.
+     * Cells showing invalid values are marked as such.
+     * See ColumnSchema for the column definitions.
+     * @param {Object|Array|null} schema - Column definitions
+     * keyed by data-relative column index, or null to
+     * clear the schema
+     * @param {number} numHeaderRows - The number of rows at
+     * the top that are not validated. Defaults to the
+     * number of locked rows
+     */
+    setColumnSchema(schema, numHeaderRows = this.numLockedRows) {
+        this.dataFrame.setSchema(schema, numHeaderRows);
+    }
+
+    /**
+     * Set the display format of the given column,
+     * or clear it with null. Formats change only the
+     * text displayed, not the stored values. See
+     * CellFormats for the formats.
+     * @param {number} column - A data-relative column index
+     * @param {Function|Object|null} format - A format
+     */
+    setColumnFormat(column, format) {
+        this.primaryFrame.formats.setColumnFormat(column, format);
+        this.afterFormatChanged();
+    }
+
+    /**
+     * Set the display format of the value shown at
+     * the given location, or clear it with null.
+     * @param {Point|Array} location - A view-relative location
+     * @param {Function|Object|null} format - A format
+     */
+    setCellFormat(location, format) {
+        this.primaryFrame.formats.setCellFormat(
+            this.rowView.dataPointAt(location),
+            format
+        );
+        this.afterFormatChanged();
+    }
+
+    /**
+     * Set the display format of the values shown within
+     * the given Frame, like the selection, or clear the
+     * format set for them with null. The format stays
+     * with the values if the view is sorted differently.
+     * @param {Frame} aFrame - A view-relative Frame
+     * @param {Function|Object|null} format - A format
+     */
+    setFrameFormat(aFrame, format) {
+        this.rowView.dataFramesFor(aFrame).forEach((dataFrame) => {
+            this.primaryFrame.formats.setFrameFormat(dataFrame, format);
+        });
+        this.afterFormatChanged();
+    }
+
+    afterFormatChanged() {
+        this.primaryFrame.updateCellContents();
+        this.selector.triggerCallback();
+    }
+
+    /**
+     * Register a cell renderer by name, so that it
+     * can be used for columns or types of values.
+     * See CellPlugins for what a renderer is.
+     * @param {String} name - The name of the renderer
+     * @param {Object} renderer - The renderer
+     */
+    registerRenderer(name, renderer) {
+        this.primaryFrame.plugins.registerRenderer(name, renderer);
+    }
+
+    /**
+     * Register a cell editor by name, so that it
+     * can be used for columns or types of values.
+     * See CellPlugins for what an editor is.
+     * @param {String} name - The name of the editor
+     * @param {Object} editor - The editor
+     */
+    registerEditor(name, editor) {
+        this.primaryFrame.plugins.registerEditor(name, editor);
+    }
+
+    /**
+     * Display the values of the given column with the
+     * renderer of the given name, or as text with null.
+     * @param {number} column - A data-relative column index
+     * @param {String|null} name - A registered renderer
+     * @param {Object} options - Options for the renderer
+     */
+    setColumnRenderer(column, name, options = {}) {
+        this.primaryFrame.plugins.setColumnRenderer(column, name, options);
+        this.primaryFrame.updateCellContents();
+    }
+
+    /**
+     * Display values of the given type, like "boolean",
+     * with the renderer of the given name, or as text
+     * with null.
+     * @param {String} type - A value type. See CellPlugins
+     * @param {String|null} name - A registered renderer
+     * @param {Object} options - Options for the renderer
+     */
+    setTypeRenderer(type, name, options = {}) {
+        this.primaryFrame.plugins.setTypeRenderer(type, name, options);
+        this.primaryFrame.updateCellContents();
+    }
+
+    /**
+     * Edit the values of the given column with the
+     * editor of the given name, or with the text
+     * input with null.
+     * @param {number} column - A data-relative column index
+     * @param {String|null} name - A registered editor
+     * @param {Object} options - Options for the editor
+     */
+    setColumnEditor(column, name, options = {}) {
+        this.primaryFrame.plugins.setColumnEditor(column, name, options);
+    }
+
+    /**
+     * Edit values of the given type with the editor
+     * of the given name, or with the text input
+     * with null.
+     * @param {String} type - A value type. See CellPlugins
+     * @param {String|null} name - A registered editor
+     * @param {Object} options - Options for the editor
+     */
+    setTypeEditor(type, name, options = {}) {
+        this.primaryFrame.plugins.setTypeEditor(type, name, options);
+    }
+
+    /**
+     * Register a command by name for this sheet, so
+     * that keys can be bound to it. Commands of the
+     * same name as a default one replace it.
+     * See CommandRegistry for what a command is.
+     * @param {String} name - The name, like "fill.down"
+     * @param {Function} run - The function of the sheet
+     * and event that runs the command
+     * @param {String} description - What the command does
+     */
+    registerCommand(name, run, description = "") {
+        this.commands.register(name, run, description);
+    }
+
+    /**
+     * Run the command of the given name, as
+     * though the keys bound to it were pressed.
+     * @param {String} name - The name of the command
+     * @returns {*} - What the command responds with
+     */
+    runCommand(name) {
+        return this.commands.run(name, this);
+    }
+
+    /**
+     * Bind keys to commands for this sheet only,
+     * overriding the default bindings. Binding a chord
+     * to null unbinds it. Throws, without binding
+     * anything, if a command is not registered or if a
+     * chord is bound to more than one. See Keymap
+     * @param {Object|String} bindings - An object, or
+     * its JSON text, mapping chords to command names
+     */
+    loadKeyBindings(bindings) {
+        if (typeof bindings === "string") {
+            bindings = JSON.parse(bindings);
+        }
+        Object.keys(bindings).forEach((chord) => {
+            let command = bindings[chord];
+            if (command !== null && !this.commands.has(command)) {
+                throw `${command} is not a registered command`;
+            }
+        });
+        this.keymap.load(bindings);
+    }
+
+    /**
+     * Respond with the key bindings in effect for this
+     * sheet, or those of the given command. See Keymap
+     * @param {String} command - A command name
+     * @returns {Array[Object]} - The `chord`, `command`
+     * and overridden default (`overrides`) of each
+     */
+    getBindings(command = null) {
+        return this.keymap.getBindings(command);
+    }
+
+    /**
+     * Add a conditional formatting rule, which styles
+     * the cells of its data-relative frame by their
+     * values. See ConditionalFormats for the rules.
+     * @param {Object} rule - The rule
+     * @returns {Object} - The rule as it is kept, which
+     * is what removeConditionalFormat is given
+     */
+    addConditionalFormat(rule) {
+        let added = this.primaryFrame.conditionalFormats.addRule(rule);
+        this.primaryFrame.updateCellContents();
+        return added;
+    }
+
+    removeConditionalFormat(rule) {
+        this.primaryFrame.conditionalFormats.removeRule(rule);
+        this.primaryFrame.updateCellContents();
+    }
+
+    /**
+     * Replace my conditional formatting rules with
+     * the given ones, like those saved from
+     * exportConditionalFormats.
+     * @param {Array|String} rules - A list of rules,
+     * or the JSON text of one
+     */
+    importConditionalFormats(rules) {
+        this.primaryFrame.conditionalFormats.load(rules);
+        this.primaryFrame.updateCellContents();
+    }
+
+    /**
+     * Respond with my conditional formatting
+     * rules as JSON text.
+     * @returns {String} - The JSON text
+     */
+    exportConditionalFormats() {
+        return JSON.stringify(this.primaryFrame.conditionalFormats);
+    }
+
+    /**
+     * Search my values for the given query, highlighting
+     * the cells of the matches. See Search for the options,
+     * which here can also have `inSelection` to search only
+     * within the current selection. Matches in rows that
+     * are filtered out are left out. Values that have not
+     * been loaded from my data source are only searched if
+     * the source can search them itself.
+     * @param {String} query - The text or regular expression
+     * @param {Object} options - The search options
+     * @returns {Promise} - A Promise resolving to the
+     * matches, each with a data-relative `location` and the
+     * `value` there, or rejecting if the query is invalid
+     */
+    find(query, options = {}) {
+        let frames = null;
+        if (options.inSelection && !this.selector.selectionFrame.isEmpty) {
+            frames = this.selector.dataSelectionFrames;
+        }
+        let request = {};
+        this.pendingFind = request;
+        return Promise.resolve()
+            .then(() => {
+                let searchOptions = Object.assign({}, options, { frames });
+                return findMatches(this.dataFrame, query, searchOptions);
+            })
+            .then((matches) => {
+                matches = matches.filter(({ location }) => {
+                    return this.rowView.viewPointAt(location) !== null;
+                });
+                // Only the latest search is kept
+                if (this.pendingFind === request) {
+                    this.pendingFind = null;
+                    this.findState = {
+                        query,
+                        options,
+                        matcher: matcherFor(query, options),
+                        matches,
+                    };
+                    this.afterFindChanged();
+                }
+                return matches;
+            });
+    }
+
+    /**
+     * Move the cursor onto the next match of the last
+     * search after it, in the order shown, bringing it
+     * into view. After the last match I go back to
+     * the first.
+     * @param {boolean} backwards - If true, I move to the
+     * previous match instead
+     * @returns {Point|null} - The view-relative Point
+     * moved to, or null if there are no matches
+     */
+    findNext(backwards = false) {
+        if (!this.findState) {
+            return null;
+        }
+        let direction = backwards ? -1 : 1;
+        let compare = (a, b) => {
+            return (a.y - b.y || a.x - b.x) * direction;
+        };
+        let cursor = this.selector.relativeCursor;
+        let next = null;
+        let first = null;
+        this.findState.matches.forEach(({ location }) => {
+            let point = this.rowView.viewPointAt(location);
+            if (point === null) {
+                return;
+            }
+            if (compare(point, cursor) > 0) {
+                if (next === null || compare(point, next) < 0) {
+                    next = point;
+                }
+            } else if (first === null || compare(point, first) < 0) {
+                first = point;
+            }
+        });
+        next = next || first;
+        if (next !== null) {
+            this.selector.moveCursorTo(next);
+        }
+        return next;
+    }
+
+    findPrevious() {
+        return this.findNext(true);
+    }
+
+    /**
+     * If the cursor is on a match of the last search,
+     * replace the matching parts of its value with the
+     * given replacement. Either way, I then move on to
+     * the next match.
+     * @param {String} replacement - The replacement text.
+     * See Search
+     * @returns {boolean} - Whether or not a value was replaced
+     */
+    replace(replacement) {
+        let state = this.findState;
+        if (!state) {
+            return false;
+        }
+        let location = this.selector.dataCursor;
+        let matches = currentMatches(
+            this.dataFrame,
+            state.matches.filter((match) => match.location.equals(location)),
+            state.matcher
+        );
+        replaceMatches(this.dataFrame, matches, state.matcher, replacement);
+        if (matches.length) {
+            state.matches = currentMatches(
+                this.dataFrame,
+                state.matches,
+                state.matcher
+            );
+            this.afterFindChanged();
+        }
+        this.findNext();
+        return matches.length > 0;
+    }
+
+    /**
+     * Replace the matching parts of the values of all of
+     * the matches of the last search with the given
+     * replacement, as a single undoable change that
+     * dispatches a single `data-updated` event.
+     * @param {String} replacement - The replacement text.
+     * See Search
+     * @returns {number} - The number of values replaced
+     */
+    replaceAll(replacement) {
+        let state = this.findState;
+        if (!state) {
+            return 0;
+        }
+        let matches = currentMatches(
+            this.dataFrame,
+            state.matches,
+            state.matcher
+        );
+        let count = replaceMatches(
+            this.dataFrame,
+            matches,
+            state.matcher,
+            replacement
+        );
+        state.matches = currentMatches(this.dataFrame, matches, state.matcher);
+        this.afterFindChanged();
+        return count;
+    }
+
+    /**
+     * Forget the last search and stop
+     * highlighting its matches.
+     */
+    clearFind() {
+        this.findState = null;
+        this.pendingFind = null;
+        this.afterFindChanged();
+    }
+
+    afterFindChanged() {
+        let matches = this.findState ? this.findState.matches : [];
+        this.primaryFrame.foundLocations = this.findState
+            ? new Set(
+                  matches.map(({ location }) => `${location.x},${location.y}`)
+              )
+            : null;
+        this.primaryFrame.updateCellContents();
+        let event = new CustomEvent("find-changed", {
+            detail: {
+                query: this.findState ? this.findState.query : null,
+                count: matches.length,
+            },
+        });
+        this.dispatchEvent(event);
+    }
+
+    /**
+     * Open the find bar at my top right corner.
+     */
+    openFindBar() {
+        let rect = this.getBoundingClientRect();
+        this.shadowRoot.getElementById("find-bar").open(rect.right, rect.top);
+    }
+
+    /**
+     * Set the labels shown in my row tabs. See
+     * setColumnLabels. Rows without a label are
+     * labeled with one-based numbers.
+     * @param {String|Array|Function} labels - A style
+     * name, an array of labels or a callback
+     */
+    setRowLabels(labels) {
+        this.rowLabeler = createLabeler(labels, "one-based");
+        this.updateTabLabels();
+    }
+
+    columnLabelFor(index) {
+        return this.columnLabeler(index);
+    }
+
+    /**
+     * Respond with the label of the given view row,
+     * which is that of the data row shown there. Row
+     * labels stay with their data when sorting or
+     * filtering.
+     * @param {number} index - A view row index
+     * @returns {String} - The label
+     */
+    rowLabelFor(index) {
+        return this.rowLabeler(this.rowView.dataRowAt(index));
+    }
+
+    /**
+     * Respond with the label of the cell at the given
+     * data-relative location, ie "B3" when using the
+     * default labels.
+     * @param {Point|Array} location - The location
+     * @returns {String} - The label
+     */
+    labelFor(location) {
+        let point = new Point(location);
+        let columnLabel = this.columnLabelFor(point.x);
+        let rowLabel = this.rowLabelFor(point.y);
+        if (/^[A-Z]+$/.test(columnLabel) && /^[0-9]+$/.test(rowLabel)) {
+            return `${columnLabel}${rowLabel}`;
+        }
+        return `${columnLabel} ${rowLabel}`;
+    }
+
+    /**
+     * Respond with the name of the given view-relative
+     * Frame, if it has one, or else the labels of its
+     * origin and corner, ie "B3:D5" when using the
+     * default labels. A single cell has a single label.
+     * @param {Frame} aFrame - A view-relative Frame
+     * @returns {String} - The name or label
+     */
+    rangeLabelFor(aFrame) {
+        let name = this.nameFor(aFrame);
+        if (name) {
+            return name;
+        }
+        let originLabel = this.labelFor(aFrame.origin);
+        if (aFrame.origin.equals(aFrame.corner)) {
+            return originLabel;
+        }
+        return `${originLabel}:${this.labelFor(aFrame.corner)}`;
+    }
+
+    /**
+     * Give the given data-relative Frame a name,
+     * which is shown in the info area instead of its
+     * address when it is selected. Names are like
+     * those of other spreadsheet apps, and cannot be
+     * cell addresses.
+     * @param {String} name - The name, ie "Totals"
+     * @param {Frame} aFrame - A data-relative Frame
+     */
+    setNamedRange(name, aFrame) {
+        if (!/^[A-Za-z_][A-Za-z0-9_.]*$/.test(name) || isAddress(name)) {
+            throw `${name} is not a valid name for a range`;
+        }
+        this.namedRanges[name] = aFrame.copy();
+        this.updateEditBar();
+    }
+
+    removeNamedRange(name) {
+        delete this.namedRanges[name];
+        this.updateEditBar();
+    }
+
+    /**
+     * Respond with the name of the given
+     * view-relative Frame, or null if the data
+     * it shows has not been named.
+     * @param {Frame} aFrame - A view-relative Frame
+     * @returns {String|null} - The name
+     */
+    nameFor(aFrame) {
+        let dataFrames = this.rowView.dataFramesFor(aFrame);
+        if (dataFrames.length !== 1) {
+            return null;
+        }
+        let name = Object.keys(this.namedRanges).find((name) => {
+            return this.namedRanges[name].equals(dataFrames[0]);
+        });
+        return name || null;
+    }
+
+    updateTabLabels() {
+        this.shadowRoot.querySelectorAll("row-tab").forEach((tab) => {
+            tab.updateLabel();
+        });
+        this.shadowRoot.querySelectorAll("column-tab").forEach((tab) => {
+            tab.updateLabel();
+        });
+    }
+
+    /**
+     * Reorder the rows shown by the values of the given
+     * columns, without changing my dataFrame. Locked rows
+     * stay pinned at the top. See RowView.sortBy
+     * @param {Array} keys - Sort keys, each either a
+     * data-relative column index or an object with a
+     * `column` index, an optional `descending` flag and
+     * an optional `compare` function
+     */
+    sortBy(keys) {
+        this.rowView.sortBy(keys, this.numLockedRows);
+        this.afterSortChanged();
+    }
+
+    clearSort() {
+        this.rowView.clearSort();
+        this.afterSortChanged();
+    }
+
+    /**
+     * Step the sort of the given column through ascending,
+     * descending and unsorted. If `addKey` is true, the other
+     * sort keys are kept, so the column becomes (or stays)
+     * one of several keys. Otherwise only this column is
+     * sorted by.
+     * @param {number} column - A data-relative column index
+     * @param {boolean} addKey - Whether to keep other keys
+     */
+    toggleSortByColumn(column, addKey = false) {
+        let current = this.rowView.sortKeyFor(column);
+        let keys = addKey ? this.rowView.sortKeys.slice() : [];
+        let index = keys.indexOf(current);
+        let next = null;
+        if (!current) {
+            next = { column, descending: false };
+        } else if (!current.descending) {
+            next = Object.assign({}, current, { descending: true });
+        }
+        if (index >= 0) {
+            keys.splice(index, 1, ...(next ? [next] : []));
+        } else if (next) {
+            keys.push(next);
+        }
+        this.sortBy(keys);
+    }
+
+    afterSortChanged() {
+        this.primaryFrame.updateCellContents();
+        this.updateSortIndicators();
+        this.updateTabLabels();
+        this.selector.triggerCallback();
+        let event = new CustomEvent("sort-changed", {
+            detail: {
+                keys: this.rowView.sortKeys.slice(),
+            },
+        });
+        this.dispatchEvent(event);
+    }
+
+    /**
+     * Mark each column tab with the direction
+     * its column is sorted in, if any.
+     */
+    updateSortIndicators() {
+        this.shadowRoot.querySelectorAll("column-tab").forEach((tab) => {
+            let key = this.rowView.sortKeyFor(tab.relativeColumn);
+            if (key) {
+                let direction = key.descending ? "descending" : "ascending";
+                tab.setAttribute("sorted", direction);
+            } else {
+                tab.removeAttribute("sorted");
+            }
+        });
+    }
+
+    /**
+     * Only show the rows whose value in the given column
+     * matches the given criterion, in addition to the
+     * filters on other columns, without changing my
+     * dataFrame. Locked rows are always shown.
+     * See RowView.setFilter and RowFilter
+     * @param {number} column - A data-relative column index
+     * @param {Object|Function} criterion - A criterion
+     * like `{type: "contains", text: "a"}`, or a callback.
+     * If null, the column is no longer filtered
+     */
+    setFilter(column, criterion) {
+        this.rowView.setFilter(column, criterion);
+        this.afterFilterChanged();
+    }
+
+    clearFilter(column) {
+        this.setFilter(column, null);
+    }
+
+    clearFilters() {
+        this.rowView.clearFilters();
+        this.afterFilterChanged();
+    }
+
+    /**
+     * After the rows shown change, the view and cursor
+     * may be below the last row shown, so we move them
+     * back up before redrawing and letting listeners
+     * know how many rows now match.
+     */
+    afterFilterChanged() {
+        this.primaryFrame.fitToDataFrame();
+        this.selector.fitCursorToRows();
+        this.primaryFrame.updateCellContents();
+        this.updateFilterIndicators();
+        this.updateTabLabels();
+        this.selector.triggerCallback();
+        let filters = Array.from(this.rowView.filters.values()).map(
+            ({ column, criterion }) => {
+                return { column, criterion };
+            }
+        );
+        let event = new CustomEvent("filter-changed", {
+            detail: {
+                filters,
+                count: this.rowView.numMatchingRows,
+                total: this.dataFrame.size.y - this.rowView.numPinnedRows,
+            },
+        });
+        this.dispatchEvent(event);
+    }
+
+    /**
+     * Mark each column tab whose
+     * column is filtered.
+     */
+    updateFilterIndicators() {
+        this.shadowRoot.querySelectorAll("column-tab").forEach((tab) => {
+            if (this.rowView.filters.has(tab.relativeColumn)) {
+                tab.setAttribute("filtered", true);
+            } else {
+                tab.removeAttribute("filtered");
+            }
+        });
+    }
+
+    dispatchSelectionChanged() {
+        let selectionEvent = new CustomEvent("selection-changed", {
+            bubbles: true,
+            composed: true,
+            detail: {
+                relativeCursor: this.selector.relativeCursor,
+                cursor: new Point(
+                    this.selector.cursor.x,
+                    this.selector.cursor.y
+                ),
+                frame: this.selector.selectionFrame,
+                data: this.selector.dataAtCursor,
+
+                // Where the selection is in the dataFrame,
+                // which differs from the above when rows
+                // have been reordered
+                dataCursor: this.selector.dataCursor,
+                dataFrames: this.selector.dataSelectionFrames,
+
+                // Every selected range, when several
+                // are selected with Ctrl+click
+                frames: this.selector.selectionFrames,
+            },
+        });
+        this.dispatchEvent(selectionEvent);
+    }
+
+    dispatchViewShifted() {
+        let viewShiftEvent = new CustomEvent("sheet-view-shifted", {
+            detail: {
+                view: this.primaryFrame.viewFrame,
+                lockedColumns: this.primaryFrame.lockedColumnsFrame,
+                lockedRows: this.primaryFrame.lockedRowsFrame,
+                relativeView: this.primaryFrame.relativeViewFrame,
+                relativeLockedColumns:
+                    this.primaryFrame.relativeLockedColumnsFrame,
+                relativeLockedRows: this.primaryFrame.relativeLockedRowsFrame,
+                cursor: new Point([
+                    this.selector.cursor.x,
+                    this.selector.cursor.y,
+                ]),
+                relativeCursor: this.selector.relativeCursor,
+            },
+        });
+        this.dispatchEvent(viewShiftEvent);
+    }
+
+    dispatchHistoryChanged() {
+        let history = this.dataFrame.history;
+        let historyEvent = new CustomEvent("history-changed", {
+            detail: {
+                canUndo: history.canUndo,
+                canRedo: history.canRedo,
+                undoCount: history.undoStack.length,
+                redoCount: history.redoStack.length,
+            },
+        });
+        this.dispatchEvent(historyEvent);
+    }
+
+    handleViewShift(event) {
+        // Shifting by whole cells, as moving the cursor
+        // past the edge of the view does, leaves the view
+        // at the edge of a cell. See scrollViewBy
+        if (!this.scrollOffset.equals(new Point([0, 0]))) {
+            this.setScrollOffset(new Point([0, 0]));
+        }
+
+        // Update row tabs, if we are showing them
+        if (this.showRowTabs) {
+            Array.from(this.shadowRoot.querySelectorAll("row-tab")).forEach(
+                (tabElement) => {
+                    let isInLockedRow =
+                        tabElement.getAttribute("locked") === "true";
+                    if (!isInLockedRow) {
+                        tabElement.setAttribute(
+                            "data-relative-y",
+                            this.primaryFrame.dataOffset.y + tabElement.row
+                        );
+                    }
+                }
+            );
+        }
+
+        // Update column tabs, if we are showing them
+        if (this.showColumnTabs) {
+            Array.from(this.shadowRoot.querySelectorAll("column-tab")).forEach(
+                (colElement) => {
+                    let inLockedColumn =
+                        colElement.getAttribute("locked") === "true";
+                    if (!inLockedColumn) {
+                        colElement.setAttribute(
+                            "data-relative-x",
+                            this.primaryFrame.dataOffset.x + colElement.column
+                        );
+                    }
+                }
+            );
+        }
+
+        this.updateSortIndicators();
+        this.updateFilterIndicators();
+        this.updateScrollbars();
+
+        // Update the grid template
+        this.renderGridTemplate();
+    }
+
+    handleSelectionChanged(event) {
+        this.updateEditBar();
+        this.updateSelectionElements();
+        this.updateScrollbars();
+
+        // Set any row or column tabs to highlight whether they
+        // correspond to the selection or the cursor's y or x
+        // locations, respectively
+        this.trackSelectionWithRowTabs();
+        this.trackSelectionWithColumnTabs();
+    }
+
+    /**
+     * Show the cursor and the selected ranges
+     * where they are in view. The cursor is hidden
+     * while it is scrolled out of view. See scrollViewBy
+     */
+    updateSelectionElements() {
+        let cursorElement = this.shadowRoot.getElementById("cursor");
+        cursorElement.hidden = this.selector.scrolledCursor !== null;
+        cursorElement.setAttribute("x", this.selector.cursor.x);
+        cursorElement.setAttribute("y", this.selector.cursor.y);
+        cursorElement.setAttribute(
+            "relative-x",
+            this.selector.relativeCursor.x
+        );
+        cursorElement.setAttribute(
+            "relative-y",
+            this.selector.relativeCursor.y
+        );
+
+        // Update the selection view element
+        let sel = this.shadowRoot.getElementById("main-selection");
+        if (this.selector.selectionFrame.isEmpty) {
+            sel.hide();
+        } else {
+            sel.show();
+            sel.updateFromRelativeFrame(this.selector.selectionFrame);
+            sel.updateFromViewFrame(this.selector.absoluteSelectionFrame);
+        }
+        this.updateOtherSelections();
+    }
+
+    /**
+     * Show an outline for each range selected along
+     * with the main selection, reusing the elements
+     * of those shown before.
+     */
+    updateOtherSelections() {
+        let frames = this.selector.otherFrames;
+        let elements = Array.from(
+            this.shadowRoot.querySelectorAll("sheet-selection.other-selection")
+        );
+        while (elements.length < frames.length) {
+            let element = document.createElement("sheet-selection");
+            element.classList.add("other-selection");
+            this.shadowRoot
+                .getElementById("main-selection")
+                .insertAdjacentElement("beforebegin", element);
+            elements.push(element);
+        }
+        elements.forEach((element, index) => {
+            let frame = frames[index];
+            let shown = frame ? this.selector.absoluteFrameFor(frame) : null;
+            if (!shown || shown.isEmpty) {
+                element.hide();
+            } else {
+                element.updateFromRelativeFrame(frame);
+                element.updateFromViewFrame(shown);
+                element.show();
+            }
+        });
+    }
+
+    /**
+     * Show on my scrollbars where the view is within
+     * the rows and columns there are to scroll through.
+     * Locked rows and columns are always in view, so
+     * they are not counted.
+     */
+    updateScrollbars() {
+        let primaryFrame = this.primaryFrame;
+        this.shadowRoot
+            .getElementById("vertical-scrollbar")
+            .update(
+                primaryFrame.dataOffset.y + this.scrollOffset.y,
+                primaryFrame.viewFrame.size.y,
+                this.rowView.bottom + 1 - primaryFrame.numLockedRows
+            );
+        this.shadowRoot
+            .getElementById("horizontal-scrollbar")
+            .update(
+                primaryFrame.dataOffset.x + this.scrollOffset.x,
+                primaryFrame.viewFrame.size.x,
+                this.dataFrame.right + 1 - primaryFrame.numLockedColumns
+            );
+    }
+
+    /**
+     * Scroll the view by the given numbers of columns
+     * and rows, without moving the cursor off of its cell
+     * or changing the selection. Negative numbers scroll
+     * left or up, and parts of a cell scroll by pixels:
+     * the view shifts by the whole cells scrolled past,
+     * and the cells are slid by the rest (see
+     * setScrollOffset). At the edges there is nothing
+     * further to show, so the view stops at a whole cell.
+     * See Selector.scrollBy
+     * @param {number} columns - The number of columns
+     * @param {number} rows - The number of rows
+     * @returns {boolean} - True if the view moved
+     */
+    scrollViewBy(columns, rows) {
+        let primaryFrame = this.primaryFrame;
+        let previous = new Point(primaryFrame.dataOffset);
+        let previousScroll = this.scrollOffset;
+        // Rounded, so that scrolling back by what was
+        // scrolled comes back to the edge of a cell
+        const round = (cells) => Math.round(cells * 1000) / 1000;
+        let x = round(previousScroll.x + columns);
+        let y = round(previousScroll.y + rows);
+        let wholeColumns = Math.floor(x);
+        let wholeRows = Math.floor(y);
+        if (wholeColumns || wholeRows) {
+            this.selector.scrollBy(wholeColumns, wholeRows);
+        }
+        let offset = primaryFrame.dataOffset;
+        let scrollOffset = new Point([
+            offset.x === previous.x + wholeColumns && !primaryFrame.isAtRight
+                ? x - wholeColumns
+                : 0,
+            offset.y === previous.y + wholeRows && !primaryFrame.isAtBottom
+                ? y - wholeRows
+                : 0,
+        ]);
+        let didShift = !offset.equals(previous);
+        if (!didShift && scrollOffset.equals(previousScroll)) {
+            return false;
+        }
+        this.setScrollOffset(scrollOffset);
+        if (didShift) {
+            this.updateSelectionElements();
+            this.trackSelectionWithRowTabs();
+            this.trackSelectionWithColumnTabs();
+        }
+        return true;
+    }
+
+    /**
+     * Slide the cells shown, their tabs and what is
+     * drawn over them, by the given parts of the first
+     * column and row they show, so that the view is
+     * scrolled past their edges. Locked rows and
+     * columns stay where they are, and the cells slide
+     * under them. The last cells shown end short of the
+     * edge of the view by as much. See scrollViewBy
+     * @param {Point} scrollOffset - The parts of a
+     * column (x) and row (y) to slide by
+     */
+    setScrollOffset(scrollOffset) {
+        this.scrollOffset = scrollOffset;
+        let primaryFrame = this.primaryFrame;
+        let column = primaryFrame.numLockedColumns + primaryFrame.dataOffset.x;
+        let row = primaryFrame.numLockedRows + primaryFrame.dataOffset.y;
+        let width = this.customColumns[column] || this.cellWidth;
+        let height = this.customRows[row] || this.cellHeight;
+        this.style.setProperty(
+            "--scroll-offset-x",
+            `${-Math.round(scrollOffset.x * width)}px`
+        );
+        this.style.setProperty(
+            "--scroll-offset-y",
+            `${-Math.round(scrollOffset.y * height)}px`
+        );
+        if (this.isConnected) {
+            this.updateScrollbars();
+        }
+    }
+
+    /**
+     * Show the address of each selected range, or
+     * its name, in the info area and the value at the
+     * cursor in the edit area, unless it is being edited
+     * there. Formulas are shown as they are, and other
+     * values as they are displayed in their cell.
+     */
+    updateEditBar() {
+        let infoArea = this.shadowRoot.getElementById("info-area");
+        let editArea = this.shadowRoot.getElementById("edit-area");
+        let cursor = this.selector.relativeCursor;
+        let frames = this.selector.selectionFrames;
+        if (!frames.length) {
+            frames = [new Frame(cursor, cursor)];
+        }
+        infoArea.querySelector("span:first-child").innerText = frames
+            .map(this.rangeLabelFor)
+            .join(", ");
+        if (this.editBarEdit) {
+            return;
+        }
+        let value = this.rowView.getAt(cursor);
+        if (typeof value === "string" && value.startsWith("=")) {
+            editArea.value = value;
+        } else {
+            editArea.value = this.primaryFrame.textAt(cursor);
+        }
+    }
+
+    /**
+     * Edit the value at the cursor in the edit
+     * area, which happens when it is focused. Like
+     * editing within a cell, it is the stored value
+     * that gets edited, as text. Long values and
+     * those with several lines are shown whole.
+     */
+    startEditBarEditing() {
+        if (this.editBarEdit) {
+            return;
+        }
+        let editArea = this.shadowRoot.getElementById("edit-area");
+        let relativeCoordinate = this.selector.relativeCursor;
+        let content = textFor(this.rowView.getAt(relativeCoordinate));
+        this.editBarEdit = { relativeCoordinate, originalContent: content };
+        editArea.readOnly = this.hasAttribute("read-only-view");
+        editArea.value = content;
+        editArea.classList.add("editing");
+        this.fitEditArea();
+    }
+
+    /**
+     * Stop editing in the edit area, putting what was
+     * typed in the cell that was being edited. This is
+     * done with a `cell-edited` event, just like an edit
+     * within the cell itself. See handleCellEdited
+     */
+    commitEditBar() {
+        let edit = this.editBarEdit;
+        if (!edit) {
+            return;
+        }
+        let editArea = this.shadowRoot.getElementById("edit-area");
+        this.editBarEdit = null;
+        editArea.classList.remove("editing");
+        this.fitEditArea();
+        if (editArea.value !== edit.originalContent) {
+            let editedEvent = new CustomEvent("cell-edited", {
+                detail: {
+                    relativeCoordinate: edit.relativeCoordinate,
+                    element: editArea,
+                    content: editArea.value,
+                },
+            });
+            this.dispatchEvent(editedEvent);
+        }
+        this.updateEditBar();
+    }
+
+    /**
+     * Stop editing in the edit area without
+     * changing anything, showing the value at
+     * the cursor once again.
+     */
+    cancelEditBar() {
+        if (!this.editBarEdit) {
+            return;
+        }
+        let editArea = this.shadowRoot.getElementById("edit-area");
+        this.editBarEdit = null;
+        editArea.classList.remove("editing");
+        this.fitEditArea();
+        this.updateEditBar();
+    }
+
+    /**
+     * While editing, give the edit area enough rows
+     * to show the whole value, up to a limit. It is
+     * otherwise a single line.
+     */
+    fitEditArea() {
+        let editArea = this.shadowRoot.getElementById("edit-area");
+        if (!this.editBarEdit) {
+            editArea.rows = 1;
+            return;
+        }
+        let maxRows = 8;
+        editArea.rows = Math.min(editArea.value.split("\n").length, maxRows);
+        // Long lines wrap onto more rows
+        while (
+            editArea.rows < maxRows &&
+            editArea.scrollHeight > editArea.clientHeight
+        ) {
+            editArea.rows += 1;
+        }
+    }
+
+    handleColumnAdjustment(event) {
+        // Custom sizes are keyed by data-relative index
+        // so that they follow the data around
+        this.customColumns[event.target.relativeColumn] = event.detail.newWidth;
+        this.renderGridTemplate();
+    }
+
+    handleRowAdjustment(event) {
+        this.customRows[event.target.relativeRow] = event.detail.newHeight;
+        this.renderGridTemplate();
+    }
+
+    handleColumnSort(event) {
+        this.toggleSortByColumn(
+            event.target.relativeColumn,
+            event.detail.addKey
+        );
+    }
+
+    /**
+     * Open the filter dropdown below the column
+     * tab whose filter button was clicked.
+     */
+    handleColumnFilter(event) {
+        let column = event.target.relativeColumn;
+        let menu = this.shadowRoot.getElementById("filter-menu");
+        menu.open(
+            column,
+            this.rowView.valuesIn(column),
+            this.rowView.filterFor(column),
+            event.detail.x,
+            event.detail.y
+        );
+    }
+
+    handleFilterApply(event) {
+        this.setFilter(event.detail.column, event.detail.criterion);
+        this.focus();
+    }
+
+    /**
+     * Open the paste options below the cell at the
+     * cursor. See ClipboardHandler
+     */
+    handlePasteSpecial() {
+        let cell = this.primaryFrame.elementAt(this.selector.cursor);
+        let rect = cell.getBoundingClientRect();
+        let menu = this.shadowRoot.getElementById("paste-special-menu");
+        menu.open(rect.left, rect.bottom);
+    }
+
+    handlePasteSpecialApply(event) {
+        this.clipboardHandler.pasteSpecial(event.detail.options);
+        this.focus();
+    }
+
+    /**
+     * Do what the find bar asks, searching again
+     * first if its query or options have changed.
+     * See FindBar
+     */
+    handleFindRequest(event) {
+        let { action, query, replacement, options } = event.detail;
+        let findBar = event.target;
+        if (query === "") {
+            this.clearFind();
+            findBar.showStatus("");
+            return;
+        }
+        let state = this.findState;
+        let isCurrent =
+            state !== null &&
+            state.query === query &&
+            JSON.stringify(state.options) === JSON.stringify(options);
+        let search = Promise.resolve();
+        if (action == "find" || !isCurrent) {
+            search = this.find(query, options);
+        }
+        search
+            .then(() => {
+                let status = null;
+                if (action == "next") {
+                    this.findNext();
+                } else if (action == "previous") {
+                    this.findPrevious();
+                } else if (action == "replace") {
+                    this.replace(replacement);
+                } else if (action == "replace-all") {
+                    let count = this.replaceAll(replacement);
+                    status = `Replaced ${count}`;
+                }
+                let count = this.findState ? this.findState.matches.length : 0;
+                findBar.showStatus(
+                    status || `${count} ${count == 1 ? "match" : "matches"}`
+                );
+            })
+            .catch((error) => {
+                findBar.showStatus(error.toString());
+            });
+    }
+
+    handleFindClose() {
+        this.clearFind();
+        this.focus();
+    }
+
+    handleCellEdited(event) {
+        let location = this.rowView.dataPointAt(
+            event.detail.relativeCoordinate
+        );
+        let result = this.dataFrame.parseValueAt(
+            location,
+            event.detail.content
+        );
+        if (result.error !== undefined) {
+            this.dataFrame.triggerValidationFailed([
+                {
+                    location,
+                    value: event.detail.content,
+                    error: result.error,
+                    isRejected: result.isRejected,
+                },
+            ]);
+        }
+        if (result.isRejected) {
+            // Show the value that was kept
+            this.primaryFrame.updateCellContents();
+        } else {
+            this.rowView.putAt(event.detail.relativeCoordinate, result.value);
+        }
+        this.focus();
+    }
+
+    /**
+     * When an edit is finished with Enter the cursor
+     * moves down, and with Tab it moves right, within
+     * the selection if there is one.
+     */
+    handleCellEditFinished(event) {
+        this.selector.moveWithinSelection(
+            event.detail.key == "Enter",
+            event.detail.shiftKey
+        );
+    }
+
+    /**
+     * Show what is typed into a cell in the
+     * edit area as it is typed.
+     */
+    handleCellEditing(event) {
+        if (this.editBarEdit) {
+            return;
+        }
+        if (event.detail.isEditing) {
+            let editArea = this.shadowRoot.getElementById("edit-area");
+            editArea.value = event.detail.content;
+        } else {
+            this.updateEditBar();
+        }
+    }
+
+    /**
+     * Like within a cell, Enter and Tab finish editing
+     * in the edit area and move the cursor on, and
+     * Escape cancels it. Shift+Enter and Alt+Enter
+     * start a new line.
+     */
+    handleEditBarKeyDown(event) {
+        let editArea = this.shadowRoot.getElementById("edit-area");
+        if (event.key == "Enter" && event.altKey) {
+            event.preventDefault();
+            editArea.setRangeText(
+                "\n",
+                editArea.selectionStart,
+                editArea.selectionEnd,
+                "end"
+            );
+            this.fitEditArea();
+        } else if (
+            (event.key == "Enter" && !event.shiftKey) ||
+            event.key == "Tab"
+        ) {
+            event.preventDefault();
+            event.stopPropagation();
+            this.commitEditBar();
+            this.focus();
+            let finishedEvent = new CustomEvent("cell-edit-finished", {
+                detail: {
+                    element: editArea,
+                    key: event.key,
+                    shiftKey: event.shiftKey,
+                },
+            });
+            this.dispatchEvent(finishedEvent);
+        } else if (event.key == "Escape") {
+            event.stopPropagation();
+            this.cancelEditBar();
+            this.focus();
+        }
+    }
+
+    handleEditBarInput(event) {
+        this.fitEditArea();
+    }
+
+    handleEditBarBlur(event) {
+        this.commitEditBar();
+    }
+
+    /**
+     * Scroll to the position asked for by
+     * dragging or clicking a scrollbar, which
+     * is the edge of a row or column.
+     */
+    handleSheetScroll(event) {
+        let offset = this.primaryFrame.dataOffset;
+        let position = event.detail.position;
+        if (event.detail.orientation == "vertical") {
+            this.scrollViewBy(0, position - offset.y - this.scrollOffset.y);
+        } else {
+            this.scrollViewBy(position - offset.x - this.scrollOffset.x, 0);
+        }
+    }
+
+    handleDataFrameResized(event) {
+        const maxRows = this.dataFrame.corner.y;
+        const maxCols = this.dataFrame.corner.x;
+        if (this.numRows > maxRows) {
+            this.setAttribute("rows", maxRows);
+        }
+        if (this.numCols > maxCols) {
+            this.setAttribute("columns", maxCols);
+        }
+    }
+
+    /**
+     * Outline the cells of the given view-relative
+     * Frame that are shown, like where a dragged
+     * selection would be dropped or the cells that
+     * the fill handle would fill.
+     * @param {Frame} aFrame - A view-relative Frame
+     */
+    showPreviewOutline(aFrame) {
+        let offset = this.primaryFrame.dataOffset;
+        let preview = this.shadowRoot.getElementById("drop-preview");
+        let shown = new Frame(
+            [aFrame.origin.x - offset.x, aFrame.origin.y - offset.y],
+            [aFrame.corner.x - offset.x, aFrame.corner.y - offset.y]
+        ).intersection(this.primaryFrame);
+        if (shown.isEmpty) {
+            preview.hide();
+        } else {
+            preview.updateFromViewFrame(shown);
+            preview.show();
+        }
+    }
+
+    hidePreviewOutline() {
+        this.shadowRoot.getElementById("drop-preview").hide();
+    }
+
+    /**
+     * Respond with the view-relative Frame that a
+     * selection dragged from the given source would be
+     * dropped onto at the cell the given drag event is
+     * over, or null if it is not over a cell.
+     * @param {DragEvent} event - A dragover or drop event
+     * @param {Object} source - The dragged sheet and
+     * Frame. See SelectionElement.dragSource
+     * @returns {Frame|null} - A view-relative Frame
+     */
+    dropFrameAt(event, source) {
+        // The cells are whatever elements my frames lay
+        // out, which carry their view-relative location
+        let cell = event.composedPath().find((element) => {
+            return (
+                element.parentElement === this &&
+                element.hasAttribute("data-relative-x")
+            );
+        });
+        if (!cell) {
+            return null;
+        }
+        let origin = new Point([
+            parseInt(cell.getAttribute("data-relative-x")),
+            parseInt(cell.getAttribute("data-relative-y")),
+        ]);
+        return new Frame(origin, [
+            origin.x + source.frame.size.x - 1,
+            origin.y + source.frame.size.y - 1,
+        ]);
+    }
+
+    handleDragOver(event) {
+        if (!event.dataTransfer) {
+            return;
+        }
+        // We must cancel dragover to allow dropping files
+        if (event.dataTransfer.types.includes("Files")) {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = "copy";
+            return;
+        }
+        let source = SelectionElement.dragSource;
+        if (!source || !event.dataTransfer.types.includes("selection-drag")) {
+            return;
+        }
+        let frame = this.dropFrameAt(event, source);
+        if (!frame) {
+            return;
+        }
+        event.preventDefault();
+        event.dataTransfer.dropEffect = event.ctrlKey ? "copy" : "move";
+
+        this.showPreviewOutline(frame);
+    }
+
+    handleDragLeave(event) {
+        // Drags move between the cells of the sheet,
+        // so only the ones that leave it hide the preview
+        if (!event.relatedTarget || !this.contains(event.relatedTarget)) {
+            this.hidePreviewOutline();
+        }
+    }
+
+    handleDrop(event) {
+        if (!event.dataTransfer) {
+            return;
+        }
+        let source = SelectionElement.dragSource;
+        if (source && event.dataTransfer.types.includes("selection-drag")) {
+            this.hidePreviewOutline();
+            let frame = this.dropFrameAt(event, source);
+            if (frame) {
+                event.preventDefault();
+                SelectionElement.dragSource = null;
+                this.moveCells(
+                    source.sheet,
+                    source.frame,
+                    frame.origin,
+                    event.ctrlKey
+                );
+                this.focus();
+            }
+            return;
+        }
+        if (!event.dataTransfer.files.length) {
+            return;
+        }
+        let file = event.dataTransfer.files[0];
+        let isDelimited =
+            /\.(csv|tsv|txt)$/i.test(file.name) ||
+            ["text/csv", "text/tab-separated-values"].includes(file.type);
+        if (!isDelimited) {
+            return;
+        }
+        event.preventDefault();
+        this.importCSV(file).catch((error) => {
+            this.onDataError(
+                error,
+                new Frame(this.dataFrame.origin, this.dataFrame.corner)
+            );
+        });
+    }
+
+    trackSelectionWithRowTabs() {
+        let frames = this.selector.selectionFrames;
+        Array.from(this.shadowRoot.querySelectorAll("row-tab")).forEach(
             (rowTabEl) => {
-                let dataStart = this.selector.selectionFrame.origin.y;
-                let dataEnd = this.selector.selectionFrame.corner.y;
-                let inSelection =
-                    dataStart <= rowTabEl.relativeRow &&
-                    rowTabEl.relativeRow <= dataEnd;
-                if (inSelection && !this.selector.selectionFrame.isEmpty) {
+                let inSelection = frames.some((frame) => {
+                    return (
+                        frame.top <= rowTabEl.relativeRow &&
+                        rowTabEl.relativeRow <= frame.bottom
+                    );
+                });
+                if (inSelection) {
                     rowTabEl.setAttribute("highlighted", true);
                 } else if (
                     this.selector.relativeCursor.y == rowTabEl.relativeRow
@@ -718,14 +2949,16 @@ class GridSheet extends HTMLElement {
     }
 
     trackSelectionWithColumnTabs() {
+        let frames = this.selector.selectionFrames;
         Array.from(this.shadowRoot.querySelectorAll("column-tab")).forEach(
             (colTabEl) => {
-                let dataStart = this.selector.selectionFrame.origin.x;
-                let dataEnd = this.selector.selectionFrame.corner.x;
-                let inSelection =
-                    dataStart <= colTabEl.relativeColumn &&
-                    colTabEl.relativeColumn <= dataEnd;
-                if (inSelection && !this.selector.selectionFrame.isEmpty) {
+                let inSelection = frames.some((frame) => {
+                    return (
+                        frame.left <= colTabEl.relativeColumn &&
+                        colTabEl.relativeColumn <= frame.right
+                    );
+                });
+                if (inSelection) {
                     colTabEl.setAttribute("highlighted", true);
                 } else if (
                     this.selector.relativeCursor.x == colTabEl.relativeColumn
@@ -738,8 +2971,43 @@ class GridSheet extends HTMLElement {
         );
     }
 
+    get rowView() {
+        return this.primaryFrame.rowView;
+    }
+
+    /**
+     * The view-relative Frame that commands act on:
+     * the selection, or the cell at the cursor if
+     * there is none.
+     */
+    get selectedFrame() {
+        if (this.selector.selectionFrame.isEmpty) {
+            let cursor = this.selector.relativeCursor;
+            return new Frame(cursor, cursor);
+        }
+        return this.selector.selectionFrame;
+    }
+
+    /**
+     * The view-relative Frames of every selected
+     * range, or of the cell at the cursor if there
+     * is no selection. See Selector.selectionFrames
+     */
+    get selectedFrames() {
+        let frames = this.selector.selectionFrames;
+        return frames.length ? frames : [this.selectedFrame];
+    }
+
     static get observedAttributes() {
-        return ["rows", "columns", "lockedrows", "lockedcolumns", "expands"];
+        return [
+            "rows",
+            "columns",
+            "lockedrows",
+            "lockedcolumns",
+            "expands",
+            "columnlabels",
+            "rowlabels",
+        ];
     }
 }
 
@@ -6,8 +6,19 @@
  * a custom element serving as a sheet
  * instance.
  * My purpose is to configure and handle
- * all keyboard related events on the sheet
+ * all keyboard related events on the sheet.
+ * Keys run the commands they are bound to by
+ * the sheet's keymap (see Keymap and
+ * CommandRegistry), or the defaults if the sheet
+ * has none. Handlers can also be registered for
+ * keys by name, which take precedence. Clipboard
+ * keys that are not bound to anything are stopped,
+ * so that the browser does not copy, cut or paste.
  */
+import { Keymap } from "./Keymap.js";
+import { CommandRegistry } from "./CommandRegistry.js";
+import { isFromTextInput } from "./ClipboardHandler.js";
+
 class KeyHandler extends Object {
     constructor(sheet) {
         super();
@@ -28,13 +39,12 @@ class KeyHandler extends Object {
         this.disconnect = this.disconnect.bind(this);
         this.registerHandler = this.registerHandler.bind(this);
         this.deregisterHandler = this.deregisterHandler.bind(this);
-        this.registerDefaults = this.registerDefaults.bind(this);
         this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.startEditingAtCursor = this.startEditingAtCursor.bind(this);
     }
 
     connect() {
         this.sheet.addEventListener("keydown", this.handleKeyDown);
-        this.registerDefaults(); // Add default handlers
     }
 
     disconnect() {
@@ -50,128 +60,68 @@ class KeyHandler extends Object {
     }
 
     handleKeyDown(event) {
+        // Keys typed into inputs, like the cell
+        // being edited, are left to the browser
+        if (isFromTextInput(event)) {
+            return;
+        }
         let handler = this.handlers[event.key];
         if (handler) {
             handler(event);
+            return;
+        }
+        let command = this.keymap.commandFor(event);
+        if (command) {
+            let result = this.commands.run(command, this.sheet, event);
+            if (result !== false) {
+                event.preventDefault();
+                event.stopPropagation();
+            }
+        } else if (this.keymap.clipboardEventFor(event)) {
+            event.preventDefault();
         } else if (event.key.length === 1 && !this.usesModifierKeys(event)) {
             // If no specific handler was found,
             // check to see if this is a key that
             // will enter data into the cell and,
             // if so, enable live editing of the
             // cell.
-            let cellElement = this.sheet.primaryFrame.elementAt(
-                this.sheet.selector.cursor
-            );
-            if (!cellElement.hasAttribute("editing")) {
-                cellElement.setAttribute("editing", "true");
-            }
+            this.startEditingAtCursor();
         }
     }
 
-    registerDefaults() {
-        this.registerHandler("ArrowRight", (event) => {
-            if (event.ctrlKey) {
-                this.sheet.selector.moveToRightEnd(event.shiftKey);
-            } else {
-                this.sheet.selector.moveRightBy(1, event.shiftKey);
-            }
-            event.preventDefault();
-            event.stopPropagation();
+    startEditingAtCursor() {
+        // The cell at the cursor may have
+        // been scrolled out of view
+        if (this.sheet.selector.revealCursor()) {
             this.sheet.dispatchSelectionChanged();
-        });
-        this.registerHandler("ArrowLeft", (event) => {
-            if (event.ctrlKey) {
-                this.sheet.selector.moveToLeftEnd(event.shiftKey);
-            } else {
-                this.sheet.selector.moveLeftBy(1, event.shiftKey);
-            }
-            event.preventDefault();
-            event.stopPropagation();
-            this.sheet.dispatchSelectionChanged();
-        });
-        this.registerHandler("ArrowDown", (event) => {
-            if (event.ctrlKey) {
-                this.sheet.selector.moveToBottomEnd(event.shiftKey);
-            } else {
-                this.sheet.selector.moveDownBy(1, event.shiftKey);
-            }
-            event.preventDefault();
-            event.stopPropagation();
-            this.sheet.dispatchSelectionChanged();
-        });
-        this.registerHandler("ArrowUp", (event) => {
-            if (event.ctrlKey) {
-                this.sheet.selector.moveToTopEnd(event.shiftKey);
-            } else {
-                this.sheet.selector.moveUpBy(1, event.shiftKey);
-            }
-            event.preventDefault();
-            event.stopPropagation();
-            this.sheet.dispatchSelectionChanged();
-        });
-        this.registerHandler("PageUp", (event) => {
-            if (event.altKey) {
-                this.sheet.selector.pageLeft(event.shiftKey);
-            } else {
-                this.sheet.selector.pageUp(event.shiftKey);
-            }
-            event.preventDefault();
-            event.stopPropagation();
-            this.sheet.dispatchSelectionChanged();
-        });
-        this.registerHandler("PageDown", (event) => {
-            if (event.altKey) {
-                this.sheet.selector.pageRight(event.shiftKey);
-            } else {
-                this.sheet.selector.pageDown(event.shiftKey);
-            }
-            event.preventDefault();
-            event.stopPropagation();
-            this.sheet.dispatchSelectionChanged();
-        });
-        this.registerHandler("Enter", (event) => {
-            if (this.sheet.selector.selectionFrame.isEmpty) {
-                let cellElement = this.sheet.primaryFrame.elementAt(
-                    this.sheet.selector.cursor
-                );
-                if (
-                    !this.sheet.hasAttribute("read-only-view") &&
-                    !cellElement.isEditing
-                ) {
-                    cellElement.setAttribute("editing", true);
-                    event.stopPropagation();
-                }
-            }
-        });
-        this.registerHandler("Delete", (event) => {
-            if (this.sheet.selector.selectionFrame.isEmpty) {
-                this.sheet.dataFrame.putAt(
-                    this.sheet.selector.anchor,
-                    undefined
-                );
-            } else {
-                this.sheet.dataFrame.clearFrame(
-                    this.sheet.selector.selectionFrame
-                );
-            }
-        });
-        this.registerHandler("Backspace", (event) => {
-            if (this.sheet.selector.selectionFrame.isEmpty) {
-                this.sheet.dataFrame.putAt(
-                    this.sheet.selector.anchor,
-                    undefined
-                );
-            } else {
-                this.sheet.dataFrame.clearFrame(
-                    this.sheet.selector.selectionFrame
-                );
-            }
-        });
+        }
+        let cellElement = this.sheet.primaryFrame.elementAt(
+            this.sheet.selector.cursor
+        );
+        if (!cellElement.hasAttribute("editing")) {
+            cellElement.setAttribute("editing", "true");
+        }
     }
 
     usesModifierKeys(event) {
         return event.altKey || event.ctrlKey || event.metaKey;
     }
+
+    /**
+     * The Keymap of the sheet, or
+     * the default one.
+     */
+    get keymap() {
+        return this.sheet.keymap || Keymap.defaults;
+    }
+
+    /**
+     * The CommandRegistry of the sheet,
+     * or the default one.
+     */
+    get commands() {
+        return this.sheet.commands || CommandRegistry.defaults;
+    }
 }
 
 export { KeyHandler, KeyHandler as default };
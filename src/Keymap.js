@@ -0,0 +1,394 @@
+/**
+ * APSheet Keymap Class
+ * ------------------------------------
+ * I map key chords to the names of commands
+ * (see CommandRegistry). A chord is text like
+ * "Mod+Shift+ArrowRight": any of the modifiers Ctrl,
+ * Alt, Shift, Meta and Mod, followed by the name of a
+ * key as given by the `key` of a KeyboardEvent. Mod stands for Meta (Cmd) on macOS and
+ * for Ctrl elsewhere. Letters match whatever their case,
+ * the space bar is "Space" and the plus key is "Plus".
+ * Bindings can be loaded from JSON objects mapping chords
+ * to command names. A keymap can also have a parent whose
+ * bindings it overrides, which is how each sheet changes
+ * the default bindings without changing those of other
+ * sheets. Binding a chord to null unbinds it.
+ */
+
+// The order that modifiers appear in
+// the chords I hold and respond with
+const modifierOrder = ["Ctrl", "Alt", "Shift", "Meta"];
+
+/**
+ * Respond with true if we are running on
+ * macOS, or another Apple platform, where Mod
+ * stands for the Meta (Cmd) key.
+ */
+const isMacPlatform = () => {
+    if (typeof navigator === "undefined") {
+        return false;
+    }
+    return /Mac|iPhone|iPad/.test(navigator.platform || "");
+};
+
+const modifierNameFor = (name, isMac) => {
+    let names = {
+        ctrl: "Ctrl",
+        control: "Ctrl",
+        alt: "Alt",
+        option: "Alt",
+        shift: "Shift",
+        meta: "Meta",
+        cmd: "Meta",
+        command: "Meta",
+        mod: isMac ? "Meta" : "Ctrl",
+    };
+    return names[name.toLowerCase()];
+};
+
+/**
+ * Respond with the name used in chords
+ * for the given key of a KeyboardEvent.
+ */
+const keyNameFor = (key) => {
+    let lowerKey = key.toLowerCase();
+    if (key === " " || lowerKey === "space") {
+        return "Space";
+    }
+    if (key === "+" || lowerKey === "plus") {
+        return "Plus";
+    }
+    if (key.length === 1) {
+        return lowerKey;
+    }
+    return key;
+};
+
+/**
+ * Respond with the given chord written the way
+ * I hold it, so that chords can be compared: Mod
+ * is resolved for the platform, the modifiers are in
+ * order and letters are lower case. Throws if the
+ * chord is not valid.
+ * @param {String} chord - A chord like "Mod+Shift+z"
+ * @param {boolean} isMac - Whether Mod stands for Meta
+ * @returns {String} - The normalized chord
+ */
+const normalizeChord = (chord, isMac = isMacPlatform()) => {
+    if (typeof chord !== "string" || chord.trim() === "") {
+        throw `${chord} is not a valid key chord`;
+    }
+    let parts = chord.split("+").map((part) => part.trim());
+    let key = parts.pop();
+    if (!key) {
+        throw `${chord} does not name a key`;
+    }
+    let modifiers = parts.map((part) => {
+        let name = modifierNameFor(part, isMac);
+        if (!name) {
+            throw `${part} is not a valid modifier in ${chord}`;
+        }
+        return name;
+    });
+    return modifierOrder
+        .filter((name) => modifiers.includes(name))
+        .concat([keyNameFor(key)])
+        .join("+");
+};
+
+/**
+ * Respond with the normalized chord
+ * of the given KeyboardEvent.
+ */
+const chordForEvent = (event) => {
+    let modifiers = [
+        event.ctrlKey && "Ctrl",
+        event.altKey && "Alt",
+        event.shiftKey && "Shift",
+        event.metaKey && "Meta",
+    ].filter(Boolean);
+    return modifiers.concat([keyNameFor(event.key)]).join("+");
+};
+
+/**
+ * The chords that browsers follow with a clipboard
+ * event, by chord, with the name of that event.
+ */
+const clipboardChords = {
+    "Mod+c": "copy",
+    "Mod+x": "cut",
+    "Mod+v": "paste",
+    "Mod+Shift+v": "paste",
+};
+
+/**
+ * The default bindings of every sheet,
+ * as they would be loaded from JSON.
+ */
+const defaultBindings = {
+    ArrowRight: "selection.moveRight",
+    ArrowLeft: "selection.moveLeft",
+    ArrowUp: "selection.moveUp",
+    ArrowDown: "selection.moveDown",
+    "Shift+ArrowRight": "selection.extendRight",
+    "Shift+ArrowLeft": "selection.extendLeft",
+    "Shift+ArrowUp": "selection.extendUp",
+    "Shift+ArrowDown": "selection.extendDown",
+    "Mod+ArrowRight": "selection.moveToEdgeRight",
+    "Mod+ArrowLeft": "selection.moveToEdgeLeft",
+    "Mod+ArrowUp": "selection.moveToEdgeUp",
+    "Mod+ArrowDown": "selection.moveToEdgeDown",
+    "Mod+Shift+ArrowRight": "selection.extendToEdgeRight",
+    "Mod+Shift+ArrowLeft": "selection.extendToEdgeLeft",
+    "Mod+Shift+ArrowUp": "selection.extendToEdgeUp",
+    "Mod+Shift+ArrowDown": "selection.extendToEdgeDown",
+    PageUp: "selection.pageUp",
+    PageDown: "selection.pageDown",
+    "Alt+PageUp": "selection.pageLeft",
+    "Alt+PageDown": "selection.pageRight",
+    "Shift+PageUp": "selection.extendPageUp",
+    "Shift+PageDown": "selection.extendPageDown",
+    "Alt+Shift+PageUp": "selection.extendPageLeft",
+    "Alt+Shift+PageDown": "selection.extendPageRight",
+    Home: "selection.moveToRowStart",
+    End: "selection.moveToRowEnd",
+    "Shift+Home": "selection.extendToRowStart",
+    "Shift+End": "selection.extendToRowEnd",
+    "Mod+Home": "selection.moveToFirstCell",
+    "Mod+End": "selection.moveToLastCell",
+    "Mod+Shift+Home": "selection.extendToFirstCell",
+    "Mod+Shift+End": "selection.extendToLastCell",
+    Tab: "selection.nextAcross",
+    "Shift+Tab": "selection.previousAcross",
+    Enter: "selection.enter",
+    "Shift+Enter": "selection.previousDown",
+    "Mod+a": "selection.all",
+    "Mod+Shift+Space": "selection.all",
+    "Shift+Space": "selection.rows",
+    "Ctrl+Space": "selection.columns",
+    F2: "cell.edit",
+    Delete: "cell.clear",
+    Backspace: "cell.clear",
+    "Mod+z": "history.undo",
+    "Mod+Shift+z": "history.redo",
+    "Mod+y": "history.redo",
+    "Mod+Plus": "structure.insert",
+    "Mod+Shift+Plus": "structure.insert",
+    "Mod+Shift+=": "structure.insert",
+    "Mod+-": "structure.delete",
+    "Mod+c": "clipboard.copy",
+    "Mod+x": "clipboard.cut",
+    "Mod+v": "clipboard.paste",
+    "Mod+Shift+v": "clipboard.pasteSpecial",
+    "Mod+d": "fill.down",
+    "Mod+r": "fill.right",
+    "Mod+f": "find.open",
+};
+
+class Keymap {
+    constructor(
+        parent = null,
+        isMac = parent ? parent.isMac : isMacPlatform()
+    ) {
+        // The keymap whose bindings I override, if any
+        this.parent = parent;
+        this.isMac = isMac;
+
+        // A mapping of normalized chords to the
+        // names of commands, or to null for chords
+        // that I unbind from those of my parent
+        this.bindings = new Map();
+
+        // Bind instance methods
+        this.bind = this.bind.bind(this);
+        this.unbind = this.unbind.bind(this);
+        this.load = this.load.bind(this);
+        this.conflictsIn = this.conflictsIn.bind(this);
+        this.commandFor = this.commandFor.bind(this);
+        this.commandForChord = this.commandForChord.bind(this);
+        this.clipboardEventFor = this.clipboardEventFor.bind(this);
+        this.getBindings = this.getBindings.bind(this);
+        this.toJSON = this.toJSON.bind(this);
+    }
+
+    /**
+     * Bind the given chord to the command of the
+     * given name, or unbind it with null. Throws if I
+     * already bind the chord to a different command,
+     * which must be unbound first. Chords bound by my
+     * parent can be bound to something else.
+     * @param {String} chord - A chord like "Mod+Shift+z"
+     * @param {String|null} command - The command name
+     */
+    bind(chord, command) {
+        let normalized = normalizeChord(chord, this.isMac);
+        let current = this.bindings.get(normalized);
+        if (current && command && current !== command) {
+            throw `${chord} is already bound to ${current}`;
+        }
+        if (command === null && !this.parent) {
+            this.bindings.delete(normalized);
+        } else {
+            this.bindings.set(normalized, command);
+        }
+    }
+
+    unbind(chord) {
+        this.bind(chord, null);
+    }
+
+    /**
+     * Load the given bindings, replacing any I had
+     * for the same chords. Throws, without binding
+     * anything, if the bindings are not valid or if
+     * they bind a chord to more than one command (for
+     * example both "Mod+k" and "Ctrl+K" on Windows).
+     * @param {Object|String} bindings - An object, or
+     * its JSON text, mapping chords to command names
+     */
+    load(bindings) {
+        if (typeof bindings === "string") {
+            bindings = JSON.parse(bindings);
+        }
+        if (!bindings || typeof bindings !== "object") {
+            throw "Key bindings must be an object of chords and commands";
+        }
+        let conflicts = this.conflictsIn(bindings);
+        if (conflicts.length) {
+            let descriptions = conflicts.map(({ chord, commands }) => {
+                return `${chord} (${commands.join(", ")})`;
+            });
+            throw `Conflicting key bindings: ${descriptions.join("; ")}`;
+        }
+        Object.keys(bindings).forEach((chord) => {
+            let command = bindings[chord];
+            if (command !== null && typeof command !== "string") {
+                throw `${chord} must be bound to a command name or null`;
+            }
+            this.bindings.delete(normalizeChord(chord, this.isMac));
+        });
+        Object.keys(bindings).forEach((chord) => {
+            this.bind(chord, bindings[chord]);
+        });
+    }
+
+    /**
+     * Respond with the chords that the given
+     * bindings bind to more than one command, once
+     * normalized, along with those commands.
+     * @param {Object} bindings - An object mapping
+     * chords to command names
+     * @returns {Array[Object]} - The `chord` and
+     * `commands` of each conflict
+     */
+    conflictsIn(bindings) {
+        let commandsByChord = new Map();
+        Object.keys(bindings).forEach((chord) => {
+            let normalized = normalizeChord(chord, this.isMac);
+            let commands = commandsByChord.get(normalized) || [];
+            if (!commands.includes(bindings[chord])) {
+                commands.push(bindings[chord]);
+            }
+            commandsByChord.set(normalized, commands);
+        });
+        let conflicts = [];
+        commandsByChord.forEach((commands, chord) => {
+            if (commands.length > 1) {
+                conflicts.push({ chord, commands });
+            }
+        });
+        return conflicts;
+    }
+
+    /**
+     * Respond with the name of the command
+     * bound to the chord of the given
+     * KeyboardEvent, or null.
+     */
+    commandFor(event) {
+        return this.commandForChord(chordForEvent(event));
+    }
+
+    commandForChord(normalizedChord) {
+        if (this.bindings.has(normalizedChord)) {
+            return this.bindings.get(normalizedChord);
+        }
+        if (this.parent) {
+            return this.parent.commandForChord(normalizedChord);
+        }
+        return null;
+    }
+
+    /**
+     * Respond with the name of the clipboard event
+     * ("copy", "cut" or "paste") that the browser fires
+     * after the chord of the given KeyboardEvent, or null.
+     */
+    clipboardEventFor(event) {
+        let chord = chordForEvent(event);
+        let native = Object.keys(clipboardChords).find((clipboardChord) => {
+            return normalizeChord(clipboardChord, this.isMac) === chord;
+        });
+        return native ? clipboardChords[native] : null;
+    }
+
+    /**
+     * Respond with every binding in effect, including
+     * those of my parent that I do not override, sorted
+     * by chord. Each has the normalized `chord`, the
+     * `command` name and the command it `overrides` in
+     * my parent, if any.
+     * @param {String} command - Only respond with the
+     * bindings of the command of this name, if given
+     * @returns {Array[Object]} - The bindings
+     */
+    getBindings(command = null) {
+        let inherited = this.parent ? this.parent.getBindings() : [];
+        let bindings = new Map();
+        inherited.forEach((binding) => {
+            bindings.set(binding.chord, {
+                chord: binding.chord,
+                command: binding.command,
+                overrides: null,
+            });
+        });
+        this.bindings.forEach((name, chord) => {
+            let parentBinding = bindings.get(chord);
+            let overrides = parentBinding ? parentBinding.command : null;
+            if (name === null) {
+                bindings.delete(chord);
+            } else if (overrides !== name) {
+                bindings.set(chord, { chord, command: name, overrides });
+            }
+        });
+        return Array.from(bindings.values())
+            .filter((binding) => !command || binding.command === command)
+            .sort((a, b) => (a.chord < b.chord ? -1 : 1));
+    }
+
+    /**
+     * Respond with my own bindings as an object
+     * that `load` accepts, for saving as JSON.
+     */
+    toJSON() {
+        let bindings = {};
+        this.bindings.forEach((command, chord) => {
+            bindings[chord] = command;
+        });
+        return bindings;
+    }
+}
+
+// We keep the default bindings on the constructor
+// object itself, as the parent of the keymap of
+// every sheet
+Keymap.defaults = new Keymap();
+Keymap.defaults.load(defaultBindings);
+
+export {
+    Keymap,
+    normalizeChord,
+    chordForEvent,
+    defaultBindings,
+    Keymap as default,
+};
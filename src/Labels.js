@@ -0,0 +1,69 @@
+/**
+ * APSheet Labels
+ * ------------------------------------
+ * Functions for creating the labels shown
+ * in row and column tabs. A labeler is a function
+ * that responds with the label String for a
+ * zero-based, data-relative row or column index.
+ * Labelers are created from one of these:
+ *   - A named style: "letters" (A..Z, AA..),
+ *     "one-based" (1, 2, 3..) or "zero-based"
+ *     (0, 1, 2..)
+ *   - An array of labels, like the field names
+ *     of a header row
+ *   - A callback that is given the index and
+ *     responds with a label
+ * Array entries and callback results that are
+ * null or undefined fall back to a named style.
+ */
+import { columnToLetters } from "./CellAddress.js";
+
+const labelStyles = {
+    letters: columnToLetters,
+    "one-based": (index) => {
+        return (index + 1).toString();
+    },
+    "zero-based": (index) => {
+        return index.toString();
+    },
+};
+
+/**
+ * Respond with a labeler for the given labels.
+ * @param {String|Array|Function} labels - A named
+ * style, an array of labels or a callback
+ * @param {String} fallback - The named style used
+ * for any index the labels do not cover
+ * @returns {Function} - A function that responds
+ * with the label for a given index
+ */
+const createLabeler = (labels, fallback = "letters") => {
+    let fallbackLabeler = labelStyles[fallback];
+    if (typeof labels === "string") {
+        if (!labelStyles[labels]) {
+            throw `${labels} is not a valid label style`;
+        }
+        return labelStyles[labels];
+    }
+    if (Array.isArray(labels)) {
+        return (index) => {
+            let label = labels[index];
+            if (label === undefined || label === null) {
+                return fallbackLabeler(index);
+            }
+            return label.toString();
+        };
+    }
+    if (typeof labels === "function") {
+        return (index) => {
+            let label = labels(index);
+            if (label === undefined || label === null) {
+                return fallbackLabeler(index);
+            }
+            return label.toString();
+        };
+    }
+    return fallbackLabeler;
+};
+
+export { labelStyles, createLabeler };
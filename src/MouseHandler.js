@@ -6,8 +6,29 @@
  * element that is serving as a sheet instance.
  * My purpose is to confgure and handle all mouse
  * and pointer events on the sheet, including
- * pointer-based selection.
+ * pointer-based selection, dragging the
+ * fill handle of the selection and scrolling
+ * with the wheel.
  */
+import { Point } from "./Point.js";
+import { fillFrameFor } from "./FillSeries.js";
+
+/**
+ * Respond with how many cells the given delta
+ * of a WheelEvent scrolls by, given its deltaMode,
+ * the size of a cell in pixels and the number of
+ * cells in a page along that axis. Lines are cells.
+ */
+const cellsForDelta = (delta, deltaMode, cellSize, pageSize) => {
+    if (deltaMode === 1) {
+        // WheelEvent.DOM_DELTA_LINE
+        return delta;
+    } else if (deltaMode === 2) {
+        // WheelEvent.DOM_DELTA_PAGE
+        return delta * pageSize;
+    }
+    return delta / cellSize;
+};
 
 class MouseHandler extends Object {
     constructor(sheet) {
@@ -20,6 +41,12 @@ class MouseHandler extends Object {
         this.sheet = sheet;
         this.isSelecting = false;
 
+        // While the fill handle is dragged, the
+        // selection being filled from and the Frame
+        // it would be extended to
+        this.fillSource = null;
+        this.fillTarget = null;
+
         // Bind handlers and component methods
         this.addAllListeners = this.addAllListeners.bind(this);
         this.removeAllListeners = this.removeAllListeners.bind(this);
@@ -30,6 +57,9 @@ class MouseHandler extends Object {
         this.onMouseWheel = this.onMouseWheel.bind(this);
         // this.onClick = this.onClick.bind(this);
         this.onDoubleClick = this.onDoubleClick.bind(this);
+        this.isOnFillHandle = this.isOnFillHandle.bind(this);
+        this.startFilling = this.startFilling.bind(this);
+        this.finishFilling = this.finishFilling.bind(this);
         this.connect = this.connect.bind(this);
         this.disconnect = this.disconnect.bind(this);
     }
@@ -51,8 +81,20 @@ class MouseHandler extends Object {
     }
 
     onMouseDown(event) {
+        if (this.isOnFillHandle(event)) {
+            this.startFilling();
+            event.preventDefault();
+            return;
+        }
         if (event.target.isCell) {
             this.isSelecting = true;
+            // Ctrl+click adds another range to
+            // the selection instead of replacing it
+            if (event.ctrlKey || event.metaKey) {
+                this.sheet.selector.addRange();
+            } else {
+                this.sheet.selector.clearRanges();
+            }
             this.sheet.selector.setCursorToElement(event.target);
             this.sheet.selector.setAnchorToElement(event.target);
             this.sheet.dispatchSelectionChanged();
@@ -61,9 +103,21 @@ class MouseHandler extends Object {
 
     onMouseUp(event) {
         this.isSelecting = false;
+        if (this.fillSource) {
+            this.finishFilling();
+        }
     }
 
     onCellEnter(event) {
+        if (event.target.isCell && this.fillSource) {
+            let location = new Point([
+                parseInt(event.target.getAttribute("data-relative-x")),
+                parseInt(event.target.getAttribute("data-relative-y")),
+            ]);
+            this.fillTarget = fillFrameFor(this.fillSource, location);
+            this.sheet.showPreviewOutline(this.fillTarget);
+            return;
+        }
         if (event.target.isCell && this.isSelecting) {
             this.sheet.selector.setCursorToElement(event.target);
             this.sheet.selector.selectFromAnchorTo(
@@ -79,6 +133,30 @@ class MouseHandler extends Object {
         }
     }
 
+    isOnFillHandle(event) {
+        let target = event.composedPath()[0];
+        return target && target.id === "fill-handle";
+    }
+
+    startFilling() {
+        let selectionFrame = this.sheet.selector.selectionFrame;
+        this.fillSource = selectionFrame.copy();
+        this.fillTarget = selectionFrame.copy();
+    }
+
+    /**
+     * Fill the cells the fill handle was dragged
+     * over. See GridSheet.fill
+     */
+    finishFilling() {
+        this.sheet.hidePreviewOutline();
+        if (!this.fillTarget.equals(this.fillSource)) {
+            this.sheet.fill(this.fillSource, this.fillTarget);
+        }
+        this.fillSource = null;
+        this.fillTarget = null;
+    }
+
     onDoubleClick(event) {
         if (event.target.isCell) {
             this.sheet.selector.setCursorToElement(event.target);
@@ -87,28 +165,39 @@ class MouseHandler extends Object {
         }
     }
 
-    onMouseWheel(event){
+    /**
+     * Scroll the view with the wheel or trackpad, in
+     * both directions, without moving the cursor. The
+     * pixels scrolled by are scrolled as parts of a
+     * cell, so the view moves as smoothly as the wheel
+     * does. See GridSheet.scrollViewBy
+     */
+    onMouseWheel(event) {
+        event.preventDefault();
         event.stopPropagation();
-        // NOTE: we use wheelDelta here b/c we don't differentiate between
-        // Y and X movements. Morevover, the shift key seems to flip Y and X
-        if (event.wheelDelta < 0) {
-            if (event.ctrlKey) {
-                this.sheet.selector.moveToBottomEnd(event.shiftKey);
-            } else {
-                this.sheet.selector.moveDownBy(1, event.shiftKey);
-            }
-            event.preventDefault();
-            event.stopPropagation();
-            this.sheet.dispatchSelectionChanged();
-        } else if (event.wheelDelta > 0) {
-            if (event.ctrlKey) {
-                this.sheet.selector.moveToTopEnd(event.shiftKey);
-            } else {
-                this.sheet.selector.moveUpBy(1, event.shiftKey);
-            }
-            event.preventDefault();
-            event.stopPropagation();
-            this.sheet.dispatchSelectionChanged();
+        let deltaX = event.deltaX;
+        let deltaY = event.deltaY;
+        // Some browsers leave it to us to
+        // scroll across when Shift is held
+        if (event.shiftKey && !deltaX) {
+            deltaX = deltaY;
+            deltaY = 0;
+        }
+        let pageSize = this.sheet.primaryFrame.viewFrame.size;
+        let columns = cellsForDelta(
+            deltaX,
+            event.deltaMode,
+            this.sheet.cellWidth,
+            pageSize.x
+        );
+        let rows = cellsForDelta(
+            deltaY,
+            event.deltaMode,
+            this.sheet.cellHeight,
+            pageSize.y
+        );
+        if (columns || rows) {
+            this.sheet.scrollViewBy(columns, rows);
         }
     }
 
@@ -0,0 +1,177 @@
+/**
+ * PasteSpecialMenu Web Component
+ * -----------------------
+ * I am the chooser a sheet displays at its cursor
+ * when values are pasted with Ctrl+Shift+V. I let the
+ * user choose how they are pasted: as computed values,
+ * transposed, skipping blanks, repeated to fill the
+ * selection, or combined with the values already there
+ * by an arithmetic operation. When the user pastes I
+ * dispatch a `paste-special-apply` event whose detail
+ * has the chosen `options` (see ClipboardHandler), then
+ * close. Like the TabMenu, I also close when Escape is
+ * pressed or the user clicks elsewhere.
+ */
+const templateString = `
+<style>
+    :host {
+        display: none;
+        position: fixed;
+        z-index: 10;
+        min-width: 180px;
+        padding: 6px;
+        background-color: white;
+        border: 1px solid rgba(100, 100, 100, 0.4);
+        border-radius: 5px;
+        box-shadow: 2px 2px 6px rgba(0, 0, 0, 0.2);
+        font-family: inherit;
+        font-size: 0.9em;
+    }
+    :host([open]) {
+        display: block;
+    }
+    label {
+        display: block;
+        margin-bottom: 4px;
+    }
+    select {
+        margin-left: 4px;
+    }
+    #buttons {
+        display: flex;
+        justify-content: flex-end;
+        gap: 4px;
+        margin-top: 6px;
+    }
+</style>
+<label><input id="values" type="checkbox"/>Values only</label>
+<label><input id="transpose" type="checkbox"/>Transpose</label>
+<label><input id="skip-blanks" type="checkbox"/>Skip blanks</label>
+<label><input id="tile" type="checkbox" checked/>Fill selection</label>
+<label>Operation
+    <select id="operation">
+        <option value="">None</option>
+        <option value="add">Add</option>
+        <option value="subtract">Subtract</option>
+        <option value="multiply">Multiply</option>
+        <option value="divide">Divide</option>
+    </select>
+</label>
+<div id="buttons">
+    <button id="cancel">Cancel</button>
+    <button id="paste">Paste</button>
+</div>
+`;
+
+class PasteSpecialMenu extends HTMLElement {
+    constructor() {
+        super();
+        this.template = document.createElement("template");
+        this.template.innerHTML = templateString;
+        this.attachShadow({ mode: "open" });
+        this.shadowRoot.append(this.template.content.cloneNode(true));
+
+        // Bind instance methods
+        this.open = this.open.bind(this);
+        this.close = this.close.bind(this);
+        this.apply = this.apply.bind(this);
+        this.onDocumentMouseDown = this.onDocumentMouseDown.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+    }
+
+    connectedCallback() {
+        if (this.isConnected) {
+            this.addEventListener("keydown", this.onKeyDown);
+            this.shadowRoot
+                .getElementById("paste")
+                .addEventListener("click", this.apply);
+            this.shadowRoot
+                .getElementById("cancel")
+                .addEventListener("click", this.close);
+        }
+    }
+
+    disconnectedCallback() {
+        this.removeEventListener("keydown", this.onKeyDown);
+        this.shadowRoot
+            .getElementById("paste")
+            .removeEventListener("click", this.apply);
+        this.shadowRoot
+            .getElementById("cancel")
+            .removeEventListener("click", this.close);
+        document.removeEventListener("mousedown", this.onDocumentMouseDown);
+    }
+
+    /**
+     * Display the paste options at the given
+     * viewport position.
+     * @param {number} x - The viewport x position
+     * @param {number} y - The viewport y position
+     */
+    open(x, y) {
+        this.style.left = `${x}px`;
+        this.style.top = `${y}px`;
+        this.setAttribute("open", true);
+        this.setAttribute("tabindex", "-1");
+        this.focus();
+        document.addEventListener("mousedown", this.onDocumentMouseDown);
+    }
+
+    close() {
+        this.removeAttribute("open");
+        document.removeEventListener("mousedown", this.onDocumentMouseDown);
+    }
+
+    /**
+     * Close and dispatch the chosen options.
+     */
+    apply() {
+        this.close();
+        let event = new CustomEvent("paste-special-apply", {
+            detail: {
+                options: this.options,
+            },
+        });
+        this.dispatchEvent(event);
+    }
+
+    onDocumentMouseDown(event) {
+        if (!event.composedPath().includes(this)) {
+            this.close();
+        }
+    }
+
+    onKeyDown(event) {
+        if (event.key == "Escape") {
+            this.close();
+        } else if (event.key == "Enter") {
+            this.apply();
+        }
+        event.stopPropagation();
+    }
+
+    /**
+     * The paste options described by my inputs.
+     * See ClipboardHandler.pasteData
+     * @returns {Object} - The options
+     */
+    get options() {
+        let isChecked = (id) => {
+            return this.shadowRoot.getElementById(id).checked;
+        };
+        return {
+            values: isChecked("values"),
+            transpose: isChecked("transpose"),
+            skipBlanks: isChecked("skip-blanks"),
+            tile: isChecked("tile"),
+            operation:
+                this.shadowRoot.getElementById("operation").value || null,
+        };
+    }
+
+    get isOpen() {
+        return this.hasAttribute("open");
+    }
+}
+
+export { PasteSpecialMenu, PasteSpecialMenu as default };
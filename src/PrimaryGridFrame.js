@@ -16,7 +16,11 @@
 import Frame from "./Frame.js";
 import DataFrame from "./DataFrame.js";
 import GridElementsFrame from "./GridElementsFrame.js";
+import { RowView } from "./RowView.js";
 import { isCoordinate, Point } from "./Point.js";
+import { CellFormats } from "./CellFormats.js";
+import { CellPlugins } from "./CellPlugins.js";
+import { ConditionalFormats, applyStyleTo } from "./ConditionalFormats.js";
 
 class PrimaryGridFrame extends GridElementsFrame {
     constructor(dataFrame, corner, options) {
@@ -29,6 +33,14 @@ class PrimaryGridFrame extends GridElementsFrame {
         // columnds frames
         this.dataFrame = dataFrame;
 
+        // The rowView decides which data row is
+        // shown at each row of the view, so that
+        // rows can be reordered without changing
+        // the dataFrame. Note that the y values of
+        // my "relative" frames and of my elements'
+        // data-relative attributes are rows of the view
+        this.rowView = new RowView(dataFrame);
+
         // We initialize with 0 locked
         // rows or columns
         this.numLockedRows = 0;
@@ -56,11 +68,48 @@ class PrimaryGridFrame extends GridElementsFrame {
         // have actually shifted
         this.afterChange = null;
 
+        // The id of the animation frame request
+        // for a pending update, if any. See
+        // `requestUpdate`
+        this.pendingUpdate = null;
+
+        // Whether any of my elements are marked
+        // as invalid. See `markInvalidElements`
+        this.hasInvalidElements = false;
+
+        // The display formats of the values
+        // I show. See CellFormats
+        this.formats = new CellFormats();
+
+        // The renderers and editors used for
+        // the values I show. See CellPlugins
+        this.plugins = new CellPlugins();
+
+        // The conditional formatting rules that
+        // style the cells I show, and whether any
+        // of my elements are styled by them.
+        // See ConditionalFormats
+        this.conditionalFormats = new ConditionalFormats(dataFrame);
+        this.hasStyledElements = false;
+
+        // The "x,y" keys of the data-relative
+        // locations of any search matches, which
+        // are highlighted. See `markFoundElements`
+        this.foundLocations = null;
+        this.hasFoundElements = false;
+
         // Bind instance methods
         this.lockRows = this.lockRows.bind(this);
         this.lockColumns = this.lockColumns.bind(this);
         this.adjustLayout = this.adjustLayout.bind(this);
         this.labelElements = this.labelElements.bind(this);
+        this.markInvalidElements = this.markInvalidElements.bind(this);
+        this.styleElements = this.styleElements.bind(this);
+        this.markFoundElements = this.markFoundElements.bind(this);
+        this.showValueAt = this.showValueAt.bind(this);
+        this.renderValueIn = this.renderValueIn.bind(this);
+        this.unmountRendererFrom = this.unmountRendererFrom.bind(this);
+        this.textAt = this.textAt.bind(this);
         this.updateLockedRowElements = this.updateLockedRowElements.bind(this);
         this.relativePointAt = this.relativePointAt.bind(this);
         this.shiftRightBy = this.shiftRightBy.bind(this);
@@ -72,6 +121,28 @@ class PrimaryGridFrame extends GridElementsFrame {
         this.pageLeft = this.pageLeft.bind(this);
         this.pageRight = this.pageRight.bind(this);
         this.triggerAfterShift = this.triggerAfterShift.bind(this);
+        this.fitToDataFrame = this.fitToDataFrame.bind(this);
+        this.requestMissingData = this.requestMissingData.bind(this);
+        this.requestUpdate = this.requestUpdate.bind(this);
+        this.resizeTo = this.resizeTo.bind(this);
+    }
+
+    /**
+     * Move my corner to the given location, reusing the
+     * elements of the Points I still contain, and adjust
+     * my view and locked frames to match. My dataOffset
+     * is kept, so the view stays where it was.
+     * See GridElementsFrame.resizeTo
+     * @param {Point|Array} corner - My new corner
+     * @returns {Object} - The added and removed elements
+     */
+    resizeTo(corner) {
+        let result = super.resizeTo(corner);
+        result.removed.forEach(this.unmountRendererFrom);
+        this.viewFrame.corner = new Point(this.corner);
+        this.lockRows(this.numLockedRows);
+        this.lockColumns(this.numLockedColumns);
+        return result;
     }
 
     /**
@@ -151,11 +222,124 @@ class PrimaryGridFrame extends GridElementsFrame {
      */
     labelElements() {
         let classesToClear = ["in-locked-row", "in-locked-column", "view-cell"];
-        this.viewFrame.forEachPoint((aPoint) => {
+        const label = (frame, className) => {
+            if (frame.isEmpty) {
+                return;
+            }
+            frame.forEachPoint((aPoint) => {
+                let el = this.elementAt(aPoint);
+                if (el !== null) {
+                    el.classList.remove(...classesToClear);
+                    el.classList.add(className);
+                }
+            });
+        };
+        label(this.viewFrame, "view-cell");
+        label(this.lockedRowsFrame, "in-locked-row");
+        label(this.lockedColumnsFrame, "in-locked-column");
+        if (!this.lockedFramesIntersect.isEmpty) {
+            this.lockedFramesIntersect.forEachPoint((aPoint) => {
+                this.elementAt(aPoint).classList.add("in-locked-row");
+            });
+        }
+    }
+
+    /**
+     * I set the `invalid` attribute on any of my
+     * elements that show a value that fails the
+     * column schema of my dataFrame, with the error
+     * as their title, and clear it from the rest.
+     * Without a schema there is nothing to check.
+     */
+    markInvalidElements() {
+        let hasSchema = this.dataFrame.schema !== null;
+        if (!hasSchema && !this.hasInvalidElements) {
+            return;
+        }
+        this.hasInvalidElements = false;
+        this.forEachPoint((aPoint) => {
             let el = this.elementAt(aPoint);
-            if (el !== null) {
-                el.classList.remove(...classesToClear);
-                el.classList.add("view-cell");
+            if (el === null || !el.hasAttribute("data-relative-x")) {
+                return;
+            }
+            let error = hasSchema
+                ? this.rowView.errorAt([
+                      parseInt(el.dataset.relativeX),
+                      parseInt(el.dataset.relativeY),
+                  ])
+                : null;
+            if (error === null) {
+                if (el.hasAttribute("invalid")) {
+                    el.removeAttribute("invalid");
+                    el.removeAttribute("title");
+                }
+            } else {
+                el.setAttribute("invalid", "");
+                el.setAttribute("title", error);
+                this.hasInvalidElements = true;
+            }
+        });
+    }
+
+    /**
+     * I style each of my elements by the conditional
+     * formatting rules that apply to the value it shows,
+     * clearing the styles that no longer apply.
+     * Without rules there is nothing to style.
+     */
+    styleElements() {
+        let formats = this.conditionalFormats;
+        if (formats.isEmpty && !this.hasStyledElements) {
+            return;
+        }
+        this.hasStyledElements = false;
+        this.forEachPoint((aPoint) => {
+            let el = this.elementAt(aPoint);
+            if (el === null || !el.hasAttribute("data-relative-x")) {
+                return;
+            }
+            let style = null;
+            if (!formats.isEmpty) {
+                style = formats.styleAt(
+                    this.rowView.dataPointAt([
+                        parseInt(el.dataset.relativeX),
+                        parseInt(el.dataset.relativeY),
+                    ])
+                );
+            }
+            applyStyleTo(el, style);
+            if (style) {
+                this.hasStyledElements = true;
+            }
+        });
+    }
+
+    /**
+     * I set the `found` attribute on any of my
+     * elements that show a value whose location is
+     * among my foundLocations, and clear it from
+     * the rest.
+     */
+    markFoundElements() {
+        let found = this.foundLocations;
+        if (!found && !this.hasFoundElements) {
+            return;
+        }
+        this.hasFoundElements = false;
+        this.forEachPoint((aPoint) => {
+            let el = this.elementAt(aPoint);
+            if (el === null || !el.hasAttribute("data-relative-x")) {
+                return;
+            }
+            let location = this.rowView.dataPointAt([
+                parseInt(el.dataset.relativeX),
+                parseInt(el.dataset.relativeY),
+            ]);
+            if (found && found.has(`${location.x},${location.y}`)) {
+                el.setAttribute("found", "");
+                this.hasFoundElements = true;
+            } else {
+                el.removeAttribute("found");
             }
         });
     }
@@ -173,6 +357,10 @@ class PrimaryGridFrame extends GridElementsFrame {
      * values
      */
     updateCellContents() {
+        if (this.pendingUpdate !== null) {
+            window.cancelAnimationFrame(this.pendingUpdate);
+            this.pendingUpdate = null;
+        }
         this.updateLockedRowElements();
         this.updateLockedColumnElements();
         this.updateViewElements();
@@ -181,16 +369,57 @@ class PrimaryGridFrame extends GridElementsFrame {
         // if there is one
         if (!this.lockedFramesIntersect.isEmpty) {
             this.lockedFramesIntersect.forEachPoint((aPoint) => {
-                let value = this.dataFrame.getAt(aPoint);
-                if (value == undefined) {
-                    this.setTextContentAt(aPoint, "...");
-                } else {
-                    this.setTextContentAt(aPoint, value.toString());
-                }
+                this.showValueAt(aPoint, aPoint);
             });
         }
 
         this.labelElements();
+        this.markInvalidElements();
+        this.styleElements();
+        this.markFoundElements();
+        this.requestMissingData();
+    }
+
+    /**
+     * I ask for my cell contents to be updated
+     * before the next repaint. Any number of requests
+     * made until then result in a single update, and
+     * calling `updateCellContents` directly cancels it.
+     */
+    requestUpdate() {
+        if (this.pendingUpdate !== null) {
+            return;
+        }
+        this.pendingUpdate = window.requestAnimationFrame(() => {
+            this.pendingUpdate = null;
+            this.updateCellContents();
+        });
+    }
+
+    /**
+     * I ask the underlying dataFrame to load
+     * any values it is missing for the data-relative
+     * frames currently on display. This is a no-op
+     * for dataFrames that have no DataSource.
+     * When the data lands, the dataFrame's callback
+     * will be triggered as usual.
+     */
+    requestMissingData() {
+        if (!this.dataFrame.dataSource) {
+            return;
+        }
+        [
+            this.relativeViewFrame,
+            this.relativeLockedRowsFrame,
+            this.relativeLockedColumnsFrame,
+            this.lockedFramesIntersect,
+        ].forEach((aFrame) => {
+            if (aFrame) {
+                this.rowView.dataFramesFor(aFrame).forEach((dataFrame) => {
+                    this.dataFrame.loadMissing(dataFrame);
+                });
+            }
+        });
     }
 
     /**
@@ -202,17 +431,12 @@ class PrimaryGridFrame extends GridElementsFrame {
     updateLockedRowElements() {
         if (this.numLockedRows) {
             this.relativeLockedRowsFrame.forEachPoint((aPoint) => {
-                let dataValue = this.dataFrame.getAt(aPoint);
                 let translation = new Point([
                     aPoint.x - this.dataOffset.x,
                     aPoint.y,
                 ]);
                 let element = this.elementAt(translation);
-                if (dataValue != undefined) {
-                    this.setTextContentAt(translation, dataValue.toString());
-                } else {
-                    this.setTextContentAt(translation, "...");
-                }
+                this.showValueAt(translation, aPoint);
                 element.setAttribute("data-relative-x", aPoint.x);
                 element.setAttribute("data-relative-y", aPoint.y);
             });
@@ -234,18 +458,10 @@ class PrimaryGridFrame extends GridElementsFrame {
                     (this.lockedColumnsFrame.origin.y + this.numLockedRows),
             ]);
             relativeColumns.forEachPoint((aPoint) => {
-                let dataValue = this.dataFrame.getAt(aPoint);
                 let translation = new Point([aPoint.x, aPoint.y - offset.y]);
                 let element = this.elementAt(translation);
                 if (element !== null) {
-                    if (dataValue != undefined) {
-                        this.setTextContentAt(
-                            translation,
-                            dataValue.toString()
-                        );
-                    } else {
-                        this.setTextContentAt(translation, "...");
-                    }
+                    this.showValueAt(translation, aPoint);
                     element.setAttribute("data-relative-x", aPoint.x);
                     element.setAttribute("data-relative-y", aPoint.y);
                 }
@@ -264,7 +480,6 @@ class PrimaryGridFrame extends GridElementsFrame {
             this.relativeViewFrame.origin.y - this.viewFrame.origin.y,
         ]);
         this.relativeViewFrame.forEachPoint((aPoint) => {
-            let value = this.dataFrame.getAt(aPoint);
             let translation = new Point([
                 aPoint.x - offset.x,
                 aPoint.y - offset.y,
@@ -272,17 +487,112 @@ class PrimaryGridFrame extends GridElementsFrame {
             let element = this.elementAt(translation);
 
             if (element !== null) {
-                if (value != undefined) {
-                    this.setTextContentAt(translation, value.toString());
-                } else {
-                    this.setTextContentAt(translation, "...");
-                }
+                this.showValueAt(translation, aPoint);
                 element.setAttribute("data-relative-x", aPoint.x);
                 element.setAttribute("data-relative-y", aPoint.y);
             }
         });
     }
 
+    /**
+     * I display the value shown at the given
+     * view-relative location in my element at the
+     * given location, formatted by my formats.
+     * Elements showing formatted numbers are marked
+     * as `numeric`, so that they are right-aligned.
+     * @param {Point} location - The location of
+     * one of my elements
+     * @param {Point} relativeLocation - The view-relative
+     * location of the value to display
+     */
+    showValueAt(location, relativeLocation) {
+        let value = this.rowView.getValueAt(relativeLocation);
+        let el = this.elementAt(location);
+        if (value == undefined) {
+            if (el) {
+                this.unmountRendererFrom(el);
+            }
+            this.setTextContentAt(location, "...");
+            if (el) {
+                el.removeAttribute("numeric");
+            }
+            return;
+        }
+        let dataPoint = this.rowView.dataPointAt(relativeLocation);
+        let formatted = this.formats.format(dataPoint, value);
+        if (el && (el.cellRenderer || this.plugins.hasRenderers)) {
+            let renderer = this.plugins.rendererFor(dataPoint, value);
+            if (renderer !== el.cellRenderer) {
+                this.unmountRendererFrom(el);
+            }
+            if (renderer) {
+                this.renderValueIn(el, renderer, {
+                    value,
+                    text: formatted.text,
+                    location: dataPoint,
+                    options: renderer.options,
+                });
+                el.removeAttribute("numeric");
+                return;
+            }
+        }
+        this.setTextContentAt(location, formatted.text);
+        if (el) {
+            el.toggleAttribute("numeric", formatted.isNumeric);
+        }
+    }
+
+    /**
+     * I display a value in the given element with
+     * the given renderer use, mounting the renderer
+     * unless it is already mounted there, in which
+     * case it is updated. See CellPlugins
+     * @param {DOMElement} el - One of my elements
+     * @param {Object} renderer - A renderer use
+     * @param {Object} context - The renderer context
+     */
+    renderValueIn(el, renderer, context) {
+        if (el.cellRenderer === renderer) {
+            renderer.plugin.update(el, context);
+        } else {
+            el.textContent = "";
+            renderer.plugin.mount(el, context);
+            el.cellRenderer = renderer;
+        }
+        el.cellRendererContext = context;
+    }
+
+    /**
+     * I destroy the renderer mounted in the given
+     * element, if any, and empty it.
+     * @param {DOMElement} el - One of my elements
+     */
+    unmountRendererFrom(el) {
+        if (!el.cellRenderer) {
+            return;
+        }
+        el.cellRenderer.plugin.destroy(el, el.cellRendererContext);
+        el.cellRenderer = null;
+        el.cellRendererContext = null;
+        el.textContent = "";
+    }
+
+    /**
+     * Respond with the text displayed for the
+     * value shown at the given view-relative
+     * location. See showValueAt
+     * @param {Point|Array} relativeLocation - A
+     * view-relative location
+     * @returns {String} - The displayed text
+     */
+    textAt(relativeLocation) {
+        let value = this.rowView.getValueAt(relativeLocation);
+        return this.formats.format(
+            this.rowView.dataPointAt(relativeLocation),
+            value
+        ).text;
+    }
+
     /**
      * Given a Point on this PrimaryFrame, respond with
      * a Point that represents the data-relative translation,
@@ -367,8 +677,10 @@ class PrimaryGridFrame extends GridElementsFrame {
      * down over my underlying dataFrame
      * by the specified number of Points.
      * If the given amount would set my frames beyond
-     * the bounds of the dataFrame, I simply stop
-     * at the maximum possible position in that direction.
+     * the last row shown by my rowView (the bottom of the
+     * dataFrame, unless rows are filtered out), I simply
+     * stop at the maximum possible position in that
+     * direction.
      * Note that I will also attempt to trigger an
      * `afterChange` callback when done, should one be
      * set.
@@ -379,10 +691,12 @@ class PrimaryGridFrame extends GridElementsFrame {
         let nextY = this.dataOffset.y + amount;
         let nextBottom =
             nextY + (this.viewFrame.size.y - 1 + this.numLockedRows);
-        if (nextBottom >= this.dataFrame.bottom) {
-            nextY =
-                this.dataFrame.bottom -
-                (this.numLockedRows + (this.viewFrame.size.y - 1));
+        if (nextBottom >= this.rowView.bottom) {
+            nextY = Math.max(
+                0,
+                this.rowView.bottom -
+                    (this.numLockedRows + (this.viewFrame.size.y - 1))
+            );
         }
         this.dataOffset.y = nextY;
         this.updateCellContents();
@@ -448,6 +762,32 @@ class PrimaryGridFrame extends GridElementsFrame {
         this.shiftDownBy(amount);
     }
 
+    /**
+     * If the underlying dataFrame has shrunk such that
+     * my relative view now extends past its right edge,
+     * or past the last row shown by my rowView (like
+     * after filtering), I move my dataOffset back just enough
+     * for the view to fit again. Note that I do not
+     * update my cell contents, but I will trigger the
+     * `afterChange` callback if I had to move.
+     * @returns {boolean} - True if my dataOffset changed
+     */
+    fitToDataFrame() {
+        let view = this.relativeViewFrame;
+        let overRight = Math.max(0, view.right - this.dataFrame.right);
+        let overBottom = Math.max(0, view.bottom - this.rowView.bottom);
+        let nextOffset = new Point([
+            Math.max(0, this.dataOffset.x - overRight),
+            Math.max(0, this.dataOffset.y - overBottom),
+        ]);
+        if (nextOffset.equals(this.dataOffset)) {
+            return false;
+        }
+        this.dataOffset = nextOffset;
+        this.triggerAfterShift();
+        return true;
+    }
+
     /**
      * If there is a callback set on my
      * `afterChange` attribute, I will call it.
@@ -562,13 +902,13 @@ class PrimaryGridFrame extends GridElementsFrame {
 
     /**
      * Returns true if the relativeViewFrame's
-     * right side is equal to the dataFrame's
+     * right side is at or past the dataFrame's
      * right side (ie we are all the way right)
      * @returns {boolean} - Whether or not the viewFrame
      * is rightmost relative to the underlying dataFrame
      */
     get isAtRight() {
-        return this.relativeViewFrame.right == this.dataFrame.right;
+        return this.relativeViewFrame.right >= this.dataFrame.right;
     }
 
     /**
@@ -584,12 +924,13 @@ class PrimaryGridFrame extends GridElementsFrame {
 
     /**
      * Returns true if the relativeViewFrame
-     * is at the total possible bottom
+     * is at the total possible bottom, ie shows
+     * the last row shown by my rowView
      * @returns {boolean} - Whether or not the viewFrame
      * is bottom-most relative to the underlying dataFrame
      */
     get isAtBottom() {
-        return this.relativeViewFrame.bottom == this.dataFrame.bottom;
+        return this.relativeViewFrame.bottom >= this.rowView.bottom;
     }
 }
 
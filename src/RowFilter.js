@@ -0,0 +1,115 @@
+/**
+ * APSheet Row Filters
+ * ------------------------------------
+ * Functions for creating the tests a RowView uses
+ * to decide which rows to show. A filter is a function
+ * that is given a value from the filtered column and
+ * responds with true if its row should be shown.
+ * Filters are created from criteria, which are plain
+ * objects with a `type` and the options of that type:
+ *   - "contains": `{type, text, caseSensitive}`
+ *     matches values whose text includes `text`
+ *   - "equals": `{type, value, caseSensitive}`
+ *     matches values whose text is that of `value`
+ *   - "range": `{type, min, max}` matches numeric
+ *     values (or dates) between `min` and `max`,
+ *     inclusive. Either bound can be left out
+ *   - "values": `{type, values}` matches values whose
+ *     text is one of the given list. Blank values
+ *     have the text ""
+ * A criterion can also be a callback that is given
+ * the value and responds with true or false.
+ */
+
+/**
+ * Respond with the text of the given value
+ * that filters compare, where blank values are "".
+ */
+const textOf = (value) => {
+    if (value === undefined || value === null) {
+        return "";
+    }
+    return value.toString();
+};
+
+/**
+ * Respond with the number for the given value,
+ * or NaN if it is not numeric.
+ */
+const numberOf = (value) => {
+    if (typeof value === "number") {
+        return value;
+    }
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    let text = textOf(value).trim();
+    if (text === "") {
+        return NaN;
+    }
+    return Number(text);
+};
+
+const filterTypes = {
+    contains: ({ text = "", caseSensitive = false }) => {
+        let wanted = caseSensitive ? text : text.toLowerCase();
+        return (value) => {
+            let valueText = textOf(value);
+            if (!caseSensitive) {
+                valueText = valueText.toLowerCase();
+            }
+            return valueText.includes(wanted);
+        };
+    },
+    equals: ({ value, caseSensitive = false }) => {
+        let wanted = textOf(value);
+        if (!caseSensitive) {
+            wanted = wanted.toLowerCase();
+        }
+        return (other) => {
+            let otherText = textOf(other);
+            if (!caseSensitive) {
+                otherText = otherText.toLowerCase();
+            }
+            return otherText === wanted;
+        };
+    },
+    range: ({ min = null, max = null }) => {
+        let low = min === null || min === "" ? -Infinity : numberOf(min);
+        let high = max === null || max === "" ? Infinity : numberOf(max);
+        return (value) => {
+            let number = numberOf(value);
+            if (isNaN(number)) {
+                return false;
+            }
+            return low <= number && number <= high;
+        };
+    },
+    values: ({ values = [] }) => {
+        let wanted = new Set(values.map(textOf));
+        return (value) => {
+            return wanted.has(textOf(value));
+        };
+    },
+};
+
+/**
+ * Respond with a filter for the given criterion.
+ * @param {Object|Function} criterion - A criterion
+ * object with a `type`, or a callback
+ * @returns {Function} - A function that responds
+ * with true for values that match
+ */
+const createFilter = (criterion) => {
+    if (typeof criterion === "function") {
+        return (value) => {
+            return Boolean(criterion(value));
+        };
+    }
+    if (!criterion || !filterTypes[criterion.type]) {
+        throw `${criterion && criterion.type} is not a valid filter type`;
+    }
+    return filterTypes[criterion.type](criterion);
+};
+
+export { filterTypes, createFilter, textOf };
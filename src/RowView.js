@@ -0,0 +1,769 @@
+/**
+ * APSheet RowView Class
+ * ------------------------------------
+ * I sit between a PrimaryGridFrame and its
+ * DataFrame and decide which data row is shown
+ * at each row of the view. By default every view
+ * row shows the data row of the same index, but
+ * once sorted I hold a permutation of the data rows,
+ * so that what is displayed is reordered without
+ * rewriting the DataFrame's store. When filtered, I
+ * hold only the data rows that match, so the rows that
+ * do not are hidden from view.
+ * Locations given to my methods are view-relative:
+ * their x values are data columns, and their y values
+ * are rows of the view, which I translate to data rows.
+ */
+import { Frame } from "./Frame.js";
+import { Point } from "./Point.js";
+import { writeCSV } from "./CSV.js";
+import { createFilter, textOf } from "./RowFilter.js";
+
+const collator = new Intl.Collator(undefined, {
+    numeric: true,
+    sensitivity: "base",
+});
+
+/**
+ * Respond with true if the given value
+ * counts as blank when sorting.
+ */
+const isBlank = (value) => {
+    return value === undefined || value === null || value === "";
+};
+
+/**
+ * Respond with the value to compare for the given
+ * (non-blank) value, along with a rank for its type.
+ * Numbers (including numeric strings) and dates come
+ * first, then booleans, then any other strings.
+ */
+const sortableValue = (value) => {
+    if (typeof value === "number") {
+        return { rank: 0, value };
+    }
+    if (value instanceof Date) {
+        return { rank: 0, value: value.getTime() };
+    }
+    if (typeof value === "boolean") {
+        return { rank: 1, value: value ? 1 : 0 };
+    }
+    let text = value.toString();
+    if (text.trim() !== "" && !isNaN(Number(text))) {
+        return { rank: 0, value: Number(text) };
+    }
+    return { rank: 2, value: text };
+};
+
+/**
+ * Compare the two given values for sorting in
+ * ascending order, taking their types into account.
+ * Blank values are not handled here; they always
+ * sort last.
+ */
+const compareValues = (a, b) => {
+    let first = sortableValue(a);
+    let second = sortableValue(b);
+    if (first.rank !== second.rank) {
+        return first.rank - second.rank;
+    }
+    if (first.rank === 2) {
+        return collator.compare(first.value, second.value);
+    }
+    return first.value - second.value;
+};
+
+/**
+ * Respond with a sort key object for the given
+ * column index or key description.
+ */
+const normalizeKey = (key) => {
+    if (typeof key === "number") {
+        return { column: key, descending: false, compare: null };
+    }
+    if (typeof key.column !== "number") {
+        throw `Sort keys need a column index`;
+    }
+    return {
+        column: key.column,
+        descending: key.descending || false,
+        compare: key.compare || null,
+    };
+};
+
+class RowView extends Object {
+    constructor(dataFrame) {
+        super();
+        this.dataFrame = dataFrame;
+
+        // An array of data row indices, one for
+        // each view row, or null when every view
+        // row shows the data row of the same index
+        this.rows = null;
+
+        // A Map of data-relative column indices to
+        // the filters applied to them. Only rows
+        // whose values pass every filter are shown
+        this.filters = new Map();
+
+        // The inverse of my rows, built when needed
+        this._viewRows = null;
+
+        // The keys of the current sort, if any,
+        // and the number of rows at the top that
+        // are kept in place and never filtered
+        this.sortKeys = [];
+        this.numPinnedRows = 0;
+
+        // Bind instance methods
+        this.dataRowAt = this.dataRowAt.bind(this);
+        this.viewRowAt = this.viewRowAt.bind(this);
+        this.dataPointAt = this.dataPointAt.bind(this);
+        this.errorAt = this.errorAt.bind(this);
+        this.viewPointAt = this.viewPointAt.bind(this);
+        this.dataFramesFor = this.dataFramesFor.bind(this);
+        this.getAt = this.getAt.bind(this);
+        this.getValueAt = this.getValueAt.bind(this);
+        this.putAt = this.putAt.bind(this);
+        this.clearFrame = this.clearFrame.bind(this);
+        this.loadFromArray = this.loadFromArray.bind(this);
+        this.moveFrame = this.moveFrame.bind(this);
+        this.growTo = this.growTo.bind(this);
+        this.getDataArrayForFrame = this.getDataArrayForFrame.bind(this);
+        this.toCSV = this.toCSV.bind(this);
+        this.sortBy = this.sortBy.bind(this);
+        this.clearSort = this.clearSort.bind(this);
+        this.refresh = this.refresh.bind(this);
+        this.sortKeyFor = this.sortKeyFor.bind(this);
+        this.setFilter = this.setFilter.bind(this);
+        this.clearFilter = this.clearFilter.bind(this);
+        this.clearFilters = this.clearFilters.bind(this);
+        this.filterFor = this.filterFor.bind(this);
+        this.valuesIn = this.valuesIn.bind(this);
+        this.pinRows = this.pinRows.bind(this);
+        this.update = this.update.bind(this);
+    }
+
+    /**
+     * Respond with the index of the data row
+     * shown at the given view row. View rows below
+     * the last one I show continue past the bottom of
+     * the dataFrame, so that writing to them adds rows.
+     * @param {number} viewRow - A view row index
+     * @returns {number} - A data row index
+     */
+    dataRowAt(viewRow) {
+        if (!this.rows) {
+            return viewRow;
+        }
+        let index = viewRow - this.dataFrame.top;
+        if (index < 0) {
+            return viewRow;
+        }
+        if (index >= this.rows.length) {
+            return this.dataFrame.bottom + 1 + index - this.rows.length;
+        }
+        return this.rows[index];
+    }
+
+    /**
+     * Respond with the index of the view row at
+     * which the given data row is shown, or null if
+     * it is hidden by a filter.
+     * @param {number} dataRow - A data row index
+     * @returns {number|null} - A view row index
+     */
+    viewRowAt(dataRow) {
+        if (!this.rows) {
+            return dataRow;
+        }
+        if (dataRow > this.dataFrame.bottom) {
+            let past = dataRow - this.dataFrame.bottom - 1;
+            return this.dataFrame.top + this.rows.length + past;
+        }
+        if (!this._viewRows) {
+            this._viewRows = new Map();
+            this.rows.forEach((row, index) => {
+                this._viewRows.set(row, index + this.dataFrame.top);
+            });
+        }
+        if (!this._viewRows.has(dataRow)) {
+            return dataRow < this.dataFrame.top ? dataRow : null;
+        }
+        return this._viewRows.get(dataRow);
+    }
+
+    /**
+     * Respond with the data-relative Point shown
+     * at the given view-relative location.
+     * @param {Point|Array} location - A view-relative
+     * location
+     * @returns {Point} - A data-relative Point
+     */
+    dataPointAt(location) {
+        let point = new Point(location);
+        return new Point([point.x, this.dataRowAt(point.y)]);
+    }
+
+    /**
+     * Respond with the view-relative Point at which
+     * the given data-relative location is shown, or
+     * null if its row is hidden by a filter.
+     * @param {Point|Array} location - A data-relative
+     * location
+     * @returns {Point|null} - A view-relative Point
+     */
+    viewPointAt(location) {
+        let point = new Point(location);
+        let viewRow = this.viewRowAt(point.y);
+        if (viewRow === null) {
+            return null;
+        }
+        return new Point([point.x, viewRow]);
+    }
+
+    /**
+     * Respond with a list of data-relative Frames
+     * that together cover the data shown within the
+     * given view-relative Frame, in view order. View
+     * rows showing consecutive data rows are combined,
+     * so when I am not sorted this is a single Frame.
+     * @param {Frame} aFrame - A view-relative Frame
+     * @returns {Array[Frame]} - Data-relative Frames
+     */
+    dataFramesFor(aFrame) {
+        if (!this.rows || aFrame.isEmpty) {
+            return [aFrame];
+        }
+        let frames = [];
+        let start = this.dataRowAt(aFrame.top);
+        let end = start;
+        for (let y = aFrame.top + 1; y <= aFrame.bottom; y++) {
+            let row = this.dataRowAt(y);
+            if (row === end + 1) {
+                end = row;
+            } else {
+                frames.push(
+                    new Frame([aFrame.left, start], [aFrame.right, end])
+                );
+                start = row;
+                end = row;
+            }
+        }
+        frames.push(new Frame([aFrame.left, start], [aFrame.right, end]));
+        return frames;
+    }
+
+    /**
+     * Respond with the value stored for what is shown
+     * at the given view-relative location. Rows below
+     * the last one I show are blank.
+     */
+    getAt(location) {
+        let point = this.dataPointAt(location);
+        if (this.rows && point.y > this.dataFrame.bottom) {
+            return "";
+        }
+        return this.dataFrame.getAt(point);
+    }
+
+    getValueAt(location) {
+        let point = this.dataPointAt(location);
+        if (this.rows && point.y > this.dataFrame.bottom) {
+            return "";
+        }
+        return this.dataFrame.getValueAt(point);
+    }
+
+    /**
+     * Write the given value to what is shown at the
+     * given view-relative location. Writing to a row
+     * below the last one I show adds rows to the bottom
+     * of the dataFrame to hold it. This is a single
+     * undoable change and calls the dataFrame's callback.
+     */
+    putAt(location, value) {
+        let point = this.dataPointAt(location);
+        if (point.y <= this.dataFrame.bottom) {
+            return this.dataFrame.putAt(point, value);
+        }
+        this.dataFrame.transact(() => {
+            this.growTo(point.y);
+            this.dataFrame.putAt(point, value, false);
+        });
+        this.dataFrame.triggerCallback(new Frame(point, point), true);
+    }
+
+    /**
+     * Add blank rows to the bottom of the dataFrame,
+     * if it does not reach the given data row, so that
+     * values can be written there. This is how writing
+     * below the last row I show adds rows.
+     * Must be called within the dataFrame's `transact`.
+     * @param {number} dataRow - A data row index
+     */
+    growTo(dataRow) {
+        let count = dataRow - this.dataFrame.bottom;
+        if (count < 1) {
+            return;
+        }
+        let rows = [];
+        for (let i = 0; i < count; i++) {
+            rows.push([undefined]);
+        }
+        this.dataFrame.loadFromArray(rows, [0, this.dataFrame.size.y], false);
+    }
+
+    /**
+     * Respond with the schema validation error of
+     * the value shown at the given view-relative
+     * location, or null. See DataFrame.errorAt
+     */
+    errorAt(location) {
+        let point = this.dataPointAt(location);
+        if (this.rows && point.y > this.dataFrame.bottom) {
+            return null;
+        }
+        return this.dataFrame.errorAt(point);
+    }
+
+    /**
+     * Clear the values shown within the given
+     * view-relative Frame. This is a single undoable
+     * change and calls the dataFrame's callback once.
+     * @param {Frame} aFrame - A view-relative Frame
+     */
+    clearFrame(aFrame) {
+        if (!this.rows) {
+            return this.dataFrame.clearFrame(aFrame);
+        }
+        let frames = this.dataFramesFor(aFrame)
+            .map((frame) => this.dataFrame.intersection(frame))
+            .filter((frame) => !frame.isEmpty);
+        if (!frames.length) {
+            return;
+        }
+        this.dataFrame.transact(() => {
+            frames.forEach((frame) => {
+                this.dataFrame.recordChange(frame, true);
+                frame.forEachPoint((point) => {
+                    this.dataFrame.storeValue(
+                        `${point.x},${point.y}`,
+                        undefined
+                    );
+                });
+            });
+        });
+        this.dataFrame.triggerCallback(RowView.boundsOf(frames));
+    }
+
+    /**
+     * Load the given array of arrays (rows of columns)
+     * of values into the view, starting at the given
+     * view-relative origin. See DataFrame.loadFromArray.
+     * This is a single undoable change and calls the
+     * dataFrame's callback once.
+     * @param {Array[Array]} data - The values to load
+     * @param {Point|Array} origin - A view-relative origin
+     * @param {boolean} notify - If true, the dataFrame's
+     * callback is called once everything is loaded
+     */
+    loadFromArray(data, origin = [0, 0], notify = true) {
+        if (!this.rows) {
+            return this.dataFrame.loadFromArray(data, origin, notify);
+        }
+        origin = new Point(origin);
+        let corner = new Point(this.dataFrame.corner);
+        let frames = [];
+
+        // Find every row's data point first, as loading
+        // rows below the last one shown moves the bottom
+        let points = data.map((row, index) => {
+            return this.dataPointAt([origin.x, origin.y + index]);
+        });
+        this.dataFrame.transact(() => {
+            points.forEach((point) => {
+                this.growTo(point.y);
+            });
+            data.forEach((row, index) => {
+                let point = points[index];
+                this.dataFrame.loadFromArray([row], point, false);
+                frames.push(
+                    new Frame(point, [point.x + row.length - 1, point.y])
+                );
+            });
+        });
+        let wasResized = !corner.equals(this.dataFrame.corner);
+        this.dataFrame.triggerCallback(
+            RowView.boundsOf(frames),
+            wasResized,
+            notify
+        );
+    }
+
+    /**
+     * Move the values shown within the given view-relative
+     * Frame so that they are shown starting at the given
+     * view-relative origin, leaving the cells they came
+     * from blank unless they are moved onto. Rows that
+     * land below the last one I show add rows to the
+     * bottom of the dataFrame, as with loadFromArray.
+     * This is a single undoable change and calls the
+     * dataFrame's callback once, with a Frame covering
+     * both places.
+     * @param {Frame} aFrame - A view-relative Frame
+     * @param {Point|Array} toOrigin - A view-relative origin
+     * @returns {Frame} - The view-relative Frame the
+     * values were moved to
+     */
+    moveFrame(aFrame, toOrigin) {
+        toOrigin = new Point(toOrigin);
+        let data = this.getDataArrayForFrame(aFrame);
+        let fromFrames = this.dataFramesFor(aFrame)
+            .map((frame) => this.dataFrame.intersection(frame))
+            .filter((frame) => !frame.isEmpty);
+
+        // Find where every row lands first, as adding
+        // rows below the last one shown moves the bottom
+        let toPoints = data.map((row, index) => {
+            return this.dataPointAt([toOrigin.x, toOrigin.y + index]);
+        });
+        let corner = new Point(this.dataFrame.corner);
+        let frames = fromFrames.slice();
+        this.dataFrame.transact(() => {
+            fromFrames.forEach((frame) => {
+                this.dataFrame.recordChange(frame, true);
+                frame.forEachPoint((point) => {
+                    this.dataFrame.storeValue(
+                        `${point.x},${point.y}`,
+                        undefined
+                    );
+                });
+            });
+            toPoints.forEach((point) => {
+                this.growTo(point.y);
+            });
+            data.forEach((row, index) => {
+                let point = toPoints[index];
+                this.dataFrame.loadFromArray([row], point, false);
+                frames.push(
+                    new Frame(point, [point.x + row.length - 1, point.y])
+                );
+            });
+        });
+        if (frames.length) {
+            let wasResized = !corner.equals(this.dataFrame.corner);
+            this.dataFrame.triggerCallback(
+                RowView.boundsOf(frames),
+                wasResized
+            );
+        }
+        return new Frame(toOrigin, [
+            toOrigin.x + aFrame.size.x - 1,
+            toOrigin.y + Math.max(data.length, 1) - 1,
+        ]);
+    }
+
+    /**
+     * Respond with an array of arrays (rows of
+     * columns) of the values shown within the given
+     * view-relative Frame, in view order. Rows hidden
+     * by a filter and rows below the last one I show
+     * are left out.
+     * @param {Frame} aFrame - A view-relative Frame
+     * @returns {Array[Array]} - The values
+     */
+    getDataArrayForFrame(aFrame) {
+        let result = [];
+        if (this.rows && aFrame.bottom > this.bottom) {
+            if (aFrame.top > this.bottom) {
+                return result;
+            }
+            aFrame = new Frame(aFrame.origin, [aFrame.right, this.bottom]);
+        }
+        this.dataFramesFor(aFrame).forEach((frame) => {
+            result.push(...this.dataFrame.getDataArrayForFrame(frame));
+        });
+        return result;
+    }
+
+    /**
+     * Respond with the values shown within the
+     * given view-relative Frame as delimited text.
+     * See DataFrame.toCSV
+     * @param {Frame} aFrame - A view-relative Frame.
+     * Defaults to the whole view
+     * @param {Object} options - Options for writing
+     * @returns {String} - The delimited text
+     */
+    toCSV(aFrame = null, options = {}) {
+        if (!this.rows) {
+            return this.dataFrame.toCSV(aFrame, options);
+        }
+        if (!aFrame) {
+            aFrame = new Frame(this.dataFrame.origin, this.dataFrame.corner);
+        }
+        let writeOptions = Object.assign({}, options, { header: null });
+        if (Array.isArray(options.header)) {
+            writeOptions.header = options.header;
+        } else if (options.header && this.dataFrame.header) {
+            writeOptions.header = [];
+            for (let x = aFrame.left; x <= aFrame.right; x++) {
+                writeOptions.header.push(
+                    this.dataFrame.header[x - this.dataFrame.origin.x]
+                );
+            }
+        }
+        return writeCSV(this.getDataArrayForFrame(aFrame), writeOptions);
+    }
+
+    /**
+     * Reorder the rows of the view by the values of
+     * the given columns, without changing the data.
+     * Earlier keys take precedence, and rows that
+     * compare equal keep their data order. Blank values
+     * always sort last.
+     * @param {Array} keys - Sort keys, each either a
+     * data-relative column index or an object with a
+     * `column` index, an optional `descending` flag and
+     * an optional `compare` function that compares two
+     * non-blank values like Array.prototype.sort expects
+     * @param {number} numPinnedRows - The number of rows
+     * at the top, like locked header rows, that stay
+     * where they are. Defaults to the current number
+     */
+    sortBy(keys, numPinnedRows = this.numPinnedRows) {
+        this.sortKeys = keys.map(normalizeKey);
+        this.numPinnedRows = numPinnedRows;
+        this.update();
+    }
+
+    /**
+     * Show every data row at the view
+     * row of the same index again, unless
+     * I am also filtered.
+     */
+    clearSort() {
+        this.sortBy([]);
+    }
+
+    /**
+     * Only show the rows whose value in the given
+     * column matches the given criterion, in addition
+     * to any filters on other columns. Pinned rows are
+     * always shown.
+     * @param {number} column - A data-relative column
+     * index
+     * @param {Object|Function} criterion - A criterion
+     * or callback. See RowFilter. If null, the filter
+     * on the column is removed
+     */
+    setFilter(column, criterion) {
+        if (criterion === null || criterion === undefined) {
+            this.filters.delete(column);
+        } else {
+            this.filters.set(column, {
+                column,
+                criterion,
+                test: createFilter(criterion),
+            });
+        }
+        this.update();
+    }
+
+    clearFilter(column) {
+        this.setFilter(column, null);
+    }
+
+    clearFilters() {
+        this.filters.clear();
+        this.update();
+    }
+
+    /**
+     * Respond with the criterion filtering the
+     * given data-relative column, or null.
+     * @param {number} column - A column index
+     * @returns {Object|Function|null} - The criterion
+     */
+    filterFor(column) {
+        let filter = this.filters.get(column);
+        return filter ? filter.criterion : null;
+    }
+
+    /**
+     * Respond with the distinct texts of the values in
+     * the given data-relative column, below any pinned
+     * rows and in sorted order, as used to choose
+     * values to filter by. Blank values have the text "".
+     * @param {number} column - A column index
+     * @returns {Array[String]} - The texts
+     */
+    valuesIn(column) {
+        let texts = new Set();
+        let top = this.dataFrame.top + this.numPinnedRows;
+        for (let y = top; y <= this.dataFrame.bottom; y++) {
+            texts.add(textOf(this.dataFrame.getValueAt([column, y])));
+        }
+        return Array.from(texts).sort((a, b) => {
+            if (a === "" || b === "") {
+                return (a === "") - (b === "");
+            }
+            return compareValues(a, b);
+        });
+    }
+
+    /**
+     * Keep the given number of rows at the top in
+     * place, unsorted and unfiltered.
+     * @param {number} numPinnedRows - The number of rows
+     */
+    pinRows(numPinnedRows) {
+        this.numPinnedRows = numPinnedRows;
+        this.update();
+    }
+
+    /**
+     * Decide again which data row is shown at each
+     * view row, using my current filters and sort keys.
+     */
+    update() {
+        if (!this.sortKeys.length && !this.filters.size) {
+            this.rows = null;
+            this._viewRows = null;
+            return;
+        }
+        let top = this.dataFrame.top;
+        let rows = [];
+        for (let y = top; y <= this.dataFrame.bottom; y++) {
+            rows.push(y);
+        }
+        let pinned = rows.splice(0, this.numPinnedRows);
+        this.filters.forEach((filter) => {
+            rows = rows.filter((y) => {
+                return filter.test(
+                    this.dataFrame.getValueAt([filter.column, y])
+                );
+            });
+        });
+        let valuesByColumn = this.sortKeys.map((key) => {
+            let values = new Map();
+            rows.forEach((y) => {
+                values.set(y, this.dataFrame.getValueAt([key.column, y]));
+            });
+            return values;
+        });
+        rows.sort((firstRow, secondRow) => {
+            for (let i = 0; i < this.sortKeys.length; i++) {
+                let key = this.sortKeys[i];
+                let a = valuesByColumn[i].get(firstRow);
+                let b = valuesByColumn[i].get(secondRow);
+                let result = 0;
+                if (isBlank(a) || isBlank(b)) {
+                    result = isBlank(a) - isBlank(b);
+                } else {
+                    let compare = key.compare || compareValues;
+                    result = compare(a, b);
+                    if (key.descending) {
+                        result = -result;
+                    }
+                }
+                if (result !== 0) {
+                    return result;
+                }
+            }
+            return 0;
+        });
+        this.rows = pinned.concat(rows);
+        this._viewRows = null;
+    }
+
+    /**
+     * Sort and filter again, for example
+     * after rows were added or removed.
+     */
+    refresh() {
+        this.update();
+    }
+
+    /**
+     * Respond with the sort key for the given
+     * data-relative column, or null if I am
+     * not sorted by it.
+     * @param {number} column - A column index
+     * @returns {Object|null} - The sort key
+     */
+    sortKeyFor(column) {
+        return (
+            this.sortKeys.find((key) => {
+                return key.column === column;
+            }) || null
+        );
+    }
+
+    get isSorted() {
+        return this.sortKeys.length > 0;
+    }
+
+    get isFiltered() {
+        return this.filters.size > 0;
+    }
+
+    /**
+     * Respond with true if any view row shows
+     * a data row other than the one of the same
+     * index, ie if I am sorted or filtered.
+     */
+    get isReordered() {
+        return this.rows !== null;
+    }
+
+    /**
+     * The number of rows I show, including
+     * any pinned rows.
+     */
+    get numRows() {
+        if (!this.rows) {
+            return this.dataFrame.size.y;
+        }
+        return this.rows.length;
+    }
+
+    /**
+     * The number of shown rows below the
+     * pinned rows, ie those that matched
+     * my filters.
+     */
+    get numMatchingRows() {
+        return Math.max(0, this.numRows - this.numPinnedRows);
+    }
+
+    /**
+     * The index of the last view row
+     * that shows a data row.
+     */
+    get bottom() {
+        return this.dataFrame.top + this.numRows - 1;
+    }
+
+    /**
+     * Respond with the smallest Frame
+     * that contains all of the given Frames.
+     */
+    static boundsOf(frames) {
+        return frames.reduce((bounds, frame) => {
+            return new Frame(
+                [
+                    Math.min(bounds.left, frame.left),
+                    Math.min(bounds.top, frame.top),
+                ],
+                [
+                    Math.max(bounds.right, frame.right),
+                    Math.max(bounds.bottom, frame.bottom),
+                ]
+            );
+        });
+    }
+}
+
+export { RowView, compareValues, RowView as default };
@@ -0,0 +1,238 @@
+/**
+ * ScrollBar Web Component
+ * -----------------------
+ * I am a scrollbar laid along the right or bottom
+ * edge of a sheet, depending on my `orientation`
+ * attribute ("vertical" or "horizontal"). My thumb
+ * shows which of the rows or columns are in view (see
+ * `update`). Dragging my thumb, or clicking my track to
+ * page towards the click, dispatches a `sheet-scroll`
+ * event whose detail has my `orientation` and the
+ * `position` (the offset of the first row or column in
+ * view) to scroll to. My thumb keeps a minimum size, so
+ * that it can be dragged across even huge frames.
+ */
+const templateString = `
+<style>
+    :host {
+        --thumb-size: 100%;
+        --thumb-offset: 0%;
+        display: block;
+        position: relative;
+        z-index: 4;
+        box-sizing: border-box;
+        background-color: rgba(240, 240, 240, 0.6);
+    }
+    :host([orientation="vertical"]) {
+        width: 10px;
+        justify-self: end;
+    }
+    :host([orientation="horizontal"]) {
+        height: 10px;
+        align-self: end;
+    }
+    :host(.empty) {
+        display: none;
+    }
+    #thumb {
+        position: absolute;
+        box-sizing: border-box;
+        border-radius: 5px;
+        border: 1px solid rgba(240, 240, 240, 0.8);
+        background-color: rgba(100, 100, 100, 0.5);
+    }
+    #thumb:hover,
+    :host([dragging]) #thumb {
+        background-color: rgba(80, 80, 80, 0.8);
+    }
+    :host([orientation="vertical"]) #thumb {
+        left: 0;
+        width: 100%;
+        min-height: 20px;
+        height: var(--thumb-size);
+        top: var(--thumb-offset);
+    }
+    :host([orientation="horizontal"]) #thumb {
+        top: 0;
+        height: 100%;
+        min-width: 20px;
+        width: var(--thumb-size);
+        left: var(--thumb-offset);
+    }
+</style>
+<div id="thumb"></div>
+`;
+
+class ScrollBar extends HTMLElement {
+    constructor() {
+        super();
+        this.template = document.createElement("template");
+        this.template.innerHTML = templateString;
+        this.attachShadow({ mode: "open" });
+        this.shadowRoot.append(this.template.content.cloneNode(true));
+
+        // The offset of the first row or column in
+        // view, how many are in view, and how many
+        // there are to scroll through
+        this.position = 0;
+        this.visible = 1;
+        this.total = 1;
+
+        // While the thumb is dragged, the pointer
+        // coordinate and position it started from
+        this.dragStart = null;
+
+        // Bind instance methods
+        this.update = this.update.bind(this);
+        this.scrollTo = this.scrollTo.bind(this);
+        this.positionForDistance = this.positionForDistance.bind(this);
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+    }
+
+    connectedCallback() {
+        if (this.isConnected) {
+            this.addEventListener("mousedown", this.onMouseDown);
+        }
+    }
+
+    disconnectedCallback() {
+        this.removeEventListener("mousedown", this.onMouseDown);
+        this.onMouseUp();
+    }
+
+    /**
+     * Show the given position within the given
+     * total, with the given number in view. I am
+     * hidden when everything is in view.
+     * @param {number} position - The offset of the
+     * first row or column in view
+     * @param {number} visible - How many are in view
+     * @param {number} total - How many there are
+     */
+    update(position, visible, total) {
+        this.position = position;
+        this.visible = Math.max(1, visible);
+        this.total = Math.max(this.visible, total);
+        if (this.visible >= this.total) {
+            this.classList.add("empty");
+            return;
+        }
+        this.classList.remove("empty");
+        let maxPosition = this.total - this.visible;
+        let size = (this.visible / this.total) * 100;
+        let fraction = Math.min(1, position / maxPosition);
+        this.style.setProperty("--thumb-size", `${size}%`);
+        this.style.setProperty(
+            "--thumb-offset",
+            `calc((100% - max(${this.thumbMinimum}px, ${size}%)) * ${fraction})`
+        );
+    }
+
+    /**
+     * Ask to scroll to the given position, which
+     * is kept within the bounds of what there is to
+     * scroll through.
+     * @param {number} position - The offset of the
+     * first row or column to show
+     */
+    scrollTo(position) {
+        let maxPosition = Math.max(0, this.total - this.visible);
+        position = Math.max(0, Math.min(maxPosition, Math.round(position)));
+        if (position === this.position) {
+            return;
+        }
+        let event = new CustomEvent("sheet-scroll", {
+            detail: {
+                orientation: this.orientation,
+                position,
+            },
+        });
+        this.dispatchEvent(event);
+    }
+
+    /**
+     * Respond with the position the thumb would
+     * show after being dragged by the given distance
+     * in pixels from where the drag started.
+     * @param {number} distance - The distance in pixels
+     * @returns {number} - The position
+     */
+    positionForDistance(distance) {
+        let rect = this.getBoundingClientRect();
+        let length = this.isVertical ? rect.height : rect.width;
+        let thumbLength = Math.max(
+            this.thumbMinimum,
+            (this.visible / this.total) * length
+        );
+        let trackLength = length - thumbLength;
+        if (trackLength <= 0) {
+            return this.dragStart.position;
+        }
+        let maxPosition = this.total - this.visible;
+        return this.dragStart.position + (distance / trackLength) * maxPosition;
+    }
+
+    onMouseDown(event) {
+        // The sheet does not select or
+        // focus anything under me
+        event.preventDefault();
+        event.stopPropagation();
+        let coordinate = this.isVertical ? event.clientY : event.clientX;
+        let target = event.composedPath()[0];
+        if (target && target.id === "thumb") {
+            this.dragStart = { coordinate, position: this.position };
+            this.setAttribute("dragging", true);
+            document.addEventListener("mousemove", this.onMouseMove);
+            document.addEventListener("mouseup", this.onMouseUp);
+            return;
+        }
+
+        // Clicking the track pages towards the click
+        let thumbRect = this.shadowRoot
+            .getElementById("thumb")
+            .getBoundingClientRect();
+        let thumbStart = this.isVertical ? thumbRect.top : thumbRect.left;
+        if (coordinate < thumbStart) {
+            this.scrollTo(this.position - this.visible);
+        } else {
+            this.scrollTo(this.position + this.visible);
+        }
+    }
+
+    onMouseMove(event) {
+        if (!this.dragStart) {
+            return;
+        }
+        let coordinate = this.isVertical ? event.clientY : event.clientX;
+        this.scrollTo(
+            this.positionForDistance(coordinate - this.dragStart.coordinate)
+        );
+    }
+
+    onMouseUp() {
+        this.dragStart = null;
+        this.removeAttribute("dragging");
+        document.removeEventListener("mousemove", this.onMouseMove);
+        document.removeEventListener("mouseup", this.onMouseUp);
+    }
+
+    get orientation() {
+        return this.getAttribute("orientation") || "vertical";
+    }
+
+    get isVertical() {
+        return this.orientation === "vertical";
+    }
+
+    /**
+     * The smallest length of my thumb in pixels.
+     * Keep this in sync with the template.
+     */
+    get thumbMinimum() {
+        return 20;
+    }
+}
+
+export { ScrollBar, ScrollBar as default };
@@ -0,0 +1,245 @@
+/**
+ * APSheet Search
+ * ------------------------------------
+ * Functions for finding and replacing the values
+ * of a DataFrame. Values are searched as they are
+ * stored, so formulas are found by their text rather
+ * than their computed values. The search options are:
+ *   - `matchCase`: if true, letter case must match
+ *   - `wholeCell`: if true, the whole text of a value
+ *     must match rather than any part of it
+ *   - `regex`: if true, the query is a regular
+ *     expression, and replacements can refer to its
+ *     groups like "$1"
+ *   - `frames`: a list of data-relative Frames to
+ *     search within, rather than the whole DataFrame
+ * A match is an object with the data-relative `location`
+ * (a Point) and the `value` found there.
+ * DataFrames backed by a DataSource only hold the
+ * values that have been loaded. If the source has a
+ * `search(query, options)` function responding with
+ * (a Promise of) a list of matches, it is asked for the
+ * matches in the chunks that have not been loaded.
+ * Otherwise only loaded values are searched.
+ */
+import { Frame } from "./Frame.js";
+import { Point } from "./Point.js";
+import { textFor } from "./ColumnSchema.js";
+
+// The "x,y" key of the given Point, as used
+// by the stores of DataFrames
+const keyFor = (aPoint) => {
+    return `${aPoint.x},${aPoint.y}`;
+};
+
+const escapeRegExp = (text) => {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+};
+
+/**
+ * Respond with a matcher for the given query and
+ * options: an object whose `test` function responds
+ * with true if a value matches, and whose `replace`
+ * function responds with the text of a value with its
+ * matching parts replaced. Blank values never match.
+ * @param {String} query - The text or regular expression
+ * @param {Object} options - The search options
+ * @returns {Object} - A matcher
+ */
+const matcherFor = (query, options = {}) => {
+    if (typeof query !== "string" || query === "") {
+        throw "Nothing to search for";
+    }
+    let source = options.regex ? query : escapeRegExp(query);
+    if (options.wholeCell) {
+        source = `^(?:${source})$`;
+    }
+    let flags = options.matchCase ? "g" : "gi";
+    let pattern;
+    try {
+        pattern = new RegExp(source, flags);
+    } catch (error) {
+        throw `${query} is not a valid regular expression`;
+    }
+    return {
+        test: (value) => {
+            let text = textFor(value);
+            pattern.lastIndex = 0;
+            return text !== "" && pattern.test(text);
+        },
+        replace: (value, replacement) => {
+            // Only regular expressions refer to
+            // their groups in replacements
+            let replaceWith = options.regex ? replacement : () => replacement;
+            pattern.lastIndex = 0;
+            return textFor(value).replace(pattern, replaceWith);
+        },
+    };
+};
+
+/**
+ * Sort the given matches by row, then by column.
+ */
+const sortMatches = (matches) => {
+    return matches.sort((a, b) => {
+        return a.location.y - b.location.y || a.location.x - b.location.x;
+    });
+};
+
+/**
+ * Respond with true if the value at the given
+ * Point of the given DataFrame is in its store,
+ * or would be if it were not blank.
+ */
+const isLoaded = (dataFrame, aPoint) => {
+    if (!dataFrame.dataSource || keyFor(aPoint) in dataFrame.store) {
+        return true;
+    }
+    let chunk = keyFor(dataFrame.chunkIndexAt(aPoint));
+    return dataFrame.loadedChunks.has(chunk);
+};
+
+/**
+ * Respond with the matches of the given matcher
+ * among the values in the store of the given DataFrame,
+ * within the given data-relative Frames if any.
+ * @param {DataFrame} dataFrame - The DataFrame to search
+ * @param {Object} matcher - See matcherFor
+ * @param {Array[Frame]|null} frames - Frames to search within
+ * @returns {Array[Object]} - The matches, in no order
+ */
+const findInStore = (dataFrame, matcher, frames = null) => {
+    let matches = [];
+    let store = dataFrame.store;
+    let area = frames
+        ? frames.reduce((total, frame) => total + frame.area, 0)
+        : Infinity;
+
+    // Looking up the Points of small Frames is
+    // quicker than going through a large store
+    if (area < Object.keys(store).length) {
+        frames.forEach((frame) => {
+            frame.forEachPoint((point) => {
+                let value = store[keyFor(point)];
+                if (matcher.test(value)) {
+                    matches.push({ location: point, value });
+                }
+            });
+        });
+        return matches;
+    }
+    Object.keys(store).forEach((key) => {
+        let value = store[key];
+        if (!matcher.test(value)) {
+            return;
+        }
+        let location = new Point(key.split(",").map(Number));
+        if (!frames || frames.some((frame) => frame.contains(location))) {
+            matches.push({ location, value });
+        }
+    });
+    return matches;
+};
+
+/**
+ * Respond with a Promise of the matches of the given
+ * query among the values of the given DataFrame, sorted
+ * by row and then by column. See the module comment.
+ * Throws if the query cannot be searched for.
+ * @param {DataFrame} dataFrame - The DataFrame to search
+ * @param {String} query - The text or regular expression
+ * @param {Object} options - The search options
+ * @returns {Promise} - A Promise resolving to the matches
+ */
+const findMatches = (dataFrame, query, options = {}) => {
+    let matcher = matcherFor(query, options);
+    let frames = options.frames || null;
+    let matches = findInStore(dataFrame, matcher, frames);
+    let source = dataFrame.dataSource;
+    if (!source || typeof source.search !== "function") {
+        return Promise.resolve(sortMatches(matches));
+    }
+    return Promise.resolve(source.search(query, options)).then((found) => {
+        found.forEach(({ location, value }) => {
+            let point = new Point(location);
+
+            // Loaded values were searched above, as
+            // they may have been edited since
+            if (
+                !dataFrame.contains(point) ||
+                isLoaded(dataFrame, point) ||
+                !matcher.test(value)
+            ) {
+                return;
+            }
+            if (!frames || frames.some((frame) => frame.contains(point))) {
+                matches.push({ location: point, value });
+            }
+        });
+        return sortMatches(matches);
+    });
+};
+
+/**
+ * Respond with those of the given matches that still
+ * match, with the values now at their locations. Values
+ * that have not been loaded are as they were found.
+ * @param {DataFrame} dataFrame - The DataFrame searched
+ * @param {Array[Object]} matches - See findMatches
+ * @param {Object} matcher - See matcherFor
+ * @returns {Array[Object]} - The matches
+ */
+const currentMatches = (dataFrame, matches, matcher) => {
+    return matches
+        .map(({ location, value }) => {
+            if (isLoaded(dataFrame, location)) {
+                value = dataFrame.store[keyFor(location)];
+            }
+            return { location, value };
+        })
+        .filter(({ value }) => matcher.test(value));
+};
+
+/**
+ * Replace the matching parts of the values of the
+ * given matches, as a single undoable change that
+ * calls the DataFrame's callback once. The new values
+ * are parsed by the DataFrame's schema, if any, and
+ * any that fail are reported through its
+ * validationCallback.
+ * @param {DataFrame} dataFrame - The DataFrame
+ * @param {Array[Object]} matches - See findMatches
+ * @param {Object} matcher - See matcherFor
+ * @param {String} replacement - The replacement text
+ * @returns {number} - The number of values replaced
+ */
+const replaceMatches = (dataFrame, matches, matcher, replacement) => {
+    if (!matches.length) {
+        return 0;
+    }
+    let texts = matches.map(({ value }) => {
+        return matcher.replace(value, replacement);
+    });
+    let parsed = dataFrame.parseArray([texts], (x) => {
+        return matches[x].location;
+    });
+    let left = Infinity;
+    let top = Infinity;
+    let right = -Infinity;
+    let bottom = -Infinity;
+    dataFrame.transact(() => {
+        matches.forEach(({ location }, index) => {
+            dataFrame.recordChange(new Frame(location, location));
+            dataFrame.storeValue(keyFor(location), parsed.data[0][index]);
+            left = Math.min(left, location.x);
+            top = Math.min(top, location.y);
+            right = Math.max(right, location.x);
+            bottom = Math.max(bottom, location.y);
+        });
+    });
+    dataFrame.triggerCallback(new Frame([left, top], [right, bottom]));
+    dataFrame.triggerValidationFailed(parsed.failures);
+    return matches.length;
+};
+
+export { matcherFor, findInStore, findMatches, currentMatches, replaceMatches };
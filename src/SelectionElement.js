@@ -16,6 +16,7 @@ const templateString = `
         grid-column: var(--col-start-name) var(--col-start) / span var(--col-end);
         background-color: rgba(0, 0, 100, 0.5);
         pointer-events: none;
+        position: relative;
     }
     :host(.empty){
         display: none;
@@ -23,8 +24,28 @@ const templateString = `
 
     :host([draggable]){
         pointer-events: auto;
+}
+    :host([dragging]){
+        pointer-events: none;
+        opacity: 0.5;
+}
+    #fill-handle {
+        display: none;
+        position: absolute;
+        right: -4px;
+        bottom: -4px;
+        width: 7px;
+        height: 7px;
+        background-color: rgba(0, 0, 100, 0.9);
+        border: 1px solid white;
+        cursor: crosshair;
+        pointer-events: auto;
+}
+    :host([fill-handle]) #fill-handle {
+        display: block;
 }
 </style>
+<div id="fill-handle"></div>
 `;
 
 class SelectionElement extends HTMLElement {
@@ -48,6 +69,7 @@ class SelectionElement extends HTMLElement {
         this.handleParentKeyDown = this.handleParentKeyDown.bind(this);
         this.handleParentKeyUp = this.handleParentKeyUp.bind(this);
         this.handleDragStart = this.handleDragStart.bind(this);
+        this.handleDragEnd = this.handleDragEnd.bind(this);
         this.handleDocumentBlur = this.handleDocumentBlur.bind(this);
         this.clearDraggabilityMode = this.clearDraggabilityMode.bind(this);
         this.hide = this.hide.bind(this);
@@ -206,6 +228,26 @@ class SelectionElement extends HTMLElement {
 
     handleDragStart(event) {
         const parentElement = this.parentElement || this.getRootNode().host;
+
+        // Sheets look up what is being dragged here
+        // when it is dropped on them. See GridSheet
+        this.constructor.dragSource = {
+            sheet: parentElement,
+            frame: new Frame(
+                this.relativeFrame.origin,
+                this.relativeFrame.corner
+            ),
+        };
+        this.addEventListener("dragend", this.handleDragEnd);
+
+        // Once the drag has started, let the cells below
+        // receive the drag events, so that the sheet can
+        // show where the selection would be dropped
+        parentElement.style.pointerEvents = "";
+        setTimeout(() => {
+            this.setAttribute("dragging", true);
+        }, 0);
+        event.dataTransfer.effectAllowed = "copyMove";
         event.dataTransfer.setData("selection-drag", true);
         event.dataTransfer.setData(
             "text/json",
@@ -219,6 +261,13 @@ class SelectionElement extends HTMLElement {
         );
     }
 
+    handleDragEnd() {
+        this.constructor.dragSource = null;
+        this.removeEventListener("dragend", this.handleDragEnd);
+        this.removeAttribute("dragging");
+        this.clearDraggabilityMode();
+    }
+
     hide() {
         this.classList.add("empty");
     }
@@ -251,4 +300,9 @@ class SelectionElement extends HTMLElement {
     }
 }
 
+// The sheet and view-relative Frame of the selection
+// being dragged, if any. It is stored on the constructor
+// so that any sheet it is dropped on can find it
+SelectionElement.dragSource = null;
+
 export { SelectionElement, SelectionElement as default };
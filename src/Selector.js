@@ -7,6 +7,19 @@
 import Point from "./Point.js";
 import Frame from "./Frame.js";
 
+// The step taken by the cursor in
+// each direction it can move
+const steps = {
+    right: new Point([1, 0]),
+    left: new Point([-1, 0]),
+    up: new Point([0, -1]),
+    down: new Point([0, 1]),
+};
+
+const isBlank = (value) => {
+    return value === undefined || value === null || value === "";
+};
+
 class Selector {
     constructor(primaryFrame) {
         if (!primaryFrame || !primaryFrame.isPrimaryFrame) {
@@ -25,6 +38,12 @@ class Selector {
         );
         this.selectionFrame.isEmpty = true;
 
+        // Any other ranges selected along with
+        // the selectionFrame, like with Ctrl+click,
+        // as view-relative Frames. The selectionFrame
+        // is the range being selected now. See `addRange`
+        this.otherFrames = [];
+
         // Set a cursor point to track.
         // We begin it at the origin of the
         // single celled selectionFrame
@@ -43,6 +62,11 @@ class Selector {
         // frames.
         this.anchor = this.relativeCursor;
 
+        // The view-relative location of the cursor
+        // while it is scrolled out of view, or null.
+        // See `scrollBy`
+        this.scrolledCursor = null;
+
         // We hold old values for cursor
         // for restyling and debugging
         // purposes
@@ -61,6 +85,25 @@ class Selector {
         this.moveToLeftEnd = this.moveToLeftEnd.bind(this);
         this.moveToTopEnd = this.moveToTopEnd.bind(this);
         this.moveToBottomEnd = this.moveToBottomEnd.bind(this);
+        this.moveCursorTo = this.moveCursorTo.bind(this);
+        this.placeCursorAt = this.placeCursorAt.bind(this);
+        this.absolutePointFor = this.absolutePointFor.bind(this);
+        this.scrollBy = this.scrollBy.bind(this);
+        this.revealCursor = this.revealCursor.bind(this);
+        this.moveToDataEdge = this.moveToDataEdge.bind(this);
+        this.dataEdgeFrom = this.dataEdgeFrom.bind(this);
+        this.moveToRowStart = this.moveToRowStart.bind(this);
+        this.moveToRowEnd = this.moveToRowEnd.bind(this);
+        this.moveToFirstCell = this.moveToFirstCell.bind(this);
+        this.moveToLastCell = this.moveToLastCell.bind(this);
+        this.moveWithinSelection = this.moveWithinSelection.bind(this);
+        this.selectAll = this.selectAll.bind(this);
+        this.selectRows = this.selectRows.bind(this);
+        this.selectColumns = this.selectColumns.bind(this);
+        this.addRange = this.addRange.bind(this);
+        this.clearRanges = this.clearRanges.bind(this);
+        this.absoluteFrameFor = this.absoluteFrameFor.bind(this);
+        this.fitCursorToRows = this.fitCursorToRows.bind(this);
         this.selectFromAnchorTo = this.selectFromAnchorTo.bind(this);
         this.setAnchorToElement = this.setAnchorToElement.bind(this);
         this.setCursorToElement = this.setCursorToElement.bind(this);
@@ -84,6 +127,7 @@ class Selector {
      * internal selectionFrame.
      */
     moveRightBy(amount, selecting = false) {
+        this.revealCursor();
         let nextCursor = new Point([this.cursor.x, this.cursor.y]);
         let rightDiff =
             nextCursor.x + amount - this.primaryFrame.viewFrame.right;
@@ -98,6 +142,7 @@ class Selector {
             this.cursor = nextCursor;
             this.selectFromAnchorTo(this.relativeCursor);
         } else {
+            this.clearRanges();
             this.selectionFrame.isEmpty = true;
             this.cursor = nextCursor;
             this.anchor = this.relativeCursor;
@@ -124,6 +169,7 @@ class Selector {
      * update my current selectionFrame
      */
     moveLeftBy(amount, selecting = false) {
+        this.revealCursor();
         let nextCursor = new Point([this.cursor.x, this.cursor.y]);
         let nextPos = this.cursor.x - amount;
         if (this.primaryFrame.isAtLeft) {
@@ -152,6 +198,7 @@ class Selector {
             this.cursor = nextCursor;
             this.selectFromAnchorTo(this.relativeCursor);
         } else {
+            this.clearRanges();
             this.selectionFrame.isEmpty = true;
             this.cursor = nextCursor;
             this.anchor = this.relativeCursor;
@@ -177,6 +224,7 @@ class Selector {
      * selectionFrame.
      */
     moveUpBy(amount, selecting = false) {
+        this.revealCursor();
         let nextCursor = new Point([this.cursor.x, this.cursor.y]);
         let nextPos = this.cursor.y - amount;
         if (this.primaryFrame.isAtTop) {
@@ -204,6 +252,7 @@ class Selector {
             this.cursor = nextCursor;
             this.selectFromAnchorTo(this.relativeCursor);
         } else {
+            this.clearRanges();
             this.selectionFrame.isEmpty = true;
             this.cursor = nextCursor;
             this.anchor = this.relativeCursor;
@@ -220,6 +269,8 @@ class Selector {
      * and there is further data below, I will trigger
      * a call to `shiftDownBy` on my underling
      * primaryFrame with the correct adjusted amount.
+     * I never move past the last row shown, so rows
+     * hidden by a filter are skipped.
      * @param {number} amount - The number of Points to
      * move the cursor down by
      * @param {boolean} selecting - Whether or not to
@@ -227,6 +278,7 @@ class Selector {
      * selectionFrame
      */
     moveDownBy(amount, selecting = false) {
+        this.revealCursor();
         let nextCursor = new Point([this.cursor.x, this.cursor.y]);
         let downDiff =
             nextCursor.y + amount - this.primaryFrame.viewFrame.bottom;
@@ -236,11 +288,13 @@ class Selector {
         } else {
             nextCursor.y += amount;
         }
+        nextCursor.y = Math.min(nextCursor.y, this.lastRow);
 
         if (selecting) {
             this.cursor = nextCursor;
             this.selectFromAnchorTo(this.relativeCursor);
         } else {
+            this.clearRanges();
             this.selectionFrame.isEmpty = true;
             this.cursor = nextCursor;
             this.anchor = this.relativeCursor;
@@ -249,6 +303,27 @@ class Selector {
         this.triggerCallback();
     }
 
+    /**
+     * If my cursor is below the last row shown,
+     * for example after rows were filtered out, I move
+     * it up onto that row and collapse the selection.
+     * @returns {boolean} - True if the cursor moved
+     */
+    fitCursorToRows() {
+        if (this.scrolledCursor) {
+            if (this.scrolledCursor.y <= this.primaryFrame.rowView.bottom) {
+                return false;
+            }
+            this.scrolledCursor = null;
+        } else if (this.cursor.y <= this.lastRow) {
+            return false;
+        }
+        this.cursor = new Point([this.cursor.x, this.lastRow]);
+        this.selectionFrame.isEmpty = true;
+        this.anchor = this.relativeCursor;
+        return true;
+    }
+
     /**
      * I trigger a `moveUp` call whose
      * amount is equal to the current page
@@ -354,6 +429,355 @@ class Selector {
         this.moveDownBy(this.primaryFrame.dataFrame.size.y * 2, selecting);
     }
 
+    /**
+     * I move the cursor onto the given view-relative
+     * Point, collapsing the selection, and trigger any
+     * shift of the underlying primaryFrame needed to
+     * bring the Point into view. Points in locked rows
+     * or columns are always in view along that axis.
+     * If `selecting` is true, I instead select from the
+     * anchor to the Point.
+     * @param {Point|Array} aRelativePoint - The Point
+     * to move to
+     * @param {boolean} selecting - Whether or not to
+     * "select" during the move
+     */
+    moveCursorTo(aRelativePoint, selecting = false) {
+        this.placeCursorAt(aRelativePoint);
+        if (selecting) {
+            this.selectFromAnchorTo(this.relativeCursor);
+        } else {
+            this.clearRanges();
+            this.selectionFrame.isEmpty = true;
+            this.anchor = this.relativeCursor;
+        }
+        this.triggerCallback();
+    }
+
+    /**
+     * I put the cursor on the given view-relative
+     * Point, shifting the underlying primaryFrame to
+     * bring it into view, without changing the selection.
+     * See moveCursorTo
+     * @param {Point|Array} aRelativePoint - The Point
+     */
+    placeCursorAt(aRelativePoint) {
+        let point = new Point(aRelativePoint);
+        let primaryFrame = this.primaryFrame;
+        let view = primaryFrame.relativeViewFrame;
+        if (point.y >= primaryFrame.numLockedRows) {
+            if (point.y < view.top) {
+                primaryFrame.shiftUpBy(view.top - point.y);
+            } else if (point.y > view.bottom) {
+                primaryFrame.shiftDownBy(point.y - view.bottom);
+            }
+        }
+        if (point.x >= primaryFrame.numLockedColumns) {
+            if (point.x < view.left) {
+                primaryFrame.shiftLeftBy(view.left - point.x);
+            } else if (point.x > view.right) {
+                primaryFrame.shiftRightBy(point.x - view.right);
+            }
+        }
+        this.cursor = this.absolutePointFor(point);
+        this.scrolledCursor = null;
+    }
+
+    /**
+     * Respond with the PrimaryFrame absolute Point
+     * that shows the given view-relative Point, given
+     * where the view is now. Points in locked rows or
+     * columns are absolute along that axis.
+     * @param {Point|Array} aRelativePoint - The Point
+     * @returns {Point} - A PrimaryFrame absolute Point,
+     * which may be outside of the PrimaryFrame
+     */
+    absolutePointFor(aRelativePoint) {
+        let point = new Point(aRelativePoint);
+        let primaryFrame = this.primaryFrame;
+        let offset = primaryFrame.dataOffset;
+        return new Point([
+            point.x < primaryFrame.numLockedColumns
+                ? point.x
+                : point.x - offset.x,
+            point.y < primaryFrame.numLockedRows ? point.y : point.y - offset.y,
+        ]);
+    }
+
+    /**
+     * I shift the view of the primaryFrame by the given
+     * numbers of columns and rows, like scrolling does,
+     * leaving the cursor on the same cell and the selection
+     * as it is. Negative numbers scroll left or up. While
+     * the cell at the cursor is scrolled out of view I keep
+     * its location as my scrolledCursor, and the view
+     * shifts back to it when the cursor is next moved.
+     * Note that I do not trigger the callback.
+     * @param {number} columns - The number of
+     * columns to scroll right by
+     * @param {number} rows - The number of rows
+     * to scroll down by
+     * @returns {boolean} - True if the view shifted
+     */
+    scrollBy(columns, rows) {
+        let primaryFrame = this.primaryFrame;
+        let location = this.relativeCursor;
+        let previousOffset = new Point(primaryFrame.dataOffset);
+        // The cursor is not shown while the view
+        // shifts, so that it keeps its location
+        this.scrolledCursor = location;
+        if (columns > 0) {
+            primaryFrame.shiftRightBy(columns);
+        } else if (columns < 0) {
+            primaryFrame.shiftLeftBy(-columns);
+        }
+        if (rows > 0) {
+            primaryFrame.shiftDownBy(rows);
+        } else if (rows < 0) {
+            primaryFrame.shiftUpBy(-rows);
+        }
+
+        // Show the cursor again if its cell is in
+        // view, and not behind locked rows or columns
+        let cursor = this.absolutePointFor(location);
+        let isInView =
+            primaryFrame.contains(cursor) &&
+            (location.x < primaryFrame.numLockedColumns ||
+                cursor.x >= primaryFrame.numLockedColumns) &&
+            (location.y < primaryFrame.numLockedRows ||
+                cursor.y >= primaryFrame.numLockedRows);
+        if (isInView) {
+            this.cursor = cursor;
+            this.scrolledCursor = null;
+        }
+        return !previousOffset.equals(primaryFrame.dataOffset);
+    }
+
+    /**
+     * If the cursor was scrolled out of view, I
+     * shift the view back to show it. See scrollBy
+     * @returns {boolean} - True if the view shifted
+     */
+    revealCursor() {
+        if (!this.scrolledCursor) {
+            return false;
+        }
+        this.placeCursorAt(this.scrolledCursor);
+        return true;
+    }
+
+    /**
+     * I move the cursor in the given direction to the
+     * edge of the block of values it is in, like Ctrl+Arrow
+     * does in other spreadsheet apps. See dataEdgeFrom
+     * @param {String} direction - One of "right", "left",
+     * "up" or "down"
+     * @param {boolean} selecting - Whether or not to
+     * "select" during the move
+     */
+    moveToDataEdge(direction, selecting = false) {
+        this.moveCursorTo(
+            this.dataEdgeFrom(this.relativeCursor, direction),
+            selecting
+        );
+    }
+
+    /**
+     * Respond with the view-relative Point that the
+     * cursor would jump to from the given one, in the given
+     * direction. If both that Point and the next one have
+     * values, it is the last Point with a value before a
+     * blank one. Otherwise it is the next Point with a
+     * value, skipping blanks, or the edge of the data if
+     * there is none.
+     * @param {Point} aRelativePoint - The Point to start from
+     * @param {String} direction - One of "right", "left",
+     * "up" or "down"
+     * @returns {Point} - A view-relative Point
+     */
+    dataEdgeFrom(aRelativePoint, direction) {
+        let step = steps[direction];
+        if (!step) {
+            throw `${direction} is not a valid direction`;
+        }
+        let bounds = this.shownDataFrame;
+        let rowView = this.primaryFrame.rowView;
+        let hasValue = (point) => !isBlank(rowView.getAt(point));
+        let after = (point) => {
+            return new Point([point.x + step.x, point.y + step.y]);
+        };
+        let point = new Point(aRelativePoint);
+        let next = after(point);
+        if (!bounds.contains(next)) {
+            return point;
+        }
+        if (hasValue(point) && hasValue(next)) {
+            while (bounds.contains(after(next)) && hasValue(after(next))) {
+                next = after(next);
+            }
+            return next;
+        }
+        while (!hasValue(next) && bounds.contains(after(next))) {
+            next = after(next);
+        }
+        return next;
+    }
+
+    /**
+     * I move the cursor to the first
+     * column of its row (Home).
+     * @param {boolean} selecting - Whether or not
+     * to "select" during the move
+     */
+    moveToRowStart(selecting = false) {
+        let cursor = this.relativeCursor;
+        this.moveCursorTo([this.shownDataFrame.left, cursor.y], selecting);
+    }
+
+    /**
+     * I move the cursor to the last
+     * column of its row (End).
+     * @param {boolean} selecting - Whether or not
+     * to "select" during the move
+     */
+    moveToRowEnd(selecting = false) {
+        let cursor = this.relativeCursor;
+        this.moveCursorTo([this.shownDataFrame.right, cursor.y], selecting);
+    }
+
+    /**
+     * I move the cursor to the first cell
+     * of the data (Ctrl+Home).
+     * @param {boolean} selecting - Whether or not
+     * to "select" during the move
+     */
+    moveToFirstCell(selecting = false) {
+        this.moveCursorTo(this.shownDataFrame.origin, selecting);
+    }
+
+    /**
+     * I move the cursor to the last cell
+     * of the data (Ctrl+End).
+     * @param {boolean} selecting - Whether or not
+     * to "select" during the move
+     */
+    moveToLastCell(selecting = false) {
+        this.moveCursorTo(this.shownDataFrame.corner, selecting);
+    }
+
+    /**
+     * I move the cursor to the next cell of the
+     * selection, keeping the selection, like Tab and
+     * Enter do in other spreadsheet apps. The cursor goes
+     * across each row before going down, or down each
+     * column if `downward` is true, and wraps around at
+     * the end. If nothing is selected, the cursor simply
+     * moves right (or down).
+     * @param {boolean} downward - Whether or not to go
+     * down each column first
+     * @param {boolean} backwards - Whether or not to
+     * go back to the previous cell instead
+     */
+    moveWithinSelection(downward = false, backwards = false) {
+        let frame = this.selectionFrame;
+        let isSingleCell = frame.size.x == 1 && frame.size.y == 1;
+        if (frame.isEmpty || isSingleCell) {
+            if (downward && backwards) {
+                this.moveUpBy(1);
+            } else if (downward) {
+                this.moveDownBy(1);
+            } else if (backwards) {
+                this.moveLeftBy(1);
+            } else {
+                this.moveRightBy(1);
+            }
+            return;
+        }
+        let cursor = this.relativeCursor;
+        let width = frame.size.x;
+        let height = frame.size.y;
+        let index = downward
+            ? (cursor.x - frame.left) * height + (cursor.y - frame.top)
+            : (cursor.y - frame.top) * width + (cursor.x - frame.left);
+        index = (index + (backwards ? -1 : 1) + frame.area) % frame.area;
+        let next = downward
+            ? [
+                  frame.left + Math.floor(index / height),
+                  frame.top + (index % height),
+              ]
+            : [
+                  frame.left + (index % width),
+                  frame.top + Math.floor(index / width),
+              ];
+        this.placeCursorAt(next);
+        this.triggerCallback();
+    }
+
+    /**
+     * I select all of the data (Ctrl+A),
+     * leaving the cursor where it is.
+     */
+    selectAll() {
+        let bounds = this.shownDataFrame;
+        this.clearRanges();
+        this.anchor = bounds.origin;
+        this.selectFromAnchorTo(bounds.corner);
+        this.triggerCallback();
+    }
+
+    /**
+     * I select the whole rows of the selection,
+     * or of the cursor if nothing is selected
+     * (Shift+Space), leaving the cursor where it is.
+     */
+    selectRows() {
+        let frame = this.selectionFrame.isEmpty
+            ? new Frame(this.relativeCursor, this.relativeCursor)
+            : this.selectionFrame;
+        let bounds = this.shownDataFrame;
+        this.clearRanges();
+        this.anchor = new Point([bounds.left, frame.top]);
+        this.selectFromAnchorTo(new Point([bounds.right, frame.bottom]));
+        this.triggerCallback();
+    }
+
+    /**
+     * I select the whole columns of the selection,
+     * or of the cursor if nothing is selected
+     * (Ctrl+Space), leaving the cursor where it is.
+     */
+    selectColumns() {
+        let frame = this.selectionFrame.isEmpty
+            ? new Frame(this.relativeCursor, this.relativeCursor)
+            : this.selectionFrame;
+        let bounds = this.shownDataFrame;
+        this.clearRanges();
+        this.anchor = new Point([frame.left, bounds.top]);
+        this.selectFromAnchorTo(new Point([frame.right, bounds.bottom]));
+        this.triggerCallback();
+    }
+
+    /**
+     * I keep the current selection, or the cell at
+     * the cursor if nothing is selected, as one of my
+     * otherFrames, so that the next range selected is
+     * added to it rather than replacing it.
+     */
+    addRange() {
+        let range = this.selectionFrame.isEmpty
+            ? new Frame(this.relativeCursor, this.relativeCursor)
+            : this.selectionFrame.copy();
+        this.otherFrames.push(range);
+    }
+
+    /**
+     * I forget any ranges selected along
+     * with my selectionFrame.
+     */
+    clearRanges() {
+        this.otherFrames = [];
+    }
+
     /**
      * I loop through each of the Points in my
      * underlying primaryFrame and add/remove
@@ -436,6 +860,7 @@ class Selector {
         let x = parseInt(anElement.dataset.x);
         let y = parseInt(anElement.dataset.y);
         this.cursor = new Point([x, y]);
+        this.scrolledCursor = null;
         if (this.anchor.equals(this.relativeCursor)) {
             this.selectionFrame.isEmpty = true;
         }
@@ -449,9 +874,16 @@ class Selector {
      * Point based on the primaryFrame absolute
      * Point given by my current cursor location
      * @returns {Point} - A data-relative Point
-     * corresponding to the cursor location
+     * corresponding to the cursor location. When rows
+     * have been reordered its y value is a row of the
+     * view rather than of the data. See dataCursor.
+     * While the cursor is scrolled out of view, this
+     * is my scrolledCursor
      */
     get relativeCursor() {
+        if (this.scrolledCursor) {
+            return new Point(this.scrolledCursor);
+        }
         let el = this.primaryFrame.elementAt(this.cursor);
         return new Point([
             parseInt(el.dataset.relativeX),
@@ -459,16 +891,72 @@ class Selector {
         ]);
     }
 
+    /**
+     * The primaryFrame row of the last row shown
+     * by its rowView, which is as far down as the
+     * cursor can go.
+     * @returns {number} - An absolute row index
+     */
+    get lastRow() {
+        let lastRow =
+            this.primaryFrame.rowView.bottom - this.primaryFrame.dataOffset.y;
+        return Math.max(this.primaryFrame.top, lastRow);
+    }
+
+    /**
+     * The view-relative Frame of every cell
+     * showing data, which is as far as the cursor
+     * jumps with Ctrl+Arrow, Home and End.
+     * @returns {Frame} - A view-relative Frame
+     */
+    get shownDataFrame() {
+        let dataFrame = this.primaryFrame.dataFrame;
+        return new Frame(
+            [dataFrame.left, dataFrame.top],
+            [
+                dataFrame.right,
+                Math.max(dataFrame.top, this.primaryFrame.rowView.bottom),
+            ]
+        );
+    }
+
+    /**
+     * Responds with a new Point for the location
+     * in the dataFrame whose value is shown under
+     * the cursor. Unlike relativeCursor, whose y value
+     * is a row of the view, this takes any reordering
+     * of rows (like sorting) into account.
+     * @returns {Point} - A data-relative Point
+     */
+    get dataCursor() {
+        return this.primaryFrame.rowView.dataPointAt(this.relativeCursor);
+    }
+
+    /**
+     * Responds with a list of Frames in the dataFrame
+     * whose values are shown within my selected ranges,
+     * in the order they appear. There is one per range
+     * unless rows have been reordered. Empty if nothing
+     * is selected.
+     * @returns {Array[Frame]} - Data-relative Frames
+     */
+    get dataSelectionFrames() {
+        let rowView = this.primaryFrame.rowView;
+        return this.selectionFrames.reduce((frames, frame) => {
+            return frames.concat(rowView.dataFramesFor(frame));
+        }, []);
+    }
+
     /**
      * Respond with the data at the current
      * cursor.
-     * Note that we use relativeCursor to
+     * Note that we use dataCursor to
      * do so.
      * @returns {object} - The stored data value
      * at the current relative cursor point
      */
     get dataAtCursor() {
-        let dataValue = this.primaryFrame.dataFrame.getAt(this.relativeCursor);
+        let dataValue = this.primaryFrame.dataFrame.getAt(this.dataCursor);
         if (dataValue == undefined) {
             return "undefined";
         }
@@ -496,20 +984,49 @@ class Selector {
      * data-relative.
      */
     get absoluteSelectionFrame() {
+        return this.absoluteFrameFor(this.selectionFrame);
+    }
+
+    /**
+     * Responds with the Frame of the points on the
+     * PrimaryFrame's view that show the given
+     * view-relative Frame, like one of my otherFrames.
+     * @param {Frame} aFrame - A view-relative Frame
+     * @returns {Frame} - A PrimaryFrame absolute Frame
+     */
+    absoluteFrameFor(aFrame) {
         let origin = new Point([
-            this.selectionFrame.origin.x - this.primaryFrame.dataOffset.x,
-            this.selectionFrame.origin.y - this.primaryFrame.dataOffset.y,
+            aFrame.origin.x - this.primaryFrame.dataOffset.x,
+            aFrame.origin.y - this.primaryFrame.dataOffset.y,
         ]);
         let corner = new Point([
-            this.selectionFrame.corner.x - this.primaryFrame.dataOffset.x,
-            this.selectionFrame.corner.y - this.primaryFrame.dataOffset.y,
+            aFrame.corner.x - this.primaryFrame.dataOffset.x,
+            aFrame.corner.y - this.primaryFrame.dataOffset.y,
         ]);
         let fullView = new Frame(origin, corner);
-        if (this.selectionFrame.isEmpty) {
+        if (aFrame.isEmpty) {
             fullView.isEmpty = true;
         }
         return this.primaryFrame.intersection(fullView);
     }
+
+    /**
+     * Responds with every selected range as a
+     * view-relative Frame, with the one being selected
+     * now last. When several ranges are selected and
+     * my selectionFrame is empty, the cell at the cursor
+     * is that range. Empty if nothing is selected.
+     * @returns {Array[Frame]} - View-relative Frames
+     */
+    get selectionFrames() {
+        if (!this.otherFrames.length) {
+            return this.selectionFrame.isEmpty ? [] : [this.selectionFrame];
+        }
+        let range = this.selectionFrame.isEmpty
+            ? new Frame(this.relativeCursor, this.relativeCursor)
+            : this.selectionFrame;
+        return [...this.otherFrames, range];
+    }
 }
 
 export { Selector, Selector as default };
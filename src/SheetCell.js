@@ -5,6 +5,8 @@
  * elements of a sheet. Designed to be used
  * in TableElementFrame and GridElementFrame
  */
+import { textFor } from "./ColumnSchema.js";
+
 const templateString = `
 <style>
     :host {
@@ -19,12 +21,34 @@ const templateString = `
     input:focus {
         outline: none;
     }
+    :host(.cf-highlight) {
+        background-color: var(--cf-background, transparent);
+        color: var(--cf-color, inherit);
+    }
+    :host(.cf-data-bar) {
+        background-image: linear-gradient(
+            to right,
+            var(--cf-bar-color) var(--cf-bar-size),
+            transparent var(--cf-bar-size)
+        );
+    }
+    :host([found]) {
+        box-shadow: inset 0 0 0 2px rgba(255, 170, 0, 0.9);
+        background-color: rgba(255, 220, 0, 0.3);
+    }
+    :host([invalid]) {
+        box-shadow: inset 0 0 0 1px rgba(210, 40, 40, 0.8);
+        background-color: rgba(210, 40, 40, 0.08);
+    }
 
     span {
         text-align: center;
         width: 100%;
         pointer-events: none;
     }
+    :host([numeric]) span {
+        text-align: right;
+    }
 
     input {
         display: none;
@@ -47,8 +71,22 @@ const templateString = `
         display: inline-flex;
         align-items: center;
     }
+    #editor {
+        display: none;
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 100%;
+        min-height: 100%;
+        z-index: 1;
+        background-color: white;
+    }
+    #editor.show {
+        display: block;
+    }
 </style>
 <input type="text"/>
+<div id="editor"></div>
 <span>
     <slot></slot>
 </span>
@@ -69,16 +107,33 @@ class SheetCell extends HTMLElement {
         this.relativeRow = 0;
         this.relativeColumn = 0;
 
+        // The content of the input when
+        // editing began. See startEditing
+        this.originalContent = "";
+
+        // The editor use (see CellPlugins) and
+        // its context while editing with one
+        this.editor = null;
+        this.editorContext = null;
+
         // Bind methods
         this.updateRow = this.updateRow.bind(this);
         this.updateColumn = this.updateColumn.bind(this);
         this.startEditing = this.startEditing.bind(this);
         this.stopEditing = this.stopEditing.bind(this);
+        this.startEditorEditing = this.startEditorEditing.bind(this);
+        this.stopEditorEditing = this.stopEditorEditing.bind(this);
+        this.dispatchCellEdited = this.dispatchCellEdited.bind(this);
+        this.dispatchCellEditing = this.dispatchCellEditing.bind(this);
         this.focusParentSheet = this.focusParentSheet.bind(this);
         this.triggerCellEdited = this.triggerCellEdited.bind(this);
         this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.dispatchEditFinished = this.dispatchEditFinished.bind(this);
         this.handleDoubleClick = this.handleDoubleClick.bind(this);
         this.handleInputBlur = this.handleInputBlur.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+        this.handleEditorKeyDown = this.handleEditorKeyDown.bind(this);
+        this.handleEditorFocusOut = this.handleEditorFocusOut.bind(this);
     }
 
     connectedCallback() {
@@ -146,40 +201,172 @@ class SheetCell extends HTMLElement {
     }
 
     startEditing() {
+        let sheet = this.parentElement;
+        if (sheet && sheet.isSheet && this.dataset.relativeX !== undefined) {
+            let relativeCoordinate = [
+                parseInt(this.dataset.relativeX),
+                parseInt(this.dataset.relativeY),
+            ];
+            let location = sheet.rowView.dataPointAt(relativeCoordinate);
+            let value = sheet.rowView.getAt(relativeCoordinate);
+            let editor = sheet.primaryFrame.plugins.editorFor(location, value);
+            if (editor) {
+                this.startEditorEditing(editor, {
+                    value,
+                    text: this.rawContent,
+                    location,
+                    relativeCoordinate,
+                    options: editor.options,
+                });
+                return;
+            }
+        }
         this.isEditing = true;
         let input = this.shadowRoot.querySelector("input");
         input.classList.add("show");
-        input.value = this.textContent;
+        this.originalContent = this.rawContent;
+        input.value = this.originalContent;
         input.addEventListener("keydown", this.handleKeyDown);
         input.addEventListener("blur", this.handleInputBlur);
+        input.addEventListener("input", this.handleInput);
         input.focus();
+        this.dispatchCellEditing(true);
     }
 
     stopEditing() {
+        if (this.editor) {
+            this.stopEditorEditing();
+            return;
+        }
         this.isEditing = false;
         let input = this.shadowRoot.querySelector("input");
         input.removeEventListener("keydown", this.handleKeyDown);
         input.classList.remove("show");
         this.triggerCellEdited();
         input.removeEventListener("blur", this.handleInputBlur);
+        input.removeEventListener("input", this.handleInput);
         input.blur();
         this.focusParentSheet();
+        this.dispatchCellEditing(false);
+    }
+
+    /**
+     * Edit my value with the given editor use instead
+     * of my input, mounting it in my editor container.
+     * The edit ends when the editor commits or cancels
+     * it, when Escape is pressed, or when the focus
+     * leaves the editor. See CellPlugins
+     * @param {Object} editor - An editor use
+     * @param {Object} context - The editor context,
+     * without its commit and cancel functions
+     */
+    startEditorEditing(editor, context) {
+        this.isEditing = true;
+        this.editor = editor;
+        this.editorContext = Object.assign(context, {
+            commit: (value) => {
+                if (this.editor === editor) {
+                    context.committedValue = value;
+                    context.isCommitted = true;
+                    this.removeAttribute("editing");
+                }
+            },
+            cancel: () => {
+                if (this.editor === editor) {
+                    this.removeAttribute("editing");
+                }
+            },
+        });
+        let container = this.shadowRoot.getElementById("editor");
+        container.classList.add("show");
+        container.addEventListener("keydown", this.handleEditorKeyDown);
+        container.addEventListener("focusout", this.handleEditorFocusOut);
+        editor.plugin.mount(container, this.editorContext);
+    }
+
+    stopEditorEditing() {
+        let editor = this.editor;
+        let context = this.editorContext;
+        this.isEditing = false;
+        this.editor = null;
+        this.editorContext = null;
+        let container = this.shadowRoot.getElementById("editor");
+        container.removeEventListener("keydown", this.handleEditorKeyDown);
+        container.removeEventListener("focusout", this.handleEditorFocusOut);
+        editor.plugin.destroy(container, context);
+        container.textContent = "";
+        container.classList.remove("show");
+        if (context.isCommitted && context.committedValue !== context.value) {
+            this.dispatchCellEdited(
+                context.relativeCoordinate,
+                context.committedValue
+            );
+        }
+        this.focusParentSheet();
     }
 
     triggerCellEdited() {
         let input = this.shadowRoot.querySelector("input");
-        if (this.textContent === input.value) {
+        if (this.originalContent === input.value) {
             return;
         }
-        this.textContent = input.value;
+        if (!this.cellRenderer) {
+            this.textContent = input.value;
+        }
+        this.dispatchCellEdited(
+            [
+                parseInt(this.dataset.relativeX),
+                parseInt(this.dataset.relativeY),
+            ],
+            input.value
+        );
+    }
+
+    dispatchCellEdited(relativeCoordinate, content) {
         let newEvent = new CustomEvent("cell-edited", {
+            detail: {
+                relativeCoordinate,
+                element: this,
+                content,
+            },
+            bubbles: true,
+        });
+        this.dispatchEvent(newEvent);
+    }
+
+    /**
+     * Tell the sheet what is in my input while I
+     * am being edited, so that its edit bar can show
+     * it as it is typed, and when I stop being edited.
+     */
+    dispatchCellEditing(isEditing) {
+        let input = this.shadowRoot.querySelector("input");
+        let newEvent = new CustomEvent("cell-editing", {
             detail: {
                 relativeCoordinate: [
                     parseInt(this.dataset.relativeX),
                     parseInt(this.dataset.relativeY),
                 ],
                 element: this,
-                content: this.textContent,
+                content: input.value,
+                isEditing,
+            },
+            bubbles: true,
+        });
+        this.dispatchEvent(newEvent);
+    }
+
+    /**
+     * Tell the sheet that editing was finished with
+     * the given key (Enter or Tab), so that the
+     * cursor can move on like in other spreadsheet apps.
+     */
+    dispatchEditFinished(keyEvent) {
+        let newEvent = new CustomEvent("cell-edit-finished", {
+            detail: {
+                element: this,
+                key: keyEvent.key,
+                shiftKey: keyEvent.shiftKey,
             },
             bubbles: true,
         });
@@ -192,20 +379,42 @@ class SheetCell extends HTMLElement {
         }
     }
 
+    handleInput(event) {
+        this.dispatchCellEditing(true);
+    }
+
     handleKeyDown(event) {
-        if (event.key == "Enter" && !event.shiftKey) {
+        if ((event.key == "Enter" && !event.shiftKey) || event.key == "Tab") {
             event.preventDefault();
             event.stopPropagation();
             this.removeAttribute("editing");
+            this.dispatchEditFinished(event);
         } else if (event.key == "Escape") {
-            let cachedContent = this.textContent;
+            // Revert the input so that stopping
+            // does not count as an edit
+            let input = this.shadowRoot.querySelector("input");
+            input.value = this.originalContent;
             this.removeAttribute("editing");
-            this.textContent = cachedContent;
         } else if (event.key.startsWith("Arrow")) {
             event.stopPropagation();
         }
     }
 
+    handleEditorKeyDown(event) {
+        if (event.key == "Escape") {
+            this.editorContext.cancel();
+        }
+        // Keys are for the editor, not the sheet
+        event.stopPropagation();
+    }
+
+    handleEditorFocusOut(event) {
+        let container = this.shadowRoot.getElementById("editor");
+        if (this.editor && !container.contains(event.relatedTarget)) {
+            this.editorContext.cancel();
+        }
+    }
+
     handleDoubleClick(event) {
         if (
             !this.parentElement.hasAttribute("read-only-view") &&
@@ -215,6 +424,26 @@ class SheetCell extends HTMLElement {
         }
     }
 
+    /**
+     * Respond with the raw stored value for this
+     * cell as a string, which is what gets edited.
+     * For formulas this is the formula text rather
+     * than the computed value that we display.
+     * When there is no parent sheet we fall back
+     * to the displayed text.
+     */
+    get rawContent() {
+        let sheet = this.parentElement;
+        if (!sheet || !sheet.isSheet || this.dataset.relativeX === undefined) {
+            return this.textContent;
+        }
+        let value = sheet.rowView.getAt([
+            parseInt(this.dataset.relativeX),
+            parseInt(this.dataset.relativeY),
+        ]);
+        return textFor(value);
+    }
+
     focusParentSheet() {
         // Attempt to find an ancestor that
         // is a sheet element. Focus it if found.
@@ -1,3 +1,5 @@
+import { labelStyles } from "./Labels.js";
+
 class RowReference extends Object {
     constructor(index, sheet, label) {
         this.index = index;
@@ -6,35 +8,6 @@ class RowReference extends Object {
     }
 }
 
-const letters = [
-    "A",
-    "B",
-    "C",
-    "D",
-    "E",
-    "F",
-    "G",
-    "H",
-    "I",
-    "J",
-    "K",
-    "L",
-    "M",
-    "N",
-    "O",
-    "P",
-    "Q",
-    "R",
-    "S",
-    "T",
-    "U",
-    "V",
-    "W",
-    "X",
-    "Y",
-    "Z",
-];
-
 const rowTabTemplateString = `
 <style>
     :host {
@@ -47,6 +20,7 @@ const rowTabTemplateString = `
         display: flex;
         align-items: center;
         justify-content: center;
+        background-color: white;
         --tracking-highlight-color: rgba(240, 240, 240, 0.8);
     }
     :host(:last-child){
@@ -95,6 +69,10 @@ class RowTab extends HTMLElement {
         this.row = 0;
         this.relativeRow = 0;
 
+        // Responds with my label for my data-relative
+        // row. Sheets replace it with their own
+        this.labeler = labelStyles["one-based"];
+
         this.isRowTab = true;
 
         // a Cached version of the measurment
@@ -103,6 +81,7 @@ class RowTab extends HTMLElement {
 
         // Bind instance methods
         this.setLabel = this.setLabel.bind(this);
+        this.updateLabel = this.updateLabel.bind(this);
         this.onAdjusterMouseDown = this.onAdjusterMouseDown.bind(this);
         this.onAdjusterMouseUp = this.onAdjusterMouseUp.bind(this);
         this.onAdjusterMouseMove = this.onAdjusterMouseMove.bind(this);
@@ -127,7 +106,7 @@ class RowTab extends HTMLElement {
             this.row = parseInt(newVal);
         } else if (name == "data-relative-y") {
             this.relativeRow = parseInt(newVal);
-            this.setLabel(this.relativeRow);
+            this.updateLabel();
         }
     }
 
@@ -161,10 +140,13 @@ class RowTab extends HTMLElement {
         this.removeEventListener("click", this.onAdjusterClick);
     }
 
-    setLabel(num) {
-        this.shadowRoot.getElementById("label").innerText = (
-            num + 1
-        ).toString();
+    setLabel(label) {
+        this.setAttribute("data-label", label);
+        this.shadowRoot.getElementById("label").innerText = label;
+    }
+
+    updateLabel() {
+        this.setLabel(this.labeler(this.relativeRow));
     }
 
     static get observedAttributes() {
@@ -184,6 +166,7 @@ const columnTabTemplateString = `
         display: flex;
         align-items: center;
         justify-content: center;
+        background-color: white;
         --tracking-highlight-color: rgba(240, 240, 240, 0.8);
     }
     :host([highlighted]){
@@ -207,9 +190,46 @@ const columnTabTemplateString = `
     #right-adjuster {
         right: -15px;
     }
+    #sort-button {
+        position: absolute;
+        left: 6px;
+        font-size: 0.8em;
+        opacity: 0.3;
+    }
+    #sort-button::after {
+        content: "\\2195";
+    }
+    #sort-button:hover,
+    :host([sorted]) #sort-button {
+        opacity: 1;
+    }
+    :host([sorted="ascending"]) #sort-button::after {
+        content: "\\25B2";
+    }
+    :host([sorted="descending"]) #sort-button::after {
+        content: "\\25BC";
+    }
+    #filter-button {
+        position: absolute;
+        right: 18px;
+        font-size: 0.8em;
+        opacity: 0.3;
+    }
+    #filter-button::after {
+        content: "\\25BE";
+    }
+    #filter-button:hover,
+    :host([filtered]) #filter-button {
+        opacity: 1;
+    }
+    :host([filtered]) #filter-button {
+        color: rgb(30, 100, 200);
+    }
     
 </style>
+<span id="sort-button" title="Sort"></span>
 <span id="label"></span>
+<span id="filter-button" title="Filter"></span>
 <div id="right-adjuster" class="adjuster"></div>
 `;
 class ColumnTab extends HTMLElement {
@@ -223,6 +243,10 @@ class ColumnTab extends HTMLElement {
         this.column = 0;
         this.relativeColumn = 0;
 
+        // Responds with my label for my data-relative
+        // column. Sheets replace it with their own
+        this.labeler = labelStyles.letters;
+
         this.isColumnTab = true;
 
         // a Cached version of the measurment
@@ -231,10 +255,13 @@ class ColumnTab extends HTMLElement {
 
         // Bind instance methods
         this.setLabel = this.setLabel.bind(this);
+        this.updateLabel = this.updateLabel.bind(this);
         this.onAdjusterMouseDown = this.onAdjusterMouseDown.bind(this);
         this.onAdjusterMouseUp = this.onAdjusterMouseUp.bind(this);
         this.onAdjusterMouseMove = this.onAdjusterMouseMove.bind(this);
         this.onAdjusterClick = this.onAdjusterClick.bind(this);
+        this.onSortClick = this.onSortClick.bind(this);
+        this.onFilterClick = this.onFilterClick.bind(this);
     }
 
     connectedCallback() {
@@ -246,6 +273,10 @@ class ColumnTab extends HTMLElement {
                 "mousedown",
                 this.onAdjusterMouseDown
             );
+            let sortButton = this.shadowRoot.getElementById("sort-button");
+            sortButton.addEventListener("click", this.onSortClick);
+            let filterButton = this.shadowRoot.getElementById("filter-button");
+            filterButton.addEventListener("click", this.onFilterClick);
         }
     }
 
@@ -255,6 +286,10 @@ class ColumnTab extends HTMLElement {
             "mousedown",
             this.onAdjusterMouseDown
         );
+        let sortButton = this.shadowRoot.getElementById("sort-button");
+        sortButton.removeEventListener("click", this.onSortClick);
+        let filterButton = this.shadowRoot.getElementById("filter-button");
+        filterButton.removeEventListener("click", this.onFilterClick);
     }
 
     attributeChangedCallback(name, oldVal, newVal) {
@@ -262,29 +297,19 @@ class ColumnTab extends HTMLElement {
             this.column = parseInt(newVal);
         } else if (name == "data-relative-x") {
             this.relativeColumn = parseInt(newVal);
-            this.setLabel(this.relativeColumn + 1);
+            this.updateLabel();
         }
     }
 
-    setLabel(num) {
-        let index = num - 1;
-        let remainder, diviz;
-        let label = "";
-        if (index < letters.length) {
-            label = letters[index];
-        } else {
-            diviz = Math.floor(index / letters.length);
-            remainder = index % letters.length;
-            let letter = letters[remainder];
-            let times = diviz + 1;
-            for (let i = 0; i < times; i++) {
-                label += letter;
-            }
-        }
+    setLabel(label) {
         this.setAttribute("data-label", label);
         this.shadowRoot.getElementById("label").innerText = label;
     }
 
+    updateLabel() {
+        this.setLabel(this.labeler(this.relativeColumn));
+    }
+
     onAdjusterMouseDown(event) {
         document.addEventListener("mousemove", this.onAdjusterMouseMove);
         document.addEventListener("mouseup", this.onAdjusterMouseUp);
@@ -315,6 +340,39 @@ class ColumnTab extends HTMLElement {
         this.removeEventListener("click", this.onAdjusterClick);
     }
 
+    /**
+     * Ask the sheet to sort by my column. Holding
+     * shift adds my column to the current sort keys
+     * instead of replacing them. The click does not
+     * reach the sheet, so the column is not selected.
+     */
+    onSortClick(event) {
+        event.stopPropagation();
+        let sortEvent = new CustomEvent("column-sort", {
+            detail: {
+                addKey: event.shiftKey,
+            },
+        });
+        this.dispatchEvent(sortEvent);
+    }
+
+    /**
+     * Ask the sheet to open the filter dropdown for
+     * my column, just below me. Like sorting, the click
+     * does not select the column.
+     */
+    onFilterClick(event) {
+        event.stopPropagation();
+        let rect = this.getBoundingClientRect();
+        let filterEvent = new CustomEvent("column-filter", {
+            detail: {
+                x: rect.left,
+                y: rect.bottom,
+            },
+        });
+        this.dispatchEvent(filterEvent);
+    }
+
     static get observedAttributes() {
         return ["data-x", "data-relative-x"];
     }
@@ -0,0 +1,141 @@
+/**
+ * TabMenu Web Component
+ * -----------------------
+ * I am a small context menu that a sheet
+ * displays over its row and column tabs.
+ * I am opened with a list of items, each
+ * having a label and an action function,
+ * and close myself once an item is chosen,
+ * when Escape is pressed, or when the user
+ * clicks anywhere else.
+ */
+const templateString = `
+<style>
+    :host {
+        display: none;
+        position: fixed;
+        z-index: 10;
+        min-width: 160px;
+        padding: 4px 0;
+        background-color: white;
+        border: 1px solid rgba(100, 100, 100, 0.4);
+        border-radius: 5px;
+        box-shadow: 2px 2px 6px rgba(0, 0, 0, 0.2);
+        font-family: inherit;
+        font-size: 0.9em;
+    }
+    :host([open]) {
+        display: block;
+    }
+    ul {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+    }
+    li {
+        padding: 4px 12px;
+        cursor: pointer;
+    }
+    li:hover {
+        background-color: rgba(240, 240, 240, 0.8);
+    }
+</style>
+<ul id="items"></ul>
+`;
+
+class TabMenu extends HTMLElement {
+    constructor() {
+        super();
+        this.template = document.createElement("template");
+        this.template.innerHTML = templateString;
+        this.attachShadow({ mode: "open" });
+        this.shadowRoot.append(this.template.content.cloneNode(true));
+
+        this.items = [];
+
+        // Bind instance methods
+        this.open = this.open.bind(this);
+        this.close = this.close.bind(this);
+        this.chooseItem = this.chooseItem.bind(this);
+        this.onDocumentMouseDown = this.onDocumentMouseDown.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+    }
+
+    connectedCallback() {
+        if (this.isConnected) {
+            this.addEventListener("keydown", this.onKeyDown);
+        }
+    }
+
+    disconnectedCallback() {
+        this.removeEventListener("keydown", this.onKeyDown);
+        document.removeEventListener("mousedown", this.onDocumentMouseDown);
+    }
+
+    /**
+     * Display the given items at the given
+     * viewport position.
+     * @param {Array[Object]} items - A list of
+     * objects with a `label` string and an
+     * `action` function
+     * @param {number} x - The viewport x position
+     * @param {number} y - The viewport y position
+     */
+    open(items, x, y) {
+        this.items = items;
+        let list = this.shadowRoot.getElementById("items");
+        list.innerHTML = "";
+        items.forEach((item, index) => {
+            let listItem = document.createElement("li");
+            listItem.textContent = item.label;
+            listItem.addEventListener("click", () => {
+                this.chooseItem(index);
+            });
+            list.append(listItem);
+        });
+        this.style.left = `${x}px`;
+        this.style.top = `${y}px`;
+        this.setAttribute("open", true);
+        this.setAttribute("tabindex", "-1");
+        this.focus();
+        document.addEventListener("mousedown", this.onDocumentMouseDown);
+    }
+
+    close() {
+        this.removeAttribute("open");
+        document.removeEventListener("mousedown", this.onDocumentMouseDown);
+    }
+
+    /**
+     * Close and call the action of the
+     * item at the given index.
+     * @param {number} index - The index of
+     * the chosen item
+     */
+    chooseItem(index) {
+        let item = this.items[index];
+        this.close();
+        if (item) {
+            item.action();
+        }
+    }
+
+    onDocumentMouseDown(event) {
+        if (!event.composedPath().includes(this)) {
+            this.close();
+        }
+    }
+
+    onKeyDown(event) {
+        if (event.key == "Escape") {
+            this.close();
+        }
+        event.stopPropagation();
+    }
+
+    get isOpen() {
+        return this.hasAttribute("open");
+    }
+}
+
+export { TabMenu, TabMenu as default };
@@ -0,0 +1,391 @@
+/**
+ * APSheet UndoHistory class
+ * ------------------------------------
+ * I record the changes made to a DataFrame
+ * so that they can be undone and redone.
+ * Each step on my stacks is a list of changes
+ * that were made during a single transaction,
+ * so that multi-cell operations are undone
+ * all at once.
+ */
+import { Frame } from "./Frame.js";
+import { Point } from "./Point.js";
+
+// Frames with at most this many points are
+// scanned point by point rather than by store key
+const SMALL_FRAME_AREA = 10000;
+
+/**
+ * ValuesChange class
+ * ------------------------------------
+ * I record the values stored within a Frame
+ * of a DataFrame, along with the DataFrame's
+ * corner, both before and after a change.
+ * Note that the values after the change are only
+ * captured when the change is undone: because steps
+ * are undone in stack order, the DataFrame is always
+ * in its after-change state at that moment.
+ */
+class ValuesChange extends Object {
+    constructor(dataFrame, frame, rewritesFrame = false) {
+        super();
+        this.frame = frame;
+        this.cornerBefore = new Point(dataFrame.corner);
+        this.cornerAfter = null;
+        this.after = null;
+
+        // When the whole store is about to be rewritten,
+        // we keep the old store object itself instead of
+        // copying its values, and hand the DataFrame a new one
+        this.swapsStore = rewritesFrame && frame && frame.contains(dataFrame);
+        if (this.swapsStore) {
+            this.before = dataFrame.store;
+            dataFrame.store = {};
+        } else {
+            this.before = ValuesChange.valuesIn(dataFrame, frame);
+        }
+    }
+
+    undo(dataFrame) {
+        this.cornerAfter = new Point(dataFrame.corner);
+        if (this.swapsStore) {
+            this.after = dataFrame.store;
+            dataFrame.store = this.before;
+        } else {
+            this.after = ValuesChange.valuesIn(dataFrame, this.frame);
+            ValuesChange.restore(dataFrame, this.frame, this.before);
+        }
+        if (!dataFrame.corner.equals(this.cornerBefore)) {
+            ValuesChange.resize(dataFrame, this.cornerBefore);
+        }
+    }
+
+    redo(dataFrame) {
+        if (!dataFrame.corner.equals(this.cornerAfter)) {
+            ValuesChange.resize(dataFrame, this.cornerAfter);
+        }
+        if (this.swapsStore) {
+            dataFrame.store = this.after;
+        } else {
+            ValuesChange.restore(dataFrame, this.frame, this.after);
+        }
+    }
+
+    get wasResized() {
+        return !this.cornerBefore.equals(this.cornerAfter);
+    }
+
+    /**
+     * Respond with a dictionary of the store keys
+     * and values of the DataFrame that fall within
+     * the given Frame. For small Frames we look up
+     * each of the Frame's points, and for large ones
+     * we scan the store's keys instead.
+     */
+    static valuesIn(dataFrame, frame) {
+        let values = {};
+        if (!frame || frame.isEmpty) {
+            return values;
+        }
+        if (frame.area > SMALL_FRAME_AREA) {
+            Object.keys(dataFrame.store).forEach((key) => {
+                let coord = key.split(",").map((numStr) => parseInt(numStr));
+                if (frame.contains(coord)) {
+                    values[key] = dataFrame.store[key];
+                }
+            });
+        } else {
+            frame.forEachCoordinate((coord) => {
+                let key = coord.toString();
+                if (key in dataFrame.store) {
+                    values[key] = dataFrame.store[key];
+                }
+            });
+        }
+        return values;
+    }
+
+    static restore(dataFrame, frame, values) {
+        if (!frame || frame.isEmpty) {
+            return;
+        }
+        Object.keys(ValuesChange.valuesIn(dataFrame, frame)).forEach((key) => {
+            dataFrame.storeValue(key, undefined);
+        });
+        Object.keys(values).forEach((key) => {
+            dataFrame.storeValue(key, values[key]);
+        });
+    }
+
+    static resize(dataFrame, corner) {
+        dataFrame.setSize(
+            corner.x - dataFrame.origin.x + 1,
+            corner.y - dataFrame.origin.y + 1,
+            false
+        );
+    }
+}
+
+/**
+ * StateChange class
+ * ------------------------------------
+ * I record some state kept outside of the DataFrame,
+ * like the custom row sizes of a sheet, that changes
+ * along with it. I am given a function that responds
+ * with the state and one that sets it, and keep what
+ * the first responds with before and after the change.
+ * The state must be replaced rather than modified in
+ * place for my copy of it to stay as it was.
+ */
+class StateChange extends Object {
+    constructor(getState, setState) {
+        super();
+        this.getState = getState;
+        this.setState = setState;
+        this.before = getState();
+        this.after = null;
+
+        // I do not change any values
+        this.frame = null;
+        this.wasResized = false;
+    }
+
+    undo() {
+        this.after = this.getState();
+        this.setState(this.before);
+    }
+
+    redo() {
+        this.setState(this.after);
+    }
+}
+
+class UndoHistory extends Object {
+    constructor(dataFrame, limit = 100) {
+        super();
+        this.dataFrame = dataFrame;
+
+        // The maximum number of steps
+        // that we will keep on the undo stack
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Changes are collected into the current
+        // step until the outermost transaction ends
+        this.transactionDepth = 0;
+        this.currentStep = null;
+
+        // While false (for example when undoing
+        // or redoing) we do not record anything
+        this.isRecording = true;
+
+        // A callback that is triggered whenever
+        // the undo or redo stacks change
+        this.callback = null;
+
+        // Bind instance methods
+        this.begin = this.begin.bind(this);
+        this.end = this.end.bind(this);
+        this.record = this.record.bind(this);
+        this.recordState = this.recordState.bind(this);
+        this.add = this.add.bind(this);
+        this.undo = this.undo.bind(this);
+        this.redo = this.redo.bind(this);
+        this.clear = this.clear.bind(this);
+        this.applyStep = this.applyStep.bind(this);
+        this.triggerCallback = this.triggerCallback.bind(this);
+    }
+
+    /**
+     * Begin a transaction. All changes recorded
+     * until the matching call to `end` will be
+     * grouped into a single undo step. Transactions
+     * may be nested, in which case only the outermost
+     * one produces a step.
+     */
+    begin() {
+        if (this.transactionDepth === 0) {
+            this.currentStep = [];
+        }
+        this.transactionDepth += 1;
+    }
+
+    /**
+     * End a transaction. If this is the outermost
+     * transaction and any changes were recorded, they
+     * are pushed onto the undo stack as a single step
+     * and the redo stack is cleared.
+     */
+    end() {
+        if (this.transactionDepth === 0) {
+            return;
+        }
+        this.transactionDepth -= 1;
+        if (this.transactionDepth > 0) {
+            return;
+        }
+        let step = this.currentStep;
+        this.currentStep = null;
+        if (!step.length) {
+            return;
+        }
+        this.undoStack.push(step);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.triggerCallback();
+    }
+
+    /**
+     * Record that the values within the given Frame
+     * are about to change. This must be called inside
+     * of a transaction and *before* the DataFrame is
+     * modified.
+     * @param {Frame} aFrame - The Frame whose values
+     * will change. May be empty if only the
+     * DataFrame's size will change.
+     * @param {boolean} rewritesFrame - True if every
+     * value in the Frame is about to be replaced, which
+     * lets us avoid copying values for very large changes.
+     * Note that in this case the store may be swapped
+     * out for a new, empty one.
+     */
+    record(aFrame, rewritesFrame = false) {
+        if (this.canRecord) {
+            this.add(new ValuesChange(this.dataFrame, aFrame, rewritesFrame));
+        }
+    }
+
+    /**
+     * Record that some state kept outside of the
+     * DataFrame is about to change along with it, so
+     * that it is restored when the step is undone. Like
+     * `record`, this must be called inside of a
+     * transaction and before the state is changed.
+     * See StateChange.
+     * @param {function} getState - Responds with the state
+     * @param {function} setState - Sets the state
+     */
+    recordState(getState, setState) {
+        if (this.canRecord) {
+            this.add(new StateChange(getState, setState));
+        }
+    }
+
+    /**
+     * Add the given change to the current step. Like
+     * a ValuesChange, a change has `undo` and `redo`
+     * methods that are given the DataFrame, and its `frame`
+     * and `wasResized` tell what it changed. Changes
+     * are only added while `canRecord` is true.
+     * @param {Object} change - The change to add
+     */
+    add(change) {
+        if (this.canRecord) {
+            this.currentStep.push(change);
+        }
+    }
+
+    /**
+     * Undo the most recent step, if any.
+     * @returns {boolean} - Whether or not a step was undone
+     */
+    undo() {
+        if (!this.canUndo || this.transactionDepth > 0) {
+            return false;
+        }
+        let step = this.undoStack.pop();
+        this.applyStep(step.slice().reverse(), "undo");
+        this.redoStack.push(step);
+        this.triggerCallback();
+        return true;
+    }
+
+    /**
+     * Redo the most recently undone step, if any.
+     * @returns {boolean} - Whether or not a step was redone
+     */
+    redo() {
+        if (!this.canRedo || this.transactionDepth > 0) {
+            return false;
+        }
+        let step = this.redoStack.pop();
+        this.applyStep(step, "redo");
+        this.undoStack.push(step);
+        this.triggerCallback();
+        return true;
+    }
+
+    /**
+     * Call the given method ("undo" or "redo")
+     * on each change in the step without recording,
+     * then notify the DataFrame's callback once with
+     * the union of the changed Frames.
+     */
+    applyStep(changes, methodName) {
+        this.isRecording = false;
+        try {
+            changes.forEach((change) => {
+                change[methodName](this.dataFrame);
+            });
+        } finally {
+            this.isRecording = true;
+        }
+        let changedFrame = null;
+        let wasResized = false;
+        changes.forEach((change) => {
+            wasResized = wasResized || change.wasResized;
+            if (!change.frame || change.frame.isEmpty) {
+                return;
+            }
+            if (changedFrame) {
+                changedFrame = changedFrame.union(change.frame);
+            } else {
+                changedFrame = change.frame.copy();
+            }
+        });
+        if (!changedFrame) {
+            changedFrame = new Frame(
+                this.dataFrame.origin,
+                this.dataFrame.corner
+            );
+        }
+        this.dataFrame.triggerCallback(changedFrame, wasResized);
+    }
+
+    /**
+     * Remove all steps from both stacks
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.triggerCallback();
+    }
+
+    triggerCallback() {
+        if (this.callback) {
+            this.callback(this);
+        }
+    }
+
+    /**
+     * True while changes are being collected into
+     * a step, which is within a transaction that
+     * is not undoing or redoing anything.
+     */
+    get canRecord() {
+        return this.isRecording && this.currentStep !== null;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+}
+
+export { UndoHistory, ValuesChange, StateChange, UndoHistory as default };
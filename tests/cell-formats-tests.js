@@ -0,0 +1,141 @@
+/**
+ * APSheet Cell Formats Tests
+ * ------------------------------------
+ * Tests for displaying values with number,
+ * date and custom formats
+ */
+import "../src/GridSheet.js";
+import { CellFormats, formatterFor } from "../src/CellFormats.js";
+import { PrimaryGridFrame } from "../src/PrimaryGridFrame.js";
+import { Selector } from "../src/Selector.js";
+import { DataFrame } from "../src/DataFrame.js";
+import { Frame } from "../src/Frame.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+// Respond with the text the given format
+// displays for the given value
+const textFor = (format, value) => {
+    return formatterFor(format).format(value);
+};
+
+describe("Cell Formats Tests", () => {
+    describe("Formatters", () => {
+        it("Formats numbers, percentages and currencies", () => {
+            let locale = "en-US";
+            assert.equal(
+                textFor({ type: "number", locale }, 1234.5),
+                "1,234.5"
+            );
+            assert.equal(
+                textFor({ type: "number", locale, decimals: 1 }, "2.25"),
+                "2.3"
+            );
+            assert.equal(textFor({ type: "fixed", locale }, 1234), "1234.00");
+            assert.equal(textFor({ type: "percent", locale }, 0.25), "25%");
+            assert.equal(
+                textFor({ type: "currency", currency: "EUR", locale }, 3),
+                "€3.00"
+            );
+            assert.equal(textFor({ type: "number", locale }, "n/a"), null);
+            assert.isTrue(formatterFor({ type: "currency" }).isNumeric);
+        });
+        it("Formats dates, times and custom values", () => {
+            let date = new Date(Date.UTC(2024, 4, 31, 13, 5));
+            assert.equal(
+                textFor({ type: "date", locale: "en-US" }, "2024-05-31"),
+                "May 31, 2024"
+            );
+            assert.equal(
+                textFor(
+                    {
+                        type: "time",
+                        locale: "en-US",
+                        options: { timeZone: "UTC" },
+                    },
+                    date
+                ),
+                "1:05 PM"
+            );
+            assert.equal(textFor({ type: "date" }, "soon"), null);
+            assert.equal(
+                textFor((value) => `<${value}>`, 1),
+                "<1>"
+            );
+            assert.throws(() => formatterFor({ type: "roman" }));
+        });
+    });
+    describe("CellFormats", () => {
+        it("Prefers cell, then Frame, then column formats", () => {
+            let formats = new CellFormats();
+            formats.setColumnFormat(0, () => "column");
+            formats.setFrameFormat(new Frame([0, 1], [1, 2]), () => "frame");
+            formats.setCellFormat([0, 2], () => "cell");
+            assert.equal(formats.format([0, 0], 1).text, "column");
+            assert.equal(formats.format([1, 1], 1).text, "frame");
+            assert.equal(formats.format([0, 2], 1).text, "cell");
+            assert.deepEqual(formats.format([2, 0], 1), {
+                text: "1",
+                isNumeric: false,
+            });
+            formats.setFrameFormat(new Frame([0, 1], [1, 2]), null);
+            assert.equal(formats.format([1, 1], 1).text, "1");
+            formats.clear();
+            assert.isTrue(formats.isEmpty);
+        });
+    });
+    describe("GridSheet", () => {
+        let GridSheet;
+        let sheet;
+        before(() => {
+            GridSheet = window.customElements.get("my-grid");
+        });
+        beforeEach(() => {
+            // A stand-in for the sheet with a view
+            // of 3x3 cells, to keep things quick
+            let dataFrame = new DataFrame([0, 0], [2, 2]);
+            let primaryFrame = new PrimaryGridFrame(dataFrame, [2, 2]);
+            sheet = {
+                primaryFrame,
+                rowView: primaryFrame.rowView,
+                selector: new Selector(primaryFrame),
+                afterFormatChanged: GridSheet.prototype.afterFormatChanged,
+            };
+        });
+        it("Displays formatted values without changing them", () => {
+            sheet.primaryFrame.dataFrame.loadFromArray([[1234.5, 0.5, "text"]]);
+            GridSheet.prototype.setColumnFormat.call(sheet, 0, {
+                type: "number",
+                locale: "en-US",
+            });
+            GridSheet.prototype.setFrameFormat.call(
+                sheet,
+                new Frame([1, 0], [2, 0]),
+                { type: "percent", locale: "en-US" }
+            );
+            let primaryFrame = sheet.primaryFrame;
+            let number = primaryFrame.elementAt([0, 0]);
+            assert.equal(number.innerText, "1,234.5");
+            assert.isTrue(number.hasAttribute("numeric"));
+            assert.equal(primaryFrame.elementAt([1, 0]).innerText, "50%");
+            let text = primaryFrame.elementAt([2, 0]);
+            assert.equal(text.innerText, "text");
+            assert.isFalse(text.hasAttribute("numeric"));
+            assert.strictEqual(primaryFrame.dataFrame.getAt([0, 0]), 1234.5);
+        });
+        it("Updates the selection, and so the edit bar, when formats change", () => {
+            sheet.primaryFrame.dataFrame.putAt([1, 1], 7);
+            sheet.selector.selectionChangedCallback = sinon.spy();
+            GridSheet.prototype.setCellFormat.call(sheet, [1, 1], {
+                type: "currency",
+                locale: "en-US",
+            });
+            assert.equal(
+                sheet.primaryFrame.elementAt([1, 1]).innerText,
+                "$7.00"
+            );
+            assert.isTrue(sheet.selector.selectionChangedCallback.calledOnce);
+        });
+    });
+});
@@ -0,0 +1,183 @@
+/**
+ * APSheet Cell Plugins Tests
+ * ------------------------------------
+ * Tests for displaying and editing values with
+ * the renderers and editors registered for them
+ */
+import { PrimaryGridFrame } from "../src/PrimaryGridFrame.js";
+import {
+    CellPlugins,
+    defaultRenderers,
+    defaultEditors,
+    typeOf,
+} from "../src/CellPlugins.js";
+import { DataFrame } from "../src/DataFrame.js";
+import { Point } from "../src/Point.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+// Respond with a renderer whose lifecycle
+// functions are spies
+const spyRenderer = () => {
+    return {
+        mount: sinon.spy((element, { text }) => {
+            element.append(document.createElement("b"));
+            element.firstElementChild.textContent = text;
+        }),
+        update: sinon.spy((element, { text }) => {
+            element.firstElementChild.textContent = text;
+        }),
+        destroy: sinon.spy(),
+    };
+};
+
+describe("Cell Plugins Tests", () => {
+    describe("CellPlugins", () => {
+        it("Uses column plugins before plugins for types", () => {
+            let plugins = new CellPlugins();
+            plugins.setTypeRenderer("boolean", "checkbox");
+            plugins.setColumnRenderer(1, "badge", { colors: {} });
+            let location = new Point([0, 0]);
+            assert.equal(
+                plugins.rendererFor(location, true).plugin,
+                defaultRenderers.checkbox
+            );
+            assert.isNull(plugins.rendererFor(location, "yes"));
+            let badge = plugins.rendererFor(new Point([1, 0]), true);
+            assert.equal(badge.plugin, defaultRenderers.badge);
+            assert.deepEqual(badge.options, { colors: {} });
+            plugins.setColumnRenderer(1, null);
+            assert.isNull(plugins.rendererFor(new Point([1, 0]), 3));
+            assert.isNull(plugins.editorFor(location, true));
+        });
+        it("Checks plugins as they are registered and used", () => {
+            let plugins = new CellPlugins();
+            assert.throws(() => plugins.registerRenderer("bad", {}));
+            assert.throws(() => plugins.setColumnEditor(0, "missing"));
+            plugins.registerEditor("custom", {
+                mount: () => {},
+                destroy: () => {},
+            });
+            plugins.setTypeEditor("date", "custom");
+            assert.isNotNull(plugins.editorFor(new Point([0, 0]), new Date()));
+            assert.deepEqual(
+                [undefined, 1, "a", false, [1], new Date()].map(typeOf),
+                ["blank", "number", "string", "boolean", "array", "date"]
+            );
+        });
+    });
+    describe("Rendering", () => {
+        let dataFrame = new DataFrame([0, 0], [1, 5]);
+        dataFrame.forEachPoint((aPoint) => {
+            dataFrame.putAt(aPoint, `${aPoint.x}, ${aPoint.y}`);
+        });
+        it("Mounts, updates and destroys renderers as the view shifts", () => {
+            let primaryFrame = new PrimaryGridFrame(dataFrame, [1, 1]);
+            let renderer = spyRenderer();
+            primaryFrame.plugins.registerRenderer("spy", renderer);
+            primaryFrame.plugins.setColumnRenderer(1, "spy");
+            primaryFrame.updateCellContents();
+            assert.equal(renderer.mount.callCount, 2);
+            let element = primaryFrame.elementAt([1, 0]);
+            assert.equal(element.firstElementChild.textContent, "1, 0");
+
+            // Shifting reuses the elements
+            primaryFrame.shiftDownBy(2);
+            assert.equal(renderer.mount.callCount, 2);
+            assert.equal(renderer.update.callCount, 2);
+            assert.equal(element.firstElementChild.textContent, "1, 2");
+            assert.equal(primaryFrame.elementAt([0, 0]).innerText, "0, 2");
+
+            primaryFrame.plugins.setColumnRenderer(1, null);
+            primaryFrame.updateCellContents();
+            assert.equal(renderer.destroy.callCount, 2);
+            assert.isNull(element.firstElementChild);
+            assert.equal(element.innerText, "1, 2");
+        });
+        it("Renders checkboxes and progress bars", () => {
+            let element = document.createElement("div");
+            defaultRenderers.checkbox.mount(element, { value: "yes" });
+            assert.isTrue(element.firstElementChild.checked);
+            defaultRenderers.checkbox.update(element, { value: false });
+            assert.isFalse(element.firstElementChild.checked);
+            let bar = document.createElement("div");
+            defaultRenderers.progress.mount(bar, {
+                value: 30,
+                options: { max: 120 },
+            });
+            assert.equal(
+                bar.firstElementChild.firstElementChild.style.width,
+                "25%"
+            );
+        });
+        it("Links only to web and mail addresses", () => {
+            let element = document.createElement("div");
+            const hrefFor = (value) => {
+                defaultRenderers.link.update(element, {
+                    value,
+                    text: value,
+                    options: {},
+                });
+                return element.firstElementChild.getAttribute("href");
+            };
+            defaultRenderers.link.mount(element, {
+                value: "https://example.com/a",
+                text: "https://example.com/a",
+                options: {},
+            });
+            let link = element.firstElementChild;
+            assert.equal(link.getAttribute("href"), "https://example.com/a");
+            assert.equal(
+                hrefFor("mailto:a@example.com"),
+                "mailto:a@example.com"
+            );
+            assert.isNull(hrefFor("javascript:alert(1)"));
+            assert.isNull(hrefFor(" JavaScript:alert(1)"));
+            assert.isNull(hrefFor("data:text/html,<b>hi</b>"));
+            assert.equal(link.textContent, "data:text/html,<b>hi</b>");
+            assert.equal(hrefFor("http://example.com"), "http://example.com/");
+        });
+    });
+    describe("Editors", () => {
+        it("Commits the option chosen in a select", () => {
+            let container = document.createElement("div");
+            let commit = sinon.spy();
+            defaultEditors.select.mount(container, {
+                value: "b",
+                options: { values: ["a", "b", "c"] },
+                commit,
+            });
+            let select = container.querySelector("select");
+            assert.equal(select.value, "b");
+            select.value = "c";
+            select.dispatchEvent(new window.Event("change"));
+            assert.isTrue(commit.calledOnceWith("c"));
+        });
+        it("Toggles checkboxes and commits text areas", () => {
+            let commit = sinon.spy();
+            let container = document.createElement("div");
+            defaultEditors.checkbox.mount(container, { value: "true", commit });
+            assert.isTrue(commit.calledOnceWith(false));
+
+            commit = sinon.spy();
+            defaultEditors.textarea.mount(container, {
+                text: "one",
+                commit,
+            });
+            let textarea = container.querySelector("textarea");
+            textarea.value = "one\ntwo";
+            textarea.dispatchEvent(
+                new window.KeyboardEvent("keydown", { key: "Enter" })
+            );
+            assert.isTrue(commit.notCalled);
+            textarea.dispatchEvent(
+                new window.KeyboardEvent("keydown", {
+                    key: "Enter",
+                    ctrlKey: true,
+                })
+            );
+            assert.isTrue(commit.calledOnceWith("one\ntwo"));
+        });
+    });
+});
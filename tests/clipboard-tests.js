@@ -0,0 +1,459 @@
+/**
+ * APSheet ClipboardHandler Tests
+ * ------------------------------------
+ * Tests for copying, cutting and pasting through
+ * the system clipboard as tab separated text and
+ * HTML tables
+ */
+import "../src/GridSheet.js";
+import {
+    ClipboardHandler,
+    toHTMLTable,
+    parseHTMLTable,
+    transposeData,
+    tileData,
+} from "../src/ClipboardHandler.js";
+import { Keymap } from "../src/Keymap.js";
+import { Point } from "../src/Point.js";
+import { Frame } from "../src/Frame.js";
+import { gridSheet, releaseSheet } from "../utils/test-helpers.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+// A stand-in for the DataTransfer
+// of a ClipboardEvent
+class FakeClipboardData {
+    constructor(items = {}) {
+        this.items = Object.assign({}, items);
+    }
+
+    setData(type, value) {
+        this.items[type] = value;
+    }
+
+    getData(type) {
+        return this.items[type] || "";
+    }
+}
+
+// Respond with a clipboard event of the
+// given type that carries the given data
+const clipboardEvent = (type, clipboardData) => {
+    let event = new window.Event(type, {
+        bubbles: true,
+        cancelable: true,
+    });
+    event.clipboardData = clipboardData;
+    return event;
+};
+
+describe("Clipboard Tests", () => {
+    describe("HTML tables", () => {
+        it("Writes records as an escaped table", () => {
+            let html = toHTMLTable([
+                ["a<b", 2],
+                ["line\nbreak", undefined],
+            ]);
+            assert.equal(
+                html,
+                "<table><tbody>" +
+                    "<tr><td>a&lt;b</td><td>2</td></tr>" +
+                    "<tr><td>line<br>break</td><td></td></tr>" +
+                    "</tbody></table>"
+            );
+        });
+        it("Reads the cells of a table like those of spreadsheet apps", () => {
+            let html =
+                "<html><body><style>td {color: red}</style>" +
+                "<table><tr><td colspan=2>wide</td><td>x</td></tr>" +
+                "<tr><td><b>1</b></td><td>2<br>3</td><td>&amp;</td></tr>" +
+                "</table></body></html>";
+            assert.deepEqual(parseHTMLTable(html), [
+                ["wide", "", "x"],
+                ["1", "2\n3", "&"],
+            ]);
+            assert.isNull(parseHTMLTable("<p>no table</p>"));
+        });
+    });
+    describe("Arranging pasted values", () => {
+        it("Transposes and tiles records", () => {
+            assert.deepEqual(
+                transposeData([
+                    [1, 2, 3],
+                    [4, 5, 6],
+                ]),
+                [
+                    [1, 4],
+                    [2, 5],
+                    [3, 6],
+                ]
+            );
+            assert.deepEqual(tileData([["a", "b"]], new Point([3, 2])), [
+                ["a", "b", "a"],
+                ["a", "b", "a"],
+            ]);
+        });
+    });
+    describe("GridSheet", () => {
+        let gridElement = gridSheet();
+        before(() => {
+            gridElement.setAttribute("rows", 5);
+            gridElement.setAttribute("columns", 4);
+            document.body.append(gridElement);
+        });
+        after(() => {
+            releaseSheet(gridElement);
+            sinon.restore();
+            ClipboardHandler.contents = null;
+        });
+        beforeEach(() => {
+            ClipboardHandler.contents = null;
+            gridElement.selector.clearRanges();
+            gridElement.selector.cursor = new Point([0, 0]);
+            gridElement.selector.selectionFrame.isEmpty = true;
+            gridElement.selector.anchor = gridElement.selector.relativeCursor;
+        });
+        const select = (from, to) => {
+            gridElement.selector.cursor = new Point(from);
+            gridElement.selector.anchor = new Point(from);
+            gridElement.selector.selectFromAnchorTo(new Point(to));
+        };
+        it("Copies the selection as TSV and an HTML table", () => {
+            let handler = sinon.spy();
+            gridElement.addEventListener("clipboard-copy", handler);
+            gridElement.dataFrame.putAt([1, 1], 'say "hi"\tthere');
+            select([0, 0], [1, 1]);
+            let clipboardData = new FakeClipboardData();
+            let event = clipboardEvent("copy", clipboardData);
+            gridElement.dispatchEvent(event);
+            assert.isTrue(event.defaultPrevented);
+            assert.equal(
+                clipboardData.getData("text/plain"),
+                '0, 0\t1, 0\n0, 1\t"say ""hi""\tthere"'
+            );
+            assert.include(
+                clipboardData.getData("text/html"),
+                "<td>0, 1</td><td>say &quot;hi&quot;\tthere</td>"
+            );
+            assert.isTrue(handler.calledOnce);
+            assert.deepEqual(handler.firstCall.args[0].detail.data, [
+                ["0, 0", "1, 0"],
+                ["0, 1", 'say "hi"\tthere'],
+            ]);
+            gridElement.removeEventListener("clipboard-copy", handler);
+            gridElement.dataFrame.undo();
+        });
+        it("Copies the cell at the cursor when nothing is selected", () => {
+            gridElement.selector.cursor = new Point([2, 3]);
+            let clipboardData = new FakeClipboardData();
+            gridElement.dispatchEvent(clipboardEvent("copy", clipboardData));
+            assert.equal(clipboardData.getData("text/plain"), "2, 3");
+        });
+        it("Copies several ranges that share columns or rows together", () => {
+            let handler = sinon.spy();
+            gridElement.addEventListener("clipboard-copy", handler);
+            select([0, 2], [1, 3]);
+            gridElement.selector.addRange();
+            select([0, 0], [1, 0]);
+            let clipboardData = new FakeClipboardData();
+            gridElement.dispatchEvent(clipboardEvent("copy", clipboardData));
+            assert.equal(
+                clipboardData.getData("text/plain"),
+                "0, 0\t1, 0\n0, 2\t1, 2\n0, 3\t1, 3"
+            );
+            assert.equal(handler.firstCall.args[0].detail.frames.length, 2);
+
+            gridElement.selector.clearRanges();
+            select([2, 1], [2, 2]);
+            gridElement.selector.addRange();
+            select([0, 1], [0, 2]);
+            gridElement.dispatchEvent(clipboardEvent("copy", clipboardData));
+            assert.equal(
+                clipboardData.getData("text/plain"),
+                "0, 1\t2, 1\n0, 2\t2, 2"
+            );
+            gridElement.removeEventListener("clipboard-copy", handler);
+        });
+        it("Refuses to copy other ranges, or to cut several", () => {
+            let handler = sinon.spy();
+            let errorHandler = sinon.spy();
+            gridElement.addEventListener("clipboard-copy", handler);
+            gridElement.addEventListener("clipboard-cut", handler);
+            gridElement.addEventListener("clipboard-error", errorHandler);
+            gridElement.selector.addRange();
+            select([1, 1], [2, 2]);
+            let clipboardData = new FakeClipboardData();
+            let event = clipboardEvent("copy", clipboardData);
+            gridElement.dispatchEvent(event);
+            assert.isTrue(event.defaultPrevented);
+            assert.equal(clipboardData.getData("text/plain"), "");
+
+            gridElement.selector.clearRanges();
+            select([1, 1], [2, 1]);
+            gridElement.selector.addRange();
+            select([1, 3], [2, 3]);
+            gridElement.dispatchEvent(clipboardEvent("cut", clipboardData));
+            assert.equal(clipboardData.getData("text/plain"), "");
+            assert.isTrue(handler.notCalled);
+            assert.equal(errorHandler.callCount, 2);
+            assert.equal(errorHandler.lastCall.args[0].detail.frames.length, 2);
+            gridElement.removeEventListener("clipboard-copy", handler);
+            gridElement.removeEventListener("clipboard-cut", handler);
+            gridElement.removeEventListener("clipboard-error", errorHandler);
+        });
+        it("Outlines and highlights the tabs of every selected range", () => {
+            let handler = sinon.spy();
+            gridElement.addEventListener("selection-changed", handler);
+            select([0, 0], [0, 0]);
+            gridElement.selector.addRange();
+            select([2, 2], [3, 3]);
+            gridElement.dispatchSelectionChanged();
+            let frames = handler.firstCall.args[0].detail.frames;
+            assert.equal(frames.length, 2);
+            assert.isTrue(frames[1].equals(new Frame([2, 2], [3, 3])));
+
+            let outlines = gridElement.shadowRoot.querySelectorAll(
+                "sheet-selection.other-selection"
+            );
+            assert.equal(outlines.length, 1);
+            assert.isFalse(outlines[0].classList.contains("empty"));
+            const isHighlighted = (tag, index) => {
+                return gridElement.shadowRoot
+                    .querySelectorAll(tag)
+                    [index].hasAttribute("highlighted");
+            };
+            assert.isTrue(isHighlighted("row-tab", 0));
+            assert.isFalse(isHighlighted("row-tab", 1));
+            assert.isTrue(isHighlighted("row-tab", 3));
+            assert.isTrue(isHighlighted("column-tab", 0));
+            assert.isFalse(isHighlighted("column-tab", 1));
+
+            // Selecting without Ctrl hides the other outlines
+            gridElement.selector.moveCursorTo([1, 1]);
+            gridElement.dispatchSelectionChanged();
+            assert.isTrue(outlines[0].classList.contains("empty"));
+            assert.isFalse(isHighlighted("row-tab", 0));
+            gridElement.removeEventListener("selection-changed", handler);
+        });
+        it("Pastes TSV from other apps at the cursor in one step", () => {
+            let history = gridElement.dataFrame.history;
+            let before = history.undoStack.length;
+            gridElement.selector.cursor = new Point([1, 1]);
+            let event = clipboardEvent(
+                "paste",
+                new FakeClipboardData({
+                    "text/plain": 'a\tb\r\nc\t"d\ne"\r\nf\r\n',
+                })
+            );
+            gridElement.dispatchEvent(event);
+            assert.isTrue(event.defaultPrevented);
+            assert.deepEqual(
+                gridElement.dataFrame.getDataArrayForFrame(
+                    gridElement.selector.selectionFrame
+                ),
+                [
+                    ["a", "b"],
+                    ["c", "d\ne"],
+                    ["f", undefined],
+                ]
+            );
+            assert.equal(history.undoStack.length, before + 1);
+            gridElement.dataFrame.undo();
+            assert.equal(gridElement.dataFrame.getAt([1, 1]), "1, 1");
+        });
+        it("Prefers an HTML table over the text when pasting", () => {
+            gridElement.selector.cursor = new Point([2, 0]);
+            gridElement.dispatchEvent(
+                clipboardEvent(
+                    "paste",
+                    new FakeClipboardData({
+                        "text/plain": "ignored",
+                        "text/html":
+                            "<table><tr><td>x</td><td>y</td></tr></table>",
+                    })
+                )
+            );
+            assert.equal(gridElement.dataFrame.getAt([2, 0]), "x");
+            assert.equal(gridElement.dataFrame.getAt([3, 0]), "y");
+            gridElement.dataFrame.undo();
+        });
+        it("Keeps formulas when pasting what a sheet copied", () => {
+            gridElement.dataFrame.putAt([0, 4], "=1+2");
+            gridElement.selector.cursor = new Point([0, 4]);
+            let clipboardData = new FakeClipboardData();
+            gridElement.dispatchEvent(clipboardEvent("copy", clipboardData));
+            gridElement.selector.cursor = new Point([1, 4]);
+            gridElement.dispatchEvent(clipboardEvent("paste", clipboardData));
+            assert.equal(gridElement.dataFrame.getAt([1, 4]), "=1+2");
+            assert.equal(gridElement.dataFrame.getValueAt([1, 4]), 3);
+            gridElement.dataFrame.undo();
+            gridElement.dataFrame.undo();
+        });
+        it("Cuts the selection, moving it when pasted in one step", () => {
+            let handler = sinon.spy();
+            let dataHandler = sinon.spy();
+            gridElement.addEventListener("clipboard-cut", handler);
+            select([0, 2], [1, 2]);
+            let clipboardData = new FakeClipboardData();
+            gridElement.dispatchEvent(clipboardEvent("cut", clipboardData));
+            assert.equal(clipboardData.getData("text/plain"), "0, 2\t1, 2");
+            assert.isTrue(handler.calledOnce);
+            assert.equal(gridElement.dataFrame.getAt([0, 2]), "0, 2");
+
+            let history = gridElement.dataFrame.history;
+            let before = history.undoStack.length;
+            gridElement.addEventListener("data-updated", dataHandler);
+            gridElement.selector.cursor = new Point([2, 3]);
+            gridElement.selector.selectionFrame.isEmpty = true;
+            gridElement.dispatchEvent(clipboardEvent("paste", clipboardData));
+            assert.isTrue(dataHandler.calledOnce);
+            assert.isUndefined(gridElement.dataFrame.getAt([0, 2]));
+            assert.isUndefined(gridElement.dataFrame.getAt([1, 2]));
+            assert.equal(gridElement.dataFrame.getAt([2, 3]), "0, 2");
+            assert.equal(gridElement.dataFrame.getAt([3, 3]), "1, 2");
+            assert.equal(history.undoStack.length, before + 1);
+
+            // Pasting the cut again copies it
+            gridElement.selector.cursor = new Point([0, 4]);
+            gridElement.dispatchEvent(clipboardEvent("paste", clipboardData));
+            assert.equal(gridElement.dataFrame.getAt([0, 4]), "0, 2");
+            assert.equal(gridElement.dataFrame.getAt([2, 3]), "0, 2");
+
+            gridElement.dataFrame.undo();
+            gridElement.dataFrame.undo();
+            assert.equal(gridElement.dataFrame.getAt([1, 2]), "1, 2");
+            assert.equal(gridElement.dataFrame.getAt([3, 3]), "3, 3");
+            gridElement.removeEventListener("clipboard-cut", handler);
+            gridElement.removeEventListener("data-updated", dataHandler);
+        });
+        it("Pastes transposed values repeated to fill the selection", () => {
+            select([0, 0], [3, 1]);
+            gridElement.clipboardHandler.pasteData([["a"], ["b"]], {
+                transpose: true,
+                tile: true,
+            });
+            assert.deepEqual(
+                gridElement.dataFrame.getDataArrayForFrame(
+                    gridElement.selector.selectionFrame
+                ),
+                [
+                    ["a", "b", "a", "b"],
+                    ["a", "b", "a", "b"],
+                ]
+            );
+            gridElement.dataFrame.undo();
+            assert.equal(gridElement.dataFrame.getAt([2, 1]), "2, 1");
+        });
+        it("Combines pasted numbers with those shown, skipping blanks", () => {
+            gridElement.dataFrame.loadFromArray([[1, "x", 3]], [0, 3]);
+            gridElement.selector.cursor = new Point([0, 3]);
+            gridElement.clipboardHandler.pasteData([[10, 5, ""]], {
+                operation: "add",
+            });
+            assert.deepEqual(
+                gridElement.dataFrame.getDataArrayForFrame(
+                    gridElement.selector.selectionFrame
+                ),
+                [[11, 5, 3]]
+            );
+            gridElement.dataFrame.undo();
+            gridElement.clipboardHandler.pasteData([[undefined, "y", ""]], {
+                skipBlanks: true,
+            });
+            assert.deepEqual(
+                gridElement.dataFrame.getDataArrayForFrame(
+                    gridElement.selector.selectionFrame
+                ),
+                [[1, "y", 3]]
+            );
+            assert.throws(() => {
+                gridElement.clipboardHandler.pasteData([[1]], {
+                    operation: "modulo",
+                });
+            });
+            gridElement.dataFrame.undo();
+            gridElement.dataFrame.undo();
+        });
+        it("Lets the user choose options when pasting with Ctrl+Shift+V", () => {
+            let handler = sinon.spy();
+            gridElement.addEventListener("clipboard-paste", handler);
+            gridElement.dataFrame.putAt([0, 0], "=2*3");
+            let clipboardData = new FakeClipboardData();
+            select([0, 0], [1, 0]);
+            gridElement.dispatchEvent(clipboardEvent("copy", clipboardData));
+            gridElement.selector.cursor = new Point([2, 2]);
+            gridElement.selector.selectionFrame.isEmpty = true;
+            gridElement.dispatchEvent(
+                new window.KeyboardEvent("keydown", {
+                    key: "V",
+                    ctrlKey: true,
+                    shiftKey: true,
+                })
+            );
+            gridElement.dispatchEvent(clipboardEvent("paste", clipboardData));
+            let menu =
+                gridElement.shadowRoot.getElementById("paste-special-menu");
+            assert.isTrue(menu.isOpen);
+            assert.isTrue(handler.notCalled);
+            menu.shadowRoot.getElementById("values").checked = true;
+            menu.shadowRoot.getElementById("transpose").checked = true;
+            menu.shadowRoot.getElementById("paste").click();
+            assert.isFalse(menu.isOpen);
+            assert.isTrue(handler.calledOnce);
+            assert.equal(gridElement.dataFrame.getAt([2, 2]), 6);
+            assert.equal(gridElement.dataFrame.getAt([2, 3]), "1, 0");
+            gridElement.removeEventListener("clipboard-paste", handler);
+            gridElement.dataFrame.undo();
+            gridElement.dataFrame.undo();
+        });
+        it("Copies and pastes with commands bound to other keys", () => {
+            let keymap = gridElement.keymap;
+            gridElement.keymap = new Keymap(Keymap.defaults);
+            gridElement.loadKeyBindings({
+                "Mod+k": "clipboard.copy",
+                "Mod+c": "clipboard.paste",
+            });
+            let handler = sinon.spy();
+            gridElement.addEventListener("clipboard-copy", handler);
+            select([0, 0], [1, 0]);
+            let event = new window.KeyboardEvent("keydown", {
+                key: "k",
+                ctrlKey: true,
+                cancelable: true,
+            });
+            gridElement.dispatchEvent(event);
+            assert.isTrue(event.defaultPrevented);
+            assert.isTrue(handler.calledOnce);
+            assert.equal(ClipboardHandler.contents.text, "0, 0\t1, 0");
+
+            // jsdom has no system clipboard, so what
+            // was copied last is pasted
+            gridElement.selector.cursor = new Point([2, 3]);
+            gridElement.selector.selectionFrame.isEmpty = true;
+            event = new window.KeyboardEvent("keydown", {
+                key: "c",
+                ctrlKey: true,
+                cancelable: true,
+            });
+            gridElement.dispatchEvent(event);
+            assert.isTrue(event.defaultPrevented);
+            assert.isTrue(handler.calledOnce);
+            assert.equal(gridElement.dataFrame.getAt([2, 3]), "0, 0");
+            assert.equal(gridElement.dataFrame.getAt([3, 3]), "1, 0");
+            gridElement.removeEventListener("clipboard-copy", handler);
+            gridElement.keymap = keymap;
+            gridElement.dataFrame.undo();
+        });
+        it("Leaves events from text inputs to the browser", () => {
+            let input = document.createElement("input");
+            gridElement.append(input);
+            let clipboardData = new FakeClipboardData();
+            let event = clipboardEvent("copy", clipboardData);
+            input.dispatchEvent(event);
+            assert.isFalse(event.defaultPrevented);
+            assert.equal(clipboardData.getData("text/plain"), "");
+            input.remove();
+        });
+    });
+});
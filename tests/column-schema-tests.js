@@ -0,0 +1,188 @@
+/**
+ * APSheet Column Schema Tests
+ * ------------------------------------
+ * Tests for parsing and validating the values
+ * of typed columns as they are edited, pasted
+ * and imported
+ */
+import "../src/GridSheet.js";
+import { parseValue, textFor } from "../src/ColumnSchema.js";
+import { DataFrame } from "../src/DataFrame.js";
+import { Point } from "../src/Point.js";
+import { gridSheet, releaseSheet } from "../utils/test-helpers.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+describe("Column Schema Tests", () => {
+    describe("parseValue", () => {
+        it("Parses numbers, integers and booleans", () => {
+            assert.deepEqual(parseValue({ type: "number" }, " -2.5e1 "), {
+                value: -25,
+            });
+            assert.equal(parseValue({ type: "integer" }, "42").value, 42);
+            assert.equal(
+                parseValue({ type: "integer" }, "4.2").error,
+                '"4.2" is not a whole number'
+            );
+            assert.equal(parseValue({ type: "number" }, "abc").value, "abc");
+            assert.isFalse(parseValue({ type: "number" }, "abc").isRejected);
+            assert.isTrue(parseValue({ type: "boolean" }, "Yes").value);
+            assert.isFalse(parseValue({ type: "boolean" }, "0").value);
+            assert.isString(parseValue({ type: "boolean" }, "maybe").error);
+        });
+        it("Parses ISO dates and enum values", () => {
+            let date = parseValue({ type: "date" }, "2024-05-31").value;
+            assert.equal(date.getTime(), Date.UTC(2024, 4, 31));
+            assert.equal(textFor(date), "2024-05-31");
+            assert.isString(parseValue({ type: "date" }, "31/05/2024").error);
+            let sizes = { type: "enum", values: ["Small", "Large"] };
+            assert.equal(parseValue(sizes, "large").value, "Large");
+            assert.equal(
+                parseValue(sizes, "medium").error,
+                '"medium" is not one of Small, Large'
+            );
+        });
+        it("Applies custom parsers, validators and requirements", () => {
+            let even = {
+                type: "custom",
+                parse: (text) => parseInt(text),
+                validate: (value) => value % 2 === 0 || "Must be even",
+                invalid: "reject",
+            };
+            assert.equal(parseValue(even, "4").value, 4);
+            assert.equal(parseValue(even, "four").error, '"four" is not valid');
+            assert.deepEqual(parseValue(even, "3"), {
+                value: "3",
+                error: "Must be even",
+                isRejected: true,
+            });
+            assert.isUndefined(parseValue({ type: "number" }, "").value);
+            assert.isString(
+                parseValue({ type: "number", required: true }, "").error
+            );
+            assert.equal(
+                parseValue({ type: "number" }, "=A1+1").value,
+                "=A1+1"
+            );
+            assert.throws(() => parseValue({ type: "color" }, "red"));
+        });
+    });
+    describe("DataFrame", () => {
+        let dataFrame;
+        beforeEach(() => {
+            dataFrame = new DataFrame([0, 0], [1, 2]);
+        });
+        it("Parses loaded CSV, flagging or rejecting invalid values", () => {
+            let callback = sinon.spy();
+            dataFrame.validationCallback = callback;
+            dataFrame.setSchema(
+                {
+                    0: { type: "number" },
+                    1: { type: "integer", invalid: "reject" },
+                },
+                1
+            );
+            dataFrame.loadCSV("Price,Count\n1.5,2\nfree,many\n");
+            assert.deepEqual(dataFrame.getDataArrayForFrame(dataFrame), [
+                ["Price", "Count"],
+                [1.5, 2],
+                ["free", undefined],
+            ]);
+            assert.isTrue(callback.calledOnce);
+            let failures = callback.firstCall.args[0];
+            assert.equal(failures.length, 2);
+            assert.isTrue(failures[1].location.equals(new Point([1, 2])));
+            assert.isTrue(failures[1].isRejected);
+            assert.isNull(dataFrame.errorAt([0, 0]));
+            assert.isNull(dataFrame.errorAt([0, 1]));
+            assert.equal(dataFrame.errorAt([0, 2]), '"free" is not a number');
+            dataFrame.setSchema(null);
+            assert.isNull(dataFrame.errorAt([0, 2]));
+        });
+        it("Checks stored values without parsing them again", () => {
+            dataFrame.setSchema({
+                0: {
+                    type: "custom",
+                    parse: (text) => text.split(","),
+                    validate: (value) => value.length < 3,
+                },
+                1: { type: "number", validate: (value) => value > 0 },
+            });
+            dataFrame.loadCSV('a,1\n"b,c",-1\n"d,e,f",x\n');
+            assert.deepEqual(dataFrame.getAt([0, 1]), ["b", "c"]);
+            assert.isNull(dataFrame.errorAt([0, 0]));
+            assert.isNull(dataFrame.errorAt([0, 1]));
+            assert.equal(dataFrame.errorAt([0, 2]), '"d,e,f" is not valid');
+            assert.isNull(dataFrame.errorAt([1, 0]));
+            assert.equal(dataFrame.errorAt([1, 1]), '"-1" is not valid');
+            assert.equal(dataFrame.errorAt([1, 2]), '"x" is not a number');
+        });
+    });
+    describe("GridSheet", () => {
+        let gridElement = gridSheet();
+        before(() => {
+            gridElement.setAttribute("rows", 3);
+            gridElement.setAttribute("columns", 3);
+            document.body.append(gridElement);
+        });
+        after(() => {
+            releaseSheet(gridElement);
+            sinon.restore();
+        });
+        beforeEach(() => {
+            gridElement.setColumnSchema({
+                0: { type: "number" },
+                1: { type: "integer", invalid: "reject" },
+            });
+        });
+        afterEach(() => {
+            gridElement.setColumnSchema(null);
+        });
+        const edit = (x, y, content) => {
+            gridElement.dispatchEvent(
+                new CustomEvent("cell-edited", {
+                    detail: { relativeCoordinate: [x, y], content },
+                })
+            );
+        };
+        it("Stores edited text as typed values", () => {
+            let handler = sinon.spy();
+            gridElement.addEventListener("cell-validation-failed", handler);
+            edit(0, 1, "12.5");
+            assert.strictEqual(gridElement.dataFrame.getAt([0, 1]), 12.5);
+            assert.isTrue(handler.notCalled);
+            edit(1, 1, "x");
+            assert.equal(gridElement.dataFrame.getAt([1, 1]), "1, 1");
+            assert.isTrue(handler.calledOnce);
+            assert.isTrue(
+                handler.firstCall.args[0].detail.failures[0].isRejected
+            );
+            gridElement.removeEventListener("cell-validation-failed", handler);
+            gridElement.dataFrame.undo();
+        });
+        it("Parses pasted values and marks invalid cells", () => {
+            let handler = sinon.spy();
+            gridElement.addEventListener("cell-validation-failed", handler);
+            gridElement.selector.cursor = new Point([0, 0]);
+            gridElement.selector.selectionFrame.isEmpty = true;
+            gridElement.clipboardHandler.pasteData([["7", "8"]]);
+            assert.strictEqual(gridElement.dataFrame.getAt([0, 0]), 7);
+            assert.strictEqual(gridElement.dataFrame.getAt([1, 0]), 8);
+            assert.isTrue(handler.notCalled);
+            gridElement.primaryFrame.updateCellContents();
+            let primaryFrame = gridElement.primaryFrame;
+            assert.isFalse(
+                primaryFrame.elementAt([0, 0]).hasAttribute("invalid")
+            );
+            let invalid = primaryFrame.elementAt([0, 1]);
+            assert.isTrue(invalid.hasAttribute("invalid"));
+            assert.equal(invalid.title, '"0, 1" is not a number');
+            gridElement.setColumnSchema(null);
+            primaryFrame.updateCellContents();
+            assert.isFalse(invalid.hasAttribute("invalid"));
+            gridElement.removeEventListener("cell-validation-failed", handler);
+            gridElement.dataFrame.undo();
+        });
+    });
+});
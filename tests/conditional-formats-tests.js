@@ -0,0 +1,236 @@
+/**
+ * APSheet Conditional Formats Tests
+ * ------------------------------------
+ * Tests for styling cells by rules
+ * about their values
+ */
+import "../src/GridSheet.js";
+import { ConditionalFormats } from "../src/ConditionalFormats.js";
+import { PrimaryGridFrame } from "../src/PrimaryGridFrame.js";
+import { DataFrame } from "../src/DataFrame.js";
+import { Frame } from "../src/Frame.js";
+import { Point } from "../src/Point.js";
+import chai from "chai";
+const assert = chai.assert;
+
+// The first column of the test values
+const column = { origin: [0, 0], corner: [0, 4] };
+
+describe("Conditional Formats Tests", () => {
+    let dataFrame;
+    let formats;
+    before(() => {
+        dataFrame = new DataFrame([0, 0], [1, 4]);
+        dataFrame.loadFromArray([
+            [5, "apple"],
+            [1, "Banana"],
+            [3, "apple"],
+            ["10", "cherry"],
+            ["", "date"],
+        ]);
+    });
+    beforeEach(() => {
+        formats = new ConditionalFormats(dataFrame);
+    });
+    // Respond with the rows of the first column
+    // that the given rule styles
+    const rowsStyledBy = (rule, frame = column) => {
+        formats.load([Object.assign({ frame }, rule)]);
+        let rows = [];
+        for (let y = 0; y <= 4; y++) {
+            if (formats.styleAt(new Point([frame.origin[0], y]))) {
+                rows.push(y);
+            }
+        }
+        return rows;
+    };
+    describe("Rules", () => {
+        it("Highlights values by thresholds", () => {
+            assert.deepEqual(
+                rowsStyledBy({ type: "value", operator: ">", value: 3 }),
+                [0, 3]
+            );
+            assert.deepEqual(
+                rowsStyledBy({
+                    type: "value",
+                    operator: "between",
+                    value: 5,
+                    value2: 1,
+                }),
+                [0, 1, 2]
+            );
+            let style = formats.styleAt(new Point([0, 0]));
+            assert.deepEqual(style.classNames, ["cf-highlight"]);
+            assert.equal(
+                style.properties["--cf-background"],
+                "rgba(255, 200, 0, 0.4)"
+            );
+        });
+        it("Highlights text matches and duplicates", () => {
+            let second = { origin: [1, 0], corner: [1, 4] };
+            assert.deepEqual(
+                rowsStyledBy(
+                    { type: "text", operator: "startsWith", text: "b" },
+                    second
+                ),
+                [1]
+            );
+            assert.deepEqual(
+                rowsStyledBy(
+                    { type: "text", operator: "matches", text: "^(date|fig)$" },
+                    second
+                ),
+                [4]
+            );
+            assert.deepEqual(
+                rowsStyledBy({ type: "duplicates" }, second),
+                [0, 2]
+            );
+            assert.deepEqual(
+                rowsStyledBy({ type: "duplicates", unique: true }, second),
+                [1, 3, 4]
+            );
+        });
+        it("Highlights the top and bottom values", () => {
+            assert.deepEqual(rowsStyledBy({ type: "top", count: 2 }), [0, 3]);
+            assert.deepEqual(rowsStyledBy({ type: "bottom", count: 1 }), [1]);
+            assert.deepEqual(
+                rowsStyledBy({ type: "top", count: 50, percent: true }),
+                [0, 3]
+            );
+        });
+        it("Shades values by color scales and data bars", () => {
+            formats.load([
+                {
+                    type: "colorScale",
+                    frame: column,
+                    colors: ["#000000", "#ffffff"],
+                },
+                { type: "dataBar", frame: column, color: "#00f" },
+            ]);
+            let lowest = formats.styleAt(new Point([0, 1]));
+            assert.deepEqual(lowest.classNames, [
+                "cf-highlight",
+                "cf-data-bar",
+            ]);
+            assert.equal(lowest.properties["--cf-background"], "rgb(0, 0, 0)");
+            assert.equal(lowest.properties["--cf-bar-size"], "10%");
+            let highest = formats.styleAt(new Point([0, 3]));
+            assert.equal(
+                highest.properties["--cf-background"],
+                "rgb(255, 255, 255)"
+            );
+            assert.equal(highest.properties["--cf-bar-size"], "100%");
+            assert.isNull(formats.styleAt(new Point([0, 4])));
+        });
+        it("Saves and loads rules as JSON", () => {
+            let rule = formats.addRule({
+                type: "value",
+                frame: new Frame([0, 0], [0, 4]),
+                operator: "=",
+                value: 1,
+                style: { background: "red", color: "white" },
+                className: "low",
+            });
+            let json = JSON.stringify(formats);
+            assert.deepEqual(JSON.parse(json), [rule]);
+            assert.deepEqual(rule.frame, column);
+            let loaded = new ConditionalFormats(dataFrame);
+            loaded.load(json);
+            assert.deepEqual(loaded.styleAt(new Point([0, 1])), {
+                classNames: ["cf-highlight", "low"],
+                properties: {
+                    "--cf-background": "red",
+                    "--cf-color": "white",
+                },
+            });
+            assert.throws(() =>
+                loaded.addRule({ type: "sparkle", frame: column })
+            );
+        });
+        it("Rejects invalid operators and patterns when added", () => {
+            assert.throws(
+                () =>
+                    formats.addRule({
+                        type: "value",
+                        frame: column,
+                        operator: "gt",
+                        value: 3,
+                    }),
+                "gt is not a valid operator"
+            );
+            assert.throws(
+                () =>
+                    formats.addRule({
+                        type: "text",
+                        frame: column,
+                        operator: "matches",
+                        text: "(",
+                    }),
+                "( is not a valid regular expression"
+            );
+            assert.isTrue(formats.isEmpty);
+            formats.addRule({
+                type: "value",
+                frame: column,
+                operator: "<",
+                value: 2,
+            });
+            assert.throws(() =>
+                formats.load([
+                    { type: "text", frame: column, operator: "has", text: "a" },
+                ])
+            );
+            assert.equal(formats.toJSON().length, 1);
+        });
+    });
+    describe("GridSheet", () => {
+        let GridSheet;
+        let sheet;
+        before(() => {
+            GridSheet = window.customElements.get("my-grid");
+        });
+        beforeEach(() => {
+            // A plain element standing in for the sheet,
+            // with a view of 2x3 cells, to keep things quick
+            let dataFrame = new DataFrame([0, 0], [1, 4]);
+            sheet = document.createElement("div");
+            sheet.primaryFrame = new PrimaryGridFrame(dataFrame, [1, 2]);
+            dataFrame.callback = GridSheet.prototype.onDataChanged.bind(sheet);
+        });
+        it("Styles cells as they are shown and as values change", () => {
+            let primaryFrame = sheet.primaryFrame;
+            primaryFrame.dataFrame.loadFromArray([[1], [2], [3]]);
+            GridSheet.prototype.importConditionalFormats.call(sheet, [
+                { type: "top", count: 1, frame: column },
+            ]);
+            let top = primaryFrame.elementAt([0, 2]);
+            assert.isTrue(top.classList.contains("cf-highlight"));
+            assert.equal(
+                top.style.getPropertyValue("--cf-background"),
+                "rgba(255, 200, 0, 0.4)"
+            );
+            primaryFrame.dataFrame.putAt([0, 0], 9);
+            primaryFrame.updateCellContents();
+            assert.isFalse(top.classList.contains("cf-highlight"));
+            assert.equal(top.style.getPropertyValue("--cf-background"), "");
+            assert.isTrue(
+                primaryFrame
+                    .elementAt([0, 0])
+                    .classList.contains("cf-highlight")
+            );
+            assert.deepEqual(
+                JSON.parse(
+                    GridSheet.prototype.exportConditionalFormats.call(sheet)
+                ),
+                [{ type: "top", count: 1, frame: column }]
+            );
+            GridSheet.prototype.importConditionalFormats.call(sheet, "[]");
+            assert.isFalse(
+                primaryFrame
+                    .elementAt([0, 0])
+                    .classList.contains("cf-highlight")
+            );
+        });
+    });
+});
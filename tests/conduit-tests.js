@@ -0,0 +1,203 @@
+/**
+ * APSheet Conduit Tests
+ * ------------------------------------
+ * Tests for linking the values of one
+ * sheet to those of another
+ */
+import { Frame } from "../src/Frame.js";
+import { DataFrame } from "../src/DataFrame.js";
+import { Conduit } from "../src/Conduit.js";
+import chai from "chai";
+const assert = chai.assert;
+
+// Respond with an element that stands in for a
+// GridSheet: it has a dataFrame and dispatches
+// data-updated events like a sheet does
+const createSheet = () => {
+    let sheet = document.createElement("div");
+    sheet.dataFrame = new DataFrame([0, 0], [9, 9]);
+    sheet.dataFrame.callback = (frame, wasResized, dependentFrames) => {
+        if (!frame.isFrame) {
+            frame = new Frame(frame, frame);
+        }
+        let event = new CustomEvent("data-updated", {
+            detail: {
+                frames: [frame, ...dependentFrames],
+                wasResized,
+            },
+        });
+        sheet.dispatchEvent(event);
+    };
+    document.body.append(sheet);
+    return sheet;
+};
+
+describe("Conduit Tests", () => {
+    let fromSheet;
+    let toSheet;
+    beforeEach(() => {
+        fromSheet = createSheet();
+        toSheet = createSheet();
+    });
+    afterEach(() => {
+        fromSheet.remove();
+        toSheet.remove();
+    });
+    describe("Sending", () => {
+        it("Writes changes to the offset position in toFrame", () => {
+            let conduit = new Conduit(
+                fromSheet,
+                new Frame([1, 1], [3, 3]),
+                toSheet,
+                new Frame([5, 5], [7, 7])
+            );
+            conduit.connect();
+            fromSheet.dataFrame.putAt([2, 3], "changed");
+            assert.equal(toSheet.dataFrame.getAt([6, 7]), "changed");
+            assert.isUndefined(toSheet.dataFrame.getAt([5, 5]));
+        });
+        it("Only sends the part of a change within fromFrame", () => {
+            let conduit = new Conduit(
+                fromSheet,
+                new Frame([0, 0], [1, 1]),
+                toSheet,
+                new Frame([4, 4], [5, 5])
+            );
+            conduit.connect();
+            fromSheet.dataFrame.loadFromArray([
+                ["a", "b", "c"],
+                ["d", "e", "f"],
+            ]);
+            assert.deepEqual(
+                toSheet.dataFrame.getDataArrayForFrame(
+                    new Frame([4, 4], [6, 5])
+                ),
+                [
+                    ["a", "b", undefined],
+                    ["d", "e", undefined],
+                ]
+            );
+        });
+        it("Applies the transform and clips its result to toFrame", () => {
+            let conduit = new Conduit(
+                fromSheet,
+                new Frame([0, 0], [0, 0]),
+                toSheet,
+                new Frame([8, 8], [9, 8]),
+                (frame, sheet) => {
+                    let value = sheet.dataFrame.getAt(frame.origin);
+                    return [[value, value, value]];
+                }
+            );
+            conduit.connect();
+            fromSheet.dataFrame.putAt([0, 0], 7);
+            assert.equal(toSheet.dataFrame.getAt([8, 8]), 7);
+            assert.equal(toSheet.dataFrame.getAt([9, 8]), 7);
+            assert.isUndefined(toSheet.dataFrame.getAt([9, 9]));
+        });
+        it("Can sync all of fromFrame at once", () => {
+            fromSheet.dataFrame.putAt([1, 1], "early");
+            let conduit = new Conduit(
+                fromSheet,
+                new Frame([0, 0], [1, 1]),
+                toSheet,
+                new Frame([2, 2], [3, 3])
+            );
+            conduit.sync();
+            assert.equal(toSheet.dataFrame.getAt([3, 3]), "early");
+        });
+    });
+    describe("Both directions", () => {
+        it("Sends changes back without echoing", () => {
+            let conduit = new Conduit(
+                fromSheet,
+                new Frame([0, 0], [2, 2]),
+                toSheet,
+                new Frame([1, 1], [3, 3]),
+                null,
+                { bidirectional: true }
+            );
+            conduit.connect();
+            let fromUpdates = 0;
+            let toUpdates = 0;
+            fromSheet.addEventListener("data-updated", () => {
+                fromUpdates += 1;
+            });
+            toSheet.addEventListener("data-updated", () => {
+                toUpdates += 1;
+            });
+            fromSheet.dataFrame.putAt([0, 0], "there");
+            assert.equal(toSheet.dataFrame.getAt([1, 1]), "there");
+            toSheet.dataFrame.putAt([3, 3], "back");
+            assert.equal(fromSheet.dataFrame.getAt([2, 2]), "back");
+            assert.equal(fromUpdates, 2);
+            assert.equal(toUpdates, 2);
+        });
+        it("Works between Frames of the same sheet", () => {
+            let conduit = new Conduit(
+                fromSheet,
+                new Frame([0, 0], [0, 0]),
+                fromSheet,
+                new Frame([5, 0], [5, 0]),
+                null,
+                { bidirectional: true }
+            );
+            conduit.connect();
+            fromSheet.dataFrame.putAt([5, 0], "right");
+            assert.equal(fromSheet.dataFrame.getAt([0, 0]), "right");
+            fromSheet.dataFrame.putAt([0, 0], "left");
+            assert.equal(fromSheet.dataFrame.getAt([5, 0]), "left");
+        });
+        it("Is one way by default", () => {
+            let conduit = new Conduit(
+                fromSheet,
+                new Frame([0, 0], [0, 0]),
+                toSheet,
+                new Frame([0, 0], [0, 0])
+            );
+            conduit.connect();
+            toSheet.dataFrame.putAt([0, 0], "stays");
+            assert.isUndefined(fromSheet.dataFrame.getAt([0, 0]));
+        });
+    });
+    describe("Lifecycle", () => {
+        let conduit;
+        beforeEach(() => {
+            conduit = new Conduit(
+                fromSheet,
+                new Frame([0, 0], [0, 0]),
+                toSheet,
+                new Frame([0, 0], [0, 0])
+            );
+            conduit.connect();
+        });
+        it("Does not send while paused", () => {
+            conduit.pause();
+            fromSheet.dataFrame.putAt([0, 0], "missed");
+            assert.isUndefined(toSheet.dataFrame.getAt([0, 0]));
+            conduit.resume();
+            fromSheet.dataFrame.putAt([0, 0], "sent");
+            assert.equal(toSheet.dataFrame.getAt([0, 0]), "sent");
+        });
+        it("Stops sending once disconnected", () => {
+            conduit.disconnect();
+            assert.isFalse(conduit.isConnected);
+            fromSheet.dataFrame.putAt([0, 0], "missed");
+            assert.isUndefined(toSheet.dataFrame.getAt([0, 0]));
+        });
+        it("Disconnects when a sheet leaves the DOM", async () => {
+            toSheet.remove();
+            await conduit.onSheetDisconnected();
+            assert.isFalse(conduit.isConnected);
+        });
+        it("Stays connected when a sheet is only moved", async () => {
+            let container = document.createElement("div");
+            document.body.append(container);
+            fromSheet.remove();
+            container.append(fromSheet);
+            await conduit.onSheetDisconnected();
+            assert.isTrue(conduit.isConnected);
+            container.remove();
+        });
+    });
+});
@@ -0,0 +1,160 @@
+/**
+ * APSheet CSV Tests
+ * ------------------------------------
+ * Tests for parsing and writing delimited
+ * text, and for loading it into and out of
+ * DataFrames
+ */
+import { Frame } from "../src/Frame.js";
+import { DataFrame } from "../src/DataFrame.js";
+import { parseCSV, writeCSV, TSV, BOM } from "../src/CSV.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+describe("CSV Tests", () => {
+    describe("Parsing", () => {
+        it("Parses simple records", () => {
+            let records = parseCSV("a,b,c\n1,2,3\n");
+            assert.deepEqual(records, [
+                ["a", "b", "c"],
+                ["1", "2", "3"],
+            ]);
+        });
+        it("Handles CRLF, CR and a missing final line break", () => {
+            let records = parseCSV("a,b\r\nc,d\re,f");
+            assert.deepEqual(records, [
+                ["a", "b"],
+                ["c", "d"],
+                ["e", "f"],
+            ]);
+        });
+        it("Handles quoted fields with delimiters, quotes and newlines", () => {
+            let records = parseCSV('"a,1","say ""hi""","two\r\nlines",""\n');
+            assert.deepEqual(records, [
+                ["a,1", 'say "hi"', "two\r\nlines", ""],
+            ]);
+        });
+        it("Keeps empty fields", () => {
+            assert.deepEqual(parseCSV(",a,\n"), [["", "a", ""]]);
+        });
+        it("Ignores a leading byte order mark", () => {
+            assert.deepEqual(parseCSV(`${BOM}a,b`), [["a", "b"]]);
+        });
+        it("Accepts other delimiters and quotes", () => {
+            assert.deepEqual(parseCSV("a\tb c\n", TSV), [["a", "b c"]]);
+            assert.deepEqual(
+                parseCSV("'a;b';c", { delimiter: ";", quote: "'" }),
+                [["a;b", "c"]]
+            );
+        });
+        it("Throws for an unterminated quoted field", () => {
+            assert.throws(() => parseCSV('a,"b\n'));
+        });
+    });
+    describe("Writing", () => {
+        it("Quotes only the fields that need it", () => {
+            let text = writeCSV([
+                ["plain", "with,comma", 'with "quote"', "two\nlines", " pad"],
+            ]);
+            assert.equal(
+                text,
+                'plain,"with,comma","with ""quote""","two\nlines"," pad"'
+            );
+        });
+        it("Writes non-string and missing values", () => {
+            let text = writeCSV([
+                [1, true, undefined],
+                [null, 2.5, "x"],
+            ]);
+            assert.equal(text, "1,true,\r\n,2.5,x");
+        });
+        it("Writes a header, BOM and custom newline", () => {
+            let text = writeCSV([["1", "2"]], {
+                header: ["A", "B"],
+                bom: true,
+                newline: "\n",
+                delimiter: "\t",
+            });
+            assert.equal(text, `${BOM}A\tB\n1\t2`);
+        });
+        it("Round trips through the parser", () => {
+            let records = [
+                ["a", 'b "c"', "d,e"],
+                ["line\r\nbreak", "", "f"],
+            ];
+            assert.deepEqual(parseCSV(writeCSV(records)), records);
+        });
+    });
+    describe("DataFrames", () => {
+        it("Can create a DataFrame from CSV text", () => {
+            let dataFrame = DataFrame.fromCSV("a,b,c\n1,2\n");
+            assert.equal(dataFrame.corner.x, 2);
+            assert.equal(dataFrame.corner.y, 1);
+            assert.equal(dataFrame.getAt([2, 0]), "c");
+            assert.equal(dataFrame.getAt([1, 1]), "2");
+            assert.isUndefined(dataFrame.getAt([2, 1]));
+        });
+        it("Can read a header row", () => {
+            let dataFrame = DataFrame.fromCSV("name,age\nAda,36\n", {
+                header: true,
+            });
+            assert.deepEqual(dataFrame.header, ["name", "age"]);
+            assert.equal(dataFrame.corner.y, 0);
+            assert.equal(dataFrame.getAt([0, 0]), "Ada");
+        });
+        it("Can write all or part of a DataFrame", () => {
+            let dataFrame = new DataFrame([0, 0], [2, 1]);
+            dataFrame.loadFromArray([
+                [1, "x,y", 3],
+                [4, 5, 6],
+            ]);
+            assert.equal(dataFrame.toCSV(), '1,"x,y",3\r\n4,5,6');
+            assert.equal(
+                dataFrame.toCSV(new Frame([1, 0], [2, 1]), { newline: "\n" }),
+                '"x,y",3\n5,6'
+            );
+        });
+        it("Writes the header labels of the written columns", () => {
+            let dataFrame = DataFrame.fromCSV("a,b,c\n1,2,3", {
+                header: true,
+            });
+            let text = dataFrame.toCSV(new Frame([1, 0], [2, 0]), {
+                header: true,
+            });
+            assert.equal(text, "b,c\r\n2,3");
+        });
+        it("Round trips the values of a date column", () => {
+            let dataFrame = new DataFrame([0, 0], [1, 1]);
+            dataFrame.setSchema({ 0: { type: "date" } });
+            dataFrame.loadCSV("2024-05-31,a\n2024-05-31T12:30:00.000Z,b");
+            let text = dataFrame.toCSV();
+            assert.equal(text, "2024-05-31,a\r\n2024-05-31T12:30:00.000Z,b");
+            let copy = new DataFrame([0, 0], [1, 1]);
+            copy.setSchema({ 0: { type: "date" } });
+            copy.loadCSV(text);
+            assert.equal(copy.getAt([0, 0]).getTime(), Date.UTC(2024, 4, 31));
+            assert.equal(
+                copy.getAt([0, 1]).getTime(),
+                dataFrame.getAt([0, 1]).getTime()
+            );
+            assert.isNull(copy.errorAt([0, 1]));
+        });
+        it("Replaces existing data as a single undoable step", () => {
+            let dataFrame = new DataFrame([0, 0], [9, 9]);
+            dataFrame.putAt([9, 9], "corner");
+            dataFrame.enableHistory();
+            let callback = sinon.spy();
+            dataFrame.callback = callback;
+            dataFrame.loadCSV("a,b\nc,d");
+            assert.isTrue(callback.calledOnce);
+            assert.isTrue(callback.args[0][1]);
+            assert.equal(dataFrame.corner.x, 1);
+            assert.equal(dataFrame.getAt([1, 1]), "d");
+            dataFrame.undo();
+            assert.equal(dataFrame.corner.x, 9);
+            assert.equal(dataFrame.getAt([9, 9]), "corner");
+            assert.isUndefined(dataFrame.getAt([1, 1]));
+        });
+    });
+});
@@ -182,6 +182,19 @@ describe("DataFrame data tests", () => {
             assert.isTrue(expected.equals(frame));
             assert.deepEqual(expected.store, frame.store);
         });
+        it("Can combine values with a named operation or function", () => {
+            const frame = new DataFrame([0, 0], [1, 0]);
+            frame.loadFromArray([[6, 8]]);
+            const another = new DataFrame([0, 0], [1, 0]);
+            another.loadFromArray([[2, 4]]);
+            frame.combine(another, "divide");
+            assert.deepEqual(frame.toArray(), [[3, 2]]);
+            frame.combine(another, (value, other) => value * 10 + other);
+            assert.deepEqual(frame.toArray(), [[32, 24]]);
+            expect(() => {
+                frame.combine(another, "modulo");
+            }).to.throw();
+        });
         it("Must be dimensionally aligned to add", () => {
             const frame = new DataFrame([0, 0], [100, 100]);
             frame.forEachPoint((p) => {
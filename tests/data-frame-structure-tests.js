@@ -0,0 +1,258 @@
+/**
+ * APSheet DataFrame Structure Tests
+ * ------------------------------------
+ * Tests for inserting and deleting rows
+ * and columns in a DataFrame
+ */
+import "../src/GridSheet.js";
+import { Frame } from "../src/Frame.js";
+import { Point } from "../src/Point.js";
+import { DataFrame } from "../src/DataFrame.js";
+import { PrimaryGridFrame } from "../src/PrimaryGridFrame.js";
+import { Selector } from "../src/Selector.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+describe("DataFrame Structure Tests", () => {
+    let dataFrame;
+    beforeEach(() => {
+        // A 4x4 DataFrame whose values
+        // are their own coordinates
+        dataFrame = new DataFrame([0, 0], [3, 3]);
+        dataFrame.forEachPoint((aPoint) => {
+            dataFrame.putAt(aPoint, `${aPoint.x},${aPoint.y}`, false);
+        });
+    });
+    describe("Rows", () => {
+        it("Can insert rows in the middle", () => {
+            dataFrame.insertRows(1, 2);
+            assert.equal(dataFrame.corner.y, 5);
+            assert.equal(dataFrame.getAt([0, 0]), "0,0");
+            assert.isUndefined(dataFrame.getAt([0, 1]));
+            assert.isUndefined(dataFrame.getAt([3, 2]));
+            assert.equal(dataFrame.getAt([0, 3]), "0,1");
+            assert.equal(dataFrame.getAt([3, 5]), "3,3");
+        });
+        it("Can append rows at the bottom", () => {
+            dataFrame.insertRows(4);
+            assert.equal(dataFrame.corner.y, 4);
+            assert.equal(dataFrame.getAt([3, 3]), "3,3");
+            assert.isUndefined(dataFrame.getAt([3, 4]));
+        });
+        it("Can delete rows in the middle", () => {
+            dataFrame.deleteRows(1, 2);
+            assert.equal(dataFrame.corner.y, 1);
+            assert.equal(dataFrame.getAt([0, 0]), "0,0");
+            assert.equal(dataFrame.getAt([2, 1]), "2,3");
+        });
+        it("Throws for rows outside of the DataFrame", () => {
+            assert.throws(() => dataFrame.insertRows(5));
+            assert.throws(() => dataFrame.deleteRows(3, 2));
+            assert.throws(() => dataFrame.deleteRows(0, 4));
+        });
+    });
+    describe("Columns", () => {
+        it("Can insert columns at the left", () => {
+            dataFrame.insertColumns(0);
+            assert.equal(dataFrame.corner.x, 4);
+            assert.isUndefined(dataFrame.getAt([0, 2]));
+            assert.equal(dataFrame.getAt([1, 2]), "0,2");
+            assert.equal(dataFrame.getAt([4, 3]), "3,3");
+        });
+        it("Can delete the last column", () => {
+            dataFrame.deleteColumns(3);
+            assert.equal(dataFrame.corner.x, 2);
+            assert.equal(dataFrame.getAt([2, 2]), "2,2");
+            assert.throws(() => dataFrame.getAt([3, 2]));
+        });
+    });
+    describe("Callbacks and history", () => {
+        it("Calls the callback with the affected Frame and wasResized", () => {
+            let callback = sinon.spy();
+            dataFrame.callback = callback;
+            dataFrame.deleteRows(3);
+            assert.isTrue(callback.calledOnce);
+            let frame = callback.args[0][0];
+            assert.isTrue(frame.equals(new Frame([0, 2], [3, 2])));
+            assert.isTrue(callback.args[0][1]);
+
+            dataFrame.insertColumns(1, 2);
+            frame = callback.args[1][0];
+            assert.isTrue(frame.equals(new Frame([1, 0], [5, 2])));
+        });
+        it("Can undo and redo an insertion", () => {
+            dataFrame.enableHistory();
+            dataFrame.insertRows(0);
+            dataFrame.undo();
+            assert.equal(dataFrame.corner.y, 3);
+            assert.equal(dataFrame.getAt([1, 0]), "1,0");
+            assert.equal(dataFrame.getAt([3, 3]), "3,3");
+            dataFrame.redo();
+            assert.equal(dataFrame.corner.y, 4);
+            assert.isUndefined(dataFrame.getAt([1, 0]));
+            assert.equal(dataFrame.getAt([3, 4]), "3,3");
+        });
+        it("Can undo and redo a deletion", () => {
+            dataFrame.enableHistory();
+            dataFrame.deleteColumns(1, 2);
+            dataFrame.undo();
+            assert.equal(dataFrame.corner.x, 3);
+            assert.equal(dataFrame.getAt([1, 1]), "1,1");
+            assert.equal(dataFrame.getAt([3, 1]), "3,1");
+            dataFrame.redo();
+            assert.equal(dataFrame.corner.x, 1);
+            assert.equal(dataFrame.getAt([1, 1]), "3,1");
+        });
+    });
+    describe("Sheets", () => {
+        it("Undoes the shifting of custom sizes with the data", () => {
+            let GridSheet = window.customElements.get("my-grid");
+            dataFrame.enableHistory();
+            // A plain object standing in for the sheet
+            let sheet = {
+                dataFrame,
+                primaryFrame: new PrimaryGridFrame(dataFrame, [1, 1]),
+                customColumns: { 1: 50, 3: 80 },
+                customRows: {},
+                renderGridTemplate: sinon.spy(),
+                afterStructureChanged: sinon.spy(),
+            };
+            sheet.shiftCustomSizes = GridSheet.prototype.shiftCustomSizes;
+            sheet.shiftFormats = GridSheet.prototype.shiftFormats;
+            GridSheet.prototype.insertColumns.call(sheet, 2, 1);
+            assert.deepEqual(sheet.customColumns, { 1: 50, 4: 80 });
+            GridSheet.prototype.deleteColumns.call(sheet, 0, 2);
+            assert.deepEqual(sheet.customColumns, { 2: 80 });
+            dataFrame.undo();
+            assert.deepEqual(sheet.customColumns, { 1: 50, 4: 80 });
+            dataFrame.undo();
+            assert.deepEqual(sheet.customColumns, { 1: 50, 3: 80 });
+            assert.equal(dataFrame.getAt([3, 0]), "3,0");
+            assert.isTrue(sheet.renderGridTemplate.calledTwice);
+            dataFrame.redo();
+            assert.deepEqual(sheet.customColumns, { 1: 50, 4: 80 });
+        });
+        it("Moves formats, column plugins and the schema with the data", () => {
+            let GridSheet = window.customElements.get("my-grid");
+            dataFrame.enableHistory();
+            let primaryFrame = new PrimaryGridFrame(dataFrame, [1, 1]);
+            let { formats, plugins } = primaryFrame;
+            let sheet = {
+                dataFrame,
+                primaryFrame,
+                rowView: primaryFrame.rowView,
+                customColumns: {},
+                customRows: {},
+                renderGridTemplate: sinon.spy(),
+                afterStructureChanged: sinon.spy(),
+            };
+            sheet.shiftCustomSizes = GridSheet.prototype.shiftCustomSizes;
+            sheet.shiftFormats = GridSheet.prototype.shiftFormats;
+            let percent = { type: "percent" };
+            formats.setColumnFormat(2, percent);
+            formats.setCellFormat([1, 2], percent);
+            formats.setFrameFormat(new Frame([1, 1], [2, 3]), percent);
+            plugins.setColumnRenderer(3, "badge");
+            dataFrame.setSchema(
+                { 0: { type: "string" }, 2: { type: "number" } },
+                1
+            );
+            const state = () => {
+                return {
+                    columns: Array.from(formats.columns.keys()),
+                    cells: Array.from(formats.cells.keys()),
+                    frames: formats.frames.map((entry) =>
+                        entry.frame.toString()
+                    ),
+                    renderers: Array.from(plugins.uses.renderer.columns.keys()),
+                    schema: Object.keys(dataFrame.schema),
+                    numSchemaHeaderRows: dataFrame.numSchemaHeaderRows,
+                };
+            };
+            let before = state();
+
+            GridSheet.prototype.insertColumns.call(sheet, 1, 1);
+            assert.deepEqual(state(), {
+                columns: [3],
+                cells: [new Point([2, 2]).toString()],
+                frames: [new Frame([2, 1], [3, 3]).toString()],
+                renderers: [4],
+                schema: ["0", "3"],
+                numSchemaHeaderRows: 1,
+            });
+
+            GridSheet.prototype.deleteRows.call(sheet, 0, 2);
+            assert.deepEqual(state(), {
+                columns: [3],
+                cells: [new Point([2, 0]).toString()],
+                frames: [new Frame([2, 0], [3, 1]).toString()],
+                renderers: [4],
+                schema: ["0", "3"],
+                numSchemaHeaderRows: 0,
+            });
+
+            GridSheet.prototype.deleteColumns.call(sheet, 2, 2);
+            assert.deepEqual(state(), {
+                columns: [],
+                cells: [],
+                frames: [],
+                renderers: [2],
+                schema: ["0"],
+                numSchemaHeaderRows: 0,
+            });
+
+            dataFrame.undo();
+            dataFrame.undo();
+            dataFrame.undo();
+            assert.deepEqual(state(), before);
+            dataFrame.redo();
+            assert.deepEqual(state().renderers, [4]);
+        });
+        it("Clears the values when every row or column is deleted", () => {
+            let GridSheet = window.customElements.get("my-grid");
+            dataFrame.enableHistory();
+            let primaryFrame = new PrimaryGridFrame(dataFrame, [3, 3]);
+            let sheet = {
+                dataFrame,
+                primaryFrame,
+                rowView: primaryFrame.rowView,
+                selector: new Selector(primaryFrame),
+                afterStructureChanged: sinon.spy(),
+            };
+            sheet.deleteRows = GridSheet.prototype.deleteRows;
+            sheet.deleteColumns = GridSheet.prototype.deleteColumns;
+
+            // Selecting all and deleting deletes every column
+            sheet.selector.selectAll();
+            GridSheet.prototype.deleteAtSelection.call(sheet);
+            assert.isTrue(dataFrame.corner.equals(new Point([3, 3])));
+            assert.deepEqual(dataFrame.store, {});
+            assert.isTrue(sheet.afterStructureChanged.calledOnce);
+            dataFrame.undo();
+            assert.equal(dataFrame.getAt([3, 3]), "3,3");
+
+            // Sorted rows are otherwise deleted one by one
+            sheet.rowView.sortBy([{ column: 0, descending: true }]);
+            GridSheet.prototype.deleteRows.call(sheet, 0, 4);
+            assert.isTrue(dataFrame.corner.equals(new Point([3, 3])));
+            assert.deepEqual(dataFrame.store, {});
+            dataFrame.undo();
+            assert.equal(dataFrame.getAt([0, 0]), "0,0");
+            assert.isFalse(dataFrame.history.canUndo);
+        });
+    });
+    describe("PrimaryFrame fitting", () => {
+        it("Moves the view back inside of a shrunken DataFrame", () => {
+            let bigFrame = new DataFrame([0, 0], [20, 20]);
+            let primaryFrame = new PrimaryGridFrame(bigFrame, [4, 4]);
+            primaryFrame.shiftDownBy(16);
+            assert.equal(primaryFrame.dataOffset.y, 16);
+            bigFrame.deleteRows(0, 5);
+            assert.isTrue(primaryFrame.fitToDataFrame());
+            assert.equal(primaryFrame.dataOffset.y, 11);
+            assert.equal(primaryFrame.relativeViewFrame.bottom, 15);
+            assert.isFalse(primaryFrame.fitToDataFrame());
+        });
+    });
+});
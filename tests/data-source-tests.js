@@ -0,0 +1,146 @@
+/**
+ * APSheet DataSource Tests
+ * ------------------------------------
+ * Tests for lazily loading DataFrame values
+ * from a DataSource in chunks
+ */
+import { Frame } from "../src/Frame.js";
+import { DataFrame } from "../src/DataFrame.js";
+import { DataSource, ArrayDataSource } from "../src/DataSource.js";
+import { PrimaryGridFrame as PrimaryFrame } from "../src/PrimaryGridFrame.js";
+import { Point } from "../src/Point.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+// Make a 300 row by 120 column array whose
+// values are the "x,y" strings of their location
+const makeSourceArray = () => {
+    let rows = [];
+    for (let y = 0; y < 300; y++) {
+        let row = [];
+        for (let x = 0; x < 120; x++) {
+            row.push(`${x},${y}`);
+        }
+        rows.push(row);
+    }
+    return rows;
+};
+
+describe("DataSource Tests", () => {
+    describe("Setting a DataSource", () => {
+        it("Resizes the DataFrame to the size of the source", async () => {
+            let dataFrame = new DataFrame([0, 0], [10, 10]);
+            dataFrame.putAt([0, 0], "old value");
+            let callback = sinon.spy();
+            dataFrame.callback = callback;
+            await dataFrame.setDataSource(
+                new ArrayDataSource(makeSourceArray())
+            );
+            assert.equal(dataFrame.corner.x, 119);
+            assert.equal(dataFrame.corner.y, 299);
+            assert.isUndefined(dataFrame.getAt([0, 0]));
+            assert.isTrue(callback.calledOnce);
+            assert.isTrue(callback.calledWithMatch(sinon.match.any, true));
+        });
+        it("Base DataSource must be subclassed", () => {
+            let source = new DataSource();
+            assert.throws(() => {
+                source.fetchRange(new Frame([0, 0], [1, 1]));
+            });
+        });
+    });
+    describe("Loading missing data", () => {
+        let dataFrame;
+        let source;
+        beforeEach(async () => {
+            dataFrame = new DataFrame([0, 0], [0, 0]);
+            source = new ArrayDataSource(makeSourceArray());
+            await dataFrame.setDataSource(source);
+            dataFrame.chunkSize = new Point([50, 100]);
+            dataFrame.prefetchMargin = new Point([0, 0]);
+        });
+        it("Loads the values of the chunks that overlap the frame", async () => {
+            await dataFrame.loadMissing(new Frame([0, 0], [5, 5]));
+            assert.equal(dataFrame.getAt([3, 4]), "3,4");
+            assert.equal(dataFrame.getAt([49, 99]), "49,99");
+            assert.isUndefined(dataFrame.getAt([50, 0]));
+            assert.isUndefined(dataFrame.getAt([0, 100]));
+        });
+        it("Calls the callback with the Frame of each chunk that lands", async () => {
+            let callback = sinon.spy();
+            dataFrame.callback = callback;
+            await dataFrame.loadMissing(new Frame([45, 0], [55, 5]));
+            assert.isTrue(callback.calledTwice);
+            let frames = callback.args.map((args) => args[0]);
+            assert.isTrue(frames[0].equals(new Frame([0, 0], [49, 99])));
+            assert.isTrue(frames[1].equals(new Frame([50, 0], [99, 99])));
+        });
+        it("Clamps the last chunk to the bounds of the DataFrame", async () => {
+            let callback = sinon.spy();
+            dataFrame.callback = callback;
+            await dataFrame.loadMissing(new Frame([110, 290], [119, 299]));
+            let frame = callback.args[0][0];
+            assert.isTrue(frame.equals(new Frame([100, 200], [119, 299])));
+        });
+        it("Does not request chunks that are in flight or already loaded", async () => {
+            let fetchSpy = sinon.spy(source, "fetchRange");
+            let first = dataFrame.loadMissing(new Frame([0, 0], [5, 5]));
+            let second = dataFrame.loadMissing(new Frame([2, 2], [20, 20]));
+            await Promise.all([first, second]);
+            await dataFrame.loadMissing(new Frame([10, 10], [12, 12]));
+            assert.isTrue(fetchSpy.calledOnce);
+        });
+        it("Expands the requested frame by the prefetch margin", async () => {
+            dataFrame.prefetchMargin = new Point([0, 10]);
+            await dataFrame.loadMissing(new Frame([0, 95], [5, 98]));
+            assert.equal(dataFrame.getAt([0, 100]), "0,100");
+            assert.isUndefined(dataFrame.getAt([50, 100]));
+        });
+        it("Does not overwrite values set while a chunk was loading", async () => {
+            let loading = dataFrame.loadMissing(new Frame([0, 0], [5, 5]));
+            dataFrame.putAt([1, 1], "edited");
+            await loading;
+            assert.equal(dataFrame.getAt([1, 1]), "edited");
+            assert.equal(dataFrame.getAt([2, 1]), "2,1");
+        });
+        it("Reports failed chunks to the errorCallback and allows a retry", async () => {
+            let errorCallback = sinon.spy();
+            dataFrame.errorCallback = errorCallback;
+            let fetchStub = sinon
+                .stub(source, "fetchRange")
+                .returns(Promise.reject("server down"));
+            await dataFrame.loadMissing(new Frame([0, 0], [5, 5]));
+            assert.isTrue(errorCallback.calledOnce);
+            assert.equal(errorCallback.args[0][0], "server down");
+            assert.isUndefined(dataFrame.getAt([0, 0]));
+
+            fetchStub.restore();
+            await dataFrame.loadMissing(new Frame([0, 0], [5, 5]));
+            assert.equal(dataFrame.getAt([0, 0]), "0,0");
+        });
+    });
+    describe("PrimaryFrame view shifting", () => {
+        it("Requests missing data for the view when shifting", async () => {
+            let dataFrame = new DataFrame([0, 0], [0, 0]);
+            let source = new ArrayDataSource(makeSourceArray());
+            await dataFrame.setDataSource(source);
+            dataFrame.prefetchMargin = new Point([0, 0]);
+            let loadSpy = sinon.spy(dataFrame, "loadMissing");
+            let primaryFrame = new PrimaryFrame(dataFrame, [4, 4]);
+            primaryFrame.shiftDownBy(150);
+            let requested = loadSpy.args.map((args) => args[0]);
+            assert.isTrue(
+                requested.some((aFrame) => {
+                    return aFrame.equals(new Frame([0, 150], [4, 154]));
+                })
+            );
+            await Promise.all(loadSpy.returnValues);
+            assert.equal(dataFrame.getAt([0, 150]), "0,150");
+        });
+    });
+});
+
+after(() => {
+    resetDOM();
+});
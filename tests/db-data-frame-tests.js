@@ -0,0 +1,272 @@
+/**
+ * APSheet DBDataFrame Tests
+ * ------------------------------------
+ * Tests for persisting DataFrame values
+ * and bounds in IndexedDB, using an
+ * in-memory IndexedDB implementation
+ */
+import { indexedDB, IDBKeyRange } from "fake-indexeddb";
+import { Frame } from "../src/Frame.js";
+import { DBDataFrame } from "../src/DBDataFrame.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+// Each test uses its own database
+let dbCount = 0;
+const nextDBName = () => {
+    dbCount += 1;
+    return `db-data-frame-tests-${dbCount}`;
+};
+
+// Close the given DBDataFrame and
+// respond with a new one that has
+// reopened its database
+const reopen = (dataFrame, options = {}) => {
+    return dataFrame.close().then(() => {
+        let reopened = new DBDataFrame(
+            [0, 0],
+            [0, 0],
+            dataFrame.dbName,
+            options
+        );
+        return reopened.ready;
+    });
+};
+
+describe("DBDataFrame Tests", () => {
+    before(() => {
+        window.indexedDB = indexedDB;
+        window.IDBKeyRange = IDBKeyRange;
+    });
+    describe("Opening", () => {
+        it("Resolves ready with itself", async () => {
+            let dataFrame = new DBDataFrame([0, 0], [2, 2], nextDBName());
+            let result = await dataFrame.ready;
+            assert.equal(result, dataFrame);
+            assert.isNotNull(dataFrame.db);
+            await dataFrame.close();
+        });
+        it("Saves initial values and bounds to a new database", async () => {
+            let dataFrame = new DBDataFrame([0, 0], [3, 2], nextDBName());
+            dataFrame.loadFromArray([["a", "b"]]);
+            await dataFrame.ready;
+            let reopened = await reopen(dataFrame);
+            assert.equal(reopened.corner.x, 3);
+            assert.equal(reopened.corner.y, 2);
+            await reopened.hydrate();
+            assert.equal(reopened.getAt([1, 0]), "b");
+            assert.isUndefined(reopened.getAt([3, 2]));
+            await reopened.close();
+        });
+        it("Loads saved values lazily by region", async () => {
+            let dataFrame = new DBDataFrame([0, 0], [99, 99], nextDBName());
+            await dataFrame.ready;
+            dataFrame.putAt([0, 0], "near");
+            dataFrame.putAt([90, 90], "far");
+            let reopened = await reopen(dataFrame);
+            assert.deepEqual(reopened.store, {});
+            reopened.chunkSize.x = 10;
+            reopened.chunkSize.y = 10;
+            reopened.prefetchMargin.x = 0;
+            reopened.prefetchMargin.y = 0;
+            let callback = sinon.spy();
+            reopened.callback = callback;
+            await reopened.loadMissing(new Frame([0, 0], [5, 5]));
+            assert.equal(reopened.getAt([0, 0]), "near");
+            assert.isUndefined(reopened.getAt([90, 90]));
+            assert.isTrue(callback.calledOnce);
+            await reopened.loadMissing(new Frame([85, 85], [95, 95]));
+            assert.equal(reopened.getAt([90, 90]), "far");
+            await reopened.close();
+        });
+        it("Reports errors to the errorCallback and rejects ready", async () => {
+            let dbName = nextDBName();
+            // A database with a newer version
+            // cannot be opened
+            let db = await new Promise((resolve) => {
+                let request = indexedDB.open(dbName, 99);
+                request.onsuccess = () => resolve(request.result);
+            });
+            db.close();
+            let dataFrame = new DBDataFrame([0, 0], [2, 2], dbName);
+            let errorCallback = sinon.spy();
+            dataFrame.errorCallback = errorCallback;
+            let error = null;
+            await dataFrame.ready.catch((anError) => {
+                error = anError;
+            });
+            assert.isNotNull(error);
+            assert.isTrue(errorCallback.calledOnceWith(error));
+        });
+    });
+    describe("Writing", () => {
+        let dataFrame;
+        beforeEach(async () => {
+            dataFrame = new DBDataFrame([0, 0], [4, 4], nextDBName());
+            await dataFrame.ready;
+        });
+        afterEach(async () => {
+            await dataFrame.close();
+        });
+        it("Writes values through as they change", async () => {
+            dataFrame.putAt([1, 1], "one");
+            dataFrame.loadFromArray([[1, 2]], [3, 4]);
+            dataFrame.putAt([2, 2], "cleared");
+            dataFrame.clearFrame(new Frame([2, 2], [2, 2]));
+            dataFrame = await reopen(dataFrame);
+            await dataFrame.hydrate();
+            assert.equal(dataFrame.getAt([1, 1]), "one");
+            assert.equal(dataFrame.getAt([4, 4]), 2);
+            assert.isUndefined(dataFrame.getAt([2, 2]));
+        });
+        it("Writes new bounds when resized", async () => {
+            dataFrame.loadFromArray([["x"]], [0, 5]);
+            dataFrame = await reopen(dataFrame);
+            assert.equal(dataFrame.corner.y, 5);
+            await dataFrame.hydrate();
+            assert.equal(dataFrame.getAt([0, 5]), "x");
+        });
+        it("Removes values that are outside of shrunken bounds", async () => {
+            dataFrame.putAt([4, 4], "gone");
+            dataFrame.setSize(2, 2);
+            dataFrame.setSize(5, 5);
+            dataFrame = await reopen(dataFrame);
+            await dataFrame.hydrate();
+            assert.isUndefined(dataFrame.getAt([4, 4]));
+        });
+        it("Writes a cleared store", async () => {
+            dataFrame.putAt([0, 0], "gone");
+            dataFrame.clear();
+            dataFrame = await reopen(dataFrame);
+            await dataFrame.hydrate();
+            assert.deepEqual(dataFrame.store, {});
+        });
+        it("Writes undone and redone changes", async () => {
+            dataFrame.enableHistory();
+            dataFrame.putAt([0, 0], "first");
+            dataFrame.putAt([0, 0], "second");
+            dataFrame.undo();
+            dataFrame = await reopen(dataFrame);
+            await dataFrame.hydrate();
+            assert.equal(dataFrame.getAt([0, 0]), "first");
+        });
+        it("Moves unloaded values when rows are inserted", async () => {
+            dataFrame.putAt([1, 3], "moved");
+            dataFrame = await reopen(dataFrame);
+            dataFrame.insertRows(1, 2);
+            dataFrame.putAt([0, 0], "new");
+            dataFrame = await reopen(dataFrame);
+            assert.equal(dataFrame.corner.y, 6);
+            await dataFrame.hydrate();
+            assert.equal(dataFrame.getAt([0, 0]), "new");
+            assert.equal(dataFrame.getAt([1, 5]), "moved");
+            assert.isUndefined(dataFrame.getAt([1, 3]));
+        });
+        it("Drops the values of deleted columns", async () => {
+            dataFrame.loadFromArray([[0, 1, 2, 3, 4]]);
+            dataFrame.deleteColumns(1, 2);
+            dataFrame = await reopen(dataFrame);
+            assert.equal(dataFrame.corner.x, 2);
+            await dataFrame.hydrate();
+            assert.deepEqual(dataFrame.toArray()[0], [0, 3, 4]);
+        });
+    });
+    describe("Undoing with values that are not loaded", () => {
+        let dataFrame;
+        // Respond with the values of the first column
+        const columnValues = async () => {
+            dataFrame = await reopen(dataFrame);
+            await dataFrame.hydrate();
+            return dataFrame.toArray().map((row) => row[0]);
+        };
+        const expected = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9].map((y) => `a${y}`);
+        beforeEach(async () => {
+            let saved = new DBDataFrame([0, 0], [1, 9], nextDBName());
+            await saved.ready;
+            saved.loadFromArray(expected.map((value) => [value, "b"]));
+            dataFrame = await reopen(saved);
+            // Only the first four rows are loaded
+            dataFrame.chunkSize.y = 4;
+            dataFrame.prefetchMargin.y = 0;
+            dataFrame.enableHistory();
+            await dataFrame.loadMissing(new Frame([0, 0], [1, 3]));
+            assert.isFalse(dataFrame.isFullyLoaded);
+        });
+        afterEach(async () => {
+            await dataFrame.close();
+        });
+        it("Moves them back when an insertion is undone", async () => {
+            dataFrame.insertRows(2, 1);
+            dataFrame.undo();
+            assert.deepEqual(await columnValues(), expected);
+        });
+        it("Does not clear them when a swapped store is undone", async () => {
+            dataFrame.insertRows(0, 1);
+            dataFrame.undo();
+            assert.deepEqual(await columnValues(), expected);
+        });
+        it("Puts back deleted values and deletes them again", async () => {
+            dataFrame.deleteRows(1, 6);
+            dataFrame.undo();
+            dataFrame.redo();
+            dataFrame.undo();
+            assert.deepEqual(await columnValues(), expected);
+            dataFrame.enableHistory();
+            dataFrame.deleteRows(1, 6);
+            dataFrame.undo();
+            dataFrame.redo();
+            assert.deepEqual(await columnValues(), ["a0", "a7", "a8", "a9"]);
+        });
+        it("Restores them when clearing is undone", async () => {
+            dataFrame.clear();
+            dataFrame.undo();
+            assert.deepEqual(await columnValues(), expected);
+        });
+    });
+    describe("Write behind", () => {
+        it("Batches changes until flushed", async () => {
+            let dbName = nextDBName();
+            let dataFrame = new DBDataFrame([0, 0], [4, 4], dbName, {
+                writeMode: "behind",
+                writeDelay: 60000,
+            });
+            await dataFrame.ready;
+            dataFrame.putAt([0, 0], "a");
+            dataFrame.putAt([1, 0], "b");
+            assert.isTrue(dataFrame.hasPendingWrites);
+
+            // A second connection does not see them yet
+            let other = new DBDataFrame([0, 0], [0, 0], dbName);
+            await other.hydrate();
+            assert.isUndefined(other.getAt([0, 0]));
+            await other.close();
+
+            await dataFrame.flush();
+            assert.isFalse(dataFrame.hasPendingWrites);
+            dataFrame = await reopen(dataFrame);
+            await dataFrame.hydrate();
+            assert.equal(dataFrame.getAt([0, 0]), "a");
+            assert.equal(dataFrame.getAt([1, 0]), "b");
+            await dataFrame.close();
+        });
+        it("Writes after the delay", async () => {
+            let clock = sinon.useFakeTimers({ toFake: ["setTimeout"] });
+            let dataFrame;
+            try {
+                dataFrame = new DBDataFrame([0, 0], [4, 4], nextDBName(), {
+                    writeMode: "behind",
+                    writeDelay: 100,
+                });
+                await dataFrame.ready;
+                dataFrame.putAt([0, 0], "a");
+                assert.isTrue(dataFrame.hasPendingWrites);
+                clock.tick(100);
+                assert.isFalse(dataFrame.hasPendingWrites);
+            } finally {
+                clock.restore();
+            }
+            await dataFrame.close();
+        });
+    });
+});
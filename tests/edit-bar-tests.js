@@ -0,0 +1,166 @@
+/**
+ * APSheet Edit Bar Tests
+ * ------------------------------------
+ * Tests for editing the value at the cursor
+ * in the edit bar, and for the address or
+ * name shown in the info area
+ */
+import "../src/GridSheet.js";
+import { Frame } from "../src/Frame.js";
+import { Point } from "../src/Point.js";
+import { gridSheet, releaseSheet } from "../utils/test-helpers.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+describe("Edit Bar Tests", () => {
+    let gridElement = gridSheet();
+    let editArea;
+    before(() => {
+        gridElement.setAttribute("rows", 3);
+        gridElement.setAttribute("columns", 3);
+        document.body.append(gridElement);
+        editArea = gridElement.shadowRoot.getElementById("edit-area");
+    });
+    after(() => {
+        releaseSheet(gridElement);
+        sinon.restore();
+    });
+    beforeEach(() => {
+        gridElement.selector.moveCursorTo([1, 1]);
+        gridElement.dispatchSelectionChanged();
+    });
+    afterEach(() => {
+        gridElement.cancelEditBar();
+        gridElement.primaryFrame.formats.clear();
+        gridElement.namedRanges = {};
+    });
+    const infoText = () => {
+        return gridElement.shadowRoot
+            .getElementById("info-area")
+            .querySelector("span:first-child").innerText;
+    };
+    const keyDown = (key, options = {}) => {
+        let event = new window.KeyboardEvent(
+            "keydown",
+            Object.assign(
+                { key, bubbles: true, cancelable: true, composed: true },
+                options
+            )
+        );
+        editArea.dispatchEvent(event);
+        return event;
+    };
+    const type = (text) => {
+        editArea.value = text;
+        editArea.dispatchEvent(new window.Event("input"));
+    };
+
+    describe("Info area", () => {
+        it("Shows the address of the cursor or the selection", () => {
+            assert.equal(infoText(), "B2");
+            gridElement.selector.selectFromAnchorTo(new Point([2, 2]));
+            gridElement.dispatchSelectionChanged();
+            assert.equal(infoText(), "B2:C3");
+            // As when Ctrl+clicking the first cell
+            let element = gridElement.primaryFrame.elementAt([0, 0]);
+            gridElement.selector.addRange();
+            gridElement.selector.setCursorToElement(element);
+            gridElement.selector.setAnchorToElement(element);
+            gridElement.dispatchSelectionChanged();
+            assert.equal(infoText(), "B2:C3, A1");
+            gridElement.selector.clearRanges();
+        });
+        it("Shows the name of a named range", () => {
+            gridElement.setNamedRange("Totals", new Frame([1, 1], [2, 2]));
+            gridElement.selector.selectFromAnchorTo(new Point([2, 2]));
+            gridElement.dispatchSelectionChanged();
+            assert.equal(infoText(), "Totals");
+            gridElement.setNamedRange("Start", new Frame([0, 0], [0, 0]));
+            gridElement.selector.moveCursorTo([0, 0]);
+            gridElement.dispatchSelectionChanged();
+            assert.equal(infoText(), "Start");
+            gridElement.removeNamedRange("Start");
+            assert.equal(infoText(), "A1");
+            assert.throws(() => {
+                gridElement.setNamedRange("B3", new Frame([0, 0], [0, 0]));
+            });
+            assert.throws(() => {
+                gridElement.setNamedRange("a name", new Frame([0, 0], [0, 0]));
+            });
+        });
+    });
+    describe("Editing", () => {
+        it("Edits the stored value, committing it with Enter", () => {
+            gridElement.dataFrame.putAt([1, 1], 7);
+            gridElement.setCellFormat([1, 1], {
+                type: "currency",
+                locale: "en-US",
+            });
+            assert.equal(editArea.value, "$7.00");
+            editArea.focus();
+            assert.equal(editArea.value, "7");
+            let listener = sinon.spy();
+            gridElement.addEventListener("cell-edited", listener);
+            type("8");
+            let event = keyDown("Enter");
+            gridElement.removeEventListener("cell-edited", listener);
+            assert.isTrue(event.defaultPrevented);
+            assert.isTrue(listener.calledOnce);
+            assert.equal(gridElement.dataFrame.getAt([1, 1]), "8");
+
+            // The cursor moves down, like after editing a cell
+            assert.isTrue(
+                gridElement.selector.relativeCursor.equals(new Point([1, 2]))
+            );
+            assert.isNull(gridElement.editBarEdit);
+        });
+        it("Reverts with Escape", () => {
+            gridElement.dataFrame.putAt([1, 1], "=1+2");
+            editArea.focus();
+            type("=3+4");
+            keyDown("Escape");
+            assert.equal(gridElement.dataFrame.getAt([1, 1]), "=1+2");
+            assert.equal(editArea.value, "=1+2");
+            assert.isNull(gridElement.editBarEdit);
+        });
+        it("Edits values with several lines", () => {
+            gridElement.dataFrame.putAt([1, 1], "one");
+            editArea.focus();
+            editArea.setSelectionRange(3, 3);
+            keyDown("Enter", { altKey: true });
+            assert.equal(editArea.value, "one\n");
+            type("one\ntwo\nthree");
+            assert.equal(editArea.rows, 3);
+            editArea.blur();
+            assert.equal(
+                gridElement.dataFrame.getAt([1, 1]),
+                "one\ntwo\nthree"
+            );
+            assert.equal(editArea.rows, 1);
+        });
+    });
+    describe("Syncing", () => {
+        it("Shows what is typed in a cell and changes at the cursor", () => {
+            const dispatchEditing = (content, isEditing) => {
+                gridElement.dispatchEvent(
+                    new CustomEvent("cell-editing", {
+                        detail: {
+                            relativeCoordinate: [1, 1],
+                            content,
+                            isEditing,
+                        },
+                    })
+                );
+            };
+            gridElement.dataFrame.putAt([1, 1], "before");
+            assert.equal(editArea.value, "before");
+            dispatchEditing("aft", true);
+            assert.equal(editArea.value, "aft");
+            dispatchEditing("aft", false);
+            assert.equal(editArea.value, "before");
+            gridElement.dataFrame.putAt([1, 1], "after");
+            assert.equal(editArea.value, "after");
+        });
+    });
+});
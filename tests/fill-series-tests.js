@@ -0,0 +1,212 @@
+/**
+ * APSheet Fill Series Tests
+ * ------------------------------------
+ * Tests for extending the values of a selection
+ * into neighbouring cells, with the fill handle
+ * or the fill down and fill right keys
+ */
+import "../src/GridSheet.js";
+import { seriesFor, fillFrameFor, fillData } from "../src/FillSeries.js";
+import { Frame } from "../src/Frame.js";
+import { Point } from "../src/Point.js";
+import { gridSheet, releaseSheet } from "../utils/test-helpers.js";
+import chai from "chai";
+const assert = chai.assert;
+
+// Respond with the values of the given series
+// at the given indices
+const valuesAt = (series, indices) => {
+    return indices.map((index) => series(index));
+};
+
+describe("Fill Series Tests", () => {
+    describe("seriesFor", () => {
+        it("Continues numbers as a linear progression", () => {
+            assert.deepEqual(
+                valuesAt(seriesFor([1, 3]), [2, 3, -1]),
+                [5, 7, -1]
+            );
+            assert.deepEqual(valuesAt(seriesFor(["0.1", "0.2"]), [2, 3]), [
+                "0.3",
+                "0.4",
+            ]);
+        });
+        it("Copies a single value and anything without a pattern", () => {
+            assert.deepEqual(valuesAt(seriesFor([5]), [1, 2]), [5, 5]);
+            assert.deepEqual(valuesAt(seriesFor(["a", "b"]), [2, 3, -1]), [
+                "a",
+                "b",
+                "b",
+            ]);
+            assert.deepEqual(valuesAt(seriesFor([1, ""]), [2, 3]), [1, ""]);
+        });
+        it("Continues dates by day or by month", () => {
+            assert.deepEqual(valuesAt(seriesFor(["2024-02-28"]), [1, 2]), [
+                "2024-02-29",
+                "2024-03-01",
+            ]);
+            assert.deepEqual(
+                valuesAt(seriesFor(["2024-01-31", "2024-03-31"]), [2, -1]),
+                ["2024-05-31", "2023-11-30"]
+            );
+            let dates = seriesFor([
+                new Date(Date.UTC(2024, 0, 1)),
+                new Date(Date.UTC(2024, 0, 8)),
+            ]);
+            assert.equal(dates(2).getTime(), Date.UTC(2024, 0, 15));
+        });
+        it("Continues the numbers at the end of text", () => {
+            assert.deepEqual(valuesAt(seriesFor(["Item 1"]), [1, 2]), [
+                "Item 2",
+                "Item 3",
+            ]);
+            assert.deepEqual(valuesAt(seriesFor(["Q01", "Q03"]), [2]), ["Q05"]);
+            assert.deepEqual(valuesAt(seriesFor(["Item 1", "Part 2"]), [2]), [
+                "Item 1",
+            ]);
+        });
+    });
+    describe("Filling Frames", () => {
+        let source = new Frame([1, 1], [2, 2]);
+        it("Extends the source toward the furthest direction", () => {
+            assert.isTrue(
+                fillFrameFor(source, new Point([3, 5])).equals(
+                    new Frame([1, 1], [2, 5])
+                )
+            );
+            assert.isTrue(
+                fillFrameFor(source, new Point([0, 2])).equals(
+                    new Frame([0, 1], [2, 2])
+                )
+            );
+            assert.isTrue(
+                fillFrameFor(source, new Point([2, 1])).equals(source)
+            );
+        });
+        it("Fills each column or row of the source as a series", () => {
+            let data = [
+                [1, "a"],
+                [2, "b"],
+            ];
+            let down = fillData(data, source, new Frame([1, 1], [2, 4]));
+            assert.isTrue(down.frame.equals(new Frame([1, 3], [2, 4])));
+            assert.deepEqual(down.data, [
+                [3, "a"],
+                [4, "b"],
+            ]);
+            let up = fillData(data, source, new Frame([1, 0], [2, 2]));
+            assert.deepEqual(up.data, [[0, "b"]]);
+            let right = fillData(data, source, new Frame([1, 1], [3, 2]));
+            assert.deepEqual(right.data, [[1], [2]]);
+            assert.isNull(fillData(data, source, source));
+        });
+    });
+    describe("GridSheet", () => {
+        let gridElement = gridSheet();
+        before(() => {
+            gridElement.setAttribute("rows", 6);
+            gridElement.setAttribute("columns", 3);
+            document.body.append(gridElement);
+        });
+        after(() => {
+            releaseSheet(gridElement);
+        });
+        beforeEach(() => {
+            gridElement.dataFrame.loadFromArray(
+                [
+                    [1, "Item 1", "x"],
+                    [2, "Item 2", "y"],
+                ],
+                [0, 0]
+            );
+        });
+        afterEach(() => {
+            gridElement.dataFrame.undo();
+        });
+        const select = (from, to) => {
+            gridElement.selector.cursor = new Point(from);
+            gridElement.selector.anchor = new Point(from);
+            gridElement.selector.selectFromAnchorTo(new Point(to));
+        };
+        it("Fills series in one step and selects the filled cells", () => {
+            let history = gridElement.dataFrame.history;
+            let before = history.undoStack.length;
+            let filled = gridElement.fill(
+                new Frame([0, 0], [1, 1]),
+                new Frame([0, 0], [1, 3])
+            );
+            assert.isTrue(filled.equals(new Frame([0, 2], [1, 3])));
+            assert.deepEqual(
+                gridElement.dataFrame.getDataArrayForFrame(filled),
+                [
+                    [3, "Item 3"],
+                    [4, "Item 4"],
+                ]
+            );
+            assert.isTrue(
+                gridElement.selector.selectionFrame.equals(
+                    new Frame([0, 0], [1, 3])
+                )
+            );
+            assert.equal(history.undoStack.length, before + 1);
+            gridElement.dataFrame.undo();
+            assert.equal(gridElement.dataFrame.getAt([0, 2]), "0, 2");
+        });
+        it("Fills by dragging the fill handle of the selection", () => {
+            select([2, 0], [2, 1]);
+            let selection =
+                gridElement.shadowRoot.getElementById("main-selection");
+            let handle = selection.shadowRoot.getElementById("fill-handle");
+            handle.dispatchEvent(
+                new window.MouseEvent("mousedown", {
+                    bubbles: true,
+                    composed: true,
+                })
+            );
+            assert.isNotNull(gridElement.mouseHandler.fillSource);
+
+            // Cells are plain elements unless
+            // SheetCell has been loaded
+            let cell = gridElement.primaryFrame.elementAt([2, 3]);
+            cell.isCell = true;
+            cell.dispatchEvent(
+                new window.MouseEvent("mouseover", { bubbles: true })
+            );
+            let preview = gridElement.shadowRoot.getElementById("drop-preview");
+            assert.isFalse(preview.classList.contains("empty"));
+            cell.dispatchEvent(
+                new window.MouseEvent("mouseup", { bubbles: true })
+            );
+            assert.isTrue(preview.classList.contains("empty"));
+            assert.isNull(gridElement.mouseHandler.fillSource);
+            assert.equal(gridElement.dataFrame.getAt([2, 2]), "x");
+            assert.equal(gridElement.dataFrame.getAt([2, 3]), "y");
+            gridElement.dataFrame.undo();
+        });
+        it("Copies down and right with Ctrl+D and Ctrl+R", () => {
+            select([0, 0], [0, 2]);
+            let event = new window.KeyboardEvent("keydown", {
+                key: "d",
+                ctrlKey: true,
+                cancelable: true,
+            });
+            gridElement.dispatchEvent(event);
+            assert.isTrue(event.defaultPrevented);
+            assert.equal(gridElement.dataFrame.getAt([0, 1]), 1);
+            assert.equal(gridElement.dataFrame.getAt([0, 2]), 1);
+            gridElement.dataFrame.undo();
+
+            gridElement.selector.cursor = new Point([2, 1]);
+            gridElement.selector.selectionFrame.isEmpty = true;
+            gridElement.dispatchEvent(
+                new window.KeyboardEvent("keydown", {
+                    key: "r",
+                    ctrlKey: true,
+                })
+            );
+            assert.equal(gridElement.dataFrame.getAt([2, 1]), "Item 2");
+            assert.equal(gridElement.dataFrame.getAt([2, 0]), "x");
+            gridElement.dataFrame.undo();
+        });
+    });
+});
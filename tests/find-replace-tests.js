@@ -0,0 +1,225 @@
+/**
+ * APSheet Find and Replace Tests
+ * ------------------------------------
+ * Tests for searching the values of a sheet
+ * and replacing what is found
+ */
+import "../src/GridSheet.js";
+import { matcherFor, findMatches, replaceMatches } from "../src/Search.js";
+import { DataFrame } from "../src/DataFrame.js";
+import { ArrayDataSource } from "../src/DataSource.js";
+import { Frame } from "../src/Frame.js";
+import { Point } from "../src/Point.js";
+import { gridSheet, releaseSheet } from "../utils/test-helpers.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+// Respond with the "x,y" text of the
+// locations of the given matches
+const locationsOf = (matches) => {
+    return matches.map(({ location }) => `${location.x},${location.y}`);
+};
+
+describe("Find and Replace Tests", () => {
+    describe("Matchers", () => {
+        it("Matches parts of values, whole values and letter case", () => {
+            let matcher = matcherFor("an");
+            assert.isTrue(matcher.test("Banana"));
+            assert.isTrue(matcher.test("ANT"));
+            assert.isFalse(matcher.test(undefined));
+            assert.isFalse(matcherFor("an", { matchCase: true }).test("ANT"));
+            let whole = matcherFor("1.5", { wholeCell: true });
+            assert.isTrue(whole.test(1.5));
+            assert.isFalse(whole.test("1.55"));
+            assert.isFalse(whole.test("105"));
+            assert.equal(matcher.replace("Banana", "$&!"), "B$&!$&!a");
+        });
+        it("Matches regular expressions and replaces their groups", () => {
+            let matcher = matcherFor("(\\w+)@example", { regex: true });
+            assert.isTrue(matcher.test("ann@example.com"));
+            assert.equal(
+                matcher.replace("ann@example.com", "$1@test"),
+                "ann@test.com"
+            );
+            assert.throws(() => matcherFor("(", { regex: true }));
+            assert.throws(() => matcherFor(""));
+        });
+    });
+    describe("DataFrames", () => {
+        let dataFrame;
+        beforeEach(() => {
+            dataFrame = new DataFrame([0, 0], [2, 2]);
+            dataFrame.loadFromArray([
+                ["apple", "pear", 3],
+                ["Apple pie", undefined, "=A1"],
+                ["fig", "apple", 33],
+            ]);
+            dataFrame.enableHistory();
+        });
+        it("Finds values in row order, within Frames", async () => {
+            let matches = await findMatches(dataFrame, "apple");
+            assert.deepEqual(locationsOf(matches), ["0,0", "0,1", "1,2"]);
+            assert.equal(matches[1].value, "Apple pie");
+            matches = await findMatches(dataFrame, "3", {
+                frames: [new Frame([2, 1], [2, 2])],
+            });
+            assert.deepEqual(locationsOf(matches), ["2,2"]);
+            matches = await findMatches(dataFrame, "a1");
+            assert.deepEqual(locationsOf(matches), ["2,1"]);
+        });
+        it("Replaces values as a single change", async () => {
+            let callback = sinon.spy();
+            dataFrame.callback = callback;
+            let matcher = matcherFor("apple");
+            let matches = await findMatches(dataFrame, "apple");
+            let count = replaceMatches(dataFrame, matches, matcher, "plum");
+            assert.equal(count, 3);
+            assert.isTrue(callback.calledOnce);
+            assert.isTrue(
+                callback.firstCall.args[0].equals(new Frame([0, 0], [1, 2]))
+            );
+            assert.equal(dataFrame.getAt([0, 1]), "plum pie");
+            assert.equal(dataFrame.getAt([1, 2]), "plum");
+            assert.isTrue(dataFrame.undo());
+            assert.equal(dataFrame.getAt([0, 0]), "apple");
+            assert.equal(dataFrame.getAt([0, 1]), "Apple pie");
+            assert.isFalse(dataFrame.undo());
+        });
+        it("Parses replaced values by the column schema", async () => {
+            dataFrame.setSchema({ 2: { type: "number", invalid: "reject" } });
+            let failures = sinon.spy();
+            dataFrame.validationCallback = failures;
+            let matcher = matcherFor("3", { wholeCell: true });
+            let matches = await findMatches(dataFrame, "3", {
+                wholeCell: true,
+            });
+            replaceMatches(dataFrame, matches, matcher, "4");
+            assert.strictEqual(dataFrame.getAt([2, 0]), 4);
+            replaceMatches(dataFrame, matches, matcher, "four");
+            assert.strictEqual(dataFrame.getAt([2, 0]), 4);
+            assert.isTrue(failures.calledOnce);
+        });
+    });
+    describe("Data sources", () => {
+        // 10 columns and 300 rows, so that only
+        // some of the chunks are loaded
+        let rows = [];
+        for (let y = 0; y < 300; y++) {
+            rows.push(new Array(10).fill("cell"));
+        }
+        rows[10][1] = "needle";
+        rows[250][2] = "Needle";
+        it("Asks the source for values that are not loaded", async () => {
+            let dataFrame = new DataFrame([0, 0], [0, 0]);
+            let source = new ArrayDataSource(rows);
+            await dataFrame.setDataSource(source);
+            dataFrame.prefetchMargin = new Point([0, 0]);
+            await dataFrame.loadMissing(new Frame([0, 0], [9, 9]));
+            dataFrame.putAt([1, 10], "hay");
+            dataFrame.putAt([3, 3], "needles");
+            let matches = await findMatches(dataFrame, "needle");
+            assert.deepEqual(locationsOf(matches), ["3,3", "2,250"]);
+
+            // Without a search of its own, only
+            // loaded values are searched
+            source.search = undefined;
+            matches = await findMatches(dataFrame, "needle");
+            assert.deepEqual(locationsOf(matches), ["3,3"]);
+        });
+    });
+    describe("GridSheet", () => {
+        let gridElement = gridSheet();
+        before(() => {
+            gridElement.setAttribute("rows", 3);
+            gridElement.setAttribute("columns", 2);
+            document.body.append(gridElement);
+            gridElement.dataFrame.loadCSV(
+                "fruit,color\napple,red\npear,green\nplum,purple\n" +
+                    "grape,green\nlime,green"
+            );
+        });
+        after(() => {
+            releaseSheet(gridElement);
+            sinon.restore();
+        });
+        afterEach(() => {
+            gridElement.clearFind();
+        });
+        const isFound = (x, y) => {
+            return gridElement.primaryFrame
+                .elementAt([x, y])
+                .hasAttribute("found");
+        };
+        it("Highlights matches and moves the cursor to each", async () => {
+            let matches = await gridElement.find("green");
+            assert.equal(matches.length, 3);
+            assert.isTrue(isFound(1, 2));
+            assert.isFalse(isFound(1, 1));
+            assert.isTrue(gridElement.findNext().equals(new Point([1, 2])));
+            assert.isTrue(gridElement.findNext().equals(new Point([1, 4])));
+
+            // The view shifts down to show the match
+            assert.equal(gridElement.primaryFrame.dataOffset.y, 2);
+            assert.isTrue(
+                gridElement.selector.cursor.equals(new Point([1, 2]))
+            );
+            assert.isTrue(isFound(1, 2));
+            assert.isTrue(gridElement.findNext().equals(new Point([1, 5])));
+            assert.isTrue(gridElement.findNext().equals(new Point([1, 2])));
+            assert.isTrue(gridElement.findPrevious().equals(new Point([1, 5])));
+            gridElement.clearFind();
+            assert.isFalse(isFound(1, 2));
+        });
+        it("Finds within the selection", async () => {
+            gridElement.selector.moveCursorTo([0, 1]);
+            gridElement.selector.selectFromAnchorTo(new Point([1, 3]));
+            let matches = await gridElement.find("p", { inSelection: true });
+            assert.deepEqual(locationsOf(matches), [
+                "0,1",
+                "0,2",
+                "0,3",
+                "1,3",
+            ]);
+        });
+        it("Replaces all matches with a single data-updated event", async () => {
+            let handler = sinon.spy();
+            gridElement.addEventListener("data-updated", handler);
+            await gridElement.find("^(g)r", { regex: true, matchCase: true });
+            assert.equal(gridElement.replaceAll("$1l"), 4);
+            assert.isTrue(handler.calledOnce);
+            assert.equal(gridElement.dataFrame.getAt([1, 2]), "gleen");
+            assert.equal(gridElement.dataFrame.getAt([0, 4]), "glape");
+            assert.equal(gridElement.findState.matches.length, 0);
+            gridElement.removeEventListener("data-updated", handler);
+            gridElement.dataFrame.undo();
+            assert.equal(gridElement.dataFrame.getAt([1, 2]), "green");
+        });
+        it("Replaces the match at the cursor and moves on", async () => {
+            await gridElement.find("green", { wholeCell: true });
+            gridElement.selector.moveCursorTo([0, 0]);
+            assert.isFalse(gridElement.replace("blue"));
+            assert.isTrue(
+                gridElement.selector.relativeCursor.equals(new Point([1, 2]))
+            );
+            assert.isTrue(gridElement.replace("blue"));
+            assert.equal(gridElement.dataFrame.getAt([1, 2]), "blue");
+            assert.isTrue(
+                gridElement.selector.relativeCursor.equals(new Point([1, 4]))
+            );
+            assert.equal(gridElement.findState.matches.length, 2);
+            gridElement.dataFrame.undo();
+        });
+        it("Opens the find bar with Ctrl+F", () => {
+            let findBar = gridElement.shadowRoot.getElementById("find-bar");
+            gridElement.dispatchEvent(
+                new window.KeyboardEvent("keydown", { key: "f", ctrlKey: true })
+            );
+            assert.isTrue(findBar.isOpen);
+            findBar.dispatchEvent(
+                new window.KeyboardEvent("keydown", { key: "Escape" })
+            );
+            assert.isFalse(findBar.isOpen);
+        });
+    });
+});
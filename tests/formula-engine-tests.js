@@ -0,0 +1,179 @@
+/**
+ * APSheet FormulaEngine Tests
+ * ------------------------------------
+ * Tests for parsing and evaluating formulas
+ * stored in a DataFrame, and for recomputing
+ * them when the values they refer to change
+ */
+import { Frame } from "../src/Frame.js";
+import { DataFrame } from "../src/DataFrame.js";
+import { PrimaryGridFrame } from "../src/PrimaryGridFrame.js";
+import { parseFormula } from "../src/FormulaParser.js";
+import {
+    columnToLetters,
+    lettersToColumn,
+    parseAddress,
+    addressFor,
+} from "../src/CellAddress.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+describe("FormulaEngine Tests", () => {
+    let dataFrame;
+    beforeEach(() => {
+        dataFrame = new DataFrame([0, 0], [9, 9]);
+        dataFrame.enableFormulas();
+    });
+    describe("Cell addresses", () => {
+        it("Converts between column indices and letters", () => {
+            assert.equal(columnToLetters(0), "A");
+            assert.equal(columnToLetters(25), "Z");
+            assert.equal(columnToLetters(26), "AA");
+            assert.equal(columnToLetters(701), "ZZ");
+            assert.equal(lettersToColumn("AA"), 26);
+            assert.equal(lettersToColumn("zz"), 701);
+        });
+        it("Converts between addresses and Points", () => {
+            let point = parseAddress("$C$12");
+            assert.equal(point.x, 2);
+            assert.equal(point.y, 11);
+            assert.equal(addressFor(point), "C12");
+        });
+        it("Throws for an invalid address", () => {
+            assert.throws(() => parseAddress("3C"));
+        });
+    });
+    describe("Parsing", () => {
+        it("Gives multiplication precedence over addition", () => {
+            let node = parseFormula("1+2*3");
+            assert.equal(node.operator, "+");
+            assert.equal(node.right.operator, "*");
+        });
+        it("Parses references, ranges and calls", () => {
+            let node = parseFormula("SUM(A1:B2, C3)");
+            assert.equal(node.type, "call");
+            assert.equal(node.args[0].type, "range");
+            assert.isTrue(node.args[0].frame.equals(new Frame([0, 0], [1, 1])));
+            assert.equal(node.args[1].type, "ref");
+        });
+        it("Throws for invalid formulas", () => {
+            assert.throws(() => parseFormula("1+"));
+            assert.throws(() => parseFormula("(1"));
+            assert.throws(() => parseFormula("1 2"));
+        });
+    });
+    describe("Evaluation", () => {
+        it("Evaluates arithmetic", () => {
+            dataFrame.putAt([0, 0], "=(1+2)*3-4/2");
+            assert.equal(dataFrame.getValueAt([0, 0]), 7);
+        });
+        it("Keeps the formula text as the stored value", () => {
+            dataFrame.putAt([0, 0], "=1+1");
+            assert.equal(dataFrame.getAt([0, 0]), "=1+1");
+            assert.equal(dataFrame.getValueAt([0, 0]), 2);
+        });
+        it("Responds with plain values unchanged", () => {
+            dataFrame.putAt([0, 0], "hello");
+            assert.equal(dataFrame.getValueAt([0, 0]), "hello");
+            assert.isUndefined(dataFrame.getValueAt([1, 1]));
+        });
+        it("Evaluates references to numeric strings", () => {
+            dataFrame.putAt([0, 0], "3");
+            dataFrame.putAt([0, 1], "4");
+            dataFrame.putAt([1, 0], "=A1*A2");
+            assert.equal(dataFrame.getValueAt([1, 0]), 12);
+        });
+        it("Evaluates functions over ranges", () => {
+            dataFrame.loadFromArray([
+                ["1", "2"],
+                ["3", "text"],
+            ]);
+            dataFrame.putAt([5, 5], "=SUM(A1:B2)");
+            dataFrame.putAt([5, 6], "=AVERAGE(A1:A2)");
+            dataFrame.putAt([5, 7], "=COUNT(A1:B2)");
+            assert.equal(dataFrame.getValueAt([5, 5]), 6);
+            assert.equal(dataFrame.getValueAt([5, 6]), 2);
+            assert.equal(dataFrame.getValueAt([5, 7]), 3);
+        });
+        it("Evaluates IF, comparisons and concatenation", () => {
+            dataFrame.putAt([0, 0], "5");
+            dataFrame.putAt([1, 0], '=IF(A1>3, "big", "small") & "!"');
+            assert.equal(dataFrame.getValueAt([1, 0]), "big!");
+        });
+        it("Produces error values", () => {
+            dataFrame.putAt([0, 0], "=1/0");
+            dataFrame.putAt([0, 1], "=NOPE(1)");
+            dataFrame.putAt([0, 2], "=1+");
+            dataFrame.putAt([0, 3], "=Z100");
+            dataFrame.putAt([0, 4], "=A1+1");
+            assert.equal(dataFrame.getValueAt([0, 0]).toString(), "#DIV/0!");
+            assert.equal(dataFrame.getValueAt([0, 1]).toString(), "#NAME?");
+            assert.equal(dataFrame.getValueAt([0, 2]).toString(), "#ERROR!");
+            assert.equal(dataFrame.getValueAt([0, 3]).toString(), "#REF!");
+            assert.equal(dataFrame.getValueAt([0, 4]).toString(), "#DIV/0!");
+        });
+        it("Produces an error value for circular references", () => {
+            dataFrame.putAt([0, 0], "=B1");
+            dataFrame.putAt([1, 0], "=A1+1");
+            dataFrame.putAt([2, 0], "=C1");
+            assert.equal(dataFrame.getValueAt([0, 0]).toString(), "#CIRC!");
+            assert.equal(dataFrame.getValueAt([1, 0]).toString(), "#CIRC!");
+            assert.equal(dataFrame.getValueAt([2, 0]).toString(), "#CIRC!");
+        });
+    });
+    describe("Recomputing", () => {
+        it("Recomputes formulas when their precedents change", () => {
+            dataFrame.putAt([0, 0], "1");
+            dataFrame.putAt([1, 0], "=A1*2");
+            dataFrame.putAt([2, 0], "=B1+1");
+            assert.equal(dataFrame.getValueAt([2, 0]), 3);
+            dataFrame.putAt([0, 0], "5");
+            assert.equal(dataFrame.getValueAt([1, 0]), 10);
+            assert.equal(dataFrame.getValueAt([2, 0]), 11);
+        });
+        it("Recomputes once a circular reference is broken", () => {
+            dataFrame.putAt([0, 0], "=B1");
+            dataFrame.putAt([1, 0], "=A1");
+            assert.equal(dataFrame.getValueAt([1, 0]).toString(), "#CIRC!");
+            dataFrame.putAt([0, 0], "7");
+            assert.equal(dataFrame.getValueAt([1, 0]), 7);
+        });
+        it("Passes the Frames of dependent formulas to the callback", () => {
+            dataFrame.putAt([0, 0], "1");
+            dataFrame.putAt([1, 0], "=SUM(A1:A5)");
+            dataFrame.putAt([2, 0], "=B1");
+            dataFrame.getValueAt([2, 0]);
+            let callback = sinon.spy();
+            dataFrame.callback = callback;
+            dataFrame.putAt([0, 2], "4");
+            let dependentFrames = callback.args[0][2];
+            assert.equal(dependentFrames.length, 2);
+            assert.isTrue(dependentFrames[0].equals(new Frame([1, 0], [1, 0])));
+            assert.isTrue(dependentFrames[1].equals(new Frame([2, 0], [2, 0])));
+            assert.equal(dataFrame.getValueAt([2, 0]), 5);
+        });
+        it("Recomputes after an undo", () => {
+            dataFrame.enableHistory();
+            dataFrame.putAt([0, 0], "2");
+            dataFrame.putAt([1, 0], "=A1^2");
+            assert.equal(dataFrame.getValueAt([1, 0]), 4);
+            dataFrame.putAt([0, 0], "3");
+            assert.equal(dataFrame.getValueAt([1, 0]), 9);
+            dataFrame.undo();
+            assert.equal(dataFrame.getValueAt([1, 0]), 4);
+        });
+    });
+    describe("Display", () => {
+        it("Shows computed values in the PrimaryFrame's cells", () => {
+            dataFrame.putAt([0, 0], "4");
+            dataFrame.putAt([1, 0], "=A1*2");
+            let primaryFrame = new PrimaryGridFrame(dataFrame, [2, 2]);
+            primaryFrame.updateCellContents();
+            assert.equal(primaryFrame.elementAt([1, 0]).innerText, "8");
+            dataFrame.putAt([0, 0], "5");
+            primaryFrame.updateCellContents();
+            assert.equal(primaryFrame.elementAt([1, 0]).innerText, "10");
+        });
+    });
+});
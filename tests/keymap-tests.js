@@ -0,0 +1,238 @@
+/**
+ * APSheet Keymap Tests
+ * ------------------------------------
+ * Tests for binding key chords to named
+ * commands, and for running those commands
+ * from the keys of a sheet
+ */
+import "../src/GridSheet.js";
+import {
+    Keymap,
+    normalizeChord,
+    chordForEvent,
+    defaultBindings,
+} from "../src/Keymap.js";
+import { CommandRegistry } from "../src/CommandRegistry.js";
+import { KeyHandler } from "../src/KeyHandler.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+const keyEvent = (key, options = {}) => {
+    return new window.KeyboardEvent(
+        "keydown",
+        Object.assign({ key, cancelable: true, bubbles: true }, options)
+    );
+};
+
+describe("Keymap Tests", () => {
+    describe("Chords", () => {
+        it("Normalizes modifiers, letters and named keys", () => {
+            assert.equal(normalizeChord("shift+mod+Z", false), "Ctrl+Shift+z");
+            assert.equal(normalizeChord("Mod+Shift+z", true), "Shift+Meta+z");
+            assert.equal(
+                normalizeChord("Cmd+Alt+ArrowRight"),
+                "Alt+Meta+ArrowRight"
+            );
+            assert.equal(normalizeChord("Shift+space"), "Shift+Space");
+            assert.equal(normalizeChord("Mod+Plus", false), "Ctrl+Plus");
+            assert.throws(() => normalizeChord("Hyper+a"));
+            assert.throws(() => normalizeChord("Ctrl+"));
+            assert.throws(() => normalizeChord(""));
+        });
+        it("Writes the chords of events the same way", () => {
+            let event = keyEvent("Z", { ctrlKey: true, shiftKey: true });
+            assert.equal(chordForEvent(event), "Ctrl+Shift+z");
+            assert.equal(
+                chordForEvent(keyEvent("+", { metaKey: true })),
+                "Meta+Plus"
+            );
+            assert.equal(Keymap.defaults.commandFor(event), "history.redo");
+            assert.isNull(Keymap.defaults.commandFor(keyEvent("q")));
+
+            // Mod is Cmd on macOS
+            let macKeymap = new Keymap(null, true);
+            macKeymap.load(defaultBindings);
+            assert.equal(
+                macKeymap.commandFor(keyEvent("c", { metaKey: true })),
+                "clipboard.copy"
+            );
+            assert.isNull(
+                macKeymap.commandFor(keyEvent("c", { ctrlKey: true }))
+            );
+        });
+    });
+    describe("Bindings", () => {
+        let keymap;
+        beforeEach(() => {
+            keymap = new Keymap(Keymap.defaults);
+        });
+        it("Overrides and unbinds the bindings of its parent", () => {
+            keymap.bind("Mod+d", "find.open");
+            keymap.unbind("F2");
+            assert.equal(
+                keymap.commandFor(keyEvent("d", { ctrlKey: true })),
+                "find.open"
+            );
+            assert.isNull(keymap.commandFor(keyEvent("F2")));
+            assert.equal(
+                Keymap.defaults.commandFor(keyEvent("F2")),
+                "cell.edit"
+            );
+            let bindings = keymap.getBindings("find.open");
+            assert.deepEqual(bindings, [
+                {
+                    chord: "Ctrl+d",
+                    command: "find.open",
+                    overrides: "fill.down",
+                },
+                { chord: "Ctrl+f", command: "find.open", overrides: null },
+            ]);
+            assert.deepEqual(keymap.getBindings("cell.edit"), []);
+            assert.deepEqual(keymap.toJSON(), {
+                "Ctrl+d": "find.open",
+                F2: null,
+            });
+        });
+        it("Refuses to bind a chord to a second command", () => {
+            keymap.bind("Mod+k", "find.open");
+            keymap.bind("Ctrl+K", "find.open");
+            assert.throws(
+                () => keymap.bind("ctrl+k", "fill.down"),
+                /already bound/
+            );
+            keymap.unbind("Ctrl+k");
+            keymap.bind("Ctrl+k", "fill.down");
+            assert.equal(keymap.commandForChord("Ctrl+k"), "fill.down");
+        });
+        it("Loads bindings from JSON, detecting conflicts", () => {
+            keymap.bind("Mod+k", "find.open");
+            keymap.load('{"Mod+k": "fill.down", "Alt+F2": "cell.edit"}');
+            assert.equal(keymap.commandForChord("Ctrl+k"), "fill.down");
+            assert.equal(keymap.commandForChord("Alt+F2"), "cell.edit");
+
+            let conflicting = { "Mod+j": "fill.down", "Ctrl+J": "fill.right" };
+            assert.deepEqual(keymap.conflictsIn(conflicting), [
+                { chord: "Ctrl+j", commands: ["fill.down", "fill.right"] },
+            ]);
+            assert.throws(() => keymap.load(conflicting), /Ctrl\+j/);
+            assert.isNull(keymap.commandForChord("Ctrl+j"));
+            assert.throws(() => keymap.load({ "Mod+j": 3 }));
+        });
+    });
+    describe("Commands", () => {
+        it("Runs registered commands, adding to those of its parent", () => {
+            let registry = new CommandRegistry(CommandRegistry.defaults);
+            let run = sinon.stub().returns("ran");
+            registry.register("custom.thing", run, "Does a thing");
+            let sheet = {};
+            assert.equal(registry.run("custom.thing", sheet), "ran");
+            assert.isTrue(run.calledWith(sheet, null));
+            assert.isTrue(registry.has("fill.down"));
+            assert.include(registry.names, "custom.thing");
+            assert.include(registry.names, "selection.extendRight");
+            assert.isFalse(CommandRegistry.defaults.has("custom.thing"));
+            assert.throws(() => registry.run("custom.other", sheet));
+            assert.throws(() => registry.register("custom.broken", null));
+        });
+        it("Has a command for every default binding", () => {
+            Object.values(defaultBindings).forEach((command) => {
+                assert.isTrue(CommandRegistry.defaults.has(command), command);
+            });
+        });
+    });
+    describe("KeyHandler", () => {
+        let sheet;
+        let run;
+        beforeEach(() => {
+            // A plain element standing in for the
+            // sheet, with its own keymap and commands
+            sheet = document.createElement("div");
+            sheet.keymap = new Keymap(Keymap.defaults);
+            sheet.commands = new CommandRegistry(CommandRegistry.defaults);
+            run = sinon.spy();
+            sheet.commands.register("custom.thing", run);
+            sheet.keymap.bind("Mod+Shift+k", "custom.thing");
+            document.body.append(sheet);
+            new KeyHandler(sheet).connect();
+        });
+        afterEach(() => {
+            sheet.remove();
+        });
+        it("Runs the command bound to the keys pressed", () => {
+            let event = keyEvent("K", { ctrlKey: true, shiftKey: true });
+            sheet.dispatchEvent(event);
+            assert.isTrue(run.calledOnce);
+            assert.strictEqual(run.firstCall.args[1], event);
+            assert.isTrue(event.defaultPrevented);
+            sheet.dispatchEvent(keyEvent("k", { ctrlKey: true }));
+            assert.isTrue(run.calledOnce);
+        });
+        it("Leaves clipboard keys and typing in inputs to the browser", () => {
+            sheet.clipboardHandler = { isPastingSpecial: true };
+            let event = keyEvent("v", { ctrlKey: true });
+            sheet.dispatchEvent(event);
+            assert.isFalse(event.defaultPrevented);
+            assert.isFalse(sheet.clipboardHandler.isPastingSpecial);
+
+            let input = document.createElement("input");
+            sheet.append(input);
+            event = keyEvent("K", { ctrlKey: true, shiftKey: true });
+            input.dispatchEvent(event);
+            assert.isTrue(run.notCalled);
+            assert.isFalse(event.defaultPrevented);
+        });
+        it("Runs clipboard commands bound to other keys", () => {
+            sheet.clipboardHandler = {
+                copyToClipboard: sinon.spy(),
+                pasteFromClipboard: sinon.spy(),
+            };
+            sheet.keymap.load({
+                "Mod+k": "clipboard.copy",
+                "Mod+c": null,
+                "Mod+x": "clipboard.paste",
+            });
+            let event = keyEvent("k", { ctrlKey: true });
+            sheet.dispatchEvent(event);
+            assert.isTrue(sheet.clipboardHandler.copyToClipboard.calledOnce);
+            assert.isTrue(event.defaultPrevented);
+
+            // The browser would copy unless stopped
+            event = keyEvent("c", { ctrlKey: true });
+            sheet.dispatchEvent(event);
+            assert.isTrue(event.defaultPrevented);
+            assert.isTrue(sheet.clipboardHandler.copyToClipboard.calledOnce);
+
+            // Pasting instead of the cut that would follow
+            event = keyEvent("x", { ctrlKey: true });
+            sheet.dispatchEvent(event);
+            assert.isTrue(event.defaultPrevented);
+            assert.isTrue(sheet.clipboardHandler.pasteFromClipboard.calledOnce);
+        });
+        it("Checks the commands of bindings loaded for a sheet", () => {
+            let GridSheet = window.customElements.get("my-grid");
+            const load = (bindings) => {
+                GridSheet.prototype.loadKeyBindings.call(sheet, bindings);
+            };
+            assert.throws(() => load({ "Mod+e": "custom.missing" }));
+            load({ "Mod+e": "custom.thing", F2: null });
+            sheet.dispatchEvent(keyEvent("e", { ctrlKey: true }));
+            assert.isTrue(run.calledOnce);
+            assert.deepEqual(
+                GridSheet.prototype.getBindings.call(sheet, "custom.thing"),
+                [
+                    {
+                        chord: "Ctrl+Shift+k",
+                        command: "custom.thing",
+                        overrides: null,
+                    },
+                    {
+                        chord: "Ctrl+e",
+                        command: "custom.thing",
+                        overrides: null,
+                    },
+                ]
+            );
+        });
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * APSheet Labels Tests
+ * ------------------------------------
+ * Tests for labeling rows and columns with
+ * letters, numbers or custom header labels
+ */
+import "../src/GridSheet.js";
+import { Point } from "../src/Point.js";
+import { createLabeler } from "../src/Labels.js";
+import { gridSheet, releaseSheet } from "../utils/test-helpers.js";
+import chai from "chai";
+const assert = chai.assert;
+
+describe("Labels Tests", () => {
+    describe("createLabeler", () => {
+        it("Labels with letters", () => {
+            let labeler = createLabeler("letters");
+            assert.equal(labeler(0), "A");
+            assert.equal(labeler(25), "Z");
+            assert.equal(labeler(26), "AA");
+            assert.equal(labeler(701), "ZZ");
+            assert.equal(labeler(702), "AAA");
+        });
+        it("Labels with one-based and zero-based numbers", () => {
+            assert.equal(createLabeler("one-based")(0), "1");
+            assert.equal(createLabeler("zero-based")(0), "0");
+            assert.equal(createLabeler("zero-based")(41), "41");
+        });
+        it("Labels from an array, falling back to the given style", () => {
+            let labeler = createLabeler(["id", null, 7], "one-based");
+            assert.equal(labeler(0), "id");
+            assert.equal(labeler(1), "2");
+            assert.equal(labeler(2), "7");
+            assert.equal(labeler(3), "4");
+        });
+        it("Labels from a callback, falling back to the given style", () => {
+            let labeler = createLabeler((index) => {
+                if (index % 2 === 0) {
+                    return `field${index}`;
+                }
+                return undefined;
+            });
+            assert.equal(labeler(2), "field2");
+            assert.equal(labeler(3), "D");
+        });
+        it("Throws for an unknown style", () => {
+            assert.throws(() => {
+                createLabeler("roman");
+            });
+        });
+    });
+    describe("Tabs", () => {
+        it("Labels a column tab with letters by default", () => {
+            let tab = document.createElement("column-tab");
+            tab.setAttribute("data-relative-x", 27);
+            assert.equal(tab.getAttribute("data-label"), "AB");
+        });
+        it("Labels a row tab with one-based numbers by default", () => {
+            let tab = document.createElement("row-tab");
+            tab.setAttribute("data-relative-y", 9);
+            assert.equal(tab.getAttribute("data-label"), "10");
+        });
+        it("Uses its labeler", () => {
+            let tab = document.createElement("column-tab");
+            tab.labeler = createLabeler(["name", "age"]);
+            tab.setAttribute("data-relative-x", 1);
+            assert.equal(tab.getAttribute("data-label"), "age");
+        });
+    });
+    describe("GridSheet", () => {
+        let gridElement = gridSheet();
+        before(() => {
+            gridElement.setAttribute("rows", 4);
+            gridElement.setAttribute("columns", 3);
+            document.body.append(gridElement);
+        });
+        after(() => {
+            releaseSheet(gridElement);
+        });
+        afterEach(() => {
+            gridElement.setColumnLabels("letters");
+            gridElement.setRowLabels("one-based");
+        });
+        const columnTabLabels = () => {
+            return Array.from(
+                gridElement.shadowRoot.querySelectorAll("column-tab")
+            ).map((tab) => {
+                return tab.getAttribute("data-label");
+            });
+        };
+        it("Labels column tabs with letters by default", () => {
+            assert.deepEqual(columnTabLabels(), ["A", "B", "C"]);
+            assert.equal(gridElement.labelFor([1, 2]), "B3");
+        });
+        it("Relabels its tabs when the labels are set", () => {
+            gridElement.setColumnLabels(["id", "name"]);
+            assert.deepEqual(columnTabLabels(), ["id", "name", "C"]);
+            gridElement.setColumnLabels("zero-based");
+            assert.deepEqual(columnTabLabels(), ["0", "1", "2"]);
+            assert.equal(gridElement.labelFor([1, 2]), "1 3");
+        });
+        it("Can be set with the columnlabels attribute", () => {
+            gridElement.setAttribute("columnlabels", "one-based");
+            assert.deepEqual(columnTabLabels(), ["1", "2", "3"]);
+            gridElement.removeAttribute("columnlabels");
+        });
+        it("Row labels follow the view as it shifts", () => {
+            gridElement.setRowLabels((index) => `row ${index}`);
+            gridElement.primaryFrame.shiftDownBy(5);
+            let tab = gridElement.shadowRoot.querySelector("row-tab");
+            assert.equal(tab.getAttribute("data-label"), "row 5");
+            gridElement.primaryFrame.shiftUpBy(5);
+        });
+        it("Writes its column labels as the CSV header", () => {
+            gridElement.dataFrame.putAt([0, 0], "a");
+            gridElement.dataFrame.putAt([1, 0], "b");
+            gridElement.setColumnLabels(["first", "second"]);
+            gridElement.selector.anchor = new Point([0, 0]);
+            gridElement.selector.selectFromAnchorTo(new Point([1, 0]));
+            let text = gridElement.exportCSV({
+                selectionOnly: true,
+                header: true,
+            });
+            assert.equal(text, "first,second\r\na,b");
+        });
+        it("Shows the label of the cursor in the info area", () => {
+            gridElement.setRowLabels("zero-based");
+            gridElement.selector.selectionFrame.isEmpty = true;
+            gridElement.dispatchSelectionChanged();
+            let info = gridElement.shadowRoot
+                .getElementById("info-area")
+                .querySelector("span:first-child");
+            assert.equal(info.innerText, "A0");
+        });
+        it("Uses the header of imported CSV as column labels", async () => {
+            // The imported data is as large as the view
+            let text = "name,age\r\n" + "Ada,36,x\r\n".repeat(4);
+            await gridElement.importCSV(text, { header: true });
+            assert.deepEqual(columnTabLabels(), ["name", "age", "C"]);
+        });
+    });
+});
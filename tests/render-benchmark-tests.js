@@ -0,0 +1,154 @@
+/**
+ * APSheet Render Benchmark Tests
+ * ------------------------------------
+ * Tests for reusing cell elements when a
+ * PrimaryGridFrame or a sheet is resized, and for
+ * batching cell content updates into animation frames.
+ * Rather than timing rendering, which depends on the
+ * machine, they count the elements that are built.
+ */
+import "../src/GridSheet.js";
+import { DataFrame } from "../src/DataFrame.js";
+import { PrimaryGridFrame } from "../src/PrimaryGridFrame.js";
+import { gridSheet, releaseSheet } from "../utils/test-helpers.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+// Respond with a spy that counts the
+// cell elements built while it is in place
+const spyOnCells = () => {
+    return sinon.spy(document, "createElement").withArgs("sheet-cell");
+};
+
+// Respond with a promise that resolves
+// after the next animation frame
+const nextFrame = () => {
+    return new Promise((resolve) => {
+        window.requestAnimationFrame(() => resolve());
+    });
+};
+
+describe("Render Benchmark Tests", () => {
+    let dataFrame;
+    before(() => {
+        dataFrame = new DataFrame([0, 0], [99, 99]);
+        dataFrame.forEachPoint((aPoint) => {
+            dataFrame.putAt(aPoint, `${aPoint.x},${aPoint.y}`, false);
+        });
+    });
+    describe("Resizing", () => {
+        it("Keeps the elements of remaining points", () => {
+            let primaryFrame = new PrimaryGridFrame(dataFrame, [9, 9]);
+            let kept = primaryFrame.elementAt([4, 4]);
+            let { added, removed } = primaryFrame.resizeTo([11, 7]);
+            assert.equal(primaryFrame.elements.length, 12 * 8);
+            assert.equal(added.length, 2 * 8);
+            assert.equal(removed.length, 10 * 2);
+            assert.equal(primaryFrame.elementAt([4, 4]), kept);
+            assert.isNull(primaryFrame.elementAt([4, 9]));
+            let corner = primaryFrame.elementAt([11, 7]);
+            assert.equal(corner.getAttribute("data-x"), "11");
+            assert.equal(corner.getAttribute("data-y"), "7");
+            removed.forEach((element) => {
+                assert.notInclude(primaryFrame.elements, element);
+            });
+        });
+        it("Keeps the data offset and locked frames", () => {
+            let primaryFrame = new PrimaryGridFrame(dataFrame, [9, 9]);
+            primaryFrame.lockRows(1);
+            primaryFrame.shiftDownBy(20);
+            primaryFrame.resizeTo([14, 14]);
+            assert.equal(primaryFrame.dataOffset.y, 20);
+            assert.equal(primaryFrame.viewFrame.corner.x, 14);
+            assert.equal(primaryFrame.lockedRowsFrame.corner.x, 14);
+            primaryFrame.updateCellContents();
+            assert.equal(primaryFrame.elementAt([0, 14]).innerText, "0,34");
+        });
+        it("Builds elements only for the points added", () => {
+            let primaryFrame = new PrimaryGridFrame(dataFrame, [29, 14]);
+            let cells = spyOnCells();
+            try {
+                let { added } = primaryFrame.resizeTo([29, 15]);
+                assert.equal(cells.callCount, 30);
+                assert.sameMembers(added, cells.returnValues);
+                primaryFrame.resizeTo([29, 14]);
+                assert.equal(cells.callCount, 30);
+            } finally {
+                document.createElement.restore();
+            }
+        });
+    });
+    describe("Updating cell contents", () => {
+        it("Batches requested updates into one per animation frame", async () => {
+            let primaryFrame = new PrimaryGridFrame(dataFrame, [4, 4]);
+            let spy = sinon.spy(primaryFrame, "updateCellContents");
+            for (let i = 0; i < 20; i++) {
+                primaryFrame.requestUpdate();
+            }
+            assert.isTrue(spy.notCalled);
+            await nextFrame();
+            assert.isTrue(spy.calledOnce);
+            assert.equal(primaryFrame.elementAt([1, 1]).innerText, "1,1");
+        });
+        it("Cancels a requested update when updated directly", async () => {
+            let primaryFrame = new PrimaryGridFrame(dataFrame, [4, 4]);
+            primaryFrame.requestUpdate();
+            primaryFrame.updateCellContents();
+            let spy = sinon.spy(primaryFrame, "updateCellContents");
+            await nextFrame();
+            assert.isTrue(spy.notCalled);
+        });
+    });
+    describe("Rendering a sheet", () => {
+        let sheet = gridSheet();
+        before(() => {
+            sheet.setAttribute("rows", 15);
+            sheet.setAttribute("columns", 10);
+            document.body.append(sheet);
+        });
+        after(() => {
+            releaseSheet(sheet);
+            sinon.restore();
+        });
+        it("Keeps the cells that remain in view", () => {
+            let cell = sheet.primaryFrame.elementAt([5, 5]);
+            sheet.setAttribute("rows", 16);
+            assert.equal(sheet.querySelectorAll("sheet-cell").length, 10 * 16);
+            sheet.setAttribute("rows", 15);
+            assert.equal(sheet.querySelectorAll("sheet-cell").length, 10 * 15);
+            assert.equal(sheet.primaryFrame.elementAt([5, 5]), cell);
+            assert.isTrue(cell.isConnected);
+        });
+        it("Builds only the cells that come into view", () => {
+            let cells = spyOnCells();
+            try {
+                sheet.setAttribute("rows", 16);
+                assert.equal(cells.callCount, 10);
+                assert.sameMembers(
+                    Array.from(sheet.querySelectorAll("sheet-cell")).slice(-10),
+                    cells.returnValues
+                );
+                sheet.setAttribute("rows", 15);
+                assert.equal(cells.callCount, 10);
+            } finally {
+                document.createElement.restore();
+            }
+        });
+        it("Updates cells once per animation frame as data changes", async () => {
+            let spy = sinon.spy(sheet.primaryFrame, "updateCellContents");
+            try {
+                for (let i = 0; i < 20; i++) {
+                    sheet.dataFrame.putAt([1, 1], `value ${i}`);
+                }
+                assert.isTrue(spy.notCalled);
+                await nextFrame();
+                assert.isTrue(spy.calledOnce);
+            } finally {
+                spy.restore();
+            }
+            let element = sheet.primaryFrame.elementAt([1, 1]);
+            assert.equal(element.innerText, "value 19");
+        });
+    });
+});
@@ -0,0 +1,296 @@
+/**
+ * APSheet RowFilter Tests
+ * ------------------------------------
+ * Tests for hiding the rows of a sheet that do
+ * not match some criteria, without removing them
+ * from the underlying DataFrame
+ */
+import "../src/GridSheet.js";
+import { PrimaryGridFrame } from "../src/PrimaryGridFrame.js";
+import { Selector } from "../src/Selector.js";
+import { RowView } from "../src/RowView.js";
+import { createFilter } from "../src/RowFilter.js";
+import {
+    dataFrameWith,
+    gridSheet,
+    releaseSheet,
+} from "../utils/test-helpers.js";
+import { Frame } from "../src/Frame.js";
+import { ClipboardHandler } from "../src/ClipboardHandler.js";
+import { Point } from "../src/Point.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+describe("RowFilter Tests", () => {
+    describe("createFilter", () => {
+        it("Matches text a value contains, ignoring case", () => {
+            let filter = createFilter({ type: "contains", text: "ap" });
+            assert.isTrue(filter("Apple"));
+            assert.isTrue(filter("grape"));
+            assert.isFalse(filter("pear"));
+            assert.isFalse(filter(undefined));
+            let strict = createFilter({
+                type: "contains",
+                text: "ap",
+                caseSensitive: true,
+            });
+            assert.isFalse(strict("Apple"));
+        });
+        it("Matches values equal to another", () => {
+            let filter = createFilter({ type: "equals", value: 10 });
+            assert.isTrue(filter("10"));
+            assert.isTrue(filter(10));
+            assert.isFalse(filter("100"));
+        });
+        it("Matches numbers within a range", () => {
+            let filter = createFilter({ type: "range", min: 2, max: "10" });
+            assert.isTrue(filter(2));
+            assert.isTrue(filter("10"));
+            assert.isFalse(filter(11));
+            assert.isFalse(filter("abc"));
+            assert.isFalse(filter(""));
+            let atLeast = createFilter({ type: "range", min: 5 });
+            assert.isTrue(atLeast(5000));
+        });
+        it("Matches values from a list, including blanks", () => {
+            let filter = createFilter({ type: "values", values: ["a", ""] });
+            assert.isTrue(filter("a"));
+            assert.isTrue(filter(undefined));
+            assert.isFalse(filter("b"));
+        });
+        it("Uses a callback, or throws for an unknown type", () => {
+            let filter = createFilter((value) => value > 3);
+            assert.isTrue(filter(4));
+            assert.isFalse(filter(3));
+            assert.throws(() => {
+                createFilter({ type: "nearly" });
+            });
+        });
+    });
+    describe("RowView", () => {
+        let dataFrame;
+        let rowView;
+        beforeEach(() => {
+            dataFrame = dataFrameWith([
+                ["name", "age"],
+                ["Carol", 41],
+                ["alice", 9],
+                ["Bob", 30],
+                ["Dave", 100],
+            ]);
+            rowView = new RowView(dataFrame);
+            rowView.pinRows(1);
+        });
+        it("Shows only the matching rows below the pinned rows", () => {
+            rowView.setFilter(1, { type: "range", min: 10, max: 50 });
+            assert.isTrue(rowView.isFiltered);
+            assert.isFalse(rowView.isSorted);
+            assert.equal(rowView.numRows, 3);
+            assert.equal(rowView.numMatchingRows, 2);
+            assert.equal(rowView.bottom, 2);
+            assert.deepEqual(
+                rowView.getDataArrayForFrame(new Frame([0, 0], [0, 4])),
+                [["name"], ["Carol"], ["Bob"]]
+            );
+        });
+        it("Maps rows both ways, with hidden rows having no view row", () => {
+            rowView.setFilter(0, { type: "contains", text: "o" });
+            assert.equal(rowView.dataRowAt(2), 3);
+            assert.equal(rowView.viewRowAt(3), 2);
+            assert.isNull(rowView.viewRowAt(2));
+            assert.isNull(rowView.viewPointAt([0, 2]));
+        });
+        it("Shows blank rows below the last one, which continue the data", () => {
+            rowView.setFilter(0, { type: "equals", value: "bob" });
+            assert.equal(rowView.getAt([0, 2]), "");
+            assert.equal(rowView.dataRowAt(2), 5);
+            rowView.loadFromArray([["Erin"], ["Finn"]], [0, 2]);
+            assert.equal(dataFrame.getAt([0, 5]), "Erin");
+            assert.equal(dataFrame.getAt([0, 6]), "Finn");
+        });
+        it("Adds rows to hold values written below the last one", () => {
+            dataFrame.enableHistory();
+            rowView.setFilter(0, { type: "equals", value: "bob" });
+            rowView.loadFromArray([[12], [13]], [1, 2]);
+            assert.equal(dataFrame.bottom, 6);
+            assert.equal(dataFrame.getAt([1, 5]), 12);
+            assert.equal(dataFrame.getAt([1, 6]), 13);
+            assert.isUndefined(dataFrame.getAt([0, 5]));
+            dataFrame.undo();
+            assert.equal(dataFrame.bottom, 4);
+            rowView.putAt([1, 3], 7);
+            assert.equal(dataFrame.bottom, 6);
+            assert.equal(dataFrame.getAt([1, 6]), 7);
+            assert.isUndefined(dataFrame.getAt([1, 5]));
+            dataFrame.undo();
+            assert.equal(dataFrame.bottom, 4);
+        });
+        it("Combines filters on several columns with a sort", () => {
+            rowView.setFilter(1, { type: "range", max: 50 });
+            rowView.setFilter(0, (value) => value !== "Bob");
+            rowView.sortBy([1]);
+            assert.deepEqual(
+                rowView.getDataArrayForFrame(new Frame([0, 1], [0, 4])),
+                [["alice"], ["Carol"]]
+            );
+            rowView.clearFilter(1);
+            assert.equal(rowView.numMatchingRows, 3);
+            rowView.clearFilters();
+            rowView.clearSort();
+            assert.isFalse(rowView.isReordered);
+        });
+        it("Lists the distinct values of a column", () => {
+            dataFrame.putAt([0, 2], "Bob");
+            dataFrame.putAt([0, 4], undefined);
+            assert.deepEqual(rowView.valuesIn(0), ["Bob", "Carol", ""]);
+        });
+    });
+    describe("Navigation", () => {
+        let dataFrame;
+        let primaryFrame;
+        let selector;
+        beforeEach(() => {
+            let rows = [["value"]];
+            for (let i = 1; i < 20; i++) {
+                rows.push([i % 2 === 0 ? "even" : "odd"]);
+            }
+            dataFrame = dataFrameWith(rows);
+            primaryFrame = new PrimaryGridFrame(dataFrame, [0, 3]);
+            primaryFrame.lockRows(1);
+            primaryFrame.rowView.pinRows(1);
+            selector = new Selector(primaryFrame);
+            primaryFrame.rowView.setFilter(0, {
+                type: "equals",
+                value: "even",
+            });
+            primaryFrame.updateCellContents();
+        });
+        it("Shifts down no further than the last matching row", () => {
+            primaryFrame.shiftDownBy(100);
+            assert.equal(primaryFrame.dataOffset.y, 6);
+            assert.isTrue(primaryFrame.isAtBottom);
+            assert.equal(primaryFrame.elementAt([0, 3]).innerText, "even");
+            primaryFrame.pageDown();
+            assert.equal(primaryFrame.dataOffset.y, 6);
+        });
+        it("Moves the cursor onto the next matching row", () => {
+            selector.cursor = new Point([0, 1]);
+            selector.moveDownBy(1);
+            assert.equal(selector.dataCursor.y, 4);
+            selector.moveToBottomEnd();
+            assert.equal(selector.dataCursor.y, 18);
+        });
+        it("Keeps the cursor on the matching rows", () => {
+            selector.cursor = new Point([0, 3]);
+            primaryFrame.rowView.setFilter(0, {
+                type: "values",
+                values: ["nothing"],
+            });
+            primaryFrame.fitToDataFrame();
+            assert.isTrue(selector.fitCursorToRows());
+            assert.equal(selector.cursor.y, 0);
+            selector.moveDownBy(3);
+            assert.equal(selector.cursor.y, 0);
+        });
+    });
+    describe("GridSheet", () => {
+        let gridElement = gridSheet();
+        before(() => {
+            gridElement.setAttribute("rows", 4);
+            gridElement.setAttribute("columns", 2);
+            document.body.append(gridElement);
+            gridElement.setAttribute("lockedrows", 1);
+            gridElement.dataFrame.loadCSV(
+                "fruit,count\napple,3\npear,1\nplum,2\npeach,5\nfig,4"
+            );
+        });
+        after(() => {
+            releaseSheet(gridElement);
+            sinon.restore();
+            ClipboardHandler.contents = null;
+        });
+        afterEach(() => {
+            gridElement.clearFilters();
+        });
+        const cellText = (x, y) => {
+            return gridElement.primaryFrame.elementAt([x, y]).innerText;
+        };
+        const columnTab = (column) => {
+            return gridElement.shadowRoot.querySelectorAll("column-tab")[
+                column
+            ];
+        };
+        it("Reports the number of matching rows", () => {
+            let handler = sinon.spy();
+            gridElement.addEventListener("filter-changed", handler);
+            gridElement.setFilter(0, { type: "contains", text: "p" });
+            assert.isTrue(handler.calledOnce);
+            let detail = handler.firstCall.args[0].detail;
+            assert.equal(detail.count, 4);
+            assert.equal(detail.total, 5);
+            assert.deepEqual(detail.filters, [
+                { column: 0, criterion: { type: "contains", text: "p" } },
+            ]);
+            assert.equal(cellText(0, 0), "fruit");
+            assert.equal(cellText(0, 1), "apple");
+            assert.equal(cellText(0, 2), "pear");
+            gridElement.removeEventListener("filter-changed", handler);
+        });
+        it("Marks filtered column tabs and labels rows by their data row", () => {
+            gridElement.setFilter(1, { type: "range", min: 4 });
+            assert.isTrue(columnTab(1).hasAttribute("filtered"));
+            assert.isFalse(columnTab(0).hasAttribute("filtered"));
+            let rowTabs = gridElement.shadowRoot.querySelectorAll("row-tab");
+            assert.equal(rowTabs[1].getAttribute("data-label"), "5");
+            assert.equal(rowTabs[2].getAttribute("data-label"), "6");
+            assert.equal(cellText(0, 3), "");
+        });
+        it("Filters from the dropdown of a column tab", () => {
+            columnTab(0).shadowRoot.getElementById("filter-button").click();
+            let menu = gridElement.shadowRoot.getElementById("filter-menu");
+            assert.isTrue(menu.isOpen);
+            let checkboxes = menu.checkboxes;
+            assert.deepEqual(
+                checkboxes.map((checkbox) => checkbox.value),
+                ["apple", "fig", "peach", "pear", "plum"]
+            );
+            checkboxes[0].checked = false;
+            checkboxes[2].checked = false;
+            menu.shadowRoot.getElementById("apply").click();
+            assert.isFalse(menu.isOpen);
+            assert.deepEqual(gridElement.rowView.filterFor(0), {
+                type: "values",
+                values: ["fig", "pear", "plum"],
+            });
+            assert.equal(cellText(0, 1), "pear");
+        });
+        it("Adds a row for a value edited below the last match", () => {
+            gridElement.setFilter(0, { type: "equals", value: "pear" });
+            gridElement.dispatchEvent(
+                new CustomEvent("cell-edited", {
+                    detail: { relativeCoordinate: [1, 3], content: "8" },
+                })
+            );
+            assert.equal(gridElement.dataFrame.bottom, 7);
+            assert.equal(gridElement.dataFrame.getAt([1, 7]), "8");
+            assert.isUndefined(gridElement.dataFrame.getAt([1, 6]));
+            gridElement.dataFrame.undo();
+            assert.equal(gridElement.dataFrame.bottom, 5);
+        });
+        it("Copies only the rows shown", () => {
+            gridElement.setFilter(1, { type: "range", max: 2 });
+            gridElement.selector.anchor = new Point([0, 0]);
+            gridElement.selector.selectFromAnchorTo(new Point([1, 3]));
+            let clipboardData = {
+                setData: sinon.spy(),
+            };
+            let contents = gridElement.clipboardHandler.writeTo(clipboardData);
+            assert.deepEqual(contents.data, [
+                ["fruit", "count"],
+                ["pear", "1"],
+                ["plum", "2"],
+            ]);
+        });
+    });
+});
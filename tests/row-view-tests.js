@@ -0,0 +1,320 @@
+/**
+ * APSheet RowView Tests
+ * ------------------------------------
+ * Tests for reordering the rows shown by a
+ * PrimaryGridFrame, like when sorting, without
+ * changing the underlying DataFrame
+ */
+import "../src/GridSheet.js";
+import { PrimaryGridFrame } from "../src/PrimaryGridFrame.js";
+import { Selector } from "../src/Selector.js";
+import { RowView, compareValues } from "../src/RowView.js";
+import {
+    dataFrameWith,
+    gridSheet,
+    releaseSheet,
+} from "../utils/test-helpers.js";
+import { Frame } from "../src/Frame.js";
+import { Point } from "../src/Point.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+// Respond with the values of the given column
+// as they are shown by the RowView
+const shownColumn = (rowView, column) => {
+    let values = [];
+    for (let y = 0; y <= rowView.dataFrame.bottom; y++) {
+        values.push(rowView.getAt([column, y]));
+    }
+    return values;
+};
+
+describe("RowView Tests", () => {
+    describe("Comparing values", () => {
+        it("Compares numbers and numeric strings by value", () => {
+            assert.isBelow(compareValues("9", "10"), 0);
+            assert.isBelow(compareValues(2, "10.5"), 0);
+            assert.isAbove(compareValues(-1, -2), 0);
+        });
+        it("Compares strings without case and with numbers in them", () => {
+            assert.equal(compareValues("apple", "Apple"), 0);
+            assert.isBelow(compareValues("item 2", "item 10"), 0);
+        });
+        it("Puts numbers and dates before booleans and strings", () => {
+            assert.isBelow(compareValues(100, "a"), 0);
+            assert.isBelow(compareValues(new Date(2020, 0, 1), true), 0);
+            assert.isBelow(compareValues(false, true), 0);
+            assert.isBelow(compareValues(true, "a"), 0);
+            assert.isBelow(
+                compareValues(new Date(2020, 0, 1), new Date(2021, 0, 1)),
+                0
+            );
+        });
+    });
+    describe("Sorting", () => {
+        let dataFrame;
+        let rowView;
+        beforeEach(() => {
+            dataFrame = dataFrameWith([
+                ["name", "age"],
+                ["Carol", "41"],
+                ["alice", "9"],
+                ["Bob", undefined],
+                ["Dave", "100"],
+                ["Erin", "9"],
+            ]);
+            rowView = new RowView(dataFrame);
+        });
+        it("Shows data rows in order by default", () => {
+            assert.isFalse(rowView.isSorted);
+            assert.equal(rowView.dataRowAt(3), 3);
+            assert.equal(rowView.getAt([0, 2]), "alice");
+        });
+        it("Sorts ascending without changing the data", () => {
+            rowView.sortBy([0], 1);
+            assert.deepEqual(shownColumn(rowView, 0), [
+                "name",
+                "alice",
+                "Bob",
+                "Carol",
+                "Dave",
+                "Erin",
+            ]);
+            assert.equal(dataFrame.getAt([0, 1]), "Carol");
+        });
+        it("Sorts descending with blanks last", () => {
+            rowView.sortBy([{ column: 1, descending: true }], 1);
+            assert.deepEqual(shownColumn(rowView, 1), [
+                "age",
+                "100",
+                "41",
+                "9",
+                "9",
+                undefined,
+            ]);
+        });
+        it("Sorts by several keys, keeping ties in data order", () => {
+            rowView.sortBy([1, { column: 0, descending: true }], 1);
+            assert.deepEqual(shownColumn(rowView, 0), [
+                "name",
+                "Erin",
+                "alice",
+                "Carol",
+                "Dave",
+                "Bob",
+            ]);
+            rowView.sortBy([1], 1);
+            assert.deepEqual(shownColumn(rowView, 0).slice(1, 3), [
+                "alice",
+                "Erin",
+            ]);
+        });
+        it("Uses the comparator of a key", () => {
+            let byLength = (a, b) => a.length - b.length;
+            rowView.sortBy([{ column: 0, compare: byLength }], 1);
+            assert.deepEqual(shownColumn(rowView, 0).slice(1, 3), [
+                "Bob",
+                "Dave",
+            ]);
+        });
+        it("Maps rows both ways", () => {
+            rowView.sortBy([0], 1);
+            assert.equal(rowView.dataRowAt(1), 2);
+            assert.equal(rowView.viewRowAt(2), 1);
+            assert.isTrue(
+                rowView.viewPointAt([1, 1]).equals(new Point([1, 3]))
+            );
+            assert.isTrue(
+                rowView.dataPointAt([1, 3]).equals(new Point([1, 1]))
+            );
+        });
+        it("Can be cleared", () => {
+            rowView.sortBy([0], 1);
+            rowView.clearSort();
+            assert.isFalse(rowView.isSorted);
+            assert.equal(rowView.getAt([0, 1]), "Carol");
+        });
+    });
+    describe("Reading and writing through the view", () => {
+        let dataFrame;
+        let rowView;
+        beforeEach(() => {
+            dataFrame = dataFrameWith([["c"], ["a"], ["b"], ["d"]]);
+            dataFrame.enableHistory();
+            rowView = new RowView(dataFrame);
+            rowView.sortBy([0]);
+        });
+        it("Splits a view Frame into data Frames", () => {
+            let frames = rowView.dataFramesFor(new Frame([0, 0], [0, 3]));
+            assert.deepEqual(
+                frames.map((frame) => [frame.top, frame.bottom]),
+                [
+                    [1, 2],
+                    [0, 0],
+                    [3, 3],
+                ]
+            );
+        });
+        it("Responds with values in view order", () => {
+            let values = rowView.getDataArrayForFrame(
+                new Frame([0, 1], [0, 2])
+            );
+            assert.deepEqual(values, [["b"], ["c"]]);
+            assert.equal(
+                rowView.toCSV(new Frame([0, 0], [0, 3])),
+                "a\r\nb\r\nc\r\nd"
+            );
+        });
+        it("Clears the shown values in a single step", () => {
+            let callback = sinon.spy();
+            dataFrame.callback = callback;
+            rowView.clearFrame(new Frame([0, 1], [0, 2]));
+            assert.deepEqual(dataFrame.toArray(), [
+                [undefined],
+                ["a"],
+                [undefined],
+                ["d"],
+            ]);
+            assert.isTrue(callback.calledOnce);
+            dataFrame.undo();
+            assert.equal(dataFrame.getAt([0, 2]), "b");
+            assert.equal(dataFrame.getAt([0, 0]), "c");
+        });
+        it("Loads values at the shown rows in a single step", () => {
+            rowView.loadFromArray([["B"], ["C"]], [0, 1]);
+            assert.equal(dataFrame.getAt([0, 2]), "B");
+            assert.equal(dataFrame.getAt([0, 0]), "C");
+            dataFrame.undo();
+            assert.equal(dataFrame.getAt([0, 2]), "b");
+            assert.equal(dataFrame.getAt([0, 0]), "c");
+        });
+        it("Writes single values at the shown row", () => {
+            rowView.putAt([0, 3], "D");
+            assert.equal(dataFrame.getAt([0, 3]), "D");
+            rowView.putAt([0, 0], "A");
+            assert.equal(dataFrame.getAt([0, 1]), "A");
+        });
+    });
+    describe("PrimaryGridFrame and Selector", () => {
+        let dataFrame;
+        let primaryFrame;
+        let selector;
+        beforeEach(() => {
+            dataFrame = dataFrameWith([
+                ["id", "score"],
+                [1, 30],
+                [2, 10],
+                [3, 20],
+                [4, 40],
+            ]);
+            primaryFrame = new PrimaryGridFrame(dataFrame, [1, 2]);
+            primaryFrame.lockRows(1);
+            selector = new Selector(primaryFrame);
+            primaryFrame.rowView.sortBy([1], 1);
+            primaryFrame.updateCellContents();
+        });
+        it("Shows sorted rows below the pinned locked rows", () => {
+            assert.equal(primaryFrame.elementAt([1, 0]).innerText, "score");
+            assert.equal(primaryFrame.elementAt([1, 1]).innerText, "10");
+            assert.equal(primaryFrame.elementAt([1, 2]).innerText, "20");
+            primaryFrame.shiftDownBy(2);
+            assert.equal(primaryFrame.elementAt([1, 0]).innerText, "score");
+            assert.equal(primaryFrame.elementAt([1, 2]).innerText, "40");
+        });
+        it("Reports both view and data coordinates", () => {
+            selector.cursor = new Point([0, 1]);
+            assert.isTrue(selector.relativeCursor.equals(new Point([0, 1])));
+            assert.isTrue(selector.dataCursor.equals(new Point([0, 2])));
+            assert.equal(selector.dataAtCursor, 2);
+            selector.anchor = new Point([0, 1]);
+            selector.selectFromAnchorTo(new Point([1, 2]));
+            let frames = selector.dataSelectionFrames;
+            assert.deepEqual(
+                frames.map((frame) => [frame.top, frame.bottom]),
+                [[2, 3]]
+            );
+        });
+    });
+    describe("GridSheet", () => {
+        let gridElement = gridSheet();
+        before(() => {
+            gridElement.setAttribute("rows", 4);
+            gridElement.setAttribute("columns", 2);
+            document.body.append(gridElement);
+            gridElement.setAttribute("lockedrows", 1);
+            gridElement.dataFrame.loadCSV("name,score\na,3\nb,1\nc,2");
+        });
+        after(() => {
+            releaseSheet(gridElement);
+            sinon.restore();
+        });
+        afterEach(() => {
+            gridElement.clearSort();
+        });
+        const sortButton = (column) => {
+            let tab =
+                gridElement.shadowRoot.querySelectorAll("column-tab")[column];
+            return tab.shadowRoot.getElementById("sort-button");
+        };
+        const cellText = (x, y) => {
+            return gridElement.primaryFrame.elementAt([x, y]).innerText;
+        };
+        it("Steps through the sort directions from the column tab", () => {
+            let handler = sinon.spy();
+            gridElement.addEventListener("sort-changed", handler);
+            let tab = gridElement.shadowRoot.querySelectorAll("column-tab")[1];
+            sortButton(1).click();
+            assert.equal(tab.getAttribute("sorted"), "ascending");
+            assert.equal(cellText(0, 1), "b");
+            assert.equal(cellText(0, 0), "name");
+            sortButton(1).click();
+            assert.equal(tab.getAttribute("sorted"), "descending");
+            assert.equal(cellText(0, 1), "a");
+            sortButton(1).click();
+            assert.isFalse(tab.hasAttribute("sorted"));
+            assert.equal(cellText(0, 1), "a");
+            assert.equal(handler.callCount, 3);
+            assert.deepEqual(handler.firstCall.args[0].detail.keys, [
+                { column: 1, descending: false, compare: null },
+            ]);
+            gridElement.removeEventListener("sort-changed", handler);
+        });
+        it("Does not select the column when sorting", () => {
+            gridElement.selector.selectionFrame.isEmpty = true;
+            sortButton(0).click();
+            assert.isTrue(gridElement.selector.selectionFrame.isEmpty);
+        });
+        it("Adds sort keys when shift clicking", () => {
+            sortButton(1).click();
+            sortButton(0).dispatchEvent(
+                new window.MouseEvent("click", { shiftKey: true })
+            );
+            assert.deepEqual(
+                gridElement.rowView.sortKeys.map((key) => key.column),
+                [1, 0]
+            );
+        });
+        it("Edits and deletes the values shown", () => {
+            gridElement.sortBy([1]);
+            gridElement.selector.cursor = new Point([0, 1]);
+            gridElement.selector.selectionFrame.isEmpty = true;
+            gridElement.selector.anchor = gridElement.selector.relativeCursor;
+            gridElement.dispatchEvent(
+                new CustomEvent("cell-edited", {
+                    detail: {
+                        relativeCoordinate: [0, 1],
+                        content: "B",
+                    },
+                })
+            );
+            assert.equal(gridElement.dataFrame.getAt([0, 2]), "B");
+            gridElement.dispatchEvent(
+                new KeyboardEvent("keydown", { key: "Delete" })
+            );
+            assert.isUndefined(gridElement.dataFrame.getAt([0, 2]));
+            gridElement.dataFrame.undo();
+            gridElement.dataFrame.undo();
+        });
+    });
+});
@@ -0,0 +1,294 @@
+/**
+ * APSheet Scrolling Tests
+ * ------------------------------------
+ * Tests for scrolling the view with the wheel
+ * and with scrollbars, which leaves the cursor
+ * on its cell
+ */
+import "../src/GridSheet.js";
+import { PrimaryGridFrame as PrimaryFrame } from "../src/PrimaryGridFrame.js";
+import { MouseHandler } from "../src/MouseHandler.js";
+import { DataFrame } from "../src/DataFrame.js";
+import { Selector } from "../src/Selector.js";
+import { Frame } from "../src/Frame.js";
+import { Point } from "../src/Point.js";
+import { gridSheet, releaseSheet } from "../utils/test-helpers.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+describe("Scrolling Tests", () => {
+    let dataFrame;
+    let primaryFrame;
+    let selector;
+    beforeEach(() => {
+        // A 10x20 DataFrame with a view of 3x4 cells
+        dataFrame = new DataFrame([0, 0], [9, 19]);
+        primaryFrame = new PrimaryFrame(dataFrame, [2, 3]);
+        primaryFrame.updateCellContents();
+        selector = new Selector(primaryFrame);
+    });
+    describe("Selector", () => {
+        it("Keeps the cursor on its cell while scrolling", () => {
+            selector.moveCursorTo([1, 2]);
+            assert.isTrue(selector.scrollBy(0, 1));
+            assert.isTrue(selector.relativeCursor.equals(new Point([1, 2])));
+            assert.isTrue(selector.cursor.equals(new Point([1, 1])));
+            assert.isNull(selector.scrolledCursor);
+
+            // Scrolled out of view
+            selector.scrollBy(2, 5);
+            assert.isTrue(primaryFrame.dataOffset.equals(new Point([2, 6])));
+            assert.isTrue(selector.relativeCursor.equals(new Point([1, 2])));
+            assert.isTrue(selector.scrolledCursor.equals(new Point([1, 2])));
+
+            // And back into view
+            selector.scrollBy(-2, -6);
+            assert.isTrue(selector.cursor.equals(new Point([1, 2])));
+            assert.isNull(selector.scrolledCursor);
+            assert.isFalse(selector.scrollBy(-1, -1));
+        });
+        it("Leaves the selection as it is", () => {
+            selector.moveCursorTo([1, 1]);
+            selector.selectFromAnchorTo(new Point([2, 2]));
+            selector.scrollBy(0, 10);
+            assert.isTrue(
+                selector.selectionFrame.equals(new Frame([1, 1], [2, 2]))
+            );
+            assert.isTrue(selector.absoluteSelectionFrame.isEmpty);
+        });
+        it("Shows the cursor again when it is moved", () => {
+            selector.moveCursorTo([1, 1]);
+            selector.scrollBy(0, 10);
+            selector.moveDownBy(1);
+            assert.isNull(selector.scrolledCursor);
+            assert.isTrue(selector.relativeCursor.equals(new Point([1, 2])));
+            // The view scrolls back only as far as the cursor
+            assert.equal(primaryFrame.dataOffset.y, 1);
+            assert.isTrue(selector.cursor.equals(new Point([1, 1])));
+        });
+    });
+    describe("MouseHandler", () => {
+        let sheet;
+        const wheel = (options) => {
+            let event = new window.WheelEvent(
+                "wheel",
+                Object.assign({ cancelable: true }, options)
+            );
+            sheet.dispatchEvent(event);
+            return event;
+        };
+        beforeEach(() => {
+            // A plain element standing in for
+            // the sheet, to keep things quick
+            sheet = document.createElement("div");
+            sheet.primaryFrame = primaryFrame;
+            sheet.cellWidth = 100;
+            sheet.cellHeight = 20;
+            sheet.scrollViewBy = sinon.stub().returns(true);
+            new MouseHandler(sheet).connect();
+        });
+        it("Scrolls by the parts of cells scrolled past", () => {
+            let event = wheel({ deltaY: 30 });
+            assert.isTrue(event.defaultPrevented);
+            assert.deepEqual(sheet.scrollViewBy.firstCall.args, [0, 1.5]);
+            wheel({ deltaY: 5, deltaX: -250 });
+            assert.deepEqual(sheet.scrollViewBy.secondCall.args, [-2.5, 0.25]);
+            wheel({ deltaY: 0 });
+            assert.isTrue(sheet.scrollViewBy.calledTwice);
+        });
+        it("Scrolls by lines and pages, and across with Shift", () => {
+            wheel({ deltaY: 3, deltaMode: 1 });
+            assert.deepEqual(sheet.scrollViewBy.lastCall.args, [0, 3]);
+            wheel({ deltaX: -1, deltaMode: 2 });
+            assert.deepEqual(sheet.scrollViewBy.lastCall.args, [-3, 0]);
+            wheel({ deltaY: 200, shiftKey: true });
+            assert.deepEqual(sheet.scrollViewBy.lastCall.args, [2, 0]);
+        });
+    });
+    describe("ScrollBar", () => {
+        let scrollbar;
+        let listener;
+        beforeEach(() => {
+            scrollbar = document.createElement("sheet-scrollbar");
+            scrollbar.setAttribute("orientation", "vertical");
+            document.body.append(scrollbar);
+            listener = sinon.spy();
+            scrollbar.addEventListener("sheet-scroll", listener);
+            scrollbar.getBoundingClientRect = () => {
+                return { top: 0, left: 0, width: 10, height: 220 };
+            };
+            scrollbar.update(100, 10, 1000);
+        });
+        afterEach(() => {
+            scrollbar.remove();
+        });
+        const mouse = (type, target, clientY) => {
+            target.dispatchEvent(
+                new window.MouseEvent(type, {
+                    clientY,
+                    bubbles: true,
+                    composed: true,
+                    cancelable: true,
+                })
+            );
+        };
+        it("Is hidden when everything is in view", () => {
+            assert.isFalse(scrollbar.classList.contains("empty"));
+            assert.equal(
+                scrollbar.style.getPropertyValue("--thumb-size"),
+                "1%"
+            );
+            scrollbar.update(0, 10, 10);
+            assert.isTrue(scrollbar.classList.contains("empty"));
+        });
+        it("Pages towards a click on the track", () => {
+            let thumb = scrollbar.shadowRoot.getElementById("thumb");
+            thumb.getBoundingClientRect = () => {
+                return { top: 20, left: 0, width: 10, height: 20 };
+            };
+            mouse("mousedown", scrollbar, 100);
+            assert.deepEqual(listener.firstCall.args[0].detail, {
+                orientation: "vertical",
+                position: 110,
+            });
+            mouse("mousedown", scrollbar, 10);
+            assert.equal(listener.secondCall.args[0].detail.position, 90);
+        });
+        it("Jumps across the whole frame when the thumb is dragged", () => {
+            let thumb = scrollbar.shadowRoot.getElementById("thumb");
+            mouse("mousedown", thumb, 20);
+            assert.isTrue(scrollbar.hasAttribute("dragging"));
+            // The track is the 220px less the 20px thumb
+            mouse("mousemove", document, 120);
+            assert.equal(listener.lastCall.args[0].detail.position, 595);
+            mouse("mousemove", document, 1000);
+            assert.equal(listener.lastCall.args[0].detail.position, 990);
+            mouse("mouseup", document, 1000);
+            assert.isFalse(scrollbar.hasAttribute("dragging"));
+            mouse("mousemove", document, 20);
+            assert.equal(listener.callCount, 2);
+        });
+    });
+    describe("GridSheet", () => {
+        let gridElement = gridSheet();
+        let GridSheet;
+        before(() => {
+            GridSheet = window.customElements.get("my-grid");
+        });
+        it("Scrolls by parts of cells, stopping at the edges", () => {
+            // A plain element standing in for the sheet
+            let sheet = document.createElement("div");
+            Object.assign(sheet, {
+                primaryFrame,
+                selector,
+                scrollOffset: new Point([0, 0]),
+                cellWidth: 100,
+                cellHeight: 20,
+                customColumns: { 1: 60 },
+                customRows: {},
+                updateSelectionElements: sinon.spy(),
+                trackSelectionWithRowTabs: sinon.spy(),
+                trackSelectionWithColumnTabs: sinon.spy(),
+            });
+            sheet.setScrollOffset = GridSheet.prototype.setScrollOffset;
+            const scroll = (columns, rows) => {
+                return GridSheet.prototype.scrollViewBy.call(
+                    sheet,
+                    columns,
+                    rows
+                );
+            };
+            const slidBy = () => {
+                return [
+                    sheet.style.getPropertyValue("--scroll-offset-x"),
+                    sheet.style.getPropertyValue("--scroll-offset-y"),
+                ];
+            };
+
+            // There is nothing before the first cell
+            assert.isFalse(scroll(-0.5, -0.25));
+            assert.isTrue(scroll(0, 0.25));
+            assert.isTrue(primaryFrame.dataOffset.equals(new Point([0, 0])));
+            assert.deepEqual(slidBy(), ["0px", "-5px"]);
+            assert.isTrue(sheet.updateSelectionElements.notCalled);
+
+            // The view shifts by whole cells and the
+            // cells slide by the rest of the first one
+            assert.isTrue(scroll(1.5, 1));
+            assert.isTrue(primaryFrame.dataOffset.equals(new Point([1, 1])));
+            assert.deepEqual(slidBy(), ["-30px", "-5px"]);
+            assert.isTrue(sheet.updateSelectionElements.calledOnce);
+            assert.isTrue(selector.cursor.equals(new Point([0, 0])));
+            assert.isTrue(selector.scrolledCursor.equals(new Point([0, 0])));
+
+            scroll(-1.5, -1.25);
+            assert.isTrue(primaryFrame.dataOffset.equals(new Point([0, 0])));
+            assert.deepEqual(slidBy(), ["0px", "0px"]);
+
+            // Nor is there anything after the last one
+            scroll(20, 30.5);
+            assert.isTrue(primaryFrame.dataOffset.equals(new Point([7, 16])));
+            assert.deepEqual(slidBy(), ["0px", "0px"]);
+            assert.isFalse(scroll(0.5, 0.5));
+        });
+        it("Keeps the cells of locked rows and columns from sliding", () => {
+            primaryFrame.lockRows(1);
+            primaryFrame.lockColumns(1);
+            primaryFrame.updateCellContents();
+            const classesAt = (location) => {
+                return Array.from(primaryFrame.elementAt(location).classList);
+            };
+            assert.sameMembers(classesAt([0, 0]), [
+                "in-locked-row",
+                "in-locked-column",
+            ]);
+            assert.sameMembers(classesAt([2, 0]), ["in-locked-row"]);
+            assert.sameMembers(classesAt([0, 3]), ["in-locked-column"]);
+            assert.sameMembers(classesAt([2, 3]), ["view-cell"]);
+        });
+        it("Comes back to the edge of a cell when the cursor shifts the view", () => {
+            gridElement.setAttribute("rows", 4);
+            gridElement.setAttribute("columns", 3);
+            document.body.append(gridElement);
+            try {
+                gridElement.scrollViewBy(0, 0.5);
+                assert.equal(
+                    gridElement.style.getPropertyValue("--scroll-offset-y"),
+                    "-18px"
+                );
+                gridElement.selector.moveDownBy(4);
+                assert.equal(gridElement.primaryFrame.dataOffset.y, 1);
+                assert.isTrue(
+                    gridElement.scrollOffset.equals(new Point([0, 0]))
+                );
+                assert.equal(
+                    gridElement.style.getPropertyValue("--scroll-offset-y"),
+                    "0px"
+                );
+            } finally {
+                releaseSheet(gridElement);
+            }
+        });
+        it("Scrolls to the position asked for by a scrollbar", () => {
+            let sheet = {
+                primaryFrame,
+                scrollOffset: new Point([0, 0.5]),
+                scrollViewBy: sinon.spy(),
+            };
+            primaryFrame.dataOffset = new Point([2, 5]);
+            const scroll = (orientation, position) => {
+                GridSheet.prototype.handleSheetScroll.call(
+                    sheet,
+                    new CustomEvent("sheet-scroll", {
+                        detail: { orientation, position },
+                    })
+                );
+            };
+            scroll("vertical", 9);
+            assert.deepEqual(sheet.scrollViewBy.lastCall.args, [0, 3.5]);
+            scroll("horizontal", 0);
+            assert.deepEqual(sheet.scrollViewBy.lastCall.args, [-2, 0]);
+        });
+    });
+});
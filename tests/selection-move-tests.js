@@ -0,0 +1,199 @@
+/**
+ * APSheet Selection Move Tests
+ * ------------------------------------
+ * Tests for moving blocks of values within and
+ * between sheets, as done by dragging a selection
+ */
+import "../src/GridSheet.js";
+import { SelectionElement } from "../src/SelectionElement.js";
+import { PrimaryGridFrame } from "../src/PrimaryGridFrame.js";
+import {
+    dataFrameWith,
+    gridSheet,
+    releaseSheet,
+} from "../utils/test-helpers.js";
+import { Frame } from "../src/Frame.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+// Respond with a drag event of the given type
+// carrying a dragged selection
+const dragEvent = (type, options = {}) => {
+    let event = new window.Event(type, {
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+    });
+    event.ctrlKey = options.ctrlKey || false;
+    event.dataTransfer = {
+        types: ["selection-drag"],
+        files: [],
+        dropEffect: "none",
+    };
+    return event;
+};
+
+describe("Selection Move Tests", () => {
+    describe("RowView", () => {
+        let dataFrame;
+        beforeEach(() => {
+            dataFrame = dataFrameWith([
+                ["a", "b", "c"],
+                ["d", "e", "f"],
+                ["g", "h", "i"],
+            ]);
+            dataFrame.enableHistory();
+        });
+        it("Moves a block in one undoable change and callback", () => {
+            let primaryFrame = new PrimaryGridFrame(dataFrame, [2, 2]);
+            let callback = sinon.spy();
+            dataFrame.callback = callback;
+            let frame = primaryFrame.rowView.moveFrame(
+                new Frame([0, 0], [1, 1]),
+                [1, 1]
+            );
+            assert.isTrue(frame.equals(new Frame([1, 1], [2, 2])));
+            assert.deepEqual(dataFrame.getDataArrayForFrame(dataFrame), [
+                [undefined, undefined, "c"],
+                [undefined, "a", "b"],
+                ["g", "d", "e"],
+            ]);
+            assert.isTrue(callback.calledOnce);
+            assert.isTrue(
+                callback.firstCall.args[0].equals(new Frame([0, 0], [2, 2]))
+            );
+            assert.equal(dataFrame.history.undoStack.length, 1);
+            dataFrame.undo();
+            assert.equal(dataFrame.getAt([0, 0]), "a");
+            assert.equal(dataFrame.getAt([2, 2]), "i");
+        });
+        it("Adds rows for a block moved past the bottom", () => {
+            dataFrame = dataFrameWith([
+                ["a", "b", "c", "d"],
+                ["e", "f", "g", "h"],
+                ["i", "j", "k", "l"],
+                ["m", "n", "o", "p"],
+            ]);
+            dataFrame.enableHistory();
+            let primaryFrame = new PrimaryGridFrame(dataFrame, [3, 3]);
+            let rowView = primaryFrame.rowView;
+            rowView.setFilter(0, (value) => value !== "i");
+            let frame = rowView.moveFrame(new Frame([1, 0], [2, 1]), [1, 2]);
+            assert.isTrue(frame.equals(new Frame([1, 2], [2, 3])));
+            assert.deepEqual(dataFrame.getDataArrayForFrame(dataFrame), [
+                ["a", undefined, undefined, "d"],
+                ["e", undefined, undefined, "h"],
+                ["i", "j", "k", "l"],
+                ["m", "b", "c", "p"],
+                [undefined, "f", "g", undefined],
+            ]);
+            assert.equal(dataFrame.history.undoStack.length, 1);
+            dataFrame.undo();
+            assert.deepEqual(dataFrame.getDataArrayForFrame(dataFrame), [
+                ["a", "b", "c", "d"],
+                ["e", "f", "g", "h"],
+                ["i", "j", "k", "l"],
+                ["m", "n", "o", "p"],
+            ]);
+        });
+        it("Moves the rows shown by a sorted view", () => {
+            let primaryFrame = new PrimaryGridFrame(dataFrame, [2, 2]);
+            let rowView = primaryFrame.rowView;
+            rowView.sortBy([{ column: 0, descending: true }]);
+            rowView.moveFrame(new Frame([0, 0], [0, 1]), [2, 0]);
+            assert.equal(dataFrame.getAt([2, 2]), "g");
+            assert.equal(dataFrame.getAt([2, 1]), "d");
+            assert.isUndefined(dataFrame.getAt([0, 2]));
+            assert.equal(dataFrame.getAt([0, 0]), "a");
+        });
+    });
+    describe("GridSheet", () => {
+        let gridElement = gridSheet();
+        before(() => {
+            gridElement.setAttribute("rows", 4);
+            gridElement.setAttribute("columns", 4);
+            document.body.append(gridElement);
+        });
+        after(() => {
+            releaseSheet(gridElement);
+            sinon.restore();
+        });
+        afterEach(() => {
+            SelectionElement.dragSource = null;
+        });
+        const cellAt = (x, y) => {
+            return gridElement.primaryFrame.elementAt([x, y]);
+        };
+        it("Outlines where a dragged selection would land", () => {
+            SelectionElement.dragSource = {
+                sheet: gridElement,
+                frame: new Frame([0, 0], [1, 1]),
+            };
+            let event = dragEvent("dragover");
+            cellAt(3, 1).dispatchEvent(event);
+            assert.isTrue(event.defaultPrevented);
+            assert.equal(event.dataTransfer.dropEffect, "move");
+            let preview = gridElement.shadowRoot.getElementById("drop-preview");
+            assert.isFalse(preview.classList.contains("empty"));
+            assert.isTrue(preview.viewFrame.equals(new Frame([3, 1], [3, 2])));
+            let leave = new window.Event("dragleave", { bubbles: true });
+            leave.relatedTarget = null;
+            gridElement.dispatchEvent(leave);
+            assert.isTrue(preview.classList.contains("empty"));
+        });
+        it("Moves a dropped selection as one data update", () => {
+            let handler = sinon.spy();
+            gridElement.addEventListener("data-updated", handler);
+            SelectionElement.dragSource = {
+                sheet: gridElement,
+                frame: new Frame([0, 0], [1, 0]),
+            };
+            let event = dragEvent("drop");
+            cellAt(1, 2).dispatchEvent(event);
+            assert.isTrue(event.defaultPrevented);
+            assert.isTrue(handler.calledOnce);
+            assert.isUndefined(gridElement.dataFrame.getAt([0, 0]));
+            assert.equal(gridElement.dataFrame.getAt([1, 2]), "0, 0");
+            assert.equal(gridElement.dataFrame.getAt([2, 2]), "1, 0");
+            assert.isTrue(
+                gridElement.selector.selectionFrame.equals(
+                    new Frame([1, 2], [2, 2])
+                )
+            );
+            assert.isNull(SelectionElement.dragSource);
+            gridElement.removeEventListener("data-updated", handler);
+            gridElement.dataFrame.undo();
+            assert.equal(gridElement.dataFrame.getAt([0, 0]), "0, 0");
+        });
+        it("Copies a selection dropped with the control key", () => {
+            SelectionElement.dragSource = {
+                sheet: gridElement,
+                frame: new Frame([0, 0], [0, 0]),
+            };
+            cellAt(3, 3).dispatchEvent(dragEvent("drop", { ctrlKey: true }));
+            assert.equal(gridElement.dataFrame.getAt([0, 0]), "0, 0");
+            assert.equal(gridElement.dataFrame.getAt([3, 3]), "0, 0");
+            gridElement.dataFrame.undo();
+        });
+        it("Moves values dropped from another sheet", () => {
+            let otherFrame = dataFrameWith([["x", "y"]]);
+            let otherPrimaryFrame = new PrimaryGridFrame(otherFrame, [1, 0]);
+            let otherSheet = {
+                rowView: otherPrimaryFrame.rowView,
+                primaryFrame: otherPrimaryFrame,
+            };
+            gridElement.moveCells(
+                otherSheet,
+                new Frame([0, 0], [1, 0]),
+                [2, 1]
+            );
+            assert.deepEqual(otherFrame.getDataArrayForFrame(otherFrame), [
+                [undefined, undefined],
+            ]);
+            assert.equal(gridElement.dataFrame.getAt([2, 1]), "x");
+            assert.equal(gridElement.dataFrame.getAt([3, 1]), "y");
+            gridElement.dataFrame.undo();
+        });
+    });
+});
@@ -0,0 +1,253 @@
+/**
+ * APSheet Selector Navigation Tests
+ * ------------------------------------
+ * Tests for the keyboard navigation of other
+ * spreadsheet apps: jumping to the edges of blocks
+ * of values, Home and End, moving within the
+ * selection and selecting rows, columns or
+ * everything.
+ */
+import "../src/GridSheet.js";
+import { PrimaryGridFrame as PrimaryFrame } from "../src/PrimaryGridFrame.js";
+import { KeyHandler } from "../src/KeyHandler.js";
+import { Frame } from "../src/Frame.js";
+import { DataFrame } from "../src/DataFrame.js";
+import { Selector } from "../src/Selector.js";
+import { Point } from "../src/Point.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+// A 6x6 DataFrame with blocks of values
+// separated by blanks:
+//
+// a b c _ e f
+// a _ _ _ _ _
+// a _ _ _ _ _
+// _ _ _ _ _ _
+// a _ _ _ _ _
+// _ _ _ _ _ z
+const exampleRows = [
+    ["a", "b", "c", undefined, "e", "f"],
+    ["a"],
+    ["a"],
+    [],
+    ["a"],
+    [undefined, undefined, undefined, undefined, undefined, "z"],
+];
+
+const cursorOf = (selector) => {
+    let cursor = selector.relativeCursor;
+    return [cursor.x, cursor.y];
+};
+
+describe("Selector Navigation Tests", () => {
+    let dataFrame;
+    let primaryFrame;
+    let selector;
+    beforeEach(() => {
+        dataFrame = new DataFrame([0, 0], [5, 5]);
+        dataFrame.loadFromArray(exampleRows);
+        primaryFrame = new PrimaryFrame(dataFrame, [2, 2]);
+        selector = new Selector(primaryFrame);
+    });
+    describe("Data edges", () => {
+        it("Jumps to the end of a block, then over blanks", () => {
+            selector.moveToDataEdge("right");
+            assert.deepEqual(cursorOf(selector), [2, 0]);
+            selector.moveToDataEdge("right");
+            assert.deepEqual(cursorOf(selector), [4, 0]);
+            selector.moveToDataEdge("right");
+            assert.deepEqual(cursorOf(selector), [5, 0]);
+
+            // There is nowhere further to go
+            selector.moveToDataEdge("right");
+            assert.deepEqual(cursorOf(selector), [5, 0]);
+            assert.equal(primaryFrame.dataOffset.x, 3);
+            selector.moveToDataEdge("left");
+            assert.deepEqual(cursorOf(selector), [4, 0]);
+        });
+        it("Jumps down to the edge of the data past the last value", () => {
+            selector.moveToDataEdge("down");
+            assert.deepEqual(cursorOf(selector), [0, 2]);
+            selector.moveToDataEdge("down");
+            assert.deepEqual(cursorOf(selector), [0, 4]);
+            selector.moveToDataEdge("down");
+            assert.deepEqual(cursorOf(selector), [0, 5]);
+            selector.moveToDataEdge("up");
+            assert.deepEqual(cursorOf(selector), [0, 4]);
+            assert.throws(() => selector.moveToDataEdge("sideways"));
+        });
+        it("Selects up to the edge when selecting", () => {
+            selector.moveToDataEdge("right", true);
+            assert.isFalse(selector.selectionFrame.isEmpty);
+            assert.isTrue(
+                selector.selectionFrame.equals(new Frame([0, 0], [2, 0]))
+            );
+        });
+    });
+    describe("Home and End", () => {
+        it("Moves to either end of the row and of the data", () => {
+            selector.moveCursorTo([3, 4]);
+            selector.moveToRowStart();
+            assert.deepEqual(cursorOf(selector), [0, 4]);
+            selector.moveToRowEnd();
+            assert.deepEqual(cursorOf(selector), [5, 4]);
+            selector.moveToFirstCell();
+            assert.deepEqual(cursorOf(selector), [0, 0]);
+            assert.isTrue(primaryFrame.dataOffset.equals(new Point([0, 0])));
+            selector.moveToLastCell(true);
+            assert.deepEqual(cursorOf(selector), [5, 5]);
+            assert.isTrue(primaryFrame.dataOffset.equals(new Point([3, 3])));
+            assert.isTrue(
+                selector.selectionFrame.equals(new Frame([0, 0], [5, 5]))
+            );
+        });
+    });
+    describe("Moving within the selection", () => {
+        beforeEach(() => {
+            selector.moveCursorTo([1, 1]);
+            selector.selectFromAnchorTo(new Point([2, 2]));
+        });
+        it("Goes across each row, wrapping around", () => {
+            selector.moveWithinSelection();
+            assert.deepEqual(cursorOf(selector), [2, 1]);
+            selector.moveWithinSelection();
+            assert.deepEqual(cursorOf(selector), [1, 2]);
+            selector.moveWithinSelection();
+            selector.moveWithinSelection();
+            assert.deepEqual(cursorOf(selector), [1, 1]);
+            selector.moveWithinSelection(false, true);
+            assert.deepEqual(cursorOf(selector), [2, 2]);
+            assert.isTrue(
+                selector.selectionFrame.equals(new Frame([1, 1], [2, 2]))
+            );
+        });
+        it("Goes down each column", () => {
+            selector.moveWithinSelection(true);
+            assert.deepEqual(cursorOf(selector), [1, 2]);
+            selector.moveWithinSelection(true);
+            assert.deepEqual(cursorOf(selector), [2, 1]);
+            selector.moveWithinSelection(true, true);
+            assert.deepEqual(cursorOf(selector), [1, 2]);
+        });
+        it("Simply moves when nothing is selected", () => {
+            selector.moveCursorTo([1, 1]);
+            selector.moveWithinSelection();
+            assert.deepEqual(cursorOf(selector), [2, 1]);
+            selector.moveWithinSelection(true);
+            assert.deepEqual(cursorOf(selector), [2, 2]);
+            assert.isTrue(selector.selectionFrame.isEmpty);
+        });
+    });
+    describe("Selecting rows, columns and everything", () => {
+        it("Selects without moving the cursor", () => {
+            selector.moveCursorTo([1, 1]);
+            selector.selectFromAnchorTo(new Point([2, 2]));
+            selector.selectRows();
+            assert.isTrue(
+                selector.selectionFrame.equals(new Frame([0, 1], [5, 2]))
+            );
+            selector.moveCursorTo([3, 3]);
+            selector.selectColumns();
+            assert.isTrue(
+                selector.selectionFrame.equals(new Frame([3, 0], [3, 5]))
+            );
+            selector.selectAll();
+            assert.isTrue(
+                selector.selectionFrame.equals(new Frame([0, 0], [5, 5]))
+            );
+            assert.deepEqual(cursorOf(selector), [3, 3]);
+        });
+    });
+    describe("KeyHandler", () => {
+        let sheet;
+        let keyDown = (key, options = {}) => {
+            let event = new window.KeyboardEvent(
+                "keydown",
+                Object.assign({ key, cancelable: true }, options)
+            );
+            sheet.dispatchEvent(event);
+            return event;
+        };
+        beforeEach(() => {
+            // A plain element standing in for
+            // the sheet, to keep things quick
+            sheet = document.createElement("div");
+            sheet.selector = selector;
+            sheet.primaryFrame = primaryFrame;
+            sheet.dispatchSelectionChanged = sinon.spy();
+            new KeyHandler(sheet).connect();
+        });
+        it("Jumps with Ctrl+Arrow, Home and End", () => {
+            keyDown("ArrowRight", { ctrlKey: true });
+            assert.deepEqual(cursorOf(selector), [2, 0]);
+            keyDown("ArrowDown", { ctrlKey: true, shiftKey: true });
+            assert.isTrue(
+                selector.selectionFrame.equals(new Frame([2, 0], [2, 5]))
+            );
+            keyDown("End", { ctrlKey: true });
+            assert.deepEqual(cursorOf(selector), [5, 5]);
+            keyDown("Home");
+            assert.deepEqual(cursorOf(selector), [0, 5]);
+            assert.isTrue(sheet.dispatchSelectionChanged.called);
+        });
+        it("Moves within the selection with Tab and Enter", () => {
+            selector.moveCursorTo([1, 1]);
+            selector.selectFromAnchorTo(new Point([2, 2]));
+            let event = keyDown("Tab");
+            assert.isTrue(event.defaultPrevented);
+            assert.deepEqual(cursorOf(selector), [2, 1]);
+            keyDown("Tab", { shiftKey: true });
+            keyDown("Enter");
+            assert.deepEqual(cursorOf(selector), [1, 2]);
+            assert.isFalse(selector.selectionFrame.isEmpty);
+        });
+        it("Selects with Ctrl+A, Shift+Space and Ctrl+Space", () => {
+            selector.moveCursorTo([1, 1]);
+            let event = keyDown("a", { ctrlKey: true });
+            assert.isTrue(event.defaultPrevented);
+            assert.isTrue(
+                selector.selectionFrame.equals(new Frame([0, 0], [5, 5]))
+            );
+            keyDown(" ", { shiftKey: true });
+            assert.isTrue(
+                selector.selectionFrame.equals(new Frame([0, 0], [5, 5]))
+            );
+            selector.moveCursorTo([1, 1]);
+            keyDown(" ", { shiftKey: true });
+            assert.isTrue(
+                selector.selectionFrame.equals(new Frame([0, 1], [5, 1]))
+            );
+            selector.moveCursorTo([1, 1]);
+            keyDown(" ", { ctrlKey: true });
+            assert.isTrue(
+                selector.selectionFrame.equals(new Frame([1, 0], [1, 5]))
+            );
+        });
+    });
+    describe("GridSheet", () => {
+        it("Moves the cursor on when an edit is finished", () => {
+            // The handler only needs the selector, so a plain
+            // object stands in for the sheet. Cells are plain
+            // elements in these tests (see fill-series-tests)
+            let GridSheet = window.customElements.get("my-grid");
+            let sheet = { selector };
+            const finish = (key, shiftKey = false) => {
+                GridSheet.prototype.handleCellEditFinished.call(
+                    sheet,
+                    new CustomEvent("cell-edit-finished", {
+                        detail: { key, shiftKey },
+                    })
+                );
+            };
+            selector.moveCursorTo([1, 1]);
+            finish("Enter");
+            assert.deepEqual(cursorOf(selector), [1, 2]);
+            finish("Tab");
+            assert.deepEqual(cursorOf(selector), [2, 2]);
+            finish("Tab", true);
+            assert.deepEqual(cursorOf(selector), [1, 2]);
+        });
+    });
+});
@@ -929,6 +929,66 @@ describe("Selector navigation tests (locked rows and columns).", () => {
     });
 });
 
+describe("Selector multiple range tests.", () => {
+    let primaryFrame;
+    let selector;
+    beforeEach(() => {
+        primaryFrame = new PrimaryFrame(exampleDataFrame, [10, 10]);
+        selector = new Selector(primaryFrame);
+    });
+    it("Keeps added ranges, with the one being selected last", () => {
+        assert.deepEqual(selector.selectionFrames, []);
+        selector.moveRightBy(1, true);
+        selector.addRange();
+        selector.moveCursorTo([4, 4]);
+        assert.deepEqual(selector.selectionFrames, []);
+
+        selector.moveRightBy(1, true);
+        selector.addRange();
+        selector.selectionFrame.isEmpty = true;
+        selector.cursor = new Point([3, 6]);
+        selector.anchor = new Point([3, 6]);
+        selector.selectFromAnchorTo(new Point([3, 7]));
+        let frames = selector.selectionFrames;
+        assert.equal(frames.length, 2);
+        assert.isTrue(frames[0].equals(new Frame([4, 4], [5, 4])));
+        assert.isTrue(frames[1].equals(new Frame([3, 6], [3, 7])));
+    });
+    it("Counts the cell at the cursor as a range once another is added", () => {
+        selector.addRange();
+        selector.cursor = new Point([2, 2]);
+        let frames = selector.selectionFrames;
+        assert.equal(frames.length, 2);
+        assert.isTrue(frames[0].equals(new Frame([0, 0], [0, 0])));
+        assert.isTrue(frames[1].equals(new Frame([2, 2], [2, 2])));
+    });
+    it("Extends only the range being selected when moving and selecting", () => {
+        selector.addRange();
+        selector.cursor = new Point([2, 2]);
+        selector.anchor = new Point([2, 2]);
+        selector.moveDownBy(2, true);
+        let frames = selector.selectionFrames;
+        assert.equal(frames.length, 2);
+        assert.isTrue(frames[1].equals(new Frame([2, 2], [2, 4])));
+
+        // Moving without selecting starts over
+        selector.moveDownBy(1);
+        assert.deepEqual(selector.otherFrames, []);
+        assert.deepEqual(selector.selectionFrames, []);
+    });
+    it("Responds with the data Frames of every range", () => {
+        primaryFrame.shiftDownBy(3);
+        selector.addRange();
+        selector.cursor = new Point([2, 2]);
+        selector.anchor = selector.relativeCursor;
+        selector.selectFromAnchorTo(new Point([3, 5]));
+        let frames = selector.dataSelectionFrames;
+        assert.equal(frames.length, 2);
+        assert.isTrue(frames[0].equals(new Frame([0, 3], [0, 3])));
+        assert.isTrue(frames[1].equals(new Frame([2, 5], [3, 5])));
+    });
+});
+
 after(() => {
     resetDOM();
 });
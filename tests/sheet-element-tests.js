@@ -69,6 +69,42 @@ describe("GridSheet Element Tests", () => {
             });
         });
     });
+    describe("Undo and redo using Ctrl+Z and Ctrl+Shift+Z", () => {
+        let gridElement;
+        beforeEach(() => {
+            gridElement = document.createElement("my-grid");
+            document.body.append(gridElement);
+        });
+
+        afterEach(() => {
+            gridElement.remove();
+        });
+
+        it("undoes and redoes a Delete keydown", () => {
+            const handler = sinon.spy();
+            gridElement.addEventListener("history-changed", handler);
+            gridElement.dispatchEvent(
+                new KeyboardEvent("keydown", { key: "Delete" })
+            );
+            assert.isUndefined(gridElement.dataFrame.getAt([0, 0]));
+
+            gridElement.dispatchEvent(
+                new KeyboardEvent("keydown", { key: "z", ctrlKey: true })
+            );
+            assert.equal(gridElement.dataFrame.getAt([0, 0]), "0, 0");
+
+            gridElement.dispatchEvent(
+                new KeyboardEvent("keydown", {
+                    key: "Z",
+                    ctrlKey: true,
+                    shiftKey: true,
+                })
+            );
+            assert.isUndefined(gridElement.dataFrame.getAt([0, 0]));
+            assert.equal(handler.callCount, 3);
+            assert.isFalse(handler.lastCall.args[0].detail.canRedo);
+        });
+    });
 });
 
 after(() => {
@@ -0,0 +1,132 @@
+/**
+ * APSheet UndoHistory Tests
+ * ------------------------------------
+ * Tests for undoing and redoing changes
+ * made to a DataFrame
+ */
+import { Frame } from "../src/Frame.js";
+import { DataFrame } from "../src/DataFrame.js";
+import { Point } from "../src/Point.js";
+import sinon from "sinon";
+import chai from "chai";
+const assert = chai.assert;
+
+describe("UndoHistory Tests", () => {
+    let dataFrame;
+    beforeEach(() => {
+        dataFrame = new DataFrame([0, 0], [9, 9]);
+        dataFrame.putAt([0, 0], "original");
+        dataFrame.enableHistory();
+    });
+    describe("Single changes", () => {
+        it("Can undo and redo a putAt", () => {
+            dataFrame.putAt([0, 0], "changed");
+            assert.isTrue(dataFrame.undo());
+            assert.equal(dataFrame.getAt([0, 0]), "original");
+            assert.isTrue(dataFrame.redo());
+            assert.equal(dataFrame.getAt([0, 0]), "changed");
+        });
+        it("Can undo the removal of a value", () => {
+            dataFrame.putAt([0, 0], undefined);
+            dataFrame.undo();
+            assert.equal(dataFrame.getAt([0, 0]), "original");
+        });
+        it("Can undo a clearFrame", () => {
+            dataFrame.putAt([1, 1], "another");
+            dataFrame.clearFrame(new Frame([0, 0], [5, 5]));
+            assert.isUndefined(dataFrame.getAt([1, 1]));
+            dataFrame.undo();
+            assert.equal(dataFrame.getAt([0, 0]), "original");
+            assert.equal(dataFrame.getAt([1, 1]), "another");
+        });
+        it("Responds false when there is nothing to undo or redo", () => {
+            assert.isFalse(dataFrame.undo());
+            assert.isFalse(dataFrame.redo());
+        });
+        it("Does not record anything when history is not enabled", () => {
+            let other = new DataFrame([0, 0], [9, 9]);
+            other.putAt([0, 0], "value");
+            assert.isFalse(other.undo());
+            assert.equal(other.getAt([0, 0]), "value");
+        });
+    });
+    describe("Grouped changes", () => {
+        it("Undoes a loadFromArray in a single step", () => {
+            dataFrame.loadFromArray(
+                [
+                    [1, 2],
+                    [3, 4],
+                ],
+                [0, 0]
+            );
+            assert.equal(dataFrame.history.undoStack.length, 1);
+            dataFrame.undo();
+            assert.equal(dataFrame.getAt([0, 0]), "original");
+            assert.isUndefined(dataFrame.getAt([1, 1]));
+        });
+        it("Restores the size of a DataFrame that loadFromArray expanded", () => {
+            dataFrame.loadFromArray([[1, 2, 3]], [0, 10]);
+            assert.equal(dataFrame.corner.y, 10);
+            dataFrame.undo();
+            assert.equal(dataFrame.corner.y, 9);
+            dataFrame.redo();
+            assert.equal(dataFrame.corner.y, 10);
+            assert.equal(dataFrame.getAt([2, 10]), 3);
+        });
+        it("Groups everything within transact into one step", () => {
+            dataFrame.transact(() => {
+                dataFrame.putAt([0, 0], "first");
+                dataFrame.putAt([0, 0], "second");
+                dataFrame.putAt([5, 5], "third");
+            });
+            assert.equal(dataFrame.history.undoStack.length, 1);
+            dataFrame.undo();
+            assert.equal(dataFrame.getAt([0, 0]), "original");
+            assert.isUndefined(dataFrame.getAt([5, 5]));
+            dataFrame.redo();
+            assert.equal(dataFrame.getAt([0, 0]), "second");
+            assert.equal(dataFrame.getAt([5, 5]), "third");
+        });
+        it("Undoes a shrinking setSize and restores discarded values", () => {
+            dataFrame.putAt([9, 9], "corner");
+            dataFrame.setSize(5, 5);
+            assert.equal(dataFrame.corner.x, 4);
+            dataFrame.undo();
+            assert.equal(dataFrame.corner.x, 9);
+            assert.equal(dataFrame.getAt([9, 9]), "corner");
+        });
+    });
+    describe("Stack management", () => {
+        it("Clears the redo stack when a new change is made", () => {
+            dataFrame.putAt([0, 0], "changed");
+            dataFrame.undo();
+            assert.isTrue(dataFrame.history.canRedo);
+            dataFrame.putAt([1, 1], "new");
+            assert.isFalse(dataFrame.history.canRedo);
+        });
+        it("Keeps no more than the limit of steps", () => {
+            dataFrame.enableHistory(3);
+            for (let i = 0; i < 5; i++) {
+                dataFrame.putAt([0, 0], i);
+            }
+            assert.equal(dataFrame.history.undoStack.length, 3);
+        });
+        it("Calls the history callback when the stacks change", () => {
+            let callback = sinon.spy();
+            dataFrame.history.callback = callback;
+            dataFrame.putAt([0, 0], "changed");
+            dataFrame.undo();
+            dataFrame.redo();
+            assert.equal(callback.callCount, 3);
+        });
+        it("Calls the DataFrame callback with the changed Frame on undo", () => {
+            dataFrame.loadFromArray([[1, 2]], [3, 3]);
+            let callback = sinon.spy();
+            dataFrame.callback = callback;
+            dataFrame.undo();
+            assert.isTrue(callback.calledOnce);
+            let frame = callback.args[0][0];
+            assert.isTrue(frame.equals(new Frame([3, 3], [4, 3])));
+        });
+    });
+});
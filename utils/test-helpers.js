@@ -0,0 +1,59 @@
+// Helpers shared by the tests
+import "../src/GridSheet.js";
+import { DataFrame } from "../src/DataFrame.js";
+
+// Respond with a DataFrame holding the given rows
+const dataFrameWith = (rows) => {
+    let dataFrame = new DataFrame(
+        [0, 0],
+        [rows[0].length - 1, rows.length - 1]
+    );
+    dataFrame.loadFromArray(rows);
+    return dataFrame;
+};
+
+// The sheet element that the tests of whole sheets
+// share. A new sheet loads a million cells, which
+// takes about as long as a hook is given, so one is
+// built while the tests load and then given a small
+// grid of the same values, to keep it light
+let sharedSheet = null;
+
+// Respond with the shared sheet element,
+// building it the first time
+const gridSheet = () => {
+    if (!sharedSheet) {
+        sharedSheet = document.createElement("my-grid");
+        let rows = [];
+        for (let y = 0; y < 100; y++) {
+            let row = [];
+            for (let x = 0; x < 100; x++) {
+                row.push(`"${x}, ${y}"`);
+            }
+            rows.push(row.join(","));
+        }
+        sharedSheet.dataFrame.loadCSV(rows.join("\n"));
+        sharedSheet.dataFrame.history.clear();
+    }
+    return sharedSheet;
+};
+
+// Undo whatever the tests changed in the data of
+// the shared sheet, put its cursor back on the first
+// cell, scroll back to the edge of it and take the
+// sheet out of the document
+const releaseSheet = (sheet) => {
+    while (sheet.dataFrame.history.canUndo) {
+        sheet.dataFrame.undo();
+    }
+    sheet.dataFrame.history.clear();
+    sheet.selector.moveCursorTo([0, 0]);
+    let offset = sheet.primaryFrame.dataOffset;
+    sheet.scrollViewBy(
+        -offset.x - sheet.scrollOffset.x,
+        -offset.y - sheet.scrollOffset.y
+    );
+    sheet.remove();
+};
+
+export { dataFrameWith, gridSheet, releaseSheet };
@@ -4,7 +4,8 @@ import ResizeObserver from "resize-observer-polyfill";
 
 const resetDOM = () => {
     const dom = new JSDOM(
-        "<!doctype html><html><head></head>/><body></body>/></html>"
+        "<!doctype html><html><head></head>/><body></body>/></html>",
+        { pretendToBeVisual: true }
     );
     globalThis.window = dom.window;
     globalThis.document = dom.window.document;
@@ -13,6 +14,8 @@ const resetDOM = () => {
     globalThis.CustomEvent = dom.window.CustomEvent;
     globalThis.ResizeObserver = ResizeObserver;
     globalThis.KeyboardEvent = dom.window.KeyboardEvent;
+    globalThis.requestAnimationFrame = dom.window.requestAnimationFrame;
+    globalThis.cancelAnimationFrame = dom.window.cancelAnimationFrame;
 };
 
 globalThis.resetDOM = resetDOM;